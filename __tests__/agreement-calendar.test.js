@@ -0,0 +1,90 @@
+const { extractSchedule, toIcs } = require('../agreement-calendar');
+const { canonicalAgreement, contentHash } = require('../agreement-export');
+
+// The example agreement from the README
+const dishes = canonicalAgreement({
+  agreement: {
+    title: 'Final Dishwashing Agreement',
+    clauses: [
+      { title: 'Tonight’s Assignment', text: 'Tonight, Nathan will take care of the dishes.' },
+      { title: 'Tomorrow’s Assignment', text: 'Tomorrow, Fab will take care of the dishes.' },
+      { title: 'Ongoing Rhythm', text: 'The two parties will alternate dishwashing duties nightly. This ensures fairness and consistency.' },
+      { title: 'Flexibility Clause', text: 'Either person may request a swap in advance if they have had a particularly tough day.' },
+      {
+        title: 'One-Week Check-In',
+        text: 'After one week, both parties will briefly check in.\n'
+          + '- If both are satisfied, the alternating system continues as the default.\n'
+          + '- If either person raises concerns, both agree to discuss possible adjustments (e.g., weekday/weekend split).\n'
+          + '- Until a new system is mutually agreed upon, the alternating-night system remains in place.'
+      }
+    ],
+    principles: [],
+    summary: ''
+  },
+  parties: ['Nathan', 'Fab'],
+  effectiveDate: '2026-03-01'
+});
+const timeZones = { Nathan: 'Europe/London', Fab: 'America/New_York' };
+
+// Unfolded content lines of every VEVENT
+function events(ics) {
+  return ics.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1).map(block => block.split('\r\n'));
+}
+
+describe('Agreement calendar', () => {
+  test('mines one-off tasks, a nightly rotation and a check-in', () => {
+    const schedule = extractSchedule(dishes, { timeZones });
+    expect(schedule.map(({ summary, owners, date, time, timeZone, kind }) => ({ summary, owners, date, time, timeZone, kind }))).toEqual([
+      { summary: 'Tonight’s Assignment', owners: ['Nathan'], date: '2026-03-01', time: '21:00', timeZone: 'Europe/London', kind: 'obligation' },
+      { summary: 'Tomorrow’s Assignment', owners: ['Fab'], date: '2026-03-02', time: null, timeZone: 'America/New_York', kind: 'obligation' },
+      // The rotation picks up after tomorrow, with Nathan next
+      { summary: 'Ongoing Rhythm (Nathan)', owners: ['Nathan'], date: '2026-03-03', time: '21:00', timeZone: 'Europe/London', kind: 'obligation' },
+      { summary: 'Ongoing Rhythm (Fab)', owners: ['Fab'], date: '2026-03-04', time: '21:00', timeZone: 'America/New_York', kind: 'obligation' },
+      { summary: 'One-Week Check-In', owners: ['Nathan', 'Fab'], date: '2026-03-08', time: null, timeZone: 'Europe/London', kind: 'check_in' }
+    ]);
+    expect(schedule[2].recurrence).toEqual({ freq: 'DAILY', interval: 2, byDay: [] });
+  });
+
+  test('reads weekdays, clock times, calendar dates and intervals', () => {
+    const agreement = canonicalAgreement({
+      agreement: {
+        clauses: [
+          { title: 'Bins', text: 'Bob takes the bins out every Tuesday and Friday at 7:30pm.' },
+          { title: 'Rent', text: 'Alice pays the rent monthly, starting on April 3rd.' },
+          { title: 'Deep clean', text: 'Every other weekend we deep-clean the kitchen.' },
+          { title: 'Trial', text: 'Within two weeks, review how the plan is going at 18:00.' }
+        ]
+      },
+      parties: ['Alice', 'Bob'],
+      effectiveDate: '2026-03-01'
+    });
+    const [bins, rent, clean, trial] = extractSchedule(agreement, { timeZone: 'Europe/Berlin' });
+    expect(bins).toMatchObject({ owners: ['Bob'], date: '2026-03-03', time: '19:30', recurrence: { freq: 'WEEKLY', byDay: ['TU', 'FR'] } });
+    expect(rent).toMatchObject({ owners: ['Alice'], date: '2026-04-03', recurrence: { freq: 'MONTHLY', interval: 1 } });
+    expect(clean).toMatchObject({ owners: [], date: '2026-03-01', recurrence: { freq: 'WEEKLY', interval: 2, byDay: ['SA', 'SU'] } });
+    expect(trial).toMatchObject({ kind: 'check_in', date: '2026-03-15', time: '18:00', timeZone: 'Europe/Berlin', recurrence: null });
+  });
+
+  test('writes recurring events with reminders in each party\'s zone', () => {
+    const hash = contentHash(dishes);
+    const ics = toIcs(dishes, hash, { timeZones });
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:America/New_York');
+    expect(ics).toContain('DTSTART:20260308T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400');
+
+    const [tonight, tomorrow, nathan, , checkIn] = events(ics);
+    expect(tonight).toEqual(expect.arrayContaining(['DTSTART;TZID=Europe/London:20260301T210000', 'TRIGGER:-PT30M']));
+    expect(tomorrow).toEqual(expect.arrayContaining(['DTSTART;VALUE=DATE:20260302', 'DTEND;VALUE=DATE:20260303']));
+    expect(nathan).toEqual(expect.arrayContaining(['RRULE:FREQ=DAILY;INTERVAL=2', 'SUMMARY:Ongoing Rhythm (Nathan)']));
+    expect(checkIn).toEqual(expect.arrayContaining(['CATEGORIES:Check-in', 'TRIGGER:-PT15H']));
+    expect(checkIn).toContain(`UID:${hash.slice(0, 16)}-5@align`);
+  });
+
+  test('a party\'s calendar keeps its own and shared events with the same UIDs', () => {
+    const hash = contentHash(dishes);
+    const uids = ics => events(ics).map(lines => lines.find(line => line.startsWith('UID:')));
+    const all = uids(toIcs(dishes, hash, { timeZones }));
+    const fab = uids(toIcs(dishes, hash, { timeZones, party: 'Fab' }));
+    expect(fab).toEqual([all[1], all[3], all[4]]);
+  });
+});
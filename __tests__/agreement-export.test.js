@@ -0,0 +1,106 @@
+const zlib = require('zlib');
+const { canonicalAgreement, canonicalJson, contentHash, exportAgreement, ExportError } = require('../agreement-export');
+
+const request = {
+  agreement: {
+    title: 'Chore Plan',
+    clauses: [
+      { title: 'Dishes', text: 'Alice washes up on weekdays.', section: 'assignments' },
+      { title: 'Bins', text: 'Bob takes the bins out on Tuesday nights.', section: 'schedule' },
+      { title: 'Reviews', text: 'Review the plan monthly.' }
+    ],
+    principles: [{ label: 'Fair Share', text: 'Effort is balanced.' }],
+    summary: 'Alice washes up and Bob handles the bins.'
+  },
+  topic: 'Chores',
+  parties: ['Alice', 'Bob'],
+  effectiveDate: '2026-03-01',
+  templateId: 'household_chores'
+};
+
+// Entry names and inflated contents of a stored/deflated zip
+function unzip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(start, start + size);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+describe('Agreement export', () => {
+  test('every format carries the hash of the canonical JSON', async () => {
+    const canonical = canonicalAgreement(request);
+    const hash = contentHash(canonical);
+    const exports = await Promise.all(['markdown', 'docx', 'text', 'json'].map(format => exportAgreement(format, request)));
+
+    expect(exports.every(item => item.contentHash === hash)).toBe(true);
+    expect(exports[3].body).toBe(canonicalJson(canonical));
+    expect(JSON.parse(exports[3].body)).toMatchObject({ parties: ['Alice', 'Bob'], effectiveDate: '2026-03-01' });
+    expect(exports[0].body).toContain(hash);
+    expect(exports[2].body).toContain(hash);
+  });
+
+  test('the hash follows the content, not key order or whitespace', async () => {
+    const reordered = {
+      ...request,
+      agreement: { summary: ` ${request.agreement.summary}\r\n`, ...request.agreement, title: 'Chore Plan ' }
+    };
+    expect((await exportAgreement('json', reordered)).contentHash).toBe((await exportAgreement('text', request)).contentHash);
+    const changed = { ...request, parties: ['Alice', 'Carol'] };
+    expect((await exportAgreement('json', changed)).contentHash).not.toBe((await exportAgreement('json', request)).contentHash);
+  });
+
+  test('markdown groups clauses under the template sections', async () => {
+    const { body, filename, contentType } = await exportAgreement('markdown', request);
+    expect(filename).toBe('Agreement_Chore_Plan.md');
+    expect(contentType).toMatch(/^text\/markdown/);
+    expect(body).toMatch(/^# Chore Plan/);
+    const order = ['## Task Assignments', '## Schedule', '## Other Terms'].map(heading => body.indexOf(heading));
+    expect(order.every(index => index >= 0)).toBe(true);
+    expect([...order].sort((a, b) => a - b)).toEqual(order);
+    expect(body).toContain('Fair Share');
+  });
+
+  test('docx is a zip with the agreement in word/document.xml', async () => {
+    const { body, filename } = await exportAgreement('docx', request);
+    expect(filename).toBe('Agreement_Chore_Plan.docx');
+    expect(body.subarray(0, 4).toString('binary')).toBe('PK\u0003\u0004');
+    const files = unzip(body);
+    expect(Object.keys(files)).toEqual(expect.arrayContaining(['[Content_Types].xml', '_rels/.rels', 'word/document.xml']));
+    expect(files['word/document.xml']).toContain('Bob takes the bins out on Tuesday nights.');
+    // Rendering is deterministic, so equal agreements give equal files
+    expect((await exportAgreement('docx', request)).body.equals(body)).toBe(true);
+  });
+
+  test('ics carries the same hash and checks time zones and parties', async () => {
+    const { body, contentHash: hash, filename, contentType } = await exportAgreement('ics', request);
+    expect(filename).toBe('Agreement_Chore_Plan.ics');
+    expect(contentType).toMatch(/^text\/calendar/);
+    expect(hash).toBe((await exportAgreement('json', request)).contentHash);
+    expect(body).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(body.replace(/\r\n /g, '')).toContain(`Agreement SHA-256: ${hash}`);
+
+    await expect(exportAgreement('ics', { ...request, timeZones: { Alice: 'Mars/Olympus' } })).rejects
+      .toThrow(expect.objectContaining({ code: 'INVALID_TIME_ZONE' }));
+    await expect(exportAgreement('ics', { ...request, party: 'Mallory' })).rejects
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARTY' }));
+    const undated = { ...request, agreement: { ...request.agreement, clauses: [{ title: 'Reviews', text: 'Be kind.' }] } };
+    await expect(exportAgreement('ics', undated)).rejects.toThrow(expect.objectContaining({ code: 'NO_SCHEDULE' }));
+  });
+
+  test('rejects unknown formats, empty agreements and bad dates', async () => {
+    await expect(exportAgreement('pdf', request)).rejects.toThrow(expect.objectContaining({ code: 'UNSUPPORTED_FORMAT' }));
+    await expect(exportAgreement('json', { agreement: { clauses: [] } })).rejects.toThrow(ExportError);
+    await expect(exportAgreement('json', { ...request, effectiveDate: 'soon' })).rejects
+      .toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+  });
+});
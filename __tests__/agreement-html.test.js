@@ -0,0 +1,51 @@
+const { sanitizeAgreementHtml, SanitizeError, maxHtmlLength } = require('../agreement-html');
+
+const codeOf = html => {
+  try {
+    sanitizeAgreementHtml(html);
+  } catch (error) {
+    expect(error).toBeInstanceOf(SanitizeError);
+    return error.code;
+  }
+  return null;
+};
+
+describe('sanitizeAgreementHtml', () => {
+  test('keeps agreement markup and drops presentational leftovers', () => {
+    const html = '<p class="text-base" style="color:red" id="x">Final Agreement</p>'
+      + '<section class="mt-8"><h3>Chores</h3><ol><li><span>1</span><div><strong>Dishes: </strong>Alice &amp; Bob</div></li></ol></section>'
+      + '<footer><img src="Align Certified.png" alt="seal" style="display: none;"><p>Certified</p></footer>';
+
+    expect(sanitizeAgreementHtml(html)).toBe(
+      '<p class="text-base">Final Agreement</p>'
+      + '<section class="mt-8"><h3>Chores</h3><ol><li><span>1</span><div><strong>Dishes: </strong>Alice &amp; Bob</div></li></ol></section>'
+      + '<footer><p>Certified</p></footer>'
+    );
+  });
+
+  test('escapes stray markup and keeps the output balanced', () => {
+    expect(sanitizeAgreementHtml('<p>1 < 2 & 3 > 2</div></div><!-- note --><b>open')).toBe(
+      '<p>1 &lt; 2 &amp; 3 &gt; 2<b>open</b></p>'
+    );
+    expect(sanitizeAgreementHtml('<p title="a>b">x</p>')).toBe('<p>x</p>');
+  });
+
+  test('rejects active content with a specific code', () => {
+    expect(codeOf('<p>ok</p><script>alert(1)</script>')).toBe('DISALLOWED_ELEMENT');
+    expect(codeOf('<iframe src="http://169.254.169.254/"></iframe>')).toBe('DISALLOWED_ELEMENT');
+    expect(codeOf('<link rel="stylesheet" href="http://evil.test/a.css">')).toBe('DISALLOWED_ELEMENT');
+    expect(codeOf('<STYLE>@import url(http://evil.test)</STYLE>')).toBe('DISALLOWED_ELEMENT');
+    expect(codeOf('<img src=x onerror="fetch(1)">')).toBe('DISALLOWED_ATTRIBUTE');
+    expect(codeOf('<p ONCLICK=x>hi</p>')).toBe('DISALLOWED_ATTRIBUTE');
+    expect(codeOf('<a href="jav&#x61;script:alert(1)">x</a>')).toBe('DISALLOWED_URL');
+    expect(codeOf('<a href=" java\tscript:x">x</a>')).toBe('DISALLOWED_URL');
+    expect(codeOf('<a href="https://example.com/terms">terms</a>')).toBeNull();
+  });
+
+  test('rejects oversized and non-string html', () => {
+    expect(() => sanitizeAgreementHtml('x'.repeat(11), { maxLength: 10 })).toThrow(expect.objectContaining({ code: 'HTML_TOO_LARGE' }));
+    expect(codeOf({ html: '<p>' })).toBe('INVALID_HTML');
+    expect(maxHtmlLength({ PDF_MAX_HTML_LENGTH: '5000' })).toBe(5000);
+    expect(maxHtmlLength({})).toBe(262144);
+  });
+});
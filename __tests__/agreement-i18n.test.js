@@ -0,0 +1,69 @@
+const {
+  normalizeLanguage, languageName, localeFor, t, markers, localizeTemplate, agreementLanguages, pickLanguage, agreementIn
+} = require('../agreement-i18n');
+const { getTemplate } = require('../agreement-templates');
+
+const agreement = {
+  title: 'Kitchen Duties',
+  language: 'es',
+  clauses: [
+    { section: 'assignments', title: 'Platos', text: 'Alicia friega entre semana.' },
+    { title: 'Mascotas', text: 'Bob da de comer al gato.' }
+  ],
+  principles: [{ label: 'Equidad', text: 'Repartimos por igual.' }],
+  summary: 'Alicia friega.',
+  translations: {
+    de: {
+      title: 'Küchendienst',
+      clauses: [{ title: 'Geschirr', text: 'Alice spült unter der Woche.' }, { title: 'Haustiere', text: 'Bob füttert die Katze.' }],
+      principles: [{ label: 'Fairness', text: 'Wir teilen gleich.' }],
+      summary: 'Alice spült.'
+    }
+  }
+};
+
+describe('agreement-i18n', () => {
+  test('normalizes language codes and tags to the supported languages', () => {
+    expect(normalizeLanguage('es-MX')).toBe('es');
+    expect(normalizeLanguage(' DE ')).toBe('de');
+    expect(normalizeLanguage('fr_CA')).toBe('fr');
+    expect(normalizeLanguage('it')).toBeNull();
+    expect(normalizeLanguage(undefined)).toBeNull();
+    expect(languageName('fr')).toBe('French');
+    expect(localeFor('de')).toBe('de-DE');
+  });
+
+  test('translates strings with variables and falls back to English', () => {
+    expect(t('es', 'pdf.round', { round: 2 })).toBe('Ronda 2');
+    expect(t('de', 'agreement.principles')).toBe('Leitprinzipien');
+    expect(t('it', 'agreement.final')).toBe('Final Agreement');
+    expect(t('fr', 'no.such.key')).toBe('no.such.key');
+    expect(markers('proposal.grounding')).toEqual(expect.arrayContaining(['Grounding', 'Fundamento']));
+  });
+
+  test('localizes a template without changing its ids or keys', () => {
+    const template = getTemplate('household_chores');
+    const spanish = localizeTemplate(template, 'es');
+
+    expect(spanish.id).toBe(template.id);
+    expect(spanish.name).not.toBe(template.name);
+    expect(spanish.fields.map(field => field.key)).toEqual(template.fields.map(field => field.key));
+    expect(spanish.sections.map(section => section.id)).toEqual(template.sections.map(section => section.id));
+    expect(localizeTemplate(template, 'en')).toBe(template);
+  });
+
+  test('reads an agreement in any of its languages with the same clause numbers', () => {
+    expect(agreementLanguages(agreement)).toEqual(['es', 'de']);
+    expect(agreementLanguages({ clauses: [] })).toEqual(['en']);
+    expect(pickLanguage(agreement, 'de-AT')).toBe('de');
+    expect(pickLanguage(agreement, 'fr')).toBe('es');
+
+    const german = agreementIn(agreement, 'de');
+    expect(german.language).toBe('de');
+    expect(german.title).toBe('Küchendienst');
+    expect(german.clauses[0]).toEqual({ section: 'assignments', title: 'Geschirr', text: 'Alice spült unter der Woche.' });
+    expect(german.principles).toEqual(agreement.translations.de.principles);
+    expect(german.summary).toBe('Alice spült.');
+    expect(agreementIn(agreement, 'fr')).toBe(agreement);
+  });
+});
@@ -0,0 +1,80 @@
+const { agreementHtml, CLASSES } = require('../agreement-render');
+const { canonicalAgreement } = require('../agreement-canonical');
+
+const canonical = canonicalAgreement({
+  agreement: {
+    title: 'Kitchen Duties',
+    clauses: [
+      { section: 'standards', title: 'Clean', text: 'Counters <wiped> & dry.' },
+      { section: 'assignments', title: 'Dishes', text: 'Alice washes up on weekdays.' },
+      { title: 'Pets', text: 'Bob feeds the cat.' }
+    ],
+    principles: [],
+    summary: 'Alice washes up.'
+  },
+  topic: 'Kitchen',
+  parties: ['Alice', 'Bob'],
+  effectiveDate: '2026-01-05',
+  templateId: 'household_chores'
+});
+
+describe('agreementHtml', () => {
+  test('groups clauses under the template sections with their agreement numbers', () => {
+    const html = agreementHtml(canonical);
+
+    expect(html.indexOf('Task Assignments')).toBeLessThan(html.indexOf('Standards'));
+    expect(html.indexOf('Standards')).toBeLessThan(html.indexOf('Other Terms'));
+    expect(html).toContain(`<span class="${CLASSES.clauseNumber}">2</span><div class="${CLASSES.clauseBody}"><strong class="${CLASSES.clauseTitle}">Dishes: </strong>Alice washes up on weekdays.</div>`);
+    expect(html).toContain('Counters &lt;wiped&gt; &amp; dry.');
+    // The template's principles stand in for the agreement's missing ones
+    expect(html).toContain('Fair Share: </strong>');
+    expect(html).toContain('<p class="agreement-subtitle">Final Agreement: Kitchen</p>');
+    expect(html).toContain('Alice washes up.</p></div></section>');
+  });
+
+  test('takes class names from the caller and drops empty ones', () => {
+    const html = agreementHtml(canonical, { classes: { clause: 'flex items-start', clauseBody: '' } });
+    expect(html).toContain('<li class="flex items-start"><span class="agreement-clause-number">1</span><div><strong');
+  });
+
+  test('renders an agreement without a template or summary', () => {
+    const html = agreementHtml({ topic: 'T', template: 'custom', clauses: [{ number: 1, title: '', text: 'Only clause.' }], principles: [], summary: '' });
+    expect(html).toBe('<p class="agreement-subtitle">Final Agreement: T</p>'
+      + '<section class="agreement-section"><ol class="agreement-clauses"><li class="agreement-clause">'
+      + '<span class="agreement-clause-number">1</span><div class="agreement-clause-body">Only clause.</div></li></ol></section>');
+  });
+
+  test('renders a translation with the same numbers and headings in its language', () => {
+    const translated = canonicalAgreement({
+      agreement: {
+        title: 'Kitchen Duties',
+        language: 'en',
+        clauses: [{ section: 'assignments', title: 'Dishes', text: 'Alice washes up.' }, { title: 'Pets', text: 'Bob feeds the cat.' }],
+        principles: [{ label: 'Fairness', text: 'Equal shares.' }],
+        summary: 'Alice washes up.',
+        translations: {
+          es: {
+            title: 'Tareas de cocina',
+            clauses: [{ title: 'Platos', text: 'Alicia friega.' }, { title: 'Mascotas', text: 'Bob da de comer al gato.' }],
+            principles: [{ label: 'Equidad', text: 'Partes iguales.' }],
+            summary: 'Alicia friega.'
+          }
+        }
+      },
+      topic: 'Cocina',
+      parties: ['Alice', 'Bob'],
+      effectiveDate: '2026-01-05',
+      templateId: 'household_chores'
+    });
+
+    const html = agreementHtml(translated, { language: 'es' });
+    expect(html).toContain('<p class="agreement-subtitle">Acuerdo final: Cocina</p>');
+    expect(html).toContain('<span class="agreement-clause-number">2</span><div class="agreement-clause-body"><strong class="agreement-clause-title">Mascotas: </strong>');
+    expect(html).toContain('Otros términos');
+    expect(html).toContain('Principios rectores');
+    expect(html).toContain('Equidad: </strong>Partes iguales.');
+    expect(html).not.toContain('Alice washes up');
+    // A language the agreement is not written in falls back to its own
+    expect(agreementHtml(translated, { language: 'de' })).toBe(agreementHtml(translated));
+  });
+});
@@ -0,0 +1,219 @@
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = 'scripted';
+
+const http = require('http');
+const request = require('supertest');
+const { app } = require('../ai-negotiation');
+const { AgreementReview, ReviewError, mergeClauses } = require('../agreement-review');
+const { canonicalAgreement, hashAgreement } = require('../agreement-canonical');
+const { generateSigningKey, signAgreement } = require('../agreement-signing');
+const { exportAgreement, canonicalJson } = require('../agreement-export');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+const structured = {
+  title: 'Dishes',
+  clauses: [
+    { title: 'Days', text: 'Alternate days.' },
+    { title: 'Swaps', text: 'Swaps with notice.' }
+  ]
+};
+
+const allAccepted = count => Array.from({ length: count }, (_, i) => ({ clause: i + 1, decision: 'accept' }));
+
+// Stands in for the signaling server, which vouches for seats; every
+// participant token is seat-<userName>
+const seat = userName => `seat-${userName}`;
+const signaling = http.createServer((req, res) => {
+  const [sessionId, userName] = (req.url.match(/^\/api\/sessions\/([^/]+)\/seats\/([^/]+)$/) || []).slice(1).map(decodeURIComponent);
+  const seated = userName && req.headers['x-participant-token'] === seat(userName);
+  res.writeHead(seated ? 200 : 403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(seated ? { sessionId, userName, maxParticipants: 2 } : { error: 'Invalid participant token' }));
+});
+
+beforeAll(done => {
+  signaling.listen(0, () => {
+    process.env.SIGNALING_API_URL = `http://localhost:${signaling.address().port}`;
+    done();
+  });
+});
+afterAll(done => {
+  signaling.close(done);
+});
+
+describe('AgreementReview', () => {
+  test('certifies once both parties accept every clause', () => {
+    const review = new AgreementReview({ parties: ['Alice', 'Bob'] });
+    review.addVersion(structured);
+
+    expect(review.submit('Alice', { version: 1, decisions: allAccepted(2) })).toBe('pending');
+    expect(() => review.submit('Alice', { version: 1, decisions: allAccepted(2) })).toThrow('already reviewed');
+    expect(review.submit('Bob', { version: 1, decisions: allAccepted(2) })).toBe('certified');
+    expect(review.describe().certifiedAt).not.toBeNull();
+  });
+
+  test('validates decisions', () => {
+    const review = new AgreementReview({ parties: ['Alice', 'Bob'] });
+    review.addVersion(structured);
+
+    expect(() => review.submit('Mallory', { version: 1, decisions: allAccepted(2) })).toThrow(ReviewError);
+    expect(() => review.submit('Alice', { version: 2, decisions: allAccepted(2) })).toThrow('out of date');
+    expect(() => review.submit('Alice', { version: 1, decisions: allAccepted(1) })).toThrow('Every clause needs a decision');
+    expect(() => review.submit('Alice', { version: 1, decisions: [{ clause: 1, decision: 'maybe' }, { clause: 2, decision: 'accept' }] }))
+      .toThrow('Invalid decision');
+  });
+
+  test('shares clause comments with both advocates but the note only with its own', () => {
+    const review = new AgreementReview({ parties: ['Alice', 'Bob'] });
+    review.addVersion(structured);
+    review.submit('Alice', {
+      version: 1,
+      decisions: [{ clause: 1, decision: 'accept' }, { clause: 2, decision: 'change', comment: 'Need more notice' }],
+      note: 'I travel on Fridays'
+    });
+    expect(review.submit('Bob', { version: 1, decisions: allAccepted(2) })).toBe('renegotiating');
+
+    expect(review.contestedClauses()).toEqual([2]);
+    expect(review.feedbackFor('Alice').note).toBe('I travel on Fridays');
+    expect(review.feedbackFor('Bob').note).toBe('');
+    expect(review.feedbackFor('Bob').clauses[0].feedback).toContainEqual({ party: 'Alice', decision: 'change', comment: 'Need more notice' });
+    expect(JSON.stringify(review.describe())).not.toContain('Fridays');
+  });
+
+  test('mergeClauses only replaces contested clauses', () => {
+    const merged = mergeClauses(structured, [
+      { clause: 1, title: 'Hijack', text: 'Changed' },
+      { clause: 2, title: 'Swaps', text: 'Swaps with two days notice.' }
+    ], [2]);
+    expect(merged.clauses[0]).toEqual(structured.clauses[0]);
+    expect(merged.clauses[1].text).toBe('Swaps with two days notice.');
+  });
+
+  test('mergeClauses keeps every translation in step with the revised clauses', () => {
+    const translated = {
+      ...structured,
+      language: 'en',
+      translations: {
+        es: { title: 'Platos', clauses: structured.clauses.map((clause, i) => ({ title: `T${i + 1}`, text: `Texto ${i + 1}` })), principles: [], summary: '' },
+        de: { title: 'Geschirr', clauses: structured.clauses.map((clause, i) => ({ title: `K${i + 1}`, text: `Text ${i + 1}` })), principles: [], summary: '' }
+      }
+    };
+    const merged = mergeClauses(translated, [
+      { clause: 2, title: 'Swaps', text: 'Swaps with two days notice.', translations: { es: { title: 'Cambios', text: 'Cambios con dos días de aviso.' } } }
+    ], [2]);
+
+    expect(merged.translations.es.clauses[0]).toEqual(translated.translations.es.clauses[0]);
+    expect(merged.translations.es.clauses[1]).toEqual({ title: 'Cambios', text: 'Cambios con dos días de aviso.' });
+    // Without a translation of the revision the new wording stands in
+    expect(merged.translations.de.clauses[1]).toEqual({ title: 'Swaps', text: 'Swaps with two days notice.' });
+  });
+});
+
+describe('Agreement review API', () => {
+  const inputs = { objectives: 'fair split', mustHaves: 'weekday evenings', constraints: 'late shifts' };
+
+  async function waitForCompletion(sessionId, token) {
+    let status;
+    do {
+      await delay(10);
+      status = (await request(app).get(`/api/negotiation-status/${sessionId}`).expect(200)).body.status;
+    } while (['queued', 'running'].includes(status));
+    return (await request(app).get(`/api/negotiation-result/${sessionId}`).set('X-Party-Token', token).expect(200)).body;
+  }
+
+  test('renegotiates rejected clauses into a new version and certifies it', async () => {
+    const alice = await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'review-flow', topic: 'Dishes', userName: 'Alice', participantToken: seat('Alice'), inputs }).expect(200);
+    const bob = await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'review-flow', topic: 'Dishes', userName: 'Bob', participantToken: seat('Bob'), inputs }).expect(200);
+    const tokens = { Alice: alice.body.partyToken, Bob: bob.body.partyToken };
+
+    const first = await waitForCompletion('review-flow', tokens.Alice);
+    expect(first.result.version).toBe(1);
+
+    await request(app).get('/api/agreement-review/review-flow').expect(403);
+    const review = (await request(app).get('/api/agreement-review/review-flow').set('X-Party-Token', tokens.Bob).expect(200)).body.review;
+    expect(review).toMatchObject({ status: 'pending', version: 1, reviewedBy: [] });
+    const original = review.structured.clauses;
+
+    await request(app).post('/api/agreement-review/review-flow').set('X-Party-Token', tokens.Alice)
+      .send({
+        version: 1,
+        decisions: [{ clause: 1, decision: 'accept' }, { clause: 2, decision: 'reject', comment: 'Too vague' }, { clause: 3, decision: 'accept' }],
+        note: 'Keep weekends free'
+      })
+      .expect(200);
+    const renegotiating = await request(app).post('/api/agreement-review/review-flow').set('X-Party-Token', tokens.Bob)
+      .send({ version: 1, decisions: allAccepted(3) })
+      .expect(200);
+    expect(renegotiating.body.status).toBe('renegotiating');
+
+    const second = await waitForCompletion('review-flow', tokens.Bob);
+    expect(second.result.version).toBe(2);
+    expect(second.result.changedClauses).toEqual([2]);
+    expect(second.result.structured.clauses[0]).toEqual(original[0]);
+    expect(second.result.structured.clauses[2]).toEqual(original[2]);
+    expect(second.result.structured.clauses[1].text).toMatch(/^Revised after review/);
+
+    const stale = await request(app).post('/api/agreement-review/review-flow').set('X-Party-Token', tokens.Alice)
+      .send({ version: 1, decisions: allAccepted(3) })
+      .expect(409);
+    expect(stale.body.error).toBe('Agreement version is out of date');
+
+    await request(app).post('/api/agreement-review/review-flow').set('X-Party-Token', tokens.Alice)
+      .send({ version: 2, decisions: allAccepted(3) }).expect(200);
+    const certified = await request(app).post('/api/agreement-review/review-flow').set('X-Party-Token', tokens.Bob)
+      .send({ version: 2, decisions: allAccepted(3) }).expect(200);
+    expect(certified.body.status).toBe('certified');
+  });
+
+  test('accepting parties sign the version and exports embed the signatures', async () => {
+    const alice = await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'signed-flow', topic: 'Dishes', userName: 'Alice', participantToken: seat('Alice'), inputs }).expect(200);
+    const bob = await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'signed-flow', topic: 'Dishes', userName: 'Bob', participantToken: seat('Bob'), inputs }).expect(200);
+    const tokens = { Alice: alice.body.partyToken, Bob: bob.body.partyToken };
+    const { result } = await waitForCompletion('signed-flow', tokens.Alice);
+
+    const review = (await request(app).get('/api/agreement-review/signed-flow').set('X-Party-Token', tokens.Alice).expect(200)).body.review;
+    const exportRequest = {
+      agreement: review.structured,
+      topic: 'Dishes',
+      parties: review.parties,
+      effectiveDate: review.effectiveDate,
+      templateId: result.template
+    };
+    const hash = await hashAgreement(canonicalAgreement(exportRequest));
+    expect(review.contentHash).toBe(hash);
+    expect(review).toMatchObject({ topic: 'Dishes', templateId: result.template });
+
+    const sign = async party => signAgreement({ party, contentHash: hash, key: await generateSigningKey() });
+    const aliceSignature = await sign('Alice');
+    const bobSignature = await sign('Bob');
+    const decisions = allAccepted(review.structured.clauses.length);
+    const post = (party, body) => request(app).post('/api/agreement-review/signed-flow').set('X-Party-Token', tokens[party]).send(body);
+
+    // Someone else's signature, or a signature on a review that rejects a clause
+    await post('Alice', { version: 1, decisions, signature: bobSignature }).expect(400);
+    const rejecting = decisions.map((item, index) => (index === 0 ? { ...item, decision: 'reject' } : item));
+    await post('Alice', { version: 1, decisions: rejecting, signature: aliceSignature }).expect(400);
+
+    await post('Alice', { version: 1, decisions, signature: aliceSignature }).expect(200);
+    const certified = await post('Bob', { version: 1, decisions, signature: bobSignature }).expect(200);
+    expect(certified.body.status).toBe('certified');
+
+    const signed = (await request(app).get('/api/agreement-review/signed-flow').set('X-Party-Token', tokens.Bob).expect(200)).body.review;
+    expect(signed.signed).toBe(true);
+    expect(signed.signatures.map(item => item.party)).toEqual(['Alice', 'Bob']);
+
+    const exported = await exportAgreement('json', { ...exportRequest, signatures: signed.signatures });
+    const { signatures, ...document } = JSON.parse(exported.body);
+    expect(signatures).toEqual(signed.signatures);
+    expect(exported.contentHash).toBe(hash);
+    expect(require('crypto').createHash('sha256').update(canonicalJson(document)).digest('hex')).toBe(hash);
+    expect((await exportAgreement('markdown', { ...exportRequest, signatures: signed.signatures })).body).toContain('## Signatures');
+
+    const tampered = { ...exportRequest, agreement: { ...review.structured, summary: 'Something else' }, signatures: signed.signatures };
+    await expect(exportAgreement('json', tampered)).rejects.toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+  });
+});
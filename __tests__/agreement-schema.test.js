@@ -0,0 +1,167 @@
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = 'scripted';
+
+const { ScriptedProvider, DEFAULT_SCRIPTS } = require('../llm-providers');
+const { AIAdvocate, AIModerator } = require('../ai-negotiation');
+const { getTemplate } = require('../agreement-templates');
+const { validateAgreement, parseAgreementJson, getSchemaRetries } = require('../agreement-schema');
+
+const validAnswer = DEFAULT_SCRIPTS['final-agreement']({ topic: 'Dishes', parties: ['Alice', 'Bob'] });
+const agreement = JSON.parse(validAnswer.replace(/```(json)?/g, ''));
+
+function moderatorWith(finalAgreement) {
+  const provider = new ScriptedProvider({ scripts: { 'final-agreement': finalAgreement } });
+  const inputs = { objectives: 'o', mustHaves: 'm', constraints: 'c' };
+  const moderator = new AIModerator('Dishes', [
+    new AIAdvocate('Alice', inputs, 'Dishes', { provider }),
+    new AIAdvocate('Bob', inputs, 'Dishes', { provider })
+  ], { provider });
+  moderator.negotiationRounds.push({ proposals: ['p1', 'p2'], moderation: 'm1', timestamp: Date.now() });
+  return { moderator, provider };
+}
+
+describe('Agreement schema', () => {
+  test('a well-formed agreement passes without repairs', () => {
+    const { structured, report } = validateAgreement(validAnswer);
+    expect(report).toEqual({ valid: true, repairs: [], errors: [] });
+    expect(structured).toEqual(agreement);
+  });
+
+  test('repairs comments, trailing commas and values sent as strings', () => {
+    const raw = '```json\n{"title": "Dishes", // short\n"clauses": ["Days: Alternate days.",], "principles": [],'
+      + ' "summary": "s", "analytics": {"health": {"fairnessIndex": "80%", "paretoEfficiency": 70, "nashScore": 120,'
+      + ' "claritySmart": 60, "implementability": 60, "objectiveCriteriaUsed": "true"}}}\n```';
+    const { structured, report } = validateAgreement(raw);
+
+    expect(report.valid).toBe(true);
+    expect(structured.clauses).toEqual([{ title: 'Days', text: 'Alternate days.' }]);
+    expect(structured.analytics.health).toMatchObject({ fairnessIndex: 80, nashScore: 100, objectiveCriteriaUsed: true });
+    expect(report.repairs).toEqual(expect.arrayContaining([
+      'removed comments or trailing commas',
+      'clauses[0]: split a plain string into title and text',
+      'analytics.health.nashScore: clamped 120 to 100'
+    ]));
+  });
+
+  test('a truncated answer keeps the agreement and drops the broken analytics', () => {
+    const raw = validAnswer.slice(0, validAnswer.indexOf('"nashScore"') + 5);
+    const { structured, report } = validateAgreement(raw);
+
+    expect(report.valid).toBe(true);
+    expect(report.repairs[0]).toBe('missing closing code fence');
+    expect(report.repairs).toContain('closed truncated JSON');
+    expect(report.repairs.some(repair => repair.startsWith('analytics: dropped'))).toBe(true);
+    expect(structured.clauses).toEqual(agreement.clauses);
+    expect(structured).not.toHaveProperty('analytics');
+  });
+
+  test('reports what is missing when the agreement itself is invalid', () => {
+    const { structured, report } = validateAgreement('{"title": "", "clauses": [], "summary": 3}');
+    expect(structured).toBeNull();
+    expect(report.errors).toEqual([
+      { path: 'principles', message: 'is required' },
+      { path: 'title', message: 'must not be empty' },
+      { path: 'clauses', message: 'must have at least 1 item' },
+      { path: 'summary', message: 'must be a string' }
+    ]);
+    expect(parseAgreementJson('no json here').error).toBe('No JSON object found');
+  });
+
+  test('clause sections must belong to the template', () => {
+    const raw = JSON.stringify({
+      ...agreement,
+      clauses: [{ section: 'assignments', title: 'Dishes', text: 'Alice.' }, { section: 'garden', title: 'Lawn', text: 'Bob.' }]
+    });
+    const { structured, report } = validateAgreement(raw, { template: getTemplate('household_chores') });
+    expect(structured.clauses.map(clause => clause.section)).toEqual(['assignments', undefined]);
+    expect(report.repairs).toContain('clauses[1].section: dropped unknown section "garden"');
+  });
+
+  test('getSchemaRetries reads the environment', () => {
+    expect(getSchemaRetries({})).toBe(1);
+    expect(getSchemaRetries({ AGREEMENT_SCHEMA_RETRIES: '0' })).toBe(0);
+  });
+
+  test('the moderator re-asks with the errors when repair is not enough', async () => {
+    const requests = [];
+    const { moderator } = moderatorWith((meta, callIndex, request) => {
+      requests.push(request);
+      return callIndex === 0 ? '```json\n{"title": "Dishes", "clauses": []}\n```' : validAnswer;
+    });
+
+    const result = await moderator.generateFinalAgreement();
+    expect(result.structured).toEqual(agreement);
+    expect(result.validation).toMatchObject({ valid: true, attempts: 2 });
+    expect(requests[1].meta.attempt).toBe(2);
+    const reask = requests[1].messages[requests[1].messages.length - 1].content;
+    expect(reask).toContain('- clauses must have at least 1 item');
+    expect(reask).toContain('- summary is required');
+  });
+
+  test('gives up after the retry budget and never re-asks an insufficient answer', async () => {
+    const broken = moderatorWith('{"title": "Dishes"');
+    const result = await broken.moderator.generateFinalAgreement();
+    expect(result.structured).toBeNull();
+    expect(result.validation).toMatchObject({ valid: false, attempts: 2 });
+    expect(result.validation.errors.length).toBeGreaterThan(0);
+
+    const insufficient = moderatorWith('Insufficient information to produce an agreement. Missing: dates.');
+    const declined = await insufficient.moderator.generateFinalAgreement();
+    expect(declined.validation).toMatchObject({ valid: false, insufficient: true, attempts: 1 });
+    expect(insufficient.provider.calls).toHaveLength(1);
+  });
+
+  test('translations must line up with the agreement clause for clause', () => {
+    const translation = {
+      title: 'Platos',
+      clauses: agreement.clauses.map(clause => ({ title: clause.title, text: `ES ${clause.text}` })),
+      principles: agreement.principles,
+      summary: 'Resumen.'
+    };
+    const answer = extra => JSON.stringify({ ...agreement, translations: { es: translation, ...extra } });
+
+    const { structured, report } = validateAgreement(answer({ fr: translation }), { languages: ['en', 'es'] });
+    expect(report.valid).toBe(true);
+    expect(structured.language).toBe('en');
+    expect(Object.keys(structured.translations)).toEqual(['es']);
+    expect(report.repairs).toContain('translations.fr: dropped a translation that was not asked for');
+
+    const short = validateAgreement(answer({ es: { ...translation, clauses: translation.clauses.slice(1) } }), { languages: ['en', 'es'] });
+    expect(short.structured).toBeNull();
+    expect(short.report.errors).toContainEqual({
+      path: 'translations.es.clauses',
+      message: `must have ${agreement.clauses.length} items, one per item of clauses in the same order`
+    });
+
+    const missing = validateAgreement(validAnswer, { languages: ['de', 'es'] });
+    expect(missing.report.errors).toContainEqual({ path: 'translations', message: 'is required' });
+  });
+
+  test('the moderator asks for every agreement language and declines in any of them', async () => {
+    const requests = [];
+    const provider = new ScriptedProvider({
+      scripts: {
+        'final-agreement': (meta, callIndex, request) => {
+          requests.push(request);
+          return 'Información insuficiente para un acuerdo.';
+        }
+      }
+    });
+    const inputs = { objectives: 'o', mustHaves: 'm', constraints: 'c' };
+    const moderator = new AIModerator('Dishes', [
+      new AIAdvocate('Alice', inputs, 'Dishes', { provider, language: 'es' }),
+      new AIAdvocate('Bob', inputs, 'Dishes', { provider, language: 'fr' })
+    ], { provider });
+    moderator.negotiationRounds.push({ proposals: ['p1', 'p2'], moderation: 'm1', timestamp: Date.now() });
+
+    expect(moderator.languages).toEqual(['es', 'fr']);
+    expect(moderator.advocates[0].getSystemPrompt()).toContain('Write everything you say in Spanish');
+    expect(moderator.getSystemPrompt()).toContain('Alice writes in Spanish, Bob writes in French');
+
+    const declined = await moderator.generateFinalAgreement();
+    expect(declined.validation).toMatchObject({ valid: false, insufficient: true, attempts: 1 });
+    const prompt = requests[0].messages[requests[0].messages.length - 1].content;
+    expect(prompt).toContain('"translations": { "fr":');
+    expect(prompt).toContain('Write the title, clauses, principles and summary in Spanish.');
+  });
+});
@@ -0,0 +1,65 @@
+const { generateSigningKey, keyFingerprint, signAgreement, verifySignature, formatFingerprint } = require('../agreement-signing');
+const { canonicalAgreement, hashAgreement } = require('../agreement-canonical');
+const { contentHash } = require('../agreement-export');
+
+const canonical = canonicalAgreement({
+  agreement: { title: 'Dishes', clauses: [{ title: 'Days', text: 'Alternate days.' }] },
+  topic: 'Dishes',
+  parties: ['Alice', 'Bob'],
+  effectiveDate: '2026-03-01'
+});
+
+describe('Agreement signing', () => {
+  test('the browser hash matches the server hash', async () => {
+    expect(await hashAgreement(canonical)).toBe(contentHash(canonical));
+  });
+
+  test('a signature verifies only for its party, hash and key', async () => {
+    const hash = await hashAgreement(canonical);
+    const key = await generateSigningKey();
+    const record = await signAgreement({ party: 'Alice', contentHash: hash, key });
+
+    expect(record.publicKey).toEqual({ kty: 'EC', crv: 'P-256', x: key.publicKey.x, y: key.publicKey.y });
+    expect(record.fingerprint).toBe(await keyFingerprint(key.publicKey));
+    expect(formatFingerprint(record.fingerprint)).toMatch(/^([0-9a-f]{4} ){15}[0-9a-f]{4}$/);
+    expect(await verifySignature(record, hash)).toBe(true);
+
+    const other = await generateSigningKey();
+    const changed = await hashAgreement({ ...canonical, summary: 'Changed' });
+    expect(await verifySignature(record, changed)).toBe(false);
+    expect(await verifySignature({ ...record, party: 'Bob' }, hash)).toBe(false);
+    expect(await verifySignature({ ...record, publicKey: other.publicKey }, hash)).toBe(false);
+    expect(await verifySignature({ ...record, signature: 'not base64!' }, hash)).toBe(false);
+  });
+
+  test('translations are part of the signed content', async () => {
+    // English-only agreements hash exactly as before
+    expect(canonical).not.toHaveProperty('language');
+    expect(canonicalAgreement({
+      agreement: { title: 'Dishes', language: 'en', translations: {}, clauses: [{ title: 'Days', text: 'Alternate days.' }] },
+      topic: 'Dishes',
+      parties: ['Alice', 'Bob'],
+      effectiveDate: '2026-03-01'
+    })).toEqual(canonical);
+
+    const translate = text => canonicalAgreement({
+      agreement: {
+        title: 'Dishes',
+        clauses: [{ title: 'Days', text: 'Alternate days.' }],
+        translations: { FR: { title: 'Vaisselle', clauses: [{ title: 'Jours', text }] } }
+      },
+      topic: 'Dishes',
+      parties: ['Alice', 'Bob'],
+      effectiveDate: '2026-03-01'
+    });
+    const french = translate('Un jour sur deux.');
+    expect(french.language).toBe('en');
+    expect(french.translations.fr.clauses).toEqual([{ number: 1, title: 'Jours', text: 'Un jour sur deux.' }]);
+    expect(await hashAgreement(french)).not.toBe(await hashAgreement(canonical));
+    expect(await hashAgreement(french)).not.toBe(await hashAgreement(translate('Tous les jours.')));
+
+    expect(() => canonicalAgreement({
+      agreement: { title: 'Dishes', clauses: [{ text: 'One.' }, { text: 'Two.' }], translations: { de: { clauses: [{ text: 'Eins.' }] } } }
+    })).toThrow(expect.objectContaining({ code: 'INVALID_TRANSLATION' }));
+  });
+});
@@ -0,0 +1,53 @@
+const { TEMPLATES, getTemplate, pickTemplateInputs, missingFields, templateDetails, layoutAgreement } = require('../agreement-templates');
+
+describe('Agreement templates', () => {
+  test('every template asks the core questions and custom is the default', () => {
+    TEMPLATES.forEach(template => {
+      const keys = template.fields.map(field => field.key);
+      expect(keys).toEqual(expect.arrayContaining(['objectives', 'mustHaves', 'constraints']));
+    });
+    expect(getTemplate().id).toBe('custom');
+    expect(getTemplate('household_chores').sections.length).toBeGreaterThan(0);
+    expect(getTemplate('unknown')).toBeNull();
+  });
+
+  test('optional questions are kept but not required', () => {
+    const template = getTemplate('freelance_scope');
+    const inputs = { objectives: ' ship it ', mustHaves: 'upfront', constraints: 'March', budget: '€4,000', extra: 'ignored' };
+
+    expect(missingFields(template, inputs)).toEqual([]);
+    expect(missingFields(template, { objectives: 'x' })).toEqual(['mustHaves', 'constraints']);
+    expect(pickTemplateInputs(template, inputs)).toEqual({ objectives: 'ship it', mustHaves: 'upfront', constraints: 'March', budget: '€4,000' });
+    expect(templateDetails(template, inputs)).toEqual([
+      { key: 'budget', label: 'What budget or rate do you have in mind?', value: '€4,000' }
+    ]);
+  });
+
+  test('lays clauses out by section and keeps their numbers', () => {
+    const template = getTemplate('household_chores');
+    const layout = layoutAgreement(template, {
+      clauses: [
+        { section: 'schedule', title: 'Weekly', text: 'Bins on Tuesday.' },
+        { section: 'assignments', title: 'Dishes', text: 'Alice does the dishes.' },
+        { title: 'Pets', text: 'Bob feeds the cat.' }
+      ],
+      principles: []
+    });
+
+    expect(layout.sections.map(section => [section.title, section.clauses.map(clause => clause.number)])).toEqual([
+      ['Task Assignments', [2]],
+      ['Schedule', [1]],
+      ['Other Terms', [3]]
+    ]);
+    expect(layout.principles).toBe(template.principles);
+  });
+
+  test('custom agreements stay a single untitled list', () => {
+    const layout = layoutAgreement(getTemplate(), {
+      clauses: [{ title: 'Days', text: 'Alternate days.' }],
+      principles: [{ label: 'Fairness', text: 'Equal shares.' }]
+    });
+    expect(layout.sections).toEqual([{ id: null, title: null, clauses: [{ number: 1, title: 'Days', text: 'Alternate days.' }] }]);
+    expect(layout.principles).toEqual([{ label: 'Fairness', text: 'Equal shares.' }]);
+  });
+});
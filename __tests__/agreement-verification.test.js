@@ -0,0 +1,63 @@
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = 'scripted';
+
+const { ScriptedProvider, DEFAULT_SCRIPTS } = require('../llm-providers');
+const { AIAdvocate, AIModerator } = require('../ai-negotiation');
+const { parseVerdicts, sanitizeReason, GENERIC_REASON, getMaxRevisions } = require('../agreement-verification');
+
+const draft = JSON.parse(DEFAULT_SCRIPTS['final-agreement']({ topic: 'Dishes', parties: ['Alice', 'Bob'] }).replace(/```(json)?/g, ''));
+
+describe('Agreement verification', () => {
+  test('parseVerdicts treats missing or unreadable verdicts as objections', () => {
+    const verdicts = parseVerdicts('{"verdicts":[{"clause":1,"decision":"accept"},{"clause":2,"decision":"object","reason":"Too rigid"}]}', 3);
+    expect(verdicts.map(v => v.decision)).toEqual(['accept', 'object', 'object']);
+    expect(verdicts[1].reason).toBe('Too rigid');
+    expect(parseVerdicts('not json', 2).every(v => v.decision === 'object')).toBe(true);
+  });
+
+  test('sanitizeReason hides reasons that repeat the private notes', () => {
+    const notes = ['I never wash dishes after 9pm on weeknights'];
+    expect(sanitizeReason('Clause 2 says wash dishes after 9pm', notes)).toBe(GENERIC_REASON);
+    expect(sanitizeReason('The evening schedule needs an earlier cut-off', notes)).toBe('The evening schedule needs an earlier cut-off');
+    expect(sanitizeReason('', notes)).toBe(GENERIC_REASON);
+  });
+
+  test('getMaxRevisions reads the environment', () => {
+    expect(getMaxRevisions({})).toBe(2);
+    expect(getMaxRevisions({ NEGOTIATION_MAX_REVISIONS: '0' })).toBe(0);
+  });
+
+  test('objections send the draft back to the moderator until both advocates accept', async () => {
+    let bobChecks = 0;
+    const provider = new ScriptedProvider({
+      scripts: {
+        verification: ({ userName, clauseCount }) => {
+          const objectToSwaps = userName === 'Bob' && bobChecks++ === 0;
+          return JSON.stringify({
+            verdicts: Array.from({ length: clauseCount }, (_, i) => (
+              objectToSwaps && i === 1
+                ? { clause: 2, decision: 'object', reason: 'I need at least 48 hours notice for any swap' }
+                : { clause: i + 1, decision: 'accept', reason: '' }
+            ))
+          });
+        }
+      }
+    });
+    const alice = new AIAdvocate('Alice', { objectives: 'fair split', mustHaves: 'no dishes on Mondays', constraints: 'late shifts' }, 'Dishes', { provider });
+    const bob = new AIAdvocate('Bob', { objectives: 'predictability', mustHaves: 'at least 48 hours notice', constraints: 'travel' }, 'Dishes', { provider });
+    const moderator = new AIModerator('Dishes', alice, bob, { provider });
+
+    const first = await moderator.verifyAgreement(draft);
+    expect(first.accepted).toBe(false);
+    // The reason quoted Bob's must-have, so only a generic reason is shared
+    expect(first.objections).toEqual([{ party: 'Bob', clause: 2, reason: GENERIC_REASON }]);
+
+    const revised = await moderator.reviseAgreement(draft, first.objections, 1);
+    expect(revised.structured.clauses).toHaveLength(3);
+    const revisionCall = provider.calls.find(c => c.purpose === 'agreement-revision');
+    expect(revisionCall.meta).toMatchObject({ cycle: 1, objections: 1 });
+
+    const second = await moderator.verifyAgreement(revised.structured);
+    expect(second).toEqual({ accepted: true, objections: [] });
+  });
+});
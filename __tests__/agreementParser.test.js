@@ -58,4 +58,31 @@ describe('agreement-parser', () => {
     expect(html).toMatch(/<h1>Final X Agreement<\/h1>/);
     expect(summary).toBe('Hello world.');
   });
+
+  test('recognises the headings in Spanish, German and French', () => {
+    const spanish = parseAgreementStructured([
+      'Acuerdo final sobre las tareas',
+      '1. Platos: Alicia friega entre semana.',
+      '2. Mascotas: Bob da de comer al gato.',
+      'Principios rectores',
+      'Equidad: Repartimos por igual.',
+      '',
+      'Resumen en texto plano: Un reparto justo.'
+    ].join('\n'));
+    expect(spanish.clauses.map(c => c.title)).toEqual(['Platos', 'Mascotas']);
+    expect(spanish.principles.map(p => p.label)).toEqual(['Equidad']);
+    expect(spanish.summary).toBe('Un reparto justo.');
+
+    const german = parseAgreementStructured([
+      'Endgültige Vereinbarung',
+      '1. Geschirr: Alice spült unter der Woche.',
+      'Leitprinzipien',
+      'Fairness: Wir teilen gleich.'
+    ].join('\n'));
+    expect(german.clauses.map(c => c.title)).toEqual(['Geschirr']);
+    expect(german.principles.map(p => p.label)).toEqual(['Fairness']);
+
+    const french = formatAgreementContent('<h1>Accord final</h1><p>1. A</p>\n\nRésumé en texte brut : Un partage équitable.');
+    expect(french.summary).toBe('Un partage équitable.');
+  });
 });
@@ -10,6 +10,7 @@ process.env.OPENAI_API_KEY = 'test';
 process.env.OPENAI_MODEL = 'test-model';
 
 const { AIAdvocate, AIModerator } = require('../ai-negotiation');
+const { getTemplate } = require('../agreement-templates');
 
 describe('AI negotiation agents', () => {
   beforeEach(() => {
@@ -50,14 +51,35 @@ describe('AI negotiation agents', () => {
     expect(moderator.negotiationRounds).toHaveLength(1);
   });
 
+  test('templates shape the advocate prompt and the agreement schema', async () => {
+    mockCreate.mockResolvedValue({ choices: [{ message: { content: 'final' } }] });
+    const template = getTemplate('household_chores');
+    const inputs = { objectives: 'o1', mustHaves: 'm1', constraints: 'c1', availability: 'Sunday mornings' };
+    const advocate1 = new AIAdvocate('Alice', inputs, 'Chores', { template });
+    const advocate2 = new AIAdvocate('Bob', { objectives: 'o2', mustHaves: 'm2', constraints: 'c2' }, 'Chores', { template });
+
+    const systemPrompt = advocate1.getSystemPrompt();
+    expect(systemPrompt).toContain('AGREEMENT TYPE: Household chores');
+    expect(systemPrompt).toContain('- Task Assignments: who does which chore');
+    expect(systemPrompt).toContain('When are you usually home and free for chores? Sunday mornings');
+    expect(new AIAdvocate('Alice', inputs, 'Chores').getSystemPrompt()).not.toContain('AGREEMENT TYPE');
+
+    const moderator = new AIModerator('Chores', [advocate1, advocate2], { template });
+    moderator.negotiationRounds.push({ proposals: ['p1', 'p2'], moderation: 'm1', timestamp: Date.now() });
+    await moderator.generateFinalAgreement();
+    const call = mockCreate.mock.calls[0][0];
+    expect(call.messages[0].content).toContain('- Check-ins and Changes');
+    expect(call.messages[1].content).toContain('"section": "assignments"|"schedule"|"standards"|"check_ins"');
+    expect(call.messages[1].content).toContain('Fair Share: Effort is balanced');
+  });
+
   test('AIModerator uses structured prompt for final agreement', async () => {
     mockCreate.mockResolvedValue({ choices: [{ message: { content: 'final' } }] });
     const advocate1 = new AIAdvocate('Alice', { objectives: 'o1', mustHaves: 'm1', constraints: 'c1' }, 'Dishwashing');
     const advocate2 = new AIAdvocate('Bob', { objectives: 'o2', mustHaves: 'm2', constraints: 'c2' }, 'Dishwashing');
     const moderator = new AIModerator('Dishwashing', advocate1, advocate2);
     moderator.negotiationRounds.push({
-      proposal1: 'p1',
-      proposal2: 'p2',
+      proposals: ['p1', 'p2'],
       moderation: 'm1',
       timestamp: Date.now()
     });
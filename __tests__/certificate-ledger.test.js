@@ -0,0 +1,77 @@
+const { MemoryStore } = require('../session-store');
+const { CertificateLedger, sha256, GENESIS_HASH } = require('../certificate-ledger');
+
+describe('CertificateLedger', () => {
+  let store;
+  let ledger;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    ledger = new CertificateLedger(store);
+  });
+
+  afterEach(() => store.close());
+
+  test('chains each entry to the one before it', async () => {
+    const first = await ledger.append({ contentHash: sha256('a'), pdfHash: sha256('a.pdf'), agreementId: 'one' });
+    const second = await ledger.append({ contentHash: sha256('b'), pdfHash: sha256('b.pdf'), agreementId: 'two' });
+
+    expect(first).toMatchObject({ index: 0, previousHash: GENESIS_HASH, agreementId: 'one' });
+    expect(second).toMatchObject({ index: 1, previousHash: first.entryHash });
+    expect(await ledger.head()).toEqual({ index: 1, entryHash: second.entryHash });
+    expect(await ledger.verifyChain()).toEqual({ valid: true, length: 2, headHash: second.entryHash, brokenAt: null });
+  });
+
+  test('serializes concurrent appends', async () => {
+    const entries = await Promise.all([1, 2, 3, 4].map(n =>
+      ledger.append({ contentHash: sha256(`c${n}`), pdfHash: sha256(`p${n}`) })));
+
+    expect(entries.map(entry => entry.index)).toEqual([0, 1, 2, 3]);
+    expect((await ledger.verifyChain()).valid).toBe(true);
+  });
+
+  test('rejects values that are not SHA-256 digests', async () => {
+    await expect(ledger.append({ contentHash: 'abc', pdfHash: sha256('x') })).rejects.toThrow(/SHA-256/);
+    expect(await ledger.head()).toBeNull();
+  });
+
+  test('records and protects what a PDF was rendered from', async () => {
+    const legacy = await ledger.append({ contentHash: sha256('a'), pdfHash: sha256('a.pdf') });
+    const html = await ledger.append({ contentHash: sha256('b'), pdfHash: sha256('b.pdf'), source: 'client-html' });
+    expect(legacy).not.toHaveProperty('source');
+    expect((await ledger.verify(sha256('b.pdf'))).entries[0].source).toBe('client-html');
+    await expect(ledger.append({ contentHash: sha256('c'), pdfHash: sha256('c.pdf'), source: 'trusted' })).rejects.toThrow(/source/);
+
+    await store.set('entry:1', { ...html, source: 'reviewed' });
+    expect((await ledger.verifyChain()).brokenAt).toBe(1);
+  });
+
+  test('tells a PDF match from a content match', async () => {
+    const contentHash = sha256('agreement');
+    await ledger.append({ contentHash, pdfHash: sha256('first.pdf') });
+    await ledger.append({ contentHash, pdfHash: sha256('second.pdf') });
+
+    const pdf = await ledger.verify(sha256('second.pdf'));
+    expect(pdf).toMatchObject({ authentic: true, unmodified: true, match: 'pdf' });
+    expect(pdf.entries.map(entry => entry.index)).toEqual([1]);
+
+    const content = await ledger.verify(contentHash.toUpperCase());
+    expect(content).toMatchObject({ authentic: true, unmodified: null, match: 'content' });
+    expect(content.entries.map(entry => entry.index)).toEqual([0, 1]);
+
+    expect(await ledger.verify(sha256('unknown'))).toMatchObject({ authentic: false, unmodified: false, match: null });
+  });
+
+  test('detects an entry edited in the store', async () => {
+    await ledger.append({ contentHash: sha256('a'), pdfHash: sha256('a.pdf') });
+    const target = await ledger.append({ contentHash: sha256('b'), pdfHash: sha256('b.pdf') });
+    await ledger.append({ contentHash: sha256('c'), pdfHash: sha256('c.pdf') });
+
+    await store.set('entry:1', { ...target, agreementId: 'forged' });
+
+    expect(await ledger.verifyChain()).toMatchObject({ valid: false, brokenAt: 1 });
+    expect(await ledger.verify(sha256('b.pdf'))).toMatchObject({ authentic: false, unmodified: false, match: 'pdf' });
+    // An earlier entry is only vouched for while every link after it holds
+    expect((await ledger.verify(sha256('a.pdf'))).authentic).toBe(false);
+  });
+});
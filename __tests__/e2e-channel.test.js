@@ -0,0 +1,138 @@
+const { webcrypto } = require('crypto');
+const { SecureChannel, generateIdentity } = require('../e2e-channel');
+
+async function connectedPair(sessionId = 'session-1') {
+  const joiner = await SecureChannel.create({ crypto: webcrypto, sessionId, role: 'initiator' });
+  const creator = await SecureChannel.create({ crypto: webcrypto, sessionId, role: 'responder' });
+  const { reply } = await creator.receiveHello(joiner.hello());
+  await joiner.receiveHello(reply);
+  return { joiner, creator };
+}
+
+describe('End-to-end relay channel', () => {
+  test('both sides derive the same key and security code', async () => {
+    const { joiner, creator } = await connectedPair();
+    expect(joiner.ready && creator.ready).toBe(true);
+    expect(await joiner.fingerprint()).toBe(await creator.fingerprint());
+    expect(await joiner.fingerprint()).toMatch(/^([0-9a-f]{4} ){9}[0-9a-f]{4}$/);
+
+    const envelope = await creator.seal({ type: 'topicModified', topic: 'Chores' });
+    expect(JSON.stringify(envelope)).not.toContain('Chores');
+    await expect(joiner.open(envelope)).resolves.toEqual({ type: 'topicModified', topic: 'Chores' });
+    await expect(creator.open(await joiner.seal({ type: 'topicAgreed' }))).resolves.toEqual({ type: 'topicAgreed' });
+  });
+
+  test('rejects tampered, reflected and replayed messages', async () => {
+    const { joiner, creator } = await connectedPair();
+    const envelope = await creator.seal({ type: 'ping' });
+
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    await expect(joiner.open({ ...envelope, data: data.toString('base64') })).rejects.toMatchObject({ code: 'TAMPERED' });
+    // Sent back to its own author it fails authentication
+    await expect(creator.open(envelope)).rejects.toMatchObject({ code: 'TAMPERED' });
+
+    await joiner.open(envelope);
+    await expect(joiner.open(envelope)).rejects.toMatchObject({ code: 'REPLAY' });
+  });
+
+  test('a new handshake only opens what the previous one sealed, once', async () => {
+    const { joiner, creator } = await connectedPair();
+    const old = await creator.seal({ type: 'negotiationComplete' });
+    const older = await creator.seal({ type: 'ping' });
+
+    // Sealed while the new handshake was under way
+    const hello = joiner.hello();
+    expect(joiner.ready).toBe(false);
+    await expect(joiner.seal({ type: 'ping' })).rejects.toMatchObject({ code: 'NOT_READY' });
+    await expect(joiner.open(old)).resolves.toEqual({ type: 'negotiationComplete' });
+    const { reply } = await creator.receiveHello(hello);
+    await joiner.receiveHello(reply);
+    await expect(joiner.open(old)).rejects.toMatchObject({ code: 'REPLAY' });
+    await expect(joiner.open({ ...older, keyId: joiner.keyId })).rejects.toMatchObject({ code: 'TAMPERED' });
+    await expect(joiner.open(older)).resolves.toEqual({ type: 'ping' });
+
+    // Two handshakes on, the first key is gone
+    const stale = await creator.seal({ type: 'ping' });
+    await joiner.receiveHello((await creator.receiveHello(joiner.hello())).reply);
+    await joiner.receiveHello((await creator.receiveHello(joiner.hello())).reply);
+    await expect(joiner.open(stale)).rejects.toMatchObject({ code: 'STALE_KEY' });
+
+    // A replayed handshake answer is ignored and keeps the sequence numbers
+    await joiner.open(await creator.seal({ type: 'ping' }));
+    expect((await joiner.receiveHello(reply)).ignored).toBe(true);
+    expect(joiner.receiveSeq).toBe(1);
+  });
+
+  test('keeps the identity across restarts and flags a changed partner key', async () => {
+    const { joiner, creator } = await connectedPair();
+    const saved = await creator.exportState();
+    const code = await creator.fingerprint();
+
+    const restored = await SecureChannel.create({ crypto: webcrypto, sessionId: 'session-1', role: 'responder', ...saved });
+    const { reply, keyChanged } = await restored.receiveHello(joiner.hello());
+    expect(keyChanged).toBe(false);
+    expect((await joiner.receiveHello(reply)).keyChanged).toBe(false);
+    expect(await restored.fingerprint()).toBe(code);
+
+    const impostor = await SecureChannel.create({ crypto: webcrypto, sessionId: 'session-1', role: 'responder' });
+    const answer = await impostor.receiveHello(joiner.hello());
+    expect((await joiner.receiveHello(answer.reply)).keyChanged).toBe(true);
+    expect(await joiner.fingerprint()).not.toBe(code);
+  });
+
+  test('a reloaded channel keeps its key and sequence numbers', async () => {
+    const { joiner, creator } = await connectedPair();
+    await creator.open(await joiner.seal({ type: 'ping' }));
+    const pending = await joiner.seal({ type: 'topicAgreed' });
+
+    const reloaded = await SecureChannel.create({ crypto: webcrypto, sessionId: 'session-1', role: 'responder', ...(await creator.exportState()) });
+    expect(reloaded.ready).toBe(true);
+    await expect(reloaded.open(pending)).resolves.toEqual({ type: 'topicAgreed' });
+    await expect(joiner.open(await reloaded.seal({ type: 'pong' }))).resolves.toEqual({ type: 'pong' });
+    // Only a channel in the same role takes the saved key
+    const swapped = await SecureChannel.create({ crypto: webcrypto, sessionId: 'session-1', role: 'initiator', session: await creator.exportSession() });
+    expect(swapped.ready).toBe(false);
+    expect(await swapped.exportSession()).toBeNull();
+  });
+
+  test('after a reload and a new handshake the replayed messages still open', async () => {
+    const { joiner, creator } = await connectedPair();
+    await creator.open(await joiner.seal({ type: 'ping' }));
+    const saved = await creator.exportState();
+    // Relayed while the creator was reloading, replayed on reconnect
+    const replayed = [await joiner.seal({ type: 'topicAgreed' }), await joiner.seal({ type: 'inputsSubmitted' })];
+
+    const reloaded = await SecureChannel.create({ crypto: webcrypto, sessionId: 'session-1', role: 'responder', ...saved });
+    await joiner.receiveHello((await reloaded.receiveHello(joiner.hello())).reply);
+    await expect(reloaded.open(replayed[0])).resolves.toEqual({ type: 'topicAgreed' });
+
+    // Saved again mid-replay, the previous key survives the next reload too
+    const again = await SecureChannel.create({ crypto: webcrypto, sessionId: 'session-1', role: 'responder', ...(await reloaded.exportState()) });
+    await expect(again.open(replayed[0])).rejects.toMatchObject({ code: 'REPLAY' });
+    await expect(again.open(replayed[1])).resolves.toEqual({ type: 'inputsSubmitted' });
+    await expect(again.open(await joiner.seal({ type: 'ping' }))).resolves.toEqual({ type: 'ping' });
+  });
+
+  test('one identity serves a channel per partner', async () => {
+    const identity = await generateIdentity(webcrypto);
+    const toBob = await SecureChannel.create({ crypto: webcrypto, sessionId: 'group', role: 'responder', identity });
+    const toCarol = await SecureChannel.create({ crypto: webcrypto, sessionId: 'group', role: 'responder', identity });
+    const bob = await SecureChannel.create({ crypto: webcrypto, sessionId: 'group', role: 'initiator' });
+    const carol = await SecureChannel.create({ crypto: webcrypto, sessionId: 'group', role: 'initiator' });
+    await bob.receiveHello((await toBob.receiveHello(bob.hello())).reply);
+    await carol.receiveHello((await toCarol.receiveHello(carol.hello())).reply);
+
+    expect(toBob.publicKey).toBe(toCarol.publicKey);
+    const envelope = await toBob.seal({ type: 'ping' });
+    await expect(bob.open(envelope)).resolves.toEqual({ type: 'ping' });
+    await expect(carol.open({ ...envelope, keyId: carol.keyId })).rejects.toMatchObject({ code: 'TAMPERED' });
+  });
+
+  test('keys are bound to the session', async () => {
+    const { creator } = await connectedPair('session-1');
+    const other = await connectedPair('session-2');
+    const envelope = await creator.seal({ type: 'ping' });
+    await expect(other.joiner.open({ ...envelope, keyId: other.joiner.keyId })).rejects.toMatchObject({ code: 'TAMPERED' });
+  });
+});
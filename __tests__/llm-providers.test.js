@@ -0,0 +1,114 @@
+const mockOpenAI = jest.fn();
+
+jest.mock('openai', () => {
+  return jest.fn().mockImplementation((config) => {
+    mockOpenAI(config);
+    return { chat: { completions: { create: jest.fn() } } };
+  });
+});
+
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = 'scripted';
+
+const request = require('supertest');
+const { createProvider, ScriptedProvider } = require('../llm-providers');
+const { app, AIAdvocate, AIModerator } = require('../ai-negotiation');
+
+describe('LLM providers', () => {
+  beforeEach(() => {
+    mockOpenAI.mockReset();
+  });
+
+  test('createProvider selects a provider from the environment', () => {
+    expect(createProvider({})).toBeNull();
+    expect(createProvider({ LLM_PROVIDER: 'scripted' })).toBeInstanceOf(ScriptedProvider);
+
+    const openai = createProvider({ OPENAI_API_KEY: 'key', OPENAI_MODEL: 'm1' });
+    expect(openai.name).toBe('openai');
+    expect(openai.model).toBe('m1');
+    expect(mockOpenAI).toHaveBeenLastCalledWith({ apiKey: 'key' });
+
+    const local = createProvider({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://localhost:11434/v1', LLM_MODEL: 'llama3' });
+    expect(local.name).toBe('openai-compatible');
+    expect(local.model).toBe('llama3');
+    expect(mockOpenAI).toHaveBeenLastCalledWith({ apiKey: 'not-needed', baseURL: 'http://localhost:11434/v1' });
+  });
+
+  test('createProvider rejects incomplete or unknown configuration', () => {
+    expect(() => createProvider({ LLM_PROVIDER: 'openai-compatible' })).toThrow('LLM_BASE_URL is required');
+    expect(() => createProvider({ LLM_PROVIDER: 'carrier-pigeon' })).toThrow('Unknown LLM_PROVIDER');
+  });
+
+  test('scripted provider is deterministic and supports custom scripts', async () => {
+    const request = { purpose: 'proposal', meta: { userName: 'Alice', topic: 'Dishes' }, messages: [] };
+    const a = await new ScriptedProvider().complete(request);
+    const b = await new ScriptedProvider().complete(request);
+    expect(a).toBe(b);
+    expect(a).toContain('Alice');
+
+    const custom = new ScriptedProvider({ scripts: { moderation: ['first', 'second'] } });
+    expect(await custom.complete({ purpose: 'moderation' })).toBe('first');
+    expect(await custom.complete({ purpose: 'moderation' })).toBe('second');
+    expect(await custom.complete({ purpose: 'moderation' })).toBe('second');
+    await expect(custom.complete({ purpose: 'unknown' })).rejects.toThrow('No scripted response');
+  });
+
+  test('keeps only the most recent calls but counts every one', async () => {
+    const provider = new ScriptedProvider({ scripts: { moderation: ['a', 'b', 'c'] }, maxRecordedCalls: 2 });
+    for (let i = 0; i < 5; i++) await provider.complete({ purpose: 'moderation', meta: { round: i + 1 } });
+
+    expect(provider.calls.map(c => c.meta.round)).toEqual([4, 5]);
+    expect(provider.callCounts.get('moderation')).toBe(5);
+    expect(await provider.complete({ purpose: 'moderation' })).toBe('c');
+  });
+
+  test('advocates and moderators accept an injected provider', async () => {
+    const provider = new ScriptedProvider({ scripts: { proposal: 'injected proposal', moderation: 'injected moderation' } });
+    const advocate1 = new AIAdvocate('Alice', { objectives: 'o', mustHaves: 'm', constraints: 'c' }, 'Topic', { provider });
+    const advocate2 = new AIAdvocate('Bob', { objectives: 'o', mustHaves: 'm', constraints: 'c' }, 'Topic', { provider });
+    const moderator = new AIModerator('Topic', advocate1, advocate2, { provider });
+
+    expect(await advocate1.generateProposal()).toBe('injected proposal');
+    expect(await moderator.moderateRound('p1', 'p2')).toBe('injected moderation');
+    expect(provider.calls.map(c => c.purpose)).toEqual(['proposal', 'moderation']);
+  });
+
+  test('runs the full negotiation pipeline offline with the scripted provider', async () => {
+    const health = await request(app).get('/health').expect(200);
+    expect(health.body.llmProvider).toBe('scripted');
+
+    const response = await request(app)
+      .post('/api/start-negotiation')
+      .send({
+        sessionId: 'scripted-pipeline',
+        topic: 'Dishwashing',
+        user1Data: { userName: 'Alice', inputs: { objectives: 'o1', mustHaves: 'm1', constraints: 'c1' } },
+        user2Data: { userName: 'Bob', inputs: { objectives: 'o2', mustHaves: 'm2', constraints: 'c2' } }
+      })
+      .expect(202);
+
+    let job;
+    do {
+      await new Promise(res => setTimeout(res, 10));
+      job = (await request(app).get(`/api/negotiation-jobs/${response.body.jobId}`).expect(200)).body;
+    } while (['queued', 'running'].includes(job.status));
+
+    expect(job.status).toBe('completed');
+    const { result } = job;
+    expect(result.rounds).toBe(2);
+    expect(result.stopReason).toBe('consensus');
+    expect(result.outcome).toBe('agreement');
+    expect(result.verification).toEqual({ status: 'accepted', revisions: 0, objections: [] });
+    expect(result.structured.title).toBe('Final Dishwashing Agreement');
+    expect(result.structured.analytics.participants).toEqual(['Alice', 'Bob']);
+  });
+
+  test('input feedback uses the scripted provider', async () => {
+    const response = await request(app)
+      .post('/api/input-feedback')
+      .send({ topic: 'Dishes', userName: 'Alice', inputs: { objectives: 'fairness' } })
+      .expect(200);
+
+    expect(response.body.feedback.overall).toMatch(/^Scripted feedback/);
+  });
+});
@@ -0,0 +1,116 @@
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = 'scripted';
+
+const http = require('http');
+const request = require('supertest');
+const { AIAdvocate, AIModerator, app, MAX_PARTIES } = require('../ai-negotiation');
+const { ScriptedProvider } = require('../llm-providers');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+const inputs = name => ({ objectives: `${name} objective`, mustHaves: `${name} red line`, constraints: `${name} constraint` });
+
+// Stands in for the signaling server, which vouches for seats; every
+// participant token is seat-<userName>, and sessions seat two unless listed
+const sessionSizes = { 'multi-sealed': 3, 'multi-invalid': MAX_PARTIES + 1 };
+const seat = userName => `seat-${userName}`;
+const signaling = http.createServer((req, res) => {
+  const [sessionId, userName] = (req.url.match(/^\/api\/sessions\/([^/]+)\/seats\/([^/]+)$/) || []).slice(1).map(decodeURIComponent);
+  const seated = userName && req.headers['x-participant-token'] === seat(userName);
+  res.writeHead(seated ? 200 : 403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(seated ? { sessionId, userName, maxParticipants: sessionSizes[sessionId] || 2 } : { error: 'Invalid participant token' }));
+});
+
+beforeAll(done => {
+  signaling.listen(0, () => {
+    process.env.SIGNALING_API_URL = `http://localhost:${signaling.address().port}`;
+    done();
+  });
+});
+afterAll(done => {
+  signaling.close(done);
+});
+
+describe('Multi-party negotiations', () => {
+  test('the moderator sees every advocate and balances all parties', async () => {
+    const provider = new ScriptedProvider({ scripts: { moderation: 'moderated\nSTATUS: CONTINUE' } });
+    const advocates = ['Alice', 'Bob', 'Carol'].map(name => new AIAdvocate(name, inputs(name), 'Flat chores', { provider }));
+    const moderator = new AIModerator('Flat chores', advocates, { provider });
+
+    expect(moderator.getParticipantNames()).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(moderator.getSystemPrompt()).toContain('3 AI advocates (for Alice, Bob, Carol)');
+
+    const spy = jest.spyOn(provider, 'complete');
+    await moderator.moderateRound(['from Alice', 'from Bob', 'from Carol']);
+    const context = spy.mock.calls[0][0].messages[1].content;
+    expect(context).toContain("PROPOSAL FROM Carol's AI:\nfrom Carol");
+    expect(moderator.getBackchannelInsights()[0].proposals.map(p => p.advocate)).toEqual(['Alice', 'Bob', 'Carol']);
+  });
+
+  test('runs a three-party negotiation through start-negotiation', async () => {
+    const response = await request(app)
+      .post('/api/start-negotiation')
+      .send({
+        sessionId: 'multi-start',
+        topic: 'Flat chores',
+        parties: ['Alice', 'Bob', 'Carol'].map(name => ({ userName: name, inputs: inputs(name) }))
+      })
+      .expect(202);
+
+    let job;
+    do {
+      await delay(10);
+      job = (await request(app).get(`/api/negotiation-jobs/${response.body.jobId}`).expect(200)).body;
+    } while (['queued', 'running'].includes(job.status));
+
+    expect(job.status).toBe('completed');
+    const { structured, backchannel } = job.result;
+    expect(structured.analytics.participants).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(structured.analytics.interestsCoverage.parties.map(p => p.party)).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(backchannel[0].proposals).toHaveLength(3);
+  });
+
+  test('rejects too many parties and duplicate names', async () => {
+    const parties = Array.from({ length: MAX_PARTIES + 1 }, (_, i) => ({ userName: `P${i}`, inputs: inputs(`P${i}`) }));
+    await request(app).post('/api/start-negotiation').send({ sessionId: 'multi-many', topic: 'T', parties }).expect(400);
+    await request(app)
+      .post('/api/start-negotiation')
+      .send({ sessionId: 'multi-dup', topic: 'T', parties: [parties[0], parties[0]] })
+      .expect(400);
+  });
+
+  test('sealed submissions wait for every seated party and all of them review', async () => {
+    const submit = (name, extra = {}) => request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'multi-sealed', topic: 'Flat chores', userName: name, participantToken: seat(name), inputs: inputs(name), ...extra });
+
+    const alice = (await submit('Alice').expect(200)).body;
+    expect(alice.partiesRequired).toBe(3);
+    // The session decides how many take part, not the request
+    const bob = (await submit('Bob', { partiesRequired: 2 }).expect(200)).body;
+    expect(bob.partiesRequired).toBe(3);
+    expect(bob.negotiationStarted).toBe(false);
+    const carol = (await submit('Carol').expect(200)).body;
+    expect(carol.negotiationStarted).toBe(true);
+    await submit('Dave').expect(409);
+
+    let status;
+    do {
+      await delay(10);
+      status = (await request(app).get('/api/negotiation-status/multi-sealed').expect(200)).body.status;
+    } while (['queued', 'running'].includes(status));
+
+    const accepted = { version: 1, decisions: [1, 2, 3].map(clause => ({ clause, decision: 'accept' })) };
+    const post = token => request(app).post('/api/agreement-review/multi-sealed').set('X-Party-Token', token).send(accepted);
+    expect((await post(alice.partyToken).expect(200)).body.status).toBe('pending');
+    expect((await post(bob.partyToken).expect(200)).body.status).toBe('pending');
+    expect((await post(carol.partyToken).expect(200)).body.status).toBe('certified');
+  });
+
+  test('refuses a session size past the party limit', async () => {
+    await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'multi-invalid', topic: 'T', userName: 'Alice', participantToken: seat('Alice'), inputs: inputs('Alice') })
+      .expect(502);
+  });
+});
@@ -0,0 +1,129 @@
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = 'scripted';
+
+const http = require('http');
+const request = require('supertest');
+const { NegotiationEventHub, redactProposal } = require('../negotiation-events');
+const { app } = require('../ai-negotiation');
+
+// Stands in for the signaling server, which vouches for seats; every
+// participant token is seat-<userName>
+const seat = userName => `seat-${userName}`;
+const signaling = http.createServer((req, res) => {
+  const [sessionId, userName] = (req.url.match(/^\/api\/sessions\/([^/]+)\/seats\/([^/]+)$/) || []).slice(1).map(decodeURIComponent);
+  const seated = userName && req.headers['x-participant-token'] === seat(userName);
+  res.writeHead(seated ? 200 : 403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(seated ? { sessionId, userName, maxParticipants: 2 } : { error: 'Invalid participant token' }));
+});
+
+beforeAll(done => {
+  signaling.listen(0, () => {
+    process.env.SIGNALING_API_URL = `http://localhost:${signaling.address().port}`;
+    done();
+  });
+});
+afterAll(done => {
+  signaling.close(done);
+});
+
+describe('Negotiation progress events', () => {
+  test('redactProposal strips the grounding notes', () => {
+    const proposal = [
+      '1) Grounding: from objectives: fair split; must-haves: no dishes every day',
+      '- constraints: long work hours',
+      '3) Proposal:',
+      '- Alternate nights',
+      'Open Points: weekends'
+    ].join('\n');
+
+    const redacted = redactProposal(proposal);
+    expect(redacted).not.toMatch(/fair split|no dishes every day|long work hours/);
+    expect(redacted).toContain('Alternate nights');
+    expect(redacted).toContain('Open Points: weekends');
+  });
+
+  test('redactProposal recognises the localized section labels', () => {
+    const proposal = [
+      '1) Fundamento: de los objetivos: reparto justo',
+      '2) Propuesta: Noches alternas',
+      'Puntos abiertos: fines de semana'
+    ].join('\n');
+
+    const redacted = redactProposal(proposal);
+    expect(redacted).not.toContain('reparto justo');
+    expect(redacted).toContain('Noches alternas');
+    expect(redacted).toContain('Puntos abiertos: fines de semana');
+  });
+
+  test('hub replays buffered events newer than the last seen id', () => {
+    const hub = new NegotiationEventHub();
+    hub.publish('s1', 'round_started', { round: 1 });
+    hub.publish('s1', 'round_started', { round: 2 });
+
+    const seen = [];
+    const unsubscribe = hub.subscribe('s1', event => seen.push(event.data.round), { lastEventId: 1 });
+    hub.publish('s1', 'round_started', { round: 3 });
+    unsubscribe();
+    hub.publish('s1', 'round_started', { round: 4 });
+
+    expect(seen).toEqual([2, 3]);
+  });
+
+  test('streams redacted progress to a sealed party over SSE', async () => {
+    const inputs = name => ({ objectives: `${name}-secret-objective`, mustHaves: `${name}-secret-red-line`, constraints: `${name}-secret-constraint` });
+    const alice = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sse-session', topic: 'Dishes', userName: 'Alice', participantToken: seat('Alice'), inputs: inputs('alice') })
+      .expect(200);
+
+    await request(app).get('/api/negotiation-events/sse-session').expect(403);
+
+    const server = app.listen(0);
+    const { port } = server.address();
+    const events = [];
+    const done = new Promise((resolve, reject) => {
+      http.get(`http://localhost:${port}/api/negotiation-events/sse-session?partyToken=${alice.body.partyToken}`, res => {
+        expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+        let buffer = '';
+        res.on('data', chunk => {
+          buffer += chunk;
+          let index;
+          while ((index = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            const type = (block.match(/^event: (.+)$/m) || [])[1];
+            const data = (block.match(/^data: (.+)$/m) || [])[1];
+            if (!type) continue;
+            events.push({ type, data: JSON.parse(data) });
+            if (type === 'status' && ['completed', 'failed'].includes(events[events.length - 1].data.status)) {
+              res.destroy();
+              resolve();
+            }
+          }
+        });
+      }).on('error', reject);
+    });
+
+    await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sse-session', topic: 'Dishes', userName: 'Bob', participantToken: seat('Bob'), inputs: inputs('bob') })
+      .expect(200);
+
+    await done;
+    server.close();
+
+    const types = events.map(e => e.type);
+    expect(types).toContain('round_started');
+    expect(types).toContain('proposal_generated');
+    expect(types).toContain('moderation_completed');
+    expect(types).toContain('final_agreement_drafting');
+    expect(events[events.length - 1].data.status).toBe('completed');
+
+    const moderations = events.filter(e => e.type === 'moderation_completed');
+    expect(moderations[0].data).toEqual({ round: 1, status: expect.any(String), unresolved: expect.any(Number), timestamp: expect.any(Number) });
+
+    const proposals = events.filter(e => e.type === 'proposal_generated');
+    expect(proposals.map(e => e.data.advocate)).toEqual(expect.arrayContaining(['Alice', 'Bob']));
+    expect(JSON.stringify(events)).not.toMatch(/secret|Grounding/);
+  });
+});
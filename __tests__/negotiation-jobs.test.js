@@ -0,0 +1,97 @@
+const { NegotiationJobRunner, NegotiationCancelledError, describeJob } = require('../negotiation-jobs');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+// The runner drains its queue with setImmediate; wait for that (and the
+// promise callbacks it schedules) rather than relying on timer ordering
+const flush = () => new Promise(res => setImmediate(() => setImmediate(res)));
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+describe('NegotiationJobRunner', () => {
+  test('moves jobs through queued, running and completed', async () => {
+    const statuses = [];
+    const gate = deferred();
+    const runner = new NegotiationJobRunner({
+      execute: () => gate.promise,
+      onStatusChange: job => statuses.push(job.status)
+    });
+
+    const job = runner.enqueue('session-1');
+    expect(job.status).toBe('queued');
+    await flush();
+    expect(job.status).toBe('running');
+
+    gate.resolve({ rounds: 3 });
+    await flush();
+    expect(job.status).toBe('completed');
+    expect(statuses).toEqual(['queued', 'running', 'completed']);
+    expect(describeJob(job, { includeResult: true }).result).toEqual({ rounds: 3 });
+    expect(describeJob(job)).not.toHaveProperty('result');
+  });
+
+  test('records failures', async () => {
+    const runner = new NegotiationJobRunner({ execute: async () => { throw new Error('provider down'); } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const job = runner.enqueue('session-2');
+    await delay(5);
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('provider down');
+    console.error.mockRestore();
+  });
+
+  test('respects the concurrency limit', async () => {
+    const gates = [deferred(), deferred()];
+    let started = 0;
+    const runner = new NegotiationJobRunner({
+      concurrency: 1,
+      execute: () => gates[started++].promise
+    });
+
+    const first = runner.enqueue('a');
+    const second = runner.enqueue('b');
+    await flush();
+    expect(first.status).toBe('running');
+    expect(second.status).toBe('queued');
+
+    gates[0].resolve({});
+    await flush();
+    expect(second.status).toBe('running');
+    gates[1].resolve({});
+  });
+
+  test('cancels queued and running jobs', async () => {
+    const runner = new NegotiationJobRunner({
+      concurrency: 1,
+      execute: (job, signal) => new Promise((res, rej) => {
+        signal.addEventListener('abort', () => rej(new NegotiationCancelledError()));
+      })
+    });
+
+    const running = runner.enqueue('a');
+    const queued = runner.enqueue('b');
+    await flush();
+
+    expect(runner.cancel(queued.id)).toBe(true);
+    expect(queued.status).toBe('cancelled');
+
+    expect(runner.cancel(running.id)).toBe(true);
+    await flush();
+    expect(running.status).toBe('cancelled');
+    expect(runner.cancel(running.id)).toBe(false);
+    expect(runner.list({ status: 'cancelled' })).toHaveLength(2);
+  });
+
+  test('prunes finished jobs past their age', async () => {
+    const runner = new NegotiationJobRunner({ execute: async () => ({}) });
+    const job = runner.enqueue('a');
+    await delay(5);
+    job.finishedAt -= 1000;
+    runner.prune(500);
+    expect(runner.get(job.id)).toBeNull();
+  });
+});
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const request = require('supertest');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'align-negotiations-'));
+
+delete process.env.OPENAI_API_KEY;
+process.env.LLM_PROVIDER = 'scripted';
+process.env.SESSION_STORE = 'file';
+process.env.SESSION_STORE_PATH = dir;
+
+// Each call loads a fresh copy of the backend, as a restart would
+function loadBackend(env) {
+  Object.assign(process.env, env);
+  let backend;
+  jest.isolateModules(() => {
+    backend = require('../ai-negotiation');
+  });
+  return backend;
+}
+
+const startBackend = env => loadBackend(env).app;
+
+// Stands in for the signaling server, which vouches for seats; every
+// participant token is seat-<userName>
+const seat = userName => `seat-${userName}`;
+const signaling = http.createServer((req, res) => {
+  const [sessionId, userName] = (req.url.match(/^\/api\/sessions\/([^/]+)\/seats\/([^/]+)$/) || []).slice(1).map(decodeURIComponent);
+  const seated = userName && req.headers['x-participant-token'] === seat(userName);
+  res.writeHead(seated ? 200 : 403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(seated ? { sessionId, userName, maxParticipants: 2 } : { error: 'Invalid participant token' }));
+});
+
+beforeAll(done => {
+  signaling.listen(0, () => {
+    process.env.SIGNALING_API_URL = `http://localhost:${signaling.address().port}`;
+    done();
+  });
+});
+afterAll(done => {
+  signaling.close(done);
+});
+
+describe('Negotiation persistence', () => {
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('completed agreements and reviews survive a restart', async () => {
+    const env = { PRIVATE_INPUT_POLICY: 'exclude' };
+    const app = startBackend(env);
+    const inputs = { objectives: 'alice-objective', mustHaves: 'alice-red-line', constraints: 'alice-constraint' };
+    const alice = await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'persisted', topic: 'Dishes', userName: 'Alice', participantToken: seat('Alice'), inputs }).expect(200);
+    await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'persisted', topic: 'Dishes', userName: 'Bob', participantToken: seat('Bob'), inputs }).expect(200);
+
+    let status;
+    do {
+      await delay(10);
+      status = (await request(app).get('/api/negotiation-status/persisted')).body.status;
+    } while (status !== 'completed');
+    await request(app).post('/api/agreement-review/persisted').set('X-Party-Token', alice.body.partyToken)
+      .send({ version: 1, decisions: [1, 2, 3].map(clause => ({ clause, decision: 'accept' })) })
+      .expect(200);
+    await delay(50);
+
+    const stored = fs.readFileSync(path.join(dir, 'negotiations.json'), 'utf8');
+    expect(stored).not.toContain('alice-red-line');
+
+    const restarted = startBackend(env);
+    const result = await request(restarted).get('/api/negotiation-result/persisted')
+      .set('X-Party-Token', alice.body.partyToken).expect(200);
+    expect(result.body.result.structured.title).toBe('Final Dishes Agreement');
+
+    const review = await request(restarted).get('/api/agreement-review/persisted')
+      .set('X-Party-Token', alice.body.partyToken).expect(200);
+    expect(review.body.review.reviewedBy).toEqual(['Alice']);
+  });
+
+  test('sealed inputs are kept encrypted across a restart when the policy allows', async () => {
+    const env = { PRIVATE_INPUT_POLICY: 'encrypt', STORE_ENCRYPTION_KEY: 'test-key' };
+    const app = startBackend(env);
+    await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'pending', topic: 'Dishes', userName: 'Alice', participantToken: seat('Alice'), inputs: { objectives: 'o', mustHaves: 'carol-secret', constraints: 'c' } })
+      .expect(200);
+    await delay(50);
+    expect(fs.readFileSync(path.join(dir, 'negotiations.json'), 'utf8')).not.toContain('carol-secret');
+
+    const restarted = startBackend(env);
+    const status = await request(restarted).get('/api/sealed-inputs/pending').expect(200);
+    expect(status.body).toMatchObject({ submittedBy: ['Alice'], awaitingResubmission: [] });
+
+    const excluded = startBackend({ PRIVATE_INPUT_POLICY: 'exclude' });
+    const lost = await request(excluded).get('/api/sealed-inputs/pending').expect(200);
+    // Without the key the inputs are gone and Alice has to resubmit
+    expect(lost.body.awaitingResubmission).toEqual(['Alice']);
+  });
+
+  test('interrupted negotiations resume at startup, not when someone reads them', async () => {
+    const env = { PRIVATE_INPUT_POLICY: 'encrypt', STORE_ENCRYPTION_KEY: 'test-key' };
+    const app = startBackend(env);
+    const inputs = { objectives: 'o', mustHaves: 'm', constraints: 'c' };
+    const alice = await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'interrupted', topic: 'Dishes', userName: 'Alice', participantToken: seat('Alice'), inputs }).expect(200);
+    await request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'interrupted', topic: 'Dishes', userName: 'Bob', participantToken: seat('Bob'), inputs }).expect(200);
+    let status;
+    do {
+      await delay(10);
+      status = (await request(app).get('/api/negotiation-status/interrupted')).body.status;
+    } while (status !== 'completed');
+    await delay(50);
+
+    // As if the server had stopped mid-run
+    const file = path.join(dir, 'negotiations.json');
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const entry = saved['negotiation:interrupted'];
+    entry.value = JSON.stringify({ ...JSON.parse(entry.value), status: 'running', result: null });
+    fs.writeFileSync(file, JSON.stringify(saved));
+
+    const restarted = loadBackend(env);
+    const polled = await request(restarted.app).get('/api/negotiation-status/interrupted').expect(200);
+    expect(polled.body).toMatchObject({ status: 'running', jobId: null });
+
+    expect(await restarted.resumeInterruptedNegotiations()).toEqual(['interrupted']);
+    do {
+      await delay(10);
+      status = (await request(restarted.app).get('/api/negotiation-status/interrupted')).body.status;
+    } while (status !== 'completed');
+    const result = await request(restarted.app).get('/api/negotiation-result/interrupted')
+      .set('X-Party-Token', alice.body.partyToken).expect(200);
+    expect(result.body.result.outcome).toBe('agreement');
+  });
+
+  // The file store answers asynchronously, so these requests really overlap
+  test('concurrent starts of one session attach to a single run', async () => {
+    const app = startBackend({ PRIVATE_INPUT_POLICY: 'exclude' });
+    const party = userName => ({ userName, inputs: { objectives: 'o', mustHaves: 'm', constraints: 'c' } });
+    const start = { sessionId: 'concurrent-start', topic: 'Dishes', parties: [party('Alice'), party('Bob')] };
+    const responses = await Promise.all([1, 2, 3].map(() => request(app).post('/api/start-negotiation').send(start)));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 200, 202]);
+    expect(new Set(responses.map(response => response.body.jobId)).size).toBe(1);
+    let status;
+    do {
+      await delay(10);
+      status = (await request(app).get('/api/negotiation-status/concurrent-start')).body.status;
+    } while (status !== 'completed');
+  });
+
+  test('concurrent sealed submissions are all counted and start one negotiation', async () => {
+    const app = startBackend({ PRIVATE_INPUT_POLICY: 'exclude' });
+    const inputs = { objectives: 'o', mustHaves: 'm', constraints: 'c' };
+    const responses = await Promise.all(['Alice', 'Bob'].map(userName => request(app).post('/api/sealed-inputs')
+      .send({ sessionId: 'concurrent-sealed', topic: 'Dishes', userName, participantToken: seat(userName), inputs }).expect(200)));
+
+    expect(responses.map(response => response.body.partiesSubmitted).sort()).toEqual([1, 2]);
+    expect(responses.filter(response => response.body.negotiationStarted)).toHaveLength(1);
+    const status = await request(app).get('/api/sealed-inputs/concurrent-sealed').expect(200);
+    expect(status.body.submittedBy.sort()).toEqual(['Alice', 'Bob']);
+  });
+});
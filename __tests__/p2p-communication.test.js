@@ -1,5 +1,6 @@
 const WebSocket = require('ws');
-const { server, wss, sessions } = require('../server');
+const { server, wss, sessions, certificateLedger, pdfRenderer, expireIdleSessions } = require('../server');
+const { SessionLifecycle } = require('../session-lifecycle');
 const request = require('supertest');
 const http = require('http');
 
@@ -111,7 +112,9 @@ describe('P2P Communication Tests', () => {
         const creator = createWebSocketConnection();
         const joiner = createWebSocketConnection();
         
+        const joinerOpen = new Promise(resolve => joiner.on('open', resolve));
         let sessionReady = false;
+        let creatorToken = null;
         
         creator.on('open', () => {
             creator.send(JSON.stringify({
@@ -125,18 +128,22 @@ describe('P2P Communication Tests', () => {
         creator.on('message', (data) => {
             const message = JSON.parse(data);
             if (message.type === 'session_created') {
-                joiner.send(JSON.stringify({
+                joinerOpen.then(() => joiner.send(JSON.stringify({
                     type: 'join_session',
                     sessionId: 'test-relay-123',
                     userName: 'Bob',
                     topic: 'Message Relay Test'
-                }));
+                })));
+            }
+            if (message.type === 'session_created') {
+                creatorToken = message.participantToken;
             }
             if (message.type === 'participant_joined') {
                 sessionReady = true;
                 // Send test message
                 creator.send(JSON.stringify({
                     type: 'relay_message',
+                    participantToken: creatorToken,
                     messageType: 'topicModified',
                     content: {
                         type: 'topicModified',
@@ -157,11 +164,10 @@ describe('P2P Communication Tests', () => {
         });
     });
     
-    test('should handle session recreation when session expires', (done) => {
+    test('should not recreate an expired session from a join', (done) => {
         const joiner = createWebSocketConnection();
         
         joiner.on('open', () => {
-            // Try to join non-existent session with topic (should recreate)
             joiner.send(JSON.stringify({
                 type: 'join_session',
                 sessionId: 'expired-session-123',
@@ -172,14 +178,53 @@ describe('P2P Communication Tests', () => {
         
         joiner.on('message', (data) => {
             const message = JSON.parse(data);
-            if (message.type === 'participant_joined') {
-                expect(message.topic).toBe('Recreated Topic');
-                expect(sessions.has('expired-session-123')).toBe(true);
+            if (message.type === 'error') {
+                expect(message.code).toBe('SESSION_NOT_FOUND');
+                expect(sessions.has('expired-session-123')).toBe(false);
                 done();
             }
         });
     });
     
+    test('should restore a persisted session after a restart', (done) => {
+        const creator = createWebSocketConnection();
+        
+        creator.on('open', () => {
+            creator.send(JSON.stringify({
+                type: 'create_session',
+                sessionId: 'restored-session-123',
+                topic: 'Persisted Topic',
+                userName: 'Alice'
+            }));
+        });
+        
+        creator.on('message', (data) => {
+            const message = JSON.parse(data);
+            if (message.type === 'session_created') {
+                creator.close();
+                setTimeout(() => {
+                    // Simulate a restart: nothing left in memory, only the store
+                    sessions.clear();
+                    const joiner = createWebSocketConnection();
+                    joiner.on('open', () => {
+                        joiner.send(JSON.stringify({
+                            type: 'join_session',
+                            sessionId: 'restored-session-123',
+                            userName: 'Bob'
+                        }));
+                    });
+                    joiner.on('message', (joinData) => {
+                        const joinMessage = JSON.parse(joinData);
+                        if (joinMessage.type === 'participant_joined') {
+                            expect(joinMessage.topic).toBe('Persisted Topic');
+                            done();
+                        }
+                    });
+                }, 100);
+            }
+        });
+    });
+    
     test('should handle reconnection for existing participants', (done) => {
         const creator = createWebSocketConnection();
         
@@ -206,7 +251,8 @@ describe('P2P Communication Tests', () => {
                             type: 'create_session',
                             sessionId: 'reconnect-test-123',
                             topic: 'Reconnection Test',
-                            userName: 'Alice'
+                            userName: 'Alice',
+                            participantToken: message.participantToken
                         }));
                     });
                     
@@ -223,6 +269,115 @@ describe('P2P Communication Tests', () => {
         });
     });
     
+    test('should reject reconnection without the participant token', (done) => {
+        const creator = createWebSocketConnection();
+        
+        creator.on('open', () => {
+            creator.send(JSON.stringify({
+                type: 'create_session',
+                sessionId: 'hijack-test-123',
+                topic: 'Hijack Test',
+                userName: 'Alice'
+            }));
+        });
+        
+        creator.on('message', (data) => {
+            const message = JSON.parse(data);
+            if (message.type === 'session_created') {
+                expect(message.participantToken).toMatch(/^[0-9a-f]{48}$/);
+                const intruder = createWebSocketConnection();
+                
+                intruder.on('open', () => {
+                    intruder.send(JSON.stringify({
+                        type: 'join_session',
+                        sessionId: 'hijack-test-123',
+                        userName: 'Alice',
+                        participantToken: 'guessed'
+                    }));
+                });
+                
+                intruder.on('message', (intruderData) => {
+                    const intruderMessage = JSON.parse(intruderData);
+                    // A keep-alive may arrive first
+                    if (intruderMessage.type === 'ping') {
+                        return;
+                    }
+                    expect(intruderMessage.type).toBe('error');
+                    expect(intruderMessage.code).toBe('INVALID_PARTICIPANT_TOKEN');
+                    // The rightful participant keeps their connection
+                    const session = sessions.get('hijack-test-123');
+                    expect(session.participants[0].ws.readyState).toBe(WebSocket.OPEN);
+                    done();
+                });
+            }
+        });
+    });
+    
+    test('should reject relayed messages without a valid token', (done) => {
+        const creator = createWebSocketConnection();
+        
+        creator.on('open', () => {
+            creator.send(JSON.stringify({
+                type: 'create_session',
+                sessionId: 'relay-token-test-123',
+                topic: 'Relay Token Test',
+                userName: 'Alice'
+            }));
+        });
+        
+        creator.on('message', (data) => {
+            const message = JSON.parse(data);
+            if (message.type === 'session_created') {
+                creator.send(JSON.stringify({
+                    type: 'relay_message',
+                    messageType: 'topicModified',
+                    content: { type: 'topicModified', topic: 'Forged', userName: 'Alice' }
+                }));
+            }
+            if (message.type === 'error') {
+                expect(message.code).toBe('INVALID_PARTICIPANT_TOKEN');
+                done();
+            }
+        });
+    });
+    
+    test('should only send a new token to the participant who joined', (done) => {
+        const creator = createWebSocketConnection();
+        const joiner = createWebSocketConnection();
+        const joinerOpen = new Promise(resolve => joiner.on('open', resolve));
+        
+        creator.on('open', () => {
+            creator.send(JSON.stringify({
+                type: 'create_session',
+                sessionId: 'token-privacy-123',
+                topic: 'Token Privacy',
+                userName: 'Alice'
+            }));
+        });
+        
+        creator.on('message', (data) => {
+            const message = JSON.parse(data);
+            if (message.type === 'session_created') {
+                joinerOpen.then(() => joiner.send(JSON.stringify({
+                    type: 'join_session',
+                    sessionId: 'token-privacy-123',
+                    userName: 'Bob'
+                })));
+            }
+            if (message.type === 'participant_joined') {
+                expect(message.participantToken).toBeUndefined();
+                done();
+            }
+        });
+        
+        joiner.on('message', (data) => {
+            const message = JSON.parse(data);
+            if (message.type === 'participant_joined') {
+                expect(message.participantToken).toMatch(/^[0-9a-f]{48}$/);
+            }
+        });
+    });
+    
     test('should clean up sessions when all participants leave', (done) => {
         const creator = createWebSocketConnection();
         
@@ -252,6 +407,59 @@ describe('P2P Communication Tests', () => {
         });
     });
     
+    test('should expire an idle completed session without stopping the server', (done) => {
+        const creator = createWebSocketConnection();
+        
+        creator.on('open', () => {
+            creator.send(JSON.stringify({
+                type: 'create_session',
+                sessionId: 'idle-completed-123',
+                topic: 'Idle Completed',
+                userName: 'Alice'
+            }));
+        });
+        
+        creator.on('message', (data) => {
+            const message = JSON.parse(data);
+            if (message.type === 'session_created') {
+                sessions.get('idle-completed-123').lifecycle = new SessionLifecycle({ phase: 'completed', outcome: 'certified', updatedAt: 0 });
+                sessions.get('idle-completed-123').lastActivity = 0;
+                expect(() => expireIdleSessions()).not.toThrow();
+                expect(sessions.has('idle-completed-123')).toBe(false);
+            }
+            if (message.type === 'session_state' && message.phase === 'expired') {
+                expect(message.outcome).toBe('certified');
+                done();
+            }
+        });
+    });
+    
+    test('should keep a session alive while its participants relay', async () => {
+        const alice = createWebSocketConnection();
+        alice.received = [];
+        alice.on('message', data => alice.received.push(JSON.parse(data)));
+        await new Promise(resolve => alice.on('open', resolve));
+        alice.send(JSON.stringify({ type: 'create_session', sessionId: 'busy-123', topic: 'Busy', userName: 'Alice' }));
+        let created;
+        while (!(created = alice.received.find(m => m.type === 'session_created'))) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        // Five hours without a lifecycle change, but a relay just now
+        const fiveHours = 5 * 60 * 60 * 1000;
+        sessions.get('busy-123').lifecycle.updatedAt -= fiveHours;
+        sessions.get('busy-123').lastActivity -= fiveHours;
+        alice.send(JSON.stringify({ type: 'relay_message', participantToken: created.participantToken, messageType: 'chat', content: { text: 'still here' } }));
+        while (!alice.received.some(m => m.type === 'message_sent')) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expireIdleSessions();
+        expect(sessions.has('busy-123')).toBe(true);
+
+        expireIdleSessions(Date.now() + fiveHours);
+        expect(sessions.has('busy-123')).toBe(false);
+    });
+    
     test('should handle ping/pong for keep-alive', (done) => {
         const client = createWebSocketConnection();
         
@@ -274,8 +482,8 @@ describe('P2P Communication Tests', () => {
         const joiner1 = createWebSocketConnection();
         const joiner2 = createWebSocketConnection();
 
-        let joiner1Open = false;
-        let joiner2Open = false;
+        const joiner1Open = new Promise(resolve => joiner1.on('open', resolve));
+        const joiner2Open = new Promise(resolve => joiner2.on('open', resolve));
 
         const sendJoiner1 = () => {
             joiner1.send(JSON.stringify({
@@ -307,25 +515,13 @@ describe('P2P Communication Tests', () => {
         creator.on('message', (data) => {
             const message = JSON.parse(data);
             if (message.type === 'session_created') {
-                if (joiner1Open) {
-                    sendJoiner1();
-                }
+                joiner1Open.then(sendJoiner1);
             }
             if (message.type === 'participant_joined' && message.userName === 'Bob') {
-                if (joiner2Open) {
-                    sendJoiner2();
-                }
+                joiner2Open.then(sendJoiner2);
             }
         });
 
-        joiner1.on('open', () => {
-            joiner1Open = true;
-        });
-
-        joiner2.on('open', () => {
-            joiner2Open = true;
-        });
-
         joiner2.on('message', (data) => {
             const message = JSON.parse(data);
             if (message.type === 'error' && message.message === 'Session is full') {
@@ -333,4 +529,424 @@ describe('P2P Communication Tests', () => {
             }
         });
     });
+    
+    test('should seat as many participants as the creator asked for and relay to one recipient', async () => {
+        const connect = async () => {
+            const ws = createWebSocketConnection();
+            ws.received = [];
+            ws.on('message', data => ws.received.push(JSON.parse(data)));
+            await new Promise(resolve => ws.on('open', resolve));
+            return ws;
+        };
+        const next = (ws, type) => new Promise(resolve => {
+            const check = () => {
+                const index = ws.received.findIndex(m => m.type === type);
+                if (index === -1) return setTimeout(check, 10);
+                resolve(ws.received.splice(index, 1)[0]);
+            };
+            check();
+        });
+        
+        const alice = await connect();
+        alice.send(JSON.stringify({
+            type: 'create_session',
+            sessionId: 'group-test-123',
+            topic: 'Flat Chores',
+            userName: 'Alice',
+            maxParticipants: 3
+        }));
+        const created = await next(alice, 'session_created');
+        expect(created.maxParticipants).toBe(3);
+        
+        const sockets = {};
+        for (const name of ['Bob', 'Carol']) {
+            sockets[name] = await connect();
+            sockets[name].send(JSON.stringify({ type: 'join_session', sessionId: 'group-test-123', userName: name }));
+            const joined = await next(sockets[name], 'participant_joined');
+            expect(joined.participants).toEqual(name === 'Bob' ? ['Alice', 'Bob'] : ['Alice', 'Bob', 'Carol']);
+        }
+        
+        const dave = await connect();
+        dave.send(JSON.stringify({ type: 'join_session', sessionId: 'group-test-123', userName: 'Dave' }));
+        expect((await next(dave, 'error')).code).toBe('SESSION_FULL');
+        
+        alice.send(JSON.stringify({
+            type: 'relay_message',
+            participantToken: created.participantToken,
+            to: 'Carol',
+            messageType: 'e2e',
+            content: { data: 'for Carol only' }
+        }));
+        const relayed = await next(sockets.Carol, 'message_received');
+        expect(relayed.content.data).toBe('for Carol only');
+        expect(sockets.Bob.received.some(m => m.type === 'message_received')).toBe(false);
+        
+        alice.send(JSON.stringify({
+            type: 'relay_message',
+            participantToken: created.participantToken,
+            to: 'Mallory',
+            messageType: 'e2e',
+            content: {}
+        }));
+        expect((await next(alice, 'error')).code).toBe('UNKNOWN_RECIPIENT');
+    });
+    test('should own the session lifecycle and broadcast its state', async () => {
+        const connect = async () => {
+            const ws = createWebSocketConnection();
+            ws.received = [];
+            ws.on('message', data => ws.received.push(JSON.parse(data)));
+            await new Promise(resolve => ws.on('open', resolve));
+            return ws;
+        };
+        const next = (ws, type) => new Promise(resolve => {
+            const check = () => {
+                const index = ws.received.findIndex(m => m.type === type);
+                if (index === -1) return setTimeout(check, 10);
+                resolve(ws.received.splice(index, 1)[0]);
+            };
+            check();
+        });
+        const event = (ws, token, name, extra = {}) =>
+            ws.send(JSON.stringify({ type: 'session_event', participantToken: token, event: name, ...extra }));
+        
+        const alice = await connect();
+        alice.send(JSON.stringify({ type: 'create_session', sessionId: 'lifecycle-123', topic: 'Chores', userName: 'Alice' }));
+        const { participantToken: aliceToken } = await next(alice, 'session_created');
+        expect((await next(alice, 'session_state')).phase).toBe('awaiting_participants');
+        
+        const bob = await connect();
+        bob.send(JSON.stringify({ type: 'join_session', sessionId: 'lifecycle-123', userName: 'Bob' }));
+        const { participantToken: bobToken } = await next(bob, 'participant_joined');
+        expect((await next(bob, 'session_state')).phase).toBe('topic_proposed');
+        expect((await next(alice, 'session_state')).phase).toBe('topic_proposed');
+        
+        event(alice, aliceToken, 'submit_inputs');
+        expect((await next(alice, 'error')).code).toBe('INVALID_TRANSITION');
+        
+        event(alice, aliceToken, 'propose_topic');
+        expect((await next(bob, 'session_state')).topicVersion).toBe(2);
+        event(bob, bobToken, 'agree_topic', { topicVersion: 1 });
+        expect((await next(bob, 'error')).code).toBe('STALE_TOPIC');
+        
+        event(alice, aliceToken, 'agree_topic', { topicVersion: 2 });
+        expect((await next(bob, 'session_state')).topicAgreedBy).toEqual(['Alice']);
+        event(bob, bobToken, 'agree_topic', { topicVersion: 2 });
+        let state;
+        do {
+            state = await next(alice, 'session_state');
+        } while (state.phase !== 'topic_agreed' && state.topicAgreedBy.length < 2);
+        expect(state.phase).toBe('topic_agreed');
+        
+        // A reconnect brings back the authoritative state
+        alice.close();
+        const again = await connect();
+        again.send(JSON.stringify({ type: 'create_session', sessionId: 'lifecycle-123', userName: 'Alice', participantToken: aliceToken }));
+        state = await next(again, 'session_state');
+        expect(state).toMatchObject({ phase: 'topic_agreed', topicVersion: 2, participants: ['Alice', 'Bob'] });
+    });
+    test('should replay unacknowledged messages in order when a participant reconnects', async () => {
+        const connect = async () => {
+            const ws = createWebSocketConnection();
+            ws.received = [];
+            ws.on('message', data => ws.received.push(JSON.parse(data)));
+            await new Promise(resolve => ws.on('open', resolve));
+            return ws;
+        };
+        const next = (ws, type) => new Promise(resolve => {
+            const check = () => {
+                const index = ws.received.findIndex(m => m.type === type);
+                if (index === -1) return setTimeout(check, 10);
+                resolve(ws.received.splice(index, 1)[0]);
+            };
+            check();
+        });
+        const relay = (ws, token, data) => ws.send(JSON.stringify({
+            type: 'relay_message', participantToken: token, messageType: 'e2e', content: { data }
+        }));
+        
+        const alice = await connect();
+        alice.send(JSON.stringify({ type: 'create_session', sessionId: 'replay-123', topic: 'Chores', userName: 'Alice' }));
+        const { participantToken: aliceToken } = await next(alice, 'session_created');
+        let bob = await connect();
+        bob.send(JSON.stringify({ type: 'join_session', sessionId: 'replay-123', userName: 'Bob' }));
+        const { participantToken: bobToken } = await next(bob, 'participant_joined');
+        
+        relay(alice, aliceToken, 'first');
+        expect((await next(alice, 'message_sent')).id).toBe(1);
+        const first = await next(bob, 'message_received');
+        bob.send(JSON.stringify({ type: 'relay_ack', participantToken: bobToken, id: first.id }));
+        
+        // Sent while Bob's phone is asleep
+        bob.close();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        relay(alice, aliceToken, 'second');
+        relay(alice, aliceToken, 'third');
+        const sent = await next(alice, 'message_sent');
+        expect(sent.id).toBe(first.id + 1);
+        
+        const rejoin = async () => {
+            bob = await connect();
+            bob.send(JSON.stringify({ type: 'join_session', sessionId: 'replay-123', userName: 'Bob', participantToken: bobToken }));
+            await next(bob, 'participant_joined');
+            return bob.received.filter(m => m.type === 'message_received');
+        };
+        let replayed = await rejoin();
+        expect(replayed.map(m => m.content.data)).toEqual(['second', 'third']);
+        expect(replayed.every(m => m.replayed)).toBe(true);
+        expect(replayed[1].id).toBeGreaterThan(replayed[0].id);
+        
+        // Only what was not acknowledged comes back
+        bob.send(JSON.stringify({ type: 'relay_ack', participantToken: bobToken, id: replayed[0].id }));
+        bob.close();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        replayed = await rejoin();
+        expect(replayed.map(m => m.content.data)).toEqual(['third']);
+    });
+    
+    test('should share each participant\'s time zone with the session', async () => {
+        const connect = async () => {
+            const ws = createWebSocketConnection();
+            ws.received = [];
+            ws.on('message', data => ws.received.push(JSON.parse(data)));
+            await new Promise(resolve => ws.on('open', resolve));
+            return ws;
+        };
+        const next = (ws, type) => new Promise(resolve => {
+            const check = () => {
+                const index = ws.received.findIndex(m => m.type === type);
+                if (index === -1) return setTimeout(check, 10);
+                resolve(ws.received.splice(index, 1)[0]);
+            };
+            check();
+        });
+        
+        const alice = await connect();
+        alice.send(JSON.stringify({ type: 'create_session', sessionId: 'zones-123', topic: 'Chores', userName: 'Alice', timeZone: 'Europe/London' }));
+        expect((await next(alice, 'session_created')).timeZones).toEqual({ 'Alice': 'Europe/London' });
+        const bob = await connect();
+        bob.send(JSON.stringify({ type: 'join_session', sessionId: 'zones-123', userName: 'Bob', timeZone: 'Not/AZone' }));
+        expect((await next(alice, 'participant_joined')).timeZones).toEqual({ 'Alice': 'Europe/London' });
+        expect(sessions.get('zones-123').seats['Bob'].timeZone).toBeUndefined();
+    });
+
+    test('should vouch for a seat only with its participant token', async () => {
+        const alice = createWebSocketConnection();
+        alice.received = [];
+        alice.on('message', data => alice.received.push(JSON.parse(data)));
+        await new Promise(resolve => alice.on('open', resolve));
+        alice.send(JSON.stringify({ type: 'create_session', sessionId: 'seat-check-123', topic: 'Chores', userName: 'Alice', maxParticipants: 3 }));
+        let created;
+        while (!(created = alice.received.find(m => m.type === 'session_created'))) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        const seat = await request(testServer)
+            .get('/api/sessions/seat-check-123/seats/Alice')
+            .set('X-Participant-Token', created.participantToken)
+            .expect(200);
+        expect(seat.body).toEqual({ sessionId: 'seat-check-123', userName: 'Alice', topic: 'Chores', maxParticipants: 3 });
+
+        await request(testServer).get('/api/sessions/seat-check-123/seats/Alice').expect(403);
+        await request(testServer).get('/api/sessions/seat-check-123/seats/Bob').set('X-Participant-Token', created.participantToken).expect(403);
+        await request(testServer).get('/api/sessions/no-such-session/seats/Alice').set('X-Participant-Token', created.participantToken).expect(404);
+    });
+
+    test('should export the same agreement content in every format', async () => {
+        const agreement = {
+            title: 'Kitchen Duties',
+            clauses: [{ title: 'Dishes', text: 'Alice washes up on weekdays.' }],
+            principles: [],
+            summary: 'Alice washes up.'
+        };
+        const hashes = [];
+        for (const format of ['markdown', 'docx', 'text', 'json']) {
+            const res = await request(testServer)
+                .post(`/api/export/agreement?format=${format}`)
+                .send({ agreement, topic: 'Kitchen', parties: ['Alice', 'Bob'], effectiveDate: '2026-01-05' });
+            expect(res.status).toBe(200);
+            expect(res.headers['content-disposition']).toMatch(/^attachment; filename="Agreement_Kitchen_Duties\./);
+            hashes.push(res.headers['x-content-sha256']);
+        }
+        expect(new Set(hashes).size).toBe(1);
+        
+        const rejected = await request(testServer).post('/api/export/agreement?format=pdf').send({ agreement });
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.code).toBe('UNSUPPORTED_FORMAT');
+        
+        const tooLarge = await request(testServer)
+            .post('/api/export/agreement')
+            .send({ agreement: { ...agreement, summary: 'a'.repeat(1100000) } });
+        expect(tooLarge.status).toBe(413);
+        expect(tooLarge.body.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+    
+    test('should verify issued certificates by PDF upload or hash', async () => {
+        const crypto = require('crypto');
+        const pdf = Buffer.from('%PDF-1.4 ledger test ' + Date.now());
+        const pdfHash = crypto.createHash('sha256').update(pdf).digest('hex');
+        const contentHash = crypto.createHash('sha256').update('ledger content ' + Date.now()).digest('hex');
+        const entry = await certificateLedger.append({ contentHash, pdfHash, agreementId: 'ledger-1' });
+        
+        const uploaded = await request(testServer).post('/api/verify').set('Content-Type', 'application/pdf').send(pdf);
+        expect(uploaded.status).toBe(200);
+        expect(uploaded.body).toMatchObject({ hash: pdfHash, source: 'pdf', authentic: true, unmodified: true, match: 'pdf' });
+        expect(uploaded.body.entries[0].entryHash).toBe(entry.entryHash);
+        
+        const pasted = await request(testServer).post('/api/verify').send({ hash: contentHash.toUpperCase() });
+        expect(pasted.body).toMatchObject({ source: 'hash', authentic: true, unmodified: null, match: 'content' });
+        
+        const altered = await request(testServer).post('/api/verify').set('Content-Type', 'application/pdf').send(Buffer.concat([pdf, Buffer.from(' ')]));
+        expect(altered.body).toMatchObject({ authentic: false, unmodified: false, match: null });
+        
+        expect((await request(testServer).get(`/api/verify/${pdfHash}`)).body.match).toBe('pdf');
+        expect((await request(testServer).get('/api/verify/not-a-hash')).status).toBe(400);
+        expect((await request(testServer).get('/api/verify/%zz')).status).toBe(400);
+        expect((await request(testServer).post('/api/verify').send({ hash: 'a'.repeat(1100000) })).status).toBe(413);
+    });
+    
+    test('should answer a body still being uploaded past the limit with 413', async () => {
+        const chunk = Buffer.alloc(64 * 1024, 'a');
+        const response = await new Promise((resolve, reject) => {
+            const req = http.request({
+                port: testServer.address().port,
+                method: 'POST',
+                path: '/api/verify',
+                headers: { 'Content-Type': 'application/json' }
+            }, res => {
+                let body = '';
+                res.on('data', data => { body += data; });
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+            });
+            req.on('error', reject);
+            // 1.5 MB in pieces, past the 1 MB limit well before the end
+            let sent = 0;
+            const send = () => {
+                if (sent++ === 24) return req.end();
+                req.write(chunk);
+                setImmediate(send);
+            };
+            send();
+        });
+        expect(response.status).toBe(413);
+        expect(response.headers.connection).toBe('close');
+        expect(response.body.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    test('should report PDF pool and queue figures from /health', async () => {
+        const res = await request(testServer).get('/health');
+        expect(res.status).toBe(200);
+        expect(res.body.pdf).toMatchObject({ poolSize: 1, busy: 0, queued: 0 });
+        expect(res.body.pdf.renderLatency).toHaveProperty('p95Ms');
+    });
+    
+    test('should refuse unsafe or oversized agreement HTML before rendering a PDF', async () => {
+        const script = await request(testServer)
+            .post('/api/pdf/agreement')
+            .send({ html: '<p>Terms</p><script>fetch("http://169.254.169.254/")</script>', topic: 'Kitchen' });
+        expect(script.status).toBe(400);
+        expect(script.body.code).toBe('DISALLOWED_ELEMENT');
+        
+        const handler = await request(testServer)
+            .post('/api/pdf/agreement')
+            .send({ html: '<img src="x" onerror="alert(1)">', topic: 'Kitchen' });
+        expect(handler.body.code).toBe('DISALLOWED_ATTRIBUTE');
+        
+        const tooLong = await request(testServer)
+            .post('/api/pdf/agreement')
+            .send({ html: `<p>${'a'.repeat(300000)}</p>`, topic: 'Kitchen' });
+        expect(tooLong.status).toBe(413);
+        expect(tooLong.body.code).toBe('HTML_TOO_LARGE');
+    });
+    
+    test('should refuse an invalid PDF layout before rendering', async () => {
+        const res = await request(testServer)
+            .post('/api/pdf/agreement')
+            .send({ html: '<p>Terms</p>', topic: 'Kitchen', layout: { paperSize: 'A3' } });
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('INVALID_PAPER_SIZE');
+    });
+    
+    describe('PDFs rendered from the structured agreement', () => {
+        const { canonicalAgreement, contentHash } = require('../agreement-export');
+        const agreement = {
+            title: 'Kitchen Duties',
+            clauses: [{ title: 'Dishes', text: 'Alice washes up on weekdays.' }],
+            principles: [],
+            summary: 'Alice washes up.'
+        };
+        let rendered;
+        
+        beforeEach(() => {
+            rendered = null;
+            // Chromium is not needed to see what the server would print
+            jest.spyOn(pdfRenderer, 'render').mockImplementation(task => task({
+                setContent: async html => { rendered = html; },
+                pdf: async () => Buffer.from('%PDF-1.4 test')
+            }));
+        });
+        
+        afterEach(() => {
+            jest.restoreAllMocks();
+            delete process.env.NEGOTIATION_API_URL;
+        });
+        
+        test('should ignore client HTML when the agreement is sent', async () => {
+            const res = await request(testServer)
+                .post('/api/pdf/agreement')
+                .send({ agreement, topic: 'Kitchen', parties: ['Alice', 'Bob'], effectiveDate: '2026-01-05', html: '<p>Forged terms</p>' });
+            expect(res.status).toBe(200);
+            expect(rendered).toContain('Alice washes up on weekdays.');
+            expect(rendered).not.toContain('Forged terms');
+            expect(res.headers['x-content-sha256']).toBe(contentHash(canonicalAgreement({
+                agreement, topic: 'Kitchen', parties: ['Alice', 'Bob'], effectiveDate: '2026-01-05'
+            })));
+            const ledgered = await request(testServer).get(`/api/verify/${res.headers['x-pdf-sha256']}`);
+            expect(ledgered.body.entries[0].source).toBe('agreement');
+            
+            // Client HTML is still issued, but the ledger says so
+            const html = await request(testServer).post('/api/pdf/agreement').send({ html: '<p>Terms</p>', topic: 'Kitchen' });
+            const unchecked = await request(testServer).get(`/api/verify/${html.headers['x-pdf-sha256']}`);
+            expect(unchecked.body.entries[0].source).toBe('client-html');
+        });
+        
+        test('should fetch the agreement under review by id with the party token', async () => {
+            const requests = [];
+            const backend = http.createServer((req, res) => {
+                requests.push({ url: req.url, token: req.headers['x-party-token'] });
+                if (req.headers['x-party-token'] !== 'alice-token') {
+                    res.writeHead(403, { 'Content-Type': 'application/json' });
+                    return res.end(JSON.stringify({ error: 'Invalid party token' }));
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ success: true, review: {
+                    structured: agreement, topic: 'Kitchen', parties: ['Alice', 'Bob'],
+                    effectiveDate: '2026-01-05', templateId: 'custom', signatures: []
+                } }));
+            });
+            await new Promise(resolve => backend.listen(0, resolve));
+            process.env.NEGOTIATION_API_URL = `http://localhost:${backend.address().port}/`;
+            try {
+                const res = await request(testServer)
+                    .post('/api/pdf/agreement')
+                    .set('X-Party-Token', 'alice-token')
+                    .send({ agreementId: 'kitchen-1' });
+                expect(res.status).toBe(200);
+                expect(requests[0]).toEqual({ url: '/api/agreement-review/kitchen-1', token: 'alice-token' });
+                expect(rendered).toContain('Final Agreement: Kitchen');
+                expect(res.headers['x-content-sha256']).toBe(contentHash(canonicalAgreement({
+                    agreement, topic: 'Kitchen', parties: ['Alice', 'Bob'], effectiveDate: '2026-01-05', templateId: 'custom'
+                })));
+                const ledgered = await request(testServer).get(`/api/verify/${res.headers['x-pdf-sha256']}`);
+                expect(ledgered.body.entries[0].source).toBe('reviewed');
+                
+                const denied = await request(testServer)
+                    .post('/api/pdf/agreement')
+                    .send({ agreementId: 'kitchen-1', partyToken: 'mallory-token' });
+                expect(denied.status).toBe(403);
+                expect(denied.body.code).toBe('INVALID_PARTY_TOKEN');
+            } finally {
+                backend.close();
+            }
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,167 @@
+const { pdfDocument, resolveLayout, LayoutError } = require('../pdf-layout');
+const { signedAgreement } = require('../agreement-export');
+const { generateSigningKey, signAgreement, formatFingerprint } = require('../agreement-signing');
+const { getTemplate } = require('../agreement-templates');
+
+const assets = { watermarkDataUrl: 'data:image/png;base64,V0FURVI=', logoDataUrl: 'data:image/png;base64,TE9HTw==' };
+const request = {
+  agreement: {
+    title: 'Kitchen Duties',
+    clauses: [{ title: 'Dishes', text: 'Alice washes up on weekdays.' }],
+    principles: [],
+    summary: 'Alice washes up.\nBob cooks.'
+  },
+  topic: 'Kitchen',
+  parties: ['Alice', 'Bob'],
+  effectiveDate: '2026-01-05'
+};
+
+const render = (layout, extra = {}) => pdfDocument({
+  html: '<p>Terms</p>',
+  title: 'Agreement',
+  topic: 'Kitchen',
+  agreementId: 'abc',
+  layout,
+  assets,
+  issuedAt: new Date('2026-01-05T12:00:00Z'),
+  ...extra
+});
+
+describe('resolveLayout', () => {
+  test('applies the template defaults under the request', () => {
+    expect(resolveLayout(undefined, getTemplate('custom'))).toMatchObject({
+      paperSize: 'Letter',
+      locale: 'en-US',
+      signaturePage: false,
+      appendix: { summary: false, backchannel: false }
+    });
+    expect(resolveLayout({ paperSize: 'a4', appendix: { backchannel: false } }, getTemplate('co_parenting'))).toMatchObject({
+      paperSize: 'A4',
+      signaturePage: true,
+      appendix: { summary: true, backchannel: false }
+    });
+  });
+
+  test('rejects invalid options with specific codes', () => {
+    const codeOf = layout => {
+      try {
+        resolveLayout(layout);
+      } catch (error) {
+        expect(error).toBeInstanceOf(LayoutError);
+        return error.code;
+      }
+      return null;
+    };
+    expect(codeOf({ paperSize: 'A3' })).toBe('INVALID_PAPER_SIZE');
+    expect(codeOf({ locale: 'not a locale!' })).toBe('INVALID_LOCALE');
+    expect(codeOf({ branding: { primaryColor: 'red; background:url(x)' } })).toBe('INVALID_COLOR');
+    expect(codeOf({ branding: { logo: 'https://example.com/logo.png' } })).toBe('INVALID_LOGO');
+    expect(codeOf({ branding: { logo: 'data:image/svg+xml;base64,PHN2Zz4=' } })).toBe('INVALID_LOGO');
+    expect(codeOf({ signaturePage: 'yes' })).toBe('INVALID_LAYOUT');
+    expect(codeOf('A4')).toBe('INVALID_LAYOUT');
+  });
+});
+
+describe('pdfDocument', () => {
+  test('uses the paper size, locale and branding', () => {
+    const layout = resolveLayout({
+      paperSize: 'A4',
+      locale: 'de-DE',
+      branding: {
+        name: 'Acme <Mediation>',
+        logo: 'data:image/png;base64,QUNNRQ==',
+        primaryColor: '#123ABC',
+        footerText: 'Acme Ltd & Partners',
+        watermark: false
+      }
+    });
+    const { html, pdfOptions } = render(layout);
+
+    expect(pdfOptions.format).toBe('A4');
+    expect(html).toContain('@page { size: A4;');
+    expect(html).toContain('Issued 5. Januar 2026');
+    expect(html).toContain('<img class="logo" src="data:image/png;base64,QUNNRQ==" alt="Acme &lt;Mediation&gt;"/>');
+    expect(html).toContain('color: #123abc');
+    expect(html).not.toContain(assets.watermarkDataUrl);
+    expect(pdfOptions.headerTemplate).toContain('Acme &lt;Mediation&gt; • Certified Agreement');
+    expect(pdfOptions.footerTemplate).toContain('Acme Ltd &amp; Partners');
+  });
+
+  test('keeps the Align look by default', () => {
+    const { html, pdfOptions } = render(resolveLayout());
+    expect(pdfOptions.format).toBe('Letter');
+    expect(html).toContain('Issued January 5, 2026');
+    expect(html).toContain(assets.logoDataUrl);
+    expect(html).toContain(assets.watermarkDataUrl);
+    expect(html).not.toContain('<section class="signature-page">');
+    expect(html).not.toContain('<section class="appendix">');
+  });
+
+  test('adds a signature page with lines for parties who have not signed', async () => {
+    const signed = await signedAgreement(request);
+    const hash = signed.contentHash;
+    const key = await generateSigningKey();
+    const signature = await signAgreement({ party: 'Alice', contentHash: hash, key });
+    const withSignature = await signedAgreement({ ...request, signatures: [signature] });
+
+    const { html } = render(resolveLayout({ signaturePage: true, locale: 'en-GB' }), { signed: withSignature });
+
+    expect(html).toContain('Parties and Signatures');
+    expect(html).toContain('Effective 5 January 2026');
+    expect(html).toMatch(/Alice<\/div>\s*<div class="signed">Signed digitally<\/div>/);
+    expect(html).toContain(formatFingerprint(signature.fingerprint));
+    expect(html).toMatch(/Bob<\/div>\s*<div class="sign-line">/);
+    expect(html).not.toContain('<section class="signatures">');
+
+    const unsigned = render(resolveLayout({ signaturePage: true }), { parties: ['Carol', 'Dan'] }).html;
+    expect((unsigned.match(/class="sign-line"/g) || [])).toHaveLength(2);
+  });
+
+  test('appends the summary and the escaped backchannel', async () => {
+    const signed = await signedAgreement(request);
+    const backchannel = [
+      { round: 1, proposals: [{ advocate: 'Alice', proposal: 'I wash <b>up</b>' }], moderation: 'Close.' },
+      { round: 2, proposals: [{ advocate: 'Bob', proposal: 'I cook.' }], moderation: '' }
+    ];
+    const layout = resolveLayout({ appendix: { summary: true, backchannel: true } });
+    const { html } = render(layout, { summary: 'Alice washes up.', backchannel });
+
+    expect(html).toContain('<h2>Appendix</h2>');
+    expect(html).toContain('<div class="plain">Alice washes up.</div>');
+    expect(html).toContain('<h4>Round 1</h4><p><strong>Alice:</strong> I wash &lt;b&gt;up&lt;/b&gt;</p>');
+    expect(html).toContain('<p><strong>Moderator:</strong> Close.</p>');
+    expect(html).toContain('<h4>Round 2</h4>');
+
+    // A signed agreement's hash covers its summary but no backchannel
+    const canonical = render(layout, { signed, backchannel, summary: 'Forged summary' }).html;
+    expect(canonical).toContain('<div class="plain">Alice washes up.\nBob cooks.</div>');
+    expect(canonical).not.toContain('Forged summary');
+    expect(canonical).not.toContain('Round 1');
+
+    expect(render(resolveLayout({ appendix: { summary: true } }), { summary: '' }).html).not.toContain('Appendix');
+  });
+
+  test('writes its headings and labels in the language of the agreement', async () => {
+    const signed = await signedAgreement({
+      ...request,
+      agreement: {
+        ...request.agreement,
+        translations: { de: { title: 'Küchendienst', clauses: [{ title: 'Geschirr', text: 'Alice spült.' }], principles: [], summary: 'Alice spült.' } }
+      }
+    });
+    const layout = resolveLayout({ signaturePage: true, appendix: { summary: true, backchannel: true }, locale: 'de-DE' });
+    const { html, pdfOptions } = render(layout, { signed, language: 'de' });
+
+    expect(html).toContain('<html lang="de-DE">');
+    expect(html).toContain('Ausgestellt am 5. Januar 2026');
+    expect(html).toContain('Parteien und Unterschriften');
+    expect(html).toContain('<h2>Anhang</h2>');
+    expect(html).toContain('<div class="plain">Alice spült.</div>');
+    const backchannel = [{ round: 1, proposals: [], moderation: 'Fast.' }];
+    expect(render(layout, { backchannel, language: 'de' }).html).toContain('<h4>Runde 1</h4>');
+    expect(pdfOptions.headerTemplate).toContain('Zertifizierte Vereinbarung');
+
+    // Without a language the labels stay English whatever the locale
+    expect(render(layout, { signed }).html).toContain('Issued 5. Januar 2026');
+  });
+});
@@ -0,0 +1,156 @@
+const { PdfRenderer, PdfRenderError, rendererOptions } = require('../pdf-renderer');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+// Stand-in for a puppeteer browser: pages render via page.pdf()
+function fakeLauncher() {
+  const browsers = [];
+  const launch = async () => {
+    const listeners = [];
+    const browser = {
+      connected: true,
+      pages: 0,
+      isConnected: () => browser.connected,
+      on: (event, listener) => listeners.push(listener),
+      newPage: async () => {
+        browser.pages++;
+        const page = {
+          javaScript: true,
+          intercepting: false,
+          requestListeners: [],
+          setJavaScriptEnabled: async enabled => { page.javaScript = enabled; },
+          setRequestInterception: async enabled => { page.intercepting = enabled; },
+          on: (event, listener) => page.requestListeners.push(listener),
+          pdf: async () => Buffer.from(`pdf ${browsers.indexOf(browser)}`),
+          close: async () => {}
+        };
+        return page;
+      },
+      close: async () => {
+        browser.connected = false;
+        listeners.forEach(listener => listener());
+      },
+      crash: () => browser.close()
+    };
+    browsers.push(browser);
+    return browser;
+  };
+  return { launch, browsers };
+}
+
+describe('PdfRenderer', () => {
+  test('reuses a warm browser across renders', async () => {
+    const { launch, browsers } = fakeLauncher();
+    const renderer = new PdfRenderer({ launch });
+    await renderer.warm();
+
+    await renderer.render(page => page.pdf());
+    await renderer.render(page => page.pdf());
+
+    expect(browsers).toHaveLength(1);
+    expect(browsers[0].pages).toBe(2);
+    expect(renderer.stats()).toMatchObject({ poolSize: 1, browsers: 1, rendered: 2, queued: 0 });
+    expect(renderer.stats().renderLatency.samples).toBe(2);
+    await renderer.close();
+  });
+
+  test('queues beyond the pool and rejects beyond the queue', async () => {
+    const { launch } = fakeLauncher();
+    const renderer = new PdfRenderer({ launch, poolSize: 1, maxQueue: 1 });
+    let release;
+    const blocked = new Promise(res => { release = res; });
+
+    const first = renderer.render(async page => { await blocked; return page.pdf(); });
+    const second = renderer.render(page => page.pdf());
+    await expect(renderer.render(page => page.pdf())).rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    await delay(5);
+    expect(renderer.stats()).toMatchObject({ busy: 1, queued: 1, rejected: 1 });
+
+    release();
+    await expect(Promise.all([first, second])).resolves.toHaveLength(2);
+    expect(renderer.stats().queued).toBe(0);
+    await renderer.close();
+  });
+
+  test('times out a stuck render and replaces its browser', async () => {
+    const { launch, browsers } = fakeLauncher();
+    const renderer = new PdfRenderer({ launch, timeoutMs: 20 });
+
+    const stuck = renderer.render(() => new Promise(() => {}));
+    await expect(stuck).rejects.toBeInstanceOf(PdfRenderError);
+    await expect(stuck).rejects.toMatchObject({ code: 'TIMEOUT' });
+    expect(browsers[0].connected).toBe(false);
+
+    await expect(renderer.render(page => page.pdf())).resolves.toEqual(Buffer.from('pdf 1'));
+    expect(renderer.stats()).toMatchObject({ timedOut: 1, failed: 1, rendered: 1, crashed: 0 });
+    await renderer.close();
+  });
+
+  test('retries once on a new browser when the browser crashes', async () => {
+    const { launch, browsers } = fakeLauncher();
+    const renderer = new PdfRenderer({ launch });
+    let calls = 0;
+
+    const pdf = await renderer.render(async page => {
+      calls++;
+      if (calls === 1) {
+        await browsers[0].crash();
+        throw new Error('Target closed');
+      }
+      return page.pdf();
+    });
+
+    expect(pdf).toEqual(Buffer.from('pdf 1'));
+    expect(renderer.stats()).toMatchObject({ crashed: 1, rendered: 1, failed: 0 });
+    await renderer.close();
+  });
+
+  test('recycles a browser after its render allowance', async () => {
+    const { launch, browsers } = fakeLauncher();
+    const renderer = new PdfRenderer({ launch, rendersPerBrowser: 2 });
+
+    for (let i = 0; i < 3; i++) await renderer.render(page => page.pdf());
+
+    expect(browsers.map(browser => browser.connected)).toEqual([false, true]);
+    await renderer.close();
+    expect(browsers[1].connected).toBe(false);
+    await expect(renderer.render(page => page.pdf())).rejects.toMatchObject({ code: 'CLOSED' });
+  });
+
+  test('renders without JavaScript and blocks everything but data: URLs', async () => {
+    const { launch } = fakeLauncher();
+    const renderer = new PdfRenderer({ launch });
+    const outcomes = [];
+    const request = url => ({
+      url: () => url,
+      isInterceptResolutionHandled: () => false,
+      continue: () => outcomes.push(['continue', url]),
+      abort: reason => outcomes.push([reason, url])
+    });
+
+    const page = await renderer.render(async rendered => rendered);
+    expect(page).toMatchObject({ javaScript: false, intercepting: true });
+    page.requestListeners.forEach(listener => {
+      listener(request('data:image/png;base64,AAAA'));
+      listener(request('http://169.254.169.254/latest/meta-data/'));
+      listener(request('file:///etc/passwd'));
+    });
+
+    expect(outcomes).toEqual([
+      ['continue', 'data:image/png;base64,AAAA'],
+      ['blockedbyclient', 'http://169.254.169.254/latest/meta-data/'],
+      ['blockedbyclient', 'file:///etc/passwd']
+    ]);
+    expect(renderer.stats().blockedRequests).toBe(2);
+    await renderer.close();
+  });
+
+  test('reads its limits from the environment', () => {
+    expect(rendererOptions({ PDF_POOL_SIZE: '3', PDF_QUEUE_LIMIT: '0', PDF_RENDER_TIMEOUT_MS: 'soon' })).toEqual({
+      poolSize: 3,
+      maxQueue: 0,
+      timeoutMs: 30000,
+      rendersPerBrowser: 100
+    });
+  });
+});
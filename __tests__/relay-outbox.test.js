@@ -0,0 +1,24 @@
+const { RelayOutbox, outboxLimit, DEFAULT_OUTBOX_LIMIT } = require('../relay-outbox');
+
+describe('Relay outbox', () => {
+  test('a cumulative ack clears everything up to the id', () => {
+    const outbox = new RelayOutbox(10);
+    [1, 2, 3].forEach(id => outbox.push({ id }));
+    expect(outbox.ack(2)).toBe(2);
+    expect(outbox.takeReplay()).toEqual({ messages: [{ id: 3 }], dropped: 0 });
+    expect(outbox.ack('not a number')).toBe(0);
+  });
+
+  test('drops the oldest messages beyond the limit and reports them once', () => {
+    const outbox = new RelayOutbox(2);
+    [1, 2, 3, 4].forEach(id => outbox.push({ id }));
+    expect(outbox.takeReplay()).toEqual({ messages: [{ id: 3 }, { id: 4 }], dropped: 2 });
+    expect(outbox.takeReplay().dropped).toBe(0);
+    expect(outbox.size).toBe(2);
+  });
+
+  test('reads the limit from the environment', () => {
+    expect(outboxLimit({ RELAY_OUTBOX_LIMIT: '5' })).toBe(5);
+    expect(outboxLimit({ RELAY_OUTBOX_LIMIT: 'lots' })).toBe(DEFAULT_OUTBOX_LIMIT);
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  getRoundLimits,
+  parseModeratorStatus,
+  proposalSimilarity,
+  decideNextStep
+} = require('../round-control');
+
+const limits = { minRounds: 1, maxRounds: 4, stallSimilarity: 0.9 };
+
+describe('Round control', () => {
+  test('parses the moderator status and unresolved issues', () => {
+    const moderation = 'Key points: ...\n**STATUS:** CONSENSUS\nUNRESOLVED: weekend cover; pets';
+    expect(parseModeratorStatus(moderation)).toEqual({
+      status: 'consensus',
+      unresolvedIssues: ['weekend cover', 'pets']
+    });
+    expect(parseModeratorStatus('STATUS: INSUFFICIENT\nUNRESOLVED: none')).toEqual({
+      status: 'insufficient',
+      unresolvedIssues: []
+    });
+    expect(parseModeratorStatus('no status line').status).toBe('continue');
+  });
+
+  test('measures proposal similarity by shared words', () => {
+    expect(proposalSimilarity('Alice cooks Mondays', 'Alice cooks Mondays')).toBe(1);
+    expect(proposalSimilarity('Alice cooks Mondays', 'Bob cleans weekends')).toBe(0);
+  });
+
+  test('stops on consensus', () => {
+    const rounds = [{ proposals: ['a plan', 'b plan'], status: 'consensus' }];
+    expect(decideNextStep(rounds, limits)).toEqual({ stop: true, reason: 'consensus' });
+    expect(decideNextStep(rounds, { ...limits, minRounds: 2 })).toEqual({ stop: false, reason: null });
+  });
+
+  test('detects deadlock when proposals stop moving', () => {
+    const rounds = [
+      { proposals: ['Alice wants Mondays off', 'Bob wants Fridays off'], status: 'continue' },
+      { proposals: ['Alice wants Mondays off', 'Bob wants Fridays off'], status: 'continue' }
+    ];
+    expect(decideNextStep(rounds, limits)).toEqual({ stop: true, reason: 'deadlock' });
+
+    rounds[1].proposals[1] = 'Bob offers to cover Mondays if Alice takes weekends';
+    expect(decideNextStep(rounds, limits)).toEqual({ stop: false, reason: null });
+  });
+
+  test('stops at the round limit', () => {
+    const rounds = [1, 2, 3, 4].map(n => ({ proposals: [`offer ${n} alpha${n}`, `counter ${n} beta${n}`], status: 'continue' }));
+    expect(decideNextStep(rounds, limits)).toEqual({ stop: true, reason: 'max-rounds' });
+  });
+
+  test('reads limits from the environment', () => {
+    expect(getRoundLimits({ NEGOTIATION_MAX_ROUNDS: '3', NEGOTIATION_MIN_ROUNDS: '7' })).toMatchObject({ maxRounds: 3, minRounds: 3 });
+    expect(getRoundLimits({})).toMatchObject({ maxRounds: 5, minRounds: 1 });
+  });
+});
@@ -0,0 +1,207 @@
+const mockCreate = jest.fn();
+
+jest.mock('openai', () => {
+  return jest.fn().mockImplementation(() => ({
+    chat: { completions: { create: mockCreate } }
+  }));
+});
+
+process.env.OPENAI_API_KEY = 'test';
+
+const http = require('http');
+const request = require('supertest');
+const { app } = require('../ai-negotiation');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+// Stands in for the signaling server, which vouches for seats; every
+// participant token is seat-<userName>
+const seat = userName => `seat-${userName}`;
+const signaling = http.createServer((req, res) => {
+  const [sessionId, userName] = (req.url.match(/^\/api\/sessions\/([^/]+)\/seats\/([^/]+)$/) || []).slice(1).map(decodeURIComponent);
+  const seated = userName && req.headers['x-participant-token'] === seat(userName);
+  res.writeHead(seated ? 200 : 403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(seated ? { sessionId, userName, maxParticipants: 2 } : { error: 'Invalid participant token' }));
+});
+
+beforeAll(done => {
+  signaling.listen(0, () => {
+    process.env.SIGNALING_API_URL = `http://localhost:${signaling.address().port}`;
+    done();
+  });
+});
+afterAll(done => {
+  signaling.close(done);
+});
+
+describe('Sealed private-input submission', () => {
+  const aliceInputs = { objectives: 'alice-objective', mustHaves: 'alice-red-line', constraints: 'alice-constraint' };
+  const bobInputs = { objectives: 'bob-objective', mustHaves: 'bob-red-line', constraints: 'bob-constraint' };
+
+  beforeEach(() => {
+    mockCreate.mockReset();
+    mockCreate.mockResolvedValue({ choices: [{ message: { content: 'ok' } }] });
+  });
+
+  test('rejects incomplete submissions', async () => {
+    const response = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-incomplete', topic: 'Chores', userName: 'Alice', inputs: { objectives: 'x' } })
+      .expect(400);
+
+    expect(response.body.error).toBe('Missing required fields');
+  });
+
+  test('first submission issues a party token and waits for the partner', async () => {
+    const response = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-wait', topic: 'Chores', userName: 'Alice', participantToken: seat('Alice'), inputs: aliceInputs })
+      .expect(200);
+
+    expect(response.body.partyToken).toMatch(/^[a-f0-9]{48}$/);
+    expect(response.body.partiesSubmitted).toBe(1);
+    expect(response.body.negotiationStarted).toBe(false);
+    expect(mockCreate).not.toHaveBeenCalled();
+
+    const status = await request(app).get('/api/sealed-inputs/sealed-wait').expect(200);
+    expect(status.body).toEqual({
+      partiesSubmitted: 1,
+      partiesRequired: 2,
+      submittedBy: ['Alice'],
+      awaitingResubmission: [],
+      negotiationStarted: false
+    });
+    expect(JSON.stringify(status.body)).not.toContain('alice-objective');
+  });
+
+  test('rejects an unknown party token and a mismatched topic', async () => {
+    await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-guard', topic: 'Chores', userName: 'Alice', participantToken: seat('Alice'), inputs: aliceInputs })
+      .expect(200);
+
+    const badToken = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-guard', topic: 'Chores', userName: 'Alice', inputs: aliceInputs, partyToken: 'nope' })
+      .expect(403);
+    expect(badToken.body.error).toBe('Invalid party token');
+
+    const badTopic = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-guard', topic: 'Rent', userName: 'Bob', participantToken: seat('Bob'), inputs: bobInputs })
+      .expect(409);
+    expect(badTopic.body.error).toBe('Topic mismatch');
+  });
+
+  test('only gives a slot to the seat that holds the participant token', async () => {
+    const submit = body => request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-seat', topic: 'Chores', inputs: aliceInputs, ...body });
+
+    expect((await submit({ userName: 'Alice' }).expect(403)).body.error).toBe('Invalid participant token');
+    expect((await submit({ userName: 'Alice', participantToken: seat('Bob') }).expect(403)).body.error)
+      .toBe('Invalid participant token');
+    await request(app).get('/api/sealed-inputs/sealed-seat').expect(404);
+
+    const alice = await submit({ userName: 'Alice', participantToken: seat('Alice') }).expect(200);
+    expect(alice.body.partiesSubmitted).toBe(1);
+  });
+
+  test('never replaces a negotiation started directly for the session', async () => {
+    const started = await request(app)
+      .post('/api/start-negotiation')
+      .send({ sessionId: 'sealed-taken', topic: 'Chores', parties: [{ userName: 'Alice', inputs: aliceInputs }, { userName: 'Bob', inputs: bobInputs }] })
+      .expect(202);
+
+    const sealed = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-taken', topic: 'Chores', userName: 'Alice', participantToken: seat('Alice'), inputs: aliceInputs })
+      .expect(409);
+    expect(sealed.body.error).toBe('Negotiation already started');
+    const status = await request(app).get('/api/negotiation-status/sealed-taken').expect(200);
+    expect(status.body.jobId).toBe(started.body.jobId);
+  });
+
+  test('rejects an unknown template and a mismatched one', async () => {
+    const unknown = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-template', topic: 'Chores', userName: 'Alice', participantToken: seat('Alice'), inputs: aliceInputs, templateId: 'lease' })
+      .expect(400);
+    expect(unknown.body.error).toBe('Unknown template');
+
+    await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-template', topic: 'Chores', userName: 'Alice', participantToken: seat('Alice'), inputs: aliceInputs, templateId: 'household_chores' })
+      .expect(200);
+    const mismatch = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-template', topic: 'Chores', userName: 'Bob', participantToken: seat('Bob'), inputs: bobInputs })
+      .expect(409);
+    expect(mismatch.body.error).toBe('Template mismatch');
+  });
+
+  test('starts the negotiation once both parties have sealed their inputs', async () => {
+    const alice = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-run', topic: 'Chores', userName: 'Alice', participantToken: seat('Alice'), inputs: aliceInputs })
+      .expect(200);
+    const bob = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-run', topic: 'Chores', userName: 'Bob', participantToken: seat('Bob'), inputs: bobInputs })
+      .expect(200);
+
+    expect(bob.body.negotiationStarted).toBe(true);
+    await delay(50);
+
+    // Each advocate only ever sees its own party's inputs
+    const advocatePrompts = mockCreate.mock.calls
+      .map(([call]) => call.messages[0].content)
+      .filter(prompt => prompt.includes('AI advocate'));
+    expect(advocatePrompts.some(p => p.includes('alice-objective') && !p.includes('bob-objective'))).toBe(true);
+    expect(advocatePrompts.some(p => p.includes('bob-objective') && !p.includes('alice-objective'))).toBe(true);
+
+    await request(app).get('/api/negotiation-result/sealed-run').expect(403);
+    const result = await request(app)
+      .get('/api/negotiation-result/sealed-run')
+      .set('X-Party-Token', alice.body.partyToken)
+      .expect(200);
+    // The mocked model repeats itself, so the proposals stall after two rounds
+    expect(result.body.result.rounds).toBe(2);
+    expect(result.body.result.outcome).toBe('deadlock');
+
+    const late = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-run', topic: 'Chores', userName: 'Bob', inputs: bobInputs, partyToken: bob.body.partyToken })
+      .expect(409);
+    expect(late.body.error).toBe('Negotiation already started');
+  });
+
+  test('advocates speak their party\'s language and the agreement languages must match', async () => {
+    const unsupported = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-language', topic: 'Chores', userName: 'Alice', participantToken: seat('Alice'), inputs: aliceInputs, language: 'xx' })
+      .expect(400);
+    expect(unsupported.body.error).toBe('Unsupported language');
+
+    await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-language', topic: 'Chores', userName: 'Alice', participantToken: seat('Alice'), inputs: aliceInputs, language: 'es', languages: ['es', 'de'] })
+      .expect(200);
+    const mismatch = await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-language', topic: 'Chores', userName: 'Bob', participantToken: seat('Bob'), inputs: bobInputs, language: 'de', languages: ['de'] })
+      .expect(409);
+    expect(mismatch.body.error).toBe('Agreement language mismatch');
+
+    await request(app)
+      .post('/api/sealed-inputs')
+      .send({ sessionId: 'sealed-language', topic: 'Chores', userName: 'Bob', participantToken: seat('Bob'), inputs: bobInputs, language: 'de' })
+      .expect(200);
+    await delay(50);
+
+    const prompts = mockCreate.mock.calls.map(([call]) => call.messages[0].content);
+    expect(prompts.some(p => p.includes('alice-objective') && p.includes('Write everything you say in Spanish'))).toBe(true);
+    expect(prompts.some(p => p.includes('bob-objective') && p.includes('Write everything you say in German'))).toBe(true);
+    expect(prompts.some(p => p.includes('Alice writes in Spanish, Bob writes in German'))).toBe(true);
+  });
+});
@@ -0,0 +1,106 @@
+const { SessionLifecycle, LifecycleError } = require('../session-lifecycle');
+
+const seats = (lifecycle, participants, maxParticipants = 2) =>
+  lifecycle.apply('seat', { participants, maxParticipants });
+
+describe('Session lifecycle', () => {
+  test('walks a two-party session from creation to certification', () => {
+    const lifecycle = new SessionLifecycle();
+    const participants = ['Alice', 'Bob'];
+    const context = userName => ({ userName, participants });
+
+    seats(lifecycle, ['Alice']);
+    expect(lifecycle.phase).toBe('awaiting_participants');
+    seats(lifecycle, participants);
+    expect(lifecycle.phase).toBe('topic_proposed');
+
+    lifecycle.apply('agree_topic', { ...context('Alice'), topicVersion: 1 });
+    expect(lifecycle.phase).toBe('topic_proposed');
+    lifecycle.apply('agree_topic', { ...context('Bob'), topicVersion: 1 });
+    expect(lifecycle.phase).toBe('topic_agreed');
+
+    lifecycle.apply('start_inputs', context('Alice'));
+    lifecycle.apply('submit_inputs', context('Alice'));
+    expect(lifecycle.phase).toBe('collecting_inputs');
+    lifecycle.apply('submit_inputs', context('Bob'));
+    expect(lifecycle.phase).toBe('negotiating');
+
+    participants.forEach(name => lifecycle.apply('finish_negotiation', { ...context(name), outcome: 'agreement' }));
+    expect(lifecycle.phase).toBe('review');
+    lifecycle.apply('start_renegotiation');
+    participants.forEach(name => lifecycle.apply('finish_negotiation', { ...context(name), outcome: 'agreement' }));
+    participants.forEach(name => lifecycle.apply('certify', context(name)));
+    expect(lifecycle.describe()).toMatchObject({ phase: 'completed', outcome: 'certified', submittedBy: participants, certifiedBy: participants });
+  });
+
+  test('rejects events the current phase does not accept', () => {
+    const lifecycle = new SessionLifecycle();
+    seats(lifecycle, ['Alice', 'Bob']);
+    expect(() => lifecycle.apply('submit_inputs', { userName: 'Alice' })).toThrow(LifecycleError);
+    expect(() => lifecycle.apply('certify')).toThrow(expect.objectContaining({ code: 'INVALID_TRANSITION' }));
+
+    lifecycle.apply('expire');
+    expect(lifecycle.phase).toBe('expired');
+    expect(() => lifecycle.apply('propose_topic')).toThrow(expect.objectContaining({ code: 'INVALID_TRANSITION' }));
+  });
+
+  test('a new topic clears earlier agreement and outdates it', () => {
+    const lifecycle = new SessionLifecycle();
+    const participants = ['Alice', 'Bob'];
+    seats(lifecycle, participants);
+    lifecycle.apply('agree_topic', { userName: 'Alice', participants, topicVersion: 1 });
+    lifecycle.apply('propose_topic');
+
+    expect(lifecycle.topicVersion).toBe(2);
+    expect(lifecycle.topicAgreedBy).toEqual([]);
+    expect(() => lifecycle.apply('agree_topic', { userName: 'Bob', participants, topicVersion: 1 }))
+      .toThrow(expect.objectContaining({ code: 'STALE_TOPIC' }));
+  });
+
+  test('repeated events change nothing and a deadlock completes the session', () => {
+    const lifecycle = new SessionLifecycle({ phase: 'topic_agreed' });
+    expect(lifecycle.apply('start_inputs')).toBe(true);
+    expect(lifecycle.apply('start_inputs')).toBe(false);
+
+    const participants = ['Alice', 'Bob'];
+    const negotiating = new SessionLifecycle({ phase: 'negotiating' });
+    participants.forEach(userName => negotiating.apply('finish_negotiation', { userName, participants, outcome: 'deadlock' }));
+    expect(negotiating.describe()).toMatchObject({ phase: 'completed', outcome: 'deadlock' });
+    expect(negotiating.apply('finish_negotiation', { userName: 'Alice', participants, outcome: 'agreement' })).toBe(false);
+    negotiating.apply('expire');
+    expect(negotiating.phase).toBe('expired');
+  });
+
+  test('no single participant finishes or certifies the session', () => {
+    const participants = ['Alice', 'Bob'];
+    const lifecycle = new SessionLifecycle({ phase: 'negotiating' });
+
+    lifecycle.apply('finish_negotiation', { userName: 'Alice', participants, outcome: 'deadlock' });
+    expect(lifecycle.describe()).toMatchObject({ phase: 'negotiating', finishedBy: ['Alice'], outcome: null });
+    // One claimed deadlock is not enough to skip the review
+    lifecycle.apply('finish_negotiation', { userName: 'Bob', participants, outcome: 'agreement' });
+    expect(lifecycle.phase).toBe('review');
+
+    lifecycle.apply('certify', { userName: 'Bob', participants });
+    lifecycle.apply('certify', { userName: 'Bob', participants });
+    expect(lifecycle.describe()).toMatchObject({ phase: 'review', certifiedBy: ['Bob'] });
+    lifecycle.apply('start_renegotiation');
+    expect(lifecycle.describe()).toMatchObject({ phase: 'negotiating', finishedBy: [], certifiedBy: [] });
+  });
+
+  test('agreement given while seats were open counts once everyone is seated', () => {
+    const lifecycle = new SessionLifecycle();
+    seats(lifecycle, ['Alice', 'Bob'], 3);
+    lifecycle.apply('agree_topic', { userName: 'Alice', participants: ['Alice', 'Bob'] });
+    lifecycle.apply('agree_topic', { userName: 'Bob', participants: ['Alice', 'Bob'] });
+    expect(lifecycle.phase).toBe('awaiting_participants');
+
+    seats(lifecycle, ['Alice', 'Bob', 'Carol'], 3);
+    expect(lifecycle.phase).toBe('topic_proposed');
+    lifecycle.apply('agree_topic', { userName: 'Carol', participants: ['Alice', 'Bob', 'Carol'] });
+    expect(lifecycle.phase).toBe('topic_agreed');
+
+    const restored = SessionLifecycle.fromJSON(JSON.parse(JSON.stringify(lifecycle)));
+    expect(restored.describe()).toEqual(lifecycle.describe());
+  });
+});
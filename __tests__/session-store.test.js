@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const {
+  MemoryStore,
+  FileStore,
+  RedisStore,
+  ExpiringMap,
+  namespaced,
+  createStore,
+  createInputPolicy
+} = require('../session-store');
+
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+// Tiny Redis-protocol server covering the commands RedisStore sends
+function startFakeRedis() {
+  const data = new Map();
+  const commands = [];
+  const reply = value => {
+    if (value === null) return '$-1\r\n';
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(reply).join('')}`;
+    return `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`;
+  };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      for (;;) {
+        const match = buffer.match(/^\*(\d+)\r\n/);
+        if (!match) return;
+        let offset = match[0].length;
+        const args = [];
+        for (let i = 0; i < Number(match[1]); i++) {
+          const header = buffer.slice(offset).match(/^\$(\d+)\r\n/);
+          if (!header || buffer.length < offset + header[0].length + Number(header[1]) + 2) return;
+          offset += header[0].length;
+          args.push(buffer.slice(offset, offset + Number(header[1])));
+          offset += Number(header[1]) + 2;
+        }
+        buffer = buffer.slice(offset);
+        commands.push(args);
+        const [name, key, value] = args;
+        switch (name) {
+          case 'SET': data.set(key, value); socket.write('+OK\r\n'); break;
+          case 'GET': socket.write(reply(data.has(key) ? data.get(key) : null)); break;
+          case 'DEL': socket.write(`:${data.delete(key) ? 1 : 0}\r\n`); break;
+          case 'SCAN': {
+            const prefix = args[3].slice(0, -1);
+            socket.write(reply(['0', [...data.keys()].filter(k => k.startsWith(prefix))]));
+            break;
+          }
+          case 'QUIT': socket.end('+OK\r\n'); break;
+          default: socket.write(`-ERR unknown command '${name}'\r\n`);
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, () => resolve({ server, data, commands, port: server.address().port })));
+}
+
+describe('Session stores', () => {
+  test('memory store expires entries after their TTL', async () => {
+    const store = new MemoryStore();
+    await store.set('a', { n: 1 }, { ttlMs: 20 });
+    await store.set('b', { n: 2 });
+    expect(await store.get('a')).toEqual({ n: 1 });
+    await delay(30);
+    expect(await store.get('a')).toBeNull();
+    expect(await store.keys()).toEqual(['b']);
+  });
+
+  test('memory store sweeps out expired entries nobody reads again', async () => {
+    const store = new MemoryStore({ sweepMs: 10 });
+    await store.set('a', { n: 1 }, { ttlMs: 5 });
+    await store.set('b', { n: 2 });
+    await delay(40);
+    expect([...store.entries.keys()]).toEqual(['b']);
+    await store.close();
+  });
+
+  test('file store writes a burst of sets once', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'align-store-'));
+    const store = new FileStore({ dir, name: 'burst', flushMs: 20 });
+    const writes = jest.spyOn(fs.promises, 'writeFile');
+    try {
+      await Promise.all(Array.from({ length: 20 }, (_, i) => store.set(`k${i}`, { i })));
+      expect(writes).toHaveBeenCalledTimes(1);
+      await store.set('late', { i: 20 });
+      expect(writes).toHaveBeenCalledTimes(2);
+    } finally {
+      writes.mockRestore();
+    }
+    await store.close();
+
+    const reopened = new FileStore({ dir, name: 'burst' });
+    expect(await reopened.keys()).toHaveLength(21);
+    await reopened.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('file store survives a new instance and drops expired entries', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'align-store-'));
+    const first = new FileStore({ dir, name: 'test' });
+    await first.set('kept', { topic: 'Dishes' });
+    await first.set('short', { topic: 'Laundry' }, { ttlMs: 10 });
+    await first.close();
+
+    await delay(20);
+    const second = new FileStore({ dir, name: 'test' });
+    expect(await second.get('kept')).toEqual({ topic: 'Dishes' });
+    expect(await second.get('short')).toBeNull();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('redis store speaks the Redis protocol', async () => {
+    const fake = await startFakeRedis();
+    const store = namespaced(new RedisStore({ url: `redis://localhost:${fake.port}` }), 'align:');
+
+    await store.set('s1', { topic: 'Dishes' }, { ttlMs: 1000 });
+    expect(fake.commands[0]).toEqual(['SET', 'align:s1', '{"topic":"Dishes"}', 'PX', '1000']);
+    expect(await store.get('s1')).toEqual({ topic: 'Dishes' });
+    expect(await store.get('missing')).toBeNull();
+    expect(await store.keys()).toEqual(['s1']);
+    await store.delete('s1');
+    expect(fake.data.size).toBe(0);
+
+    await store.close();
+    fake.server.close();
+  });
+
+  test('createStore picks the backend from the environment', () => {
+    expect(createStore({}).kind).toBe('memory');
+    expect(createStore({ SESSION_STORE: 'redis', REDIS_URL: 'redis://localhost:6379' }).kind).toBe('redis');
+    expect(() => createStore({ SESSION_STORE: 'redis' })).toThrow('REDIS_URL is required');
+    expect(() => createStore({ SESSION_STORE: 'floppy' })).toThrow('Unknown SESSION_STORE');
+  });
+
+  test('expiring map drops entries and reports them', async () => {
+    const expired = [];
+    const map = new ExpiringMap(20, { onExpire: key => expired.push(key) });
+    map.set('a', 1);
+    expect(map.get('a')).toBe(1);
+    await delay(50);
+    expect(map.has('a')).toBe(false);
+    expect(expired).toEqual(['a']);
+  });
+
+  test('private input policy excludes or encrypts inputs', () => {
+    const inputs = { objectives: 'quiet evenings', mustHaves: 'no Mondays', constraints: 'night shifts' };
+    expect(createInputPolicy({}).protect(inputs)).toBeNull();
+
+    const policy = createInputPolicy({ PRIVATE_INPUT_POLICY: 'encrypt', STORE_ENCRYPTION_KEY: 'secret' });
+    const sealed = policy.protect(inputs);
+    expect(JSON.stringify(sealed)).not.toContain('quiet evenings');
+    expect(policy.restore(sealed)).toEqual(inputs);
+
+    const otherKey = createInputPolicy({ PRIVATE_INPUT_POLICY: 'encrypt', STORE_ENCRYPTION_KEY: 'other' });
+    expect(otherKey.restore(sealed)).toBeNull();
+    expect(() => createInputPolicy({ PRIVATE_INPUT_POLICY: 'encrypt' })).toThrow('STORE_ENCRYPTION_KEY is required');
+  });
+});
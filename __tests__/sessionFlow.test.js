@@ -49,8 +49,14 @@ describe('Negotiation session flow', () => {
     expect(messages1.find(m => m.type === 'participant_joined' && m.userName === 'Bob')).toBeDefined();
     expect(messages2.find(m => m.type === 'participant_joined')).toBeDefined();
 
+    // Relayed messages carry the token each participant was issued
+    const aliceToken = messages1.find(m => m.type === 'session_created').participantToken;
+    const bobToken = messages2.find(m => m.type === 'participant_joined').participantToken;
+    expect(aliceToken).not.toBe(bobToken);
+
     ws1.send(JSON.stringify({
       type: 'relay_message',
+      participantToken: aliceToken,
       messageType: 'topicModified',
       content: {
         type: 'topicModified',
@@ -63,35 +69,65 @@ describe('Negotiation session flow', () => {
 
     ws2.send(JSON.stringify({
       type: 'relay_message',
+      participantToken: bobToken,
       messageType: 'topicAgreed',
       content: { type: 'topicAgreed', userName: 'Bob' }
     }));
     await delay(100);
     expect(messages1.find(m => m.messageType === 'topicAgreed')).toBeDefined();
 
+    // Inputs cannot be sealed before everyone agreed to the topic
     ws1.send(JSON.stringify({
       type: 'relay_message',
-      messageType: 'userInputsSubmitted',
-      content: {
-        type: 'userInputsSubmitted',
-        userName: 'Alice',
-        inputs: { objectives: 'o1', mustHaves: 'm1', constraints: 'c1' }
-      }
+      participantToken: aliceToken,
+      messageType: 'inputsSealed',
+      content: { type: 'inputsSealed', userName: 'Alice' }
     }));
     await delay(100);
-    expect(messages2.find(m => m.messageType === 'userInputsSubmitted' && m.content.userName === 'Alice')).toBeDefined();
+    expect(messages1.find(m => m.type === 'error').code).toBe('INVALID_TRANSITION');
+    expect(messages2.find(m => m.messageType === 'inputsSealed')).toBeUndefined();
+
+    ws1.send(JSON.stringify({
+      type: 'relay_message',
+      participantToken: aliceToken,
+      messageType: 'topicAgreed',
+      content: { type: 'topicAgreed', userName: 'Alice' }
+    }));
+    await delay(100);
+    expect(messages2.filter(m => m.type === 'session_state').pop().phase).toBe('topic_agreed');
+
+    ws1.send(JSON.stringify({
+      type: 'relay_message',
+      participantToken: aliceToken,
+      messageType: 'proceedToInputs',
+      content: { type: 'proceedToInputs' }
+    }));
+    await delay(100);
+    expect(messages2.filter(m => m.type === 'session_state').pop().phase).toBe('collecting_inputs');
+
+    // Inputs are sealed with the AI backend; peers only hear that a party submitted
+    ws1.send(JSON.stringify({
+      type: 'relay_message',
+      participantToken: aliceToken,
+      messageType: 'inputsSealed',
+      content: { type: 'inputsSealed', userName: 'Alice' }
+    }));
+    await delay(100);
+    const aliceSealed = messages2.find(m => m.messageType === 'inputsSealed' && m.content.userName === 'Alice');
+    expect(aliceSealed).toBeDefined();
+    expect(aliceSealed.content.inputs).toBeUndefined();
 
     ws2.send(JSON.stringify({
       type: 'relay_message',
-      messageType: 'userInputsSubmitted',
-      content: {
-        type: 'userInputsSubmitted',
-        userName: 'Bob',
-        inputs: { objectives: 'o2', mustHaves: 'm2', constraints: 'c2' }
-      }
+      participantToken: bobToken,
+      messageType: 'inputsSealed',
+      content: { type: 'inputsSealed', userName: 'Bob' }
     }));
     await delay(100);
-    expect(messages1.find(m => m.messageType === 'userInputsSubmitted' && m.content.userName === 'Bob')).toBeDefined();
+    expect(messages1.find(m => m.messageType === 'inputsSealed' && m.content.userName === 'Bob')).toBeDefined();
+    const state = messages1.filter(m => m.type === 'session_state').pop();
+    expect(state.phase).toBe('negotiating');
+    expect(state.submittedBy).toEqual(['Alice', 'Bob']);
 
     ws1.close();
     ws2.close();
@@ -0,0 +1,403 @@
+// Agreement calendar: the commitments in an agreement as an ICS file
+// Each clause sentence is mined for a date ("tonight", "after one week",
+// "on March 5"), a recurrence ("nightly", "every other Saturday"), a time of
+// day and whether it is a check-in, all resolved against the agreement's
+// effective date. A commitment that names one party happens in that party's
+// time zone; shared ones use the calendar's zone. Rotations between parties
+// ("alternate nightly") become one recurring event per party.
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+const NUMBER = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH = `(${MONTHS.join('|')}|${MONTHS.map(month => month.slice(0, 3)).join('|')}|sept)\\.?`;
+
+// Times implied by words, when no clock time is given
+const TIMES_OF_DAY = [
+    [/\bmornings?\b/i, '08:00'],
+    [/\b(noon|midday|lunch ?time)\b/i, '12:00'],
+    [/\bafternoons?\b/i, '15:00'],
+    [/\bevenings?\b/i, '19:00'],
+    [/\b(tonight|nights?|nightly|bed ?time|before bed)\b/i, '21:00']
+];
+const CHECK_IN = /\b(check[- ]?ins?|review|revisit|reassess|re-?evaluate|follow[- ]up|catch[- ]up)\b/i;
+const ROTATION = /\b(alternat\w*|rotat\w*|take turns|taking turns|in turns)\b/i;
+const EVERYONE = /\b(both|each of (us|you|them)|everyone|all parties|the (two|three|four|five|six) parties|together)\b/i;
+// Conditions ("If either person raises concerns, ...") are not commitments
+const CONDITIONAL = /^(if|unless|should|in case)\b/i;
+
+const EVENT_DURATION = 'PT30M';
+const REMINDERS = {
+    timed: { obligation: '-PT30M', check_in: '-P1D' },
+    // Relative to midnight: 9am on the day, or 9am the day before a check-in
+    allDay: { obligation: 'PT9H', check_in: '-PT15H' }
+};
+// Years of time zone rules written into each VTIMEZONE
+const ZONE_YEARS = 3;
+const DAY_MS = 86400000;
+
+function isTimeZone(zone) {
+    if (typeof zone !== 'string' || !zone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Dates are YYYY-MM-DD strings in the relevant party's calendar
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function addMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const last = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1 + months, Math.min(day, last))).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// First date on or after `date` (strictly after when `after`) falling on `weekday`
+function nextWeekday(date, weekday, after = false) {
+    const ahead = (weekday - weekdayOf(date) + 7) % 7;
+    return addDays(date, ahead === 0 && after ? 7 : ahead);
+}
+
+function parseNumber(word) {
+    return NUMBER_WORDS[word.toLowerCase()] || parseInt(word, 10);
+}
+
+function monthIndex(name) {
+    return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().replace('.', '').slice(0, 3)));
+}
+
+// Month and day in the effective date's year, or the next one if already past
+function calendarDate(effective, month, day) {
+    let year = Number(effective.slice(0, 4));
+    const build = () => new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+    if (day < 1 || day > new Date(Date.UTC(year, month + 1, 0)).getUTCDate()) return null;
+    if (build() < effective) year += 1;
+    return build();
+}
+
+function findDate(text, effective) {
+    let match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (match && !Number.isNaN(Date.parse(match[0]))) return match[0];
+    match = text.match(new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'));
+    if (match) return calendarDate(effective, monthIndex(match[1]), Number(match[2]));
+    match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?![a-z])`, 'i'));
+    if (match) return calendarDate(effective, monthIndex(match[2]), Number(match[1]));
+    if (/\bday after tomorrow\b/i.test(text)) return addDays(effective, 2);
+    if (/\btomorrow\b/i.test(text)) return addDays(effective, 1);
+    if (/\b(today|tonight|this (morning|afternoon|evening))\b/i.test(text)) return effective;
+    match = text.match(new RegExp(`\\b(?:after|in|within)\\s+${NUMBER}\\s+(day|week|month)s?\\b`, 'i'));
+    if (match) {
+        const amount = parseNumber(match[1]);
+        const unit = match[2].toLowerCase();
+        return unit === 'month' ? addMonths(effective, amount) : addDays(effective, amount * (unit === 'week' ? 7 : 1));
+    }
+    match = text.match(new RegExp(`\\b(next\\s+)?${WEEKDAY}\\b`, 'i'));
+    if (match) return nextWeekday(effective, WEEKDAYS.indexOf(match[2].toLowerCase()), Boolean(match[1]));
+    return null;
+}
+
+// HH:MM, from a clock time or a word like "evening"
+function findTime(text) {
+    let match = text.match(/\b(\d{1,2})(?::([0-5]\d))?\s*([ap])\.?m\b\.?/i);
+    if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+        const hour = Number(match[1]) % 12 + (match[3].toLowerCase() === 'p' ? 12 : 0);
+        return `${String(hour).padStart(2, '0')}:${match[2] || '00'}`;
+    }
+    match = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+    if (match) return `${match[1].padStart(2, '0')}:${match[2]}`;
+    const word = TIMES_OF_DAY.find(([pattern]) => pattern.test(text));
+    return word ? word[1] : null;
+}
+
+// { freq, interval, byDay } for RRULE, or null for a one-off
+function findRecurrence(text) {
+    const lower = text.toLowerCase();
+    const days = WEEKDAYS.map((day, index) => (new RegExp(`\\b${day}s?\\b`).test(lower) ? WEEKDAY_CODES[index] : null)).filter(Boolean);
+    let match = lower.match(new RegExp(`\\bevery\\s+${NUMBER}\\s+(day|night|week|month)s\\b`));
+    if (match) {
+        const freq = { day: 'DAILY', night: 'DAILY', week: 'WEEKLY', month: 'MONTHLY' }[match[2]];
+        return { freq, interval: parseNumber(match[1]), byDay: freq === 'WEEKLY' ? days : [] };
+    }
+    if (/\bevery (other|second) (day|night|evening|morning)\b/.test(lower)) return { freq: 'DAILY', interval: 2, byDay: [] };
+    if (/\b(every|each) weekday\b|\b(on )?weekdays\b/.test(lower)) {
+        return { freq: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+    }
+    match = lower.match(/\b(every|each) (other |second )?weekend\b|\bweekends\b/);
+    if (match) return { freq: 'WEEKLY', interval: match[2] ? 2 : 1, byDay: ['SA', 'SU'] };
+    if (/\bevery (other|second) (week|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b|\bfortnightly\b|\bbi-?weekly\b/.test(lower)) {
+        return { freq: 'WEEKLY', interval: 2, byDay: days };
+    }
+    if (new RegExp(`\\b(every|each) ${WEEKDAY}\\b|\\b${WEEKDAY}s\\b|\\b${WEEKDAY} (nights|mornings|evenings|afternoons)\\b`).test(lower)) {
+        return { freq: 'WEEKLY', interval: 1, byDay: days };
+    }
+    if (/\b(every|each) (day|night|evening|morning)\b|\b(daily|nightly)\b|\bper day\b/.test(lower)) return { freq: 'DAILY', interval: 1, byDay: [] };
+    if (/\b(every|each) week\b|\bweekly\b|\bonce a week\b|\bper week\b/.test(lower)) return { freq: 'WEEKLY', interval: 1, byDay: days };
+    if (/\b(every|each) month\b|\bmonthly\b|\bonce a month\b|\bper month\b/.test(lower)) return { freq: 'MONTHLY', interval: 1, byDay: [] };
+    return null;
+}
+
+// "The two parties alternate nights" has no recurrence word of its own
+function rotationRecurrence(text) {
+    if (/\b(nights?|days?|evenings?|mornings?)\b/i.test(text)) return { freq: 'DAILY', interval: 1, byDay: [] };
+    if (/\b(weeks?|weekends?)\b/i.test(text)) return { freq: 'WEEKLY', interval: 1, byDay: [] };
+    return null;
+}
+
+function advance(date, recurrence, steps) {
+    if (recurrence.freq === 'MONTHLY') return addMonths(date, steps * recurrence.interval);
+    return addDays(date, steps * recurrence.interval * (recurrence.freq === 'WEEKLY' ? 7 : 1));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function namedParties(text, parties) {
+    return parties.filter(name => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, 'iu').test(text));
+}
+
+function sentences(text) {
+    return text.split(/\n+|(?<=[.!?])\s+/)
+        .map(sentence => sentence.replace(/^\s*[-*•]\s*/, '').trim())
+        .filter(Boolean);
+}
+
+// Events in agreement order:
+// { clause, kind, summary, text, owners, date, time, timeZone, recurrence }
+// `timeZones` maps party names to IANA zones; `timeZone` is the calendar's
+// own zone (default: the first party's, else UTC)
+function extractSchedule(canonical, { timeZones = {}, timeZone } = {}) {
+    const effective = canonical.effectiveDate;
+    const parties = canonical.parties;
+    const sharedZone = timeZone || timeZones[parties[0]] || 'UTC';
+    const events = [];
+    const seen = new Set();
+    // Rotations continue after the last dated one-off task ("tonight Alice,
+    // tomorrow Bob, then alternate")
+    let lastTask = null;
+
+    const add = event => {
+        const key = JSON.stringify([event.kind, event.owners, event.date, event.time, event.recurrence]);
+        if (seen.has(key)) return;
+        seen.add(key);
+        events.push({ ...event, timeZone: event.owners.length === 1 ? timeZones[event.owners[0]] || sharedZone : sharedZone });
+    };
+
+    canonical.clauses.forEach(clause => {
+        sentences(clause.text).forEach(text => {
+            if (CONDITIONAL.test(text)) return;
+            const rotates = ROTATION.test(text);
+            const recurrence = findRecurrence(text) || (rotates ? rotationRecurrence(text) : null);
+            const date = findDate(text, effective);
+            if (!date && !recurrence) return;
+
+            const kind = CHECK_IN.test(text) || clause.section === 'check_ins' ? 'check_in' : 'obligation';
+            let owners = namedParties(text, parties);
+            if (!owners.length && (EVERYONE.test(text) || rotates)) owners = [...parties];
+            const base = {
+                clause: clause.number,
+                kind,
+                summary: clause.title || `Clause ${clause.number}`,
+                text,
+                time: findTime(text)
+            };
+
+            if (!recurrence) {
+                add({ ...base, owners, date, recurrence: null });
+                if (kind === 'obligation' && date >= (lastTask ? lastTask.date : effective)) lastTask = { date, owners };
+                return;
+            }
+
+            let start = date || effective;
+            if (recurrence.byDay.length) {
+                // DTSTART has to be one of the recurring days
+                start = recurrence.byDay
+                    .map(code => nextWeekday(start, WEEKDAY_CODES.indexOf(code)))
+                    .sort()[0];
+            }
+            if (!rotates || owners.length < 2 || recurrence.byDay.length) {
+                add({ ...base, owners, date: start, recurrence });
+                return;
+            }
+
+            // One event per party, each repeating every <parties> periods
+            let order = owners;
+            if (!date && lastTask) {
+                start = addDays(lastTask.date, 1);
+                const last = owners.indexOf(lastTask.owners.length === 1 ? lastTask.owners[0] : null);
+                if (last >= 0) order = [...owners.slice(last + 1), ...owners.slice(0, last + 1)];
+            }
+            order.forEach((owner, index) => add({
+                ...base,
+                summary: `${base.summary} (${owner})`,
+                owners: [owner],
+                date: advance(start, recurrence, index),
+                recurrence: { ...recurrence, interval: recurrence.interval * order.length }
+            }));
+        });
+    });
+    return events;
+}
+
+const offsetFormats = new Map();
+
+function utcOffsetMinutes(zone, ms) {
+    if (!offsetFormats.has(zone)) {
+        offsetFormats.set(zone, new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'longOffset' }));
+    }
+    const name = offsetFormats.get(zone).formatToParts(new Date(ms)).find(part => part.type === 'timeZoneName').value;
+    const match = name.match(/([+-])(\d{2}):?(\d{2})?/);
+    return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3] || 0)) : 0;
+}
+
+// Offset changes in [from, to), found day by day and then to the minute
+function offsetChanges(zone, from, to) {
+    const changes = [];
+    let previous = utcOffsetMinutes(zone, from);
+    for (let day = from + DAY_MS; day < to; day += DAY_MS) {
+        const current = utcOffsetMinutes(zone, day);
+        if (current === previous) continue;
+        let low = (day - DAY_MS) / 60000;
+        let high = day / 60000;
+        while (high - low > 1) {
+            const middle = Math.floor((low + high) / 2);
+            if (utcOffsetMinutes(zone, middle * 60000) === previous) low = middle;
+            else high = middle;
+        }
+        changes.push({ at: high * 60000, from: previous, to: current });
+        previous = current;
+    }
+    return changes;
+}
+
+function icsOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+function icsStamp(ms) {
+    return new Date(ms).toISOString().slice(0, 19).replace(/[-:]/g, '');
+}
+
+// The zone's observances from January 1 of `year`, for ZONE_YEARS years;
+// offsets with the smallest UTC offset are standard time
+function vtimezone(zone, year) {
+    const from = Date.UTC(year, 0, 1);
+    const initial = utcOffsetMinutes(zone, from);
+    // The first observance starts at local midnight on January 1
+    const observances = [
+        { at: from - initial * 60000, from: initial, to: initial },
+        ...offsetChanges(zone, from, Date.UTC(year + ZONE_YEARS, 0, 1))
+    ];
+    const standard = Math.min(...observances.map(observance => observance.to));
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+    observances.forEach(observance => {
+        const type = observance.to > standard ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(
+            `BEGIN:${type}`,
+            `DTSTART:${icsStamp(observance.at + observance.from * 60000)}`,
+            `TZOFFSETFROM:${icsOffset(observance.from)}`,
+            `TZOFFSETTO:${icsOffset(observance.to)}`,
+            `END:${type}`
+        );
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+function icsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets without splitting characters
+function fold(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        if (size + bytes > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function rrule({ freq, interval, byDay }) {
+    return `RRULE:FREQ=${freq}${interval > 1 ? `;INTERVAL=${interval}` : ''}${byDay.length ? `;BYDAY=${byDay.join(',')}` : ''}`;
+}
+
+// The agreement's events as an ICS calendar; `party` keeps only that party's
+// own and shared events. UIDs do not depend on `party`, so both parties'
+// files describe the same events.
+function toIcs(canonical, hash, options = {}) {
+    const events = extractSchedule(canonical, options)
+        .map((event, index) => ({ ...event, uid: `${hash.slice(0, 16)}-${index + 1}@align` }))
+        .filter(event => !options.party || !event.owners.length || event.owners.includes(options.party));
+    const stamp = `${canonical.effectiveDate.replace(/-/g, '')}T000000Z`;
+    const year = Number(canonical.effectiveDate.slice(0, 4));
+    const zones = [...new Set(events.filter(event => event.time).map(event => event.timeZone))].sort();
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Align//Agreement Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(canonical.title)}`
+    ];
+    zones.forEach(zone => lines.push(...vtimezone(zone, year)));
+    events.forEach(event => {
+        const day = event.date.replace(/-/g, '');
+        const description = [
+            event.text,
+            event.owners.length ? `Who: ${event.owners.join(', ')}` : '',
+            `Clause ${event.clause} of "${canonical.title}"`,
+            `Agreement SHA-256: ${hash}`
+        ].filter(Boolean).join('\n');
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+        if (event.time) {
+            lines.push(`DTSTART;TZID=${event.timeZone}:${day}T${event.time.replace(':', '')}00`, `DURATION:${EVENT_DURATION}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${day}`, `DTEND;VALUE=DATE:${addDays(event.date, 1).replace(/-/g, '')}`);
+        }
+        if (event.recurrence) lines.push(rrule(event.recurrence));
+        lines.push(
+            `SUMMARY:${icsText(event.summary)}`,
+            `DESCRIPTION:${icsText(description)}`,
+            `CATEGORIES:${event.kind === 'check_in' ? 'Check-in' : 'Obligation'}`,
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${icsText(event.summary)}`,
+            `TRIGGER:${REMINDERS[event.time ? 'timed' : 'allDay'][event.kind]}`,
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(fold).join('\r\n')}\r\n`;
+}
+
+module.exports = { extractSchedule, toIcs, isTimeZone };
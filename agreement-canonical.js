@@ -0,0 +1,113 @@
+// Canonical form of an agreement, usable in both browser and Node (Jest)
+// Exports, signatures and verification all hash the same normalized fields
+// (title, topic, template, parties, effective date, clauses, principles,
+// summary) serialized with sorted keys, so equal agreements produce
+// byte-identical JSON and the same SHA-256 wherever it is computed. An
+// agreement written in another language than English, or with translations,
+// also carries its language and every translation, so a signature covers
+// each language version.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./agreement-templates'));
+  } else {
+    root.AgreementCanonical = factory(root.AgreementTemplates);
+  }
+})(typeof self !== 'undefined' ? self : this, function (AgreementTemplates) {
+  class CanonicalError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'CanonicalError';
+      this.code = code;
+    }
+  }
+
+  function clean(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/\r\n?/g, '\n').trim();
+  }
+
+  // YYYY-MM-DD; today (UTC) when no date is given
+  function effectiveDate(value) {
+    if (!value) return new Date().toISOString().slice(0, 10);
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new CanonicalError('INVALID_DATE', 'effectiveDate must be a date');
+    return date.toISOString().slice(0, 10);
+  }
+
+  // One translation: a title, the same number of clauses in the same order,
+  // principles and summary
+  function canonicalTranslation(code, translation, count) {
+    const clauses = Array.isArray(translation && translation.clauses) ? translation.clauses : [];
+    if (clauses.length !== count) {
+      throw new CanonicalError('INVALID_TRANSLATION', `The ${code} translation must have ${count} clause${count === 1 ? '' : 's'}, one per clause`);
+    }
+    return {
+      title: clean(translation.title),
+      clauses: clauses.map((clause, index) => ({ number: index + 1, title: clean(clause.title), text: clean(clause.text) })),
+      principles: (Array.isArray(translation.principles) ? translation.principles : [])
+        .map(principle => ({ label: clean(principle.label), text: clean(principle.text) })),
+      summary: clean(translation.summary)
+    };
+  }
+
+  // language and translations; English-only agreements keep their earlier form
+  function languageFields(agreement, count) {
+    const language = clean(agreement.language).toLowerCase() || 'en';
+    const translations = Object.entries(agreement.translations && typeof agreement.translations === 'object' ? agreement.translations : {})
+      .filter(([code]) => clean(code).toLowerCase() !== language);
+    if (language === 'en' && !translations.length) return {};
+    return {
+      language,
+      ...(translations.length ? {
+        translations: translations.reduce((all, [code, translation]) => {
+          const key = clean(code).toLowerCase();
+          return { ...all, [key]: canonicalTranslation(key, translation, count) };
+        }, {})
+      } : {})
+    };
+  }
+
+  function canonicalAgreement({ agreement, topic, parties, effectiveDate: date, templateId } = {}) {
+    const clauses = Array.isArray(agreement && agreement.clauses) ? agreement.clauses : [];
+    if (!clauses.length) {
+      throw new CanonicalError('INVALID_AGREEMENT', 'An agreement with at least one clause is required');
+    }
+    const template = AgreementTemplates.getTemplate(templateId) || AgreementTemplates.getTemplate();
+    const names = Array.isArray(parties) && parties.length
+      ? parties
+      : (agreement.analytics && agreement.analytics.participants) || [];
+    return {
+      title: clean(agreement.title) || clean(topic) || 'Agreement',
+      topic: clean(topic),
+      template: template.id,
+      parties: names.map(clean).filter(Boolean),
+      effectiveDate: effectiveDate(date),
+      clauses: clauses.map((clause, index) => ({
+        number: index + 1,
+        ...(clause.section ? { section: clean(clause.section) } : {}),
+        title: clean(clause.title),
+        text: clean(clause.text)
+      })),
+      principles: (Array.isArray(agreement.principles) ? agreement.principles : [])
+        .map(principle => ({ label: clean(principle.label), text: clean(principle.text) })),
+      summary: clean(agreement.summary),
+      ...languageFields(agreement, clauses.length)
+    };
+  }
+
+  // JSON with sorted keys and no insignificant whitespace
+  function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // Hex SHA-256 of the canonical JSON, with Web Crypto
+  async function hashAgreement(canonical, crypto = globalThis.crypto) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalJson(canonical)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  return { CanonicalError, canonicalAgreement, canonicalJson, hashAgreement };
+});
@@ -0,0 +1,354 @@
+// Agreement export: Markdown, DOCX, plain text, canonical JSON and ICS
+// Every format is rendered from one canonical form of the agreement
+// (agreement-canonical.js: title, parties, effective date, clauses,
+// principles, summary). The content hash is
+// the SHA-256 of that canonical JSON, so it is the same whichever format is
+// downloaded, and the JSON export hashes to exactly that value. The ICS
+// calendar (agreement-calendar.js) also needs the parties' time zones, which
+// are not part of the agreement and so not part of the hash. Signatures
+// (agreement-signing.js) are checked against the hash and shown in a
+// signature block; the JSON export carries them under `signatures`, which is
+// left out when hashing.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { getTemplate, layoutAgreement } = require('./agreement-templates');
+const { CanonicalError, canonicalAgreement: canonicalForm, canonicalJson } = require('./agreement-canonical');
+const { extractSchedule, toIcs, isTimeZone } = require('./agreement-calendar');
+const { verifySignature, signatureRecord, formatFingerprint } = require('./agreement-signing');
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+    docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    text: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    ics: { extension: 'ics', contentType: 'text/calendar; charset=utf-8' }
+};
+
+class ExportError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ExportError';
+        this.code = code;
+    }
+}
+
+// The canonical form's errors as export errors
+function canonicalAgreement(request) {
+    try {
+        return canonicalForm(request);
+    } catch (error) {
+        if (error instanceof CanonicalError) throw new ExportError(error.code, error.message);
+        throw error;
+    }
+}
+
+function contentHash(canonical) {
+    return crypto.createHash('sha256').update(canonicalJson(canonical)).digest('hex');
+}
+
+// Clauses under their template sections; a plain list when there are none
+function clauseGroups(canonical) {
+    const { sections } = layoutAgreement(getTemplate(canonical.template), canonical);
+    return sections.map(section => ({ title: section.title || 'Clauses', clauses: section.clauses }));
+}
+
+// Valid signatures in party order; any signature that does not verify fails
+// the export rather than being silently left out
+async function verifiedSignatures(canonical, hash, signatures) {
+    if (signatures === undefined || signatures === null) return [];
+    if (!Array.isArray(signatures)) throw new ExportError('INVALID_SIGNATURE', 'signatures must be a list');
+    const records = [];
+    for (const record of signatures) {
+        const party = record && record.party;
+        if (!canonical.parties.includes(party) || records.some(item => item.party === party)
+            || !await verifySignature(record, hash, crypto.webcrypto)) {
+            throw new ExportError('INVALID_SIGNATURE', `Signature of ${party || 'an unknown party'} does not match this agreement`);
+        }
+        records.push(signatureRecord(record));
+    }
+    return canonical.parties.map(party => records.find(record => record.party === party)).filter(Boolean);
+}
+
+// One entry per party for the signature block; unsigned parties are listed too
+function signatureBlock(canonical, signatures) {
+    return canonical.parties.map(party => {
+        const record = signatures.find(item => item.party === party);
+        return record
+            ? { party, fingerprint: formatFingerprint(record.fingerprint), publicKey: `x=${record.publicKey.x}, y=${record.publicKey.y}`, signature: record.signature }
+            : { party, fingerprint: null, publicKey: null, signature: null };
+    });
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+function toMarkdown(canonical, hash, signatures = []) {
+    const lines = [`# ${escapeMarkdown(canonical.title)}`, ''];
+    if (canonical.parties.length) lines.push(`**Parties:** ${escapeMarkdown(canonical.parties.join(', '))}  `);
+    lines.push(`**Effective date:** ${canonical.effectiveDate}`, '');
+    clauseGroups(canonical).forEach(group => {
+        lines.push(`## ${escapeMarkdown(group.title)}`, '');
+        group.clauses.forEach(clause => {
+            lines.push(`### ${clause.number}. ${escapeMarkdown(clause.title || `Clause ${clause.number}`)}`, '', escapeMarkdown(clause.text), '');
+        });
+    });
+    if (canonical.principles.length) {
+        lines.push('## Guiding Principles', '');
+        canonical.principles.forEach(principle => lines.push(`- **${escapeMarkdown(principle.label)}:** ${escapeMarkdown(principle.text)}`));
+        lines.push('');
+    }
+    if (canonical.summary) lines.push('## Summary', '', escapeMarkdown(canonical.summary), '');
+    if (signatures.length) {
+        lines.push('## Signatures', '');
+        signatureBlock(canonical, signatures).forEach(entry => {
+            lines.push(entry.signature
+                ? `- **${escapeMarkdown(entry.party)}**: key fingerprint \`${entry.fingerprint}\`, public key (P-256) \`${entry.publicKey}\`, signature \`${entry.signature}\``
+                : `- **${escapeMarkdown(entry.party)}**: not signed`);
+        });
+        lines.push('');
+    }
+    lines.push('---', '', `Content SHA-256: \`${hash}\``, '');
+    return lines.join('\n');
+}
+
+function toText(canonical, hash, signatures = []) {
+    const lines = [canonical.title, '='.repeat(Math.min(canonical.title.length, 72)), ''];
+    if (canonical.parties.length) lines.push(`Parties: ${canonical.parties.join(', ')}`);
+    lines.push(`Effective date: ${canonical.effectiveDate}`, '');
+    clauseGroups(canonical).forEach(group => {
+        lines.push(group.title.toUpperCase(), '');
+        group.clauses.forEach(clause => {
+            lines.push(`${clause.number}. ${clause.title ? `${clause.title}: ` : ''}${clause.text}`, '');
+        });
+    });
+    if (canonical.principles.length) {
+        lines.push('GUIDING PRINCIPLES', '');
+        canonical.principles.forEach(principle => lines.push(`- ${principle.label}: ${principle.text}`));
+        lines.push('');
+    }
+    if (canonical.summary) lines.push('SUMMARY', '', canonical.summary, '');
+    if (signatures.length) {
+        lines.push('SIGNATURES', '');
+        signatureBlock(canonical, signatures).forEach(entry => {
+            lines.push(entry.signature
+                ? `- ${entry.party}\n  Key fingerprint: ${entry.fingerprint}\n  Public key (P-256): ${entry.publicKey}\n  Signature: ${entry.signature}`
+                : `- ${entry.party}: not signed`);
+        });
+        lines.push('');
+    }
+    lines.push(`Content SHA-256: ${hash}`, '');
+    return lines.join('\n');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+// One paragraph; runs are [text, { bold, size (half-points), color }]
+function docxParagraph(runs, { spacingAfter = 120 } = {}) {
+    const body = runs.map(([text, style = {}]) => {
+        const props = [
+            style.bold ? '<w:b/>' : '',
+            style.color ? `<w:color w:val="${style.color}"/>` : '',
+            style.size ? `<w:sz w:val="${style.size}"/>` : ''
+        ].join('');
+        // Line breaks inside a text become <w:br/>
+        const lines = escapeXml(text).split('\n').join('</w:t><w:br/><w:t xml:space="preserve">');
+        return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${lines}</w:t></w:r>`;
+    }).join('');
+    return `<w:p><w:pPr><w:spacing w:after="${spacingAfter}"/></w:pPr>${body}</w:p>`;
+}
+
+function docxDocument(canonical, hash, signatures = []) {
+    const paragraphs = [docxParagraph([[canonical.title, { bold: true, size: 36 }]], { spacingAfter: 240 })];
+    if (canonical.parties.length) paragraphs.push(docxParagraph([['Parties: ', { bold: true }], [canonical.parties.join(', ')]], { spacingAfter: 0 }));
+    paragraphs.push(docxParagraph([['Effective date: ', { bold: true }], [canonical.effectiveDate]], { spacingAfter: 240 }));
+    clauseGroups(canonical).forEach(group => {
+        paragraphs.push(docxParagraph([[group.title, { bold: true, size: 28 }]], { spacingAfter: 160 }));
+        group.clauses.forEach(clause => {
+            paragraphs.push(docxParagraph([[`${clause.number}. ${clause.title ? `${clause.title}: ` : ''}`, { bold: true }], [clause.text]]));
+        });
+    });
+    if (canonical.principles.length) {
+        paragraphs.push(docxParagraph([['Guiding Principles', { bold: true, size: 28 }]], { spacingAfter: 160 }));
+        canonical.principles.forEach(principle => {
+            paragraphs.push(docxParagraph([[`${principle.label}: `, { bold: true }], [principle.text]]));
+        });
+    }
+    if (canonical.summary) {
+        paragraphs.push(docxParagraph([['Summary', { bold: true, size: 28 }]], { spacingAfter: 160 }));
+        paragraphs.push(docxParagraph([[canonical.summary]]));
+    }
+    if (signatures.length) {
+        paragraphs.push(docxParagraph([['Signatures', { bold: true, size: 28 }]], { spacingAfter: 160 }));
+        signatureBlock(canonical, signatures).forEach(entry => {
+            paragraphs.push(docxParagraph(entry.signature
+                ? [[`${entry.party}\n`, { bold: true }], [`Key fingerprint: ${entry.fingerprint}\nPublic key (P-256): ${entry.publicKey}\nSignature: ${entry.signature}`, { size: 16 }]]
+                : [[`${entry.party}: `, { bold: true }], ['not signed']]));
+        });
+    }
+    paragraphs.push(docxParagraph([[`Content SHA-256: ${hash}`, { size: 16, color: '6B7280' }]]));
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+        + `<w:body>${paragraphs.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>`
+        + '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>';
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal ZIP writer (deflate, no extra fields). Entries carry a fixed
+// timestamp so the same agreement always produces the same file.
+function zip(entries) {
+    const DOS_TIME = 0;
+    const DOS_DATE = (1 << 5) | 1; // 1980-01-01
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    entries.forEach(({ name, data }) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const content = Buffer.from(data, 'utf8');
+        const compressed = zlib.deflateRawSync(content);
+        const crc = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8);
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, compressed);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function toDocx(canonical, hash, signatures) {
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+                + '</Relationships>'
+        },
+        { name: 'word/document.xml', data: docxDocument(canonical, hash, signatures) }
+    ]);
+}
+
+function slugify(text) {
+    return String(text || 'agreement').replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'agreement';
+}
+
+// { timeZones, timeZone, party } for the calendar, checked against the parties
+function calendarOptions(canonical, { timeZones = {}, timeZone, party } = {}) {
+    const zones = timeZones && typeof timeZones === 'object' ? timeZones : {};
+    const invalid = [...Object.values(zones), ...(timeZone ? [timeZone] : [])].find(zone => !isTimeZone(zone));
+    if (invalid !== undefined) throw new ExportError('INVALID_TIME_ZONE', `Unknown time zone: ${invalid}`);
+    if (party && !canonical.parties.includes(party)) {
+        throw new ExportError('INVALID_PARTY', 'party must be one of the agreement parties');
+    }
+    const options = { timeZones: zones, timeZone, party };
+    if (!extractSchedule(canonical, options).length) {
+        throw new ExportError('NO_SCHEDULE', 'The agreement has no dated or recurring commitments');
+    }
+    return options;
+}
+
+// The canonical agreement of a request, its hash and its verified signatures
+async function signedAgreement(request) {
+    const canonical = canonicalAgreement(request);
+    const hash = contentHash(canonical);
+    return { canonical, contentHash: hash, signatures: await verifiedSignatures(canonical, hash, request && request.signatures) };
+}
+
+// Renders an export request ({ agreement, topic, parties, effectiveDate,
+// templateId, signatures, and for ICS timeZones, timeZone and party }) as
+// { body, contentType, filename, contentHash, signatures }
+async function exportAgreement(format, request) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new ExportError('UNSUPPORTED_FORMAT', `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    const { canonical, contentHash: hash, signatures } = await signedAgreement(request);
+    const renderers = {
+        markdown: () => toMarkdown(canonical, hash, signatures),
+        docx: () => toDocx(canonical, hash, signatures),
+        text: () => toText(canonical, hash, signatures),
+        json: () => canonicalJson(signatures.length ? { ...canonical, signatures } : canonical),
+        ics: () => toIcs(canonical, hash, calendarOptions(canonical, request))
+    };
+    return {
+        body: renderers[format](),
+        contentType: spec.contentType,
+        filename: `Agreement_${slugify(canonical.title)}.${spec.extension}`,
+        contentHash: hash,
+        signatures
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    ExportError,
+    canonicalAgreement,
+    canonicalJson,
+    contentHash,
+    signedAgreement,
+    signatureBlock,
+    exportAgreement
+};
@@ -0,0 +1,138 @@
+// Agreement HTML allowlist for server-side PDF rendering
+// The PDF endpoint renders HTML sent by any client, so it is rebuilt here from
+// an allowlist of agreement markup before Chromium sees it. Text is
+// re-escaped and only allowed tags and attributes are written back, so the
+// output is well-formed and inert whatever the input was. Active content
+// (scripts, frames, forms, event handlers, script URLs) fails the request
+// instead of being quietly removed; presentational leftovers such as images,
+// inline styles and ids are dropped.
+
+const DEFAULT_MAX_HTML_LENGTH = 262144;
+
+const ALLOWED_ELEMENTS = new Set([
+    'a', 'article', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'div', 'dl', 'dt', 'em',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'li', 'mark', 'ol', 'p',
+    'pre', 's', 'section', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td',
+    'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'wbr']);
+// Removed with everything inside them; the PDF brings its own logo and seal
+const DROPPED_ELEMENTS = new Set(['img', 'picture', 'source', 'wbr']);
+const ALLOWED_ATTRIBUTES = {
+    '*': ['class'],
+    a: ['href'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan'],
+    ol: ['start']
+};
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<!\w[^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+class SanitizeError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'SanitizeError';
+        this.code = code;
+    }
+}
+
+function maxHtmlLength(env = process.env) {
+    const limit = parseInt(env.PDF_MAX_HTML_LENGTH, 10);
+    return limit > 0 ? limit : DEFAULT_MAX_HTML_LENGTH;
+}
+
+function escapeText(text) {
+    return text
+        .replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Enough entity decoding that "jav&#x61;script:" is seen for what it is
+function decodeAttribute(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16) % 0x110000))
+        .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10) % 0x110000))
+        .replace(/&(quot|apos|lt|gt|amp|colon|tab|newline);/gi, (_, name) => ({
+            quot: '"', apos: "'", lt: '<', gt: '>', amp: '&', colon: ':', tab: '\t', newline: '\n'
+        })[name.toLowerCase()]);
+}
+
+function attributesFor(tag, source) {
+    const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])];
+    const kept = [];
+    for (const [, rawName, double, single, bare] of source.matchAll(ATTRIBUTE)) {
+        const name = rawName.toLowerCase();
+        const value = decodeAttribute(double ?? single ?? bare ?? '');
+        if (name.startsWith('on')) {
+            throw new SanitizeError('DISALLOWED_ATTRIBUTE', `Event handler attributes are not allowed (${name} on <${tag}>)`);
+        }
+        if (!allowed.includes(name) || !value) continue;
+        if (name === 'href' && !SAFE_URL.test(value.replace(/[\s\u0000-\u001f]/g, ''))) {
+            throw new SanitizeError('DISALLOWED_URL', 'Links must be http(s), mailto or in-page anchors');
+        }
+        if ((name === 'colspan' || name === 'rowspan' || name === 'start') && !/^\d{1,4}$/.test(value)) continue;
+        kept.push(` ${name}="${escapeAttribute(value)}"`);
+    }
+    return kept.join('');
+}
+
+// Returns the allowed subset of html; throws SanitizeError with code
+// INVALID_HTML, HTML_TOO_LARGE, DISALLOWED_ELEMENT, DISALLOWED_ATTRIBUTE or
+// DISALLOWED_URL
+function sanitizeAgreementHtml(html, { maxLength = DEFAULT_MAX_HTML_LENGTH } = {}) {
+    if (typeof html !== 'string') throw new SanitizeError('INVALID_HTML', 'html must be a string');
+    if (html.length > maxLength) {
+        throw new SanitizeError('HTML_TOO_LARGE', `html is longer than ${maxLength} characters`);
+    }
+
+    const out = [];
+    const open = [];
+    let dropping = null;
+    let last = 0;
+    const text = value => {
+        if (!dropping && value) out.push(escapeText(value));
+    };
+
+    for (const match of html.matchAll(TOKEN)) {
+        text(html.slice(last, match.index));
+        last = match.index + match[0].length;
+        const [, closing, rawTag, attributes] = match;
+        if (!rawTag) continue; // comments, doctypes, processing instructions
+        const tag = rawTag.toLowerCase();
+
+        if (!ALLOWED_ELEMENTS.has(tag) && !DROPPED_ELEMENTS.has(tag)) {
+            throw new SanitizeError('DISALLOWED_ELEMENT', `<${tag}> is not allowed in agreement HTML`);
+        }
+        if (dropping) {
+            if (tag === dropping.tag && !VOID_ELEMENTS.has(tag)) dropping.depth += closing ? -1 : 1;
+            if (dropping.depth === 0) dropping = null;
+            continue;
+        }
+        if (DROPPED_ELEMENTS.has(tag)) {
+            attributesFor(tag, attributes); // still refuses event handlers
+            if (!closing && !VOID_ELEMENTS.has(tag)) dropping = { tag, depth: 1 };
+            continue;
+        }
+        if (closing) {
+            // Only close what is open here, so the markup cannot escape its container
+            const at = open.lastIndexOf(tag);
+            if (at === -1) continue;
+            while (open.length > at) out.push(`</${open.pop()}>`);
+            continue;
+        }
+        out.push(`<${tag}${attributesFor(tag, attributes)}>`);
+        if (!VOID_ELEMENTS.has(tag)) open.push(tag);
+    }
+    text(html.slice(last));
+    while (open.length) out.push(`</${open.pop()}>`);
+    return out.join('');
+}
+
+module.exports = { sanitizeAgreementHtml, SanitizeError, maxHtmlLength, DEFAULT_MAX_HTML_LENGTH };
@@ -0,0 +1,689 @@
+// Languages and translated strings, usable in both browser and Node (Jest)
+// Each party negotiates in its own language (English, Spanish, German or
+// French); the agreement is written in one primary language and may carry
+// translations keyed by language code, each with the same clauses in the same
+// order so clause numbers mean the same thing in every version. This module
+// holds the strings the UI, the agreement renderer, the PDF and the parser
+// need in each language, the translated template texts, and helpers to pick
+// an agreement's version in a given language. Missing strings fall back to
+// English.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AgreementI18n = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_LANGUAGE = 'en';
+
+  const LANGUAGES = [
+    { code: 'en', name: 'English', nativeName: 'English', locale: 'en-US' },
+    { code: 'es', name: 'Spanish', nativeName: 'Español', locale: 'es-ES' },
+    { code: 'de', name: 'German', nativeName: 'Deutsch', locale: 'de-DE' },
+    { code: 'fr', name: 'French', nativeName: 'Français', locale: 'fr-FR' }
+  ];
+
+  const STRINGS = {
+    en: {
+      'agreement.final': 'Final Agreement',
+      'agreement.default': 'Agreement',
+      'agreement.principles': 'Guiding Principles',
+      'agreement.summary': 'Plain-text summary',
+      'agreement.otherTerms': 'Other Terms',
+      'agreement.insufficient': 'Insufficient information',
+      'proposal.grounding': 'Grounding',
+      'proposal.proposal': 'Proposal',
+      'proposal.clarifyingQuestions': 'Clarifying Questions',
+      'proposal.questions': 'Questions',
+      'proposal.openPoints': 'Open Points',
+      'pdf.issued': 'Issued {date}',
+      'pdf.effective': 'Effective {date}',
+      'pdf.certified': 'Certified Agreement',
+      'pdf.signatures': 'Signatures',
+      'pdf.partiesAndSignatures': 'Parties and Signatures',
+      'pdf.signedDigitally': 'Signed digitally',
+      'pdf.notSigned': 'Not signed',
+      'pdf.keyFingerprint': 'Key fingerprint',
+      'pdf.publicKey': 'Public key (P-256)',
+      'pdf.signature': 'Signature',
+      'pdf.date': 'Date',
+      'pdf.contentHash': 'Content SHA-256',
+      'pdf.noParties': 'No parties recorded.',
+      'pdf.appendix': 'Appendix',
+      'pdf.summary': 'Summary',
+      'pdf.rounds': 'Negotiation Rounds',
+      'pdf.round': 'Round {round}',
+      'pdf.moderator': 'Moderator',
+      'ui.step.view': 'Your View',
+      'ui.step.negotiation': 'AI Negotiation',
+      'ui.step.agreement': 'Agreement',
+      'ui.login.title': 'Welcome to Align',
+      'ui.login.message': 'Enter your name to begin a negotiation session',
+      'ui.login.name': 'Your name',
+      'ui.login.language': 'Your language',
+      'ui.login.start': 'Start Session',
+      'ui.topic.title': 'What are we deciding today?',
+      'ui.topic.placeholder': 'e.g., How to split chores for the week',
+      'ui.topic.kind': 'Kind of agreement:',
+      'ui.topic.people': 'Number of people (including you):',
+      'ui.topic.create': 'Create & Share',
+      'ui.topic.share': 'Share Link',
+      'ui.inputs.topic': 'Topic:',
+      'ui.inputs.title': 'Your Private Inputs',
+      'ui.inputs.intro': 'Only you and your personal AI will see this. Be open and honest.',
+      'ui.inputs.optional': '(optional)',
+      'ui.inputs.feedback': 'Get AI Feedback',
+      'ui.inputs.submit': 'Send to My AI',
+      'ui.waiting.title': 'Your AI is Negotiating',
+      'ui.waiting.text': 'This process is secure and private. A fair agreement is being crafted.',
+      'ui.waiting.live': 'Live Backchannel',
+      'ui.results.title': 'Proposed Agreement',
+      'ui.results.language': 'Agreement language',
+      'ui.results.downloadPdf': 'Download PDF',
+      'ui.results.appendix': 'Appendix',
+      'ui.results.export': 'Export',
+      'ui.results.startOver': 'Start New Negotiation',
+      'ui.certified.title': 'Align Certified Agreement',
+      'ui.certified.on': 'Certified on: {date}',
+      'ui.certified.id': 'Unique Agreement ID: {id}',
+      'ui.review.title': 'Review the Agreement',
+      'ui.review.note': 'Private note to your advocate (optional, never shown to the other participants)',
+      'ui.review.submit': 'Submit Review',
+      'ui.review.clause': 'Clause',
+      'ui.review.accept': 'Accept',
+      'ui.review.change': 'Request a change',
+      'ui.review.reject': 'Reject',
+      'ui.review.comment': 'Comment (shared with the other participants)',
+      'ui.review.intro': 'Accept, reject or request a change to each clause before the agreement is certified.',
+      'ui.review.revised': 'Version {version}: review the revised clauses.',
+      'ui.review.revisedChanged': 'Version {version}: review the revised clauses (changed: {clauses}).',
+      'ui.review.waiting': 'Waiting for the others to review version {version}...',
+      'ui.review.renegotiating': 'Some clauses were sent back. The advocates are renegotiating them...',
+      'ui.review.certified': 'Everyone accepted version {version}. This agreement is certified.',
+      'ui.backchannel.title': 'AI Backchannel Insights',
+      'ui.backchannel.intro': "Here's a transparent summary of how the AIs reached this conclusion, without revealing private inputs."
+    },
+    es: {
+      'agreement.final': 'Acuerdo final',
+      'agreement.default': 'Acuerdo',
+      'agreement.principles': 'Principios rectores',
+      'agreement.summary': 'Resumen en texto plano',
+      'agreement.otherTerms': 'Otros términos',
+      'agreement.insufficient': 'Información insuficiente',
+      'proposal.grounding': 'Fundamento',
+      'proposal.proposal': 'Propuesta',
+      'proposal.clarifyingQuestions': 'Preguntas aclaratorias',
+      'proposal.questions': 'Preguntas',
+      'proposal.openPoints': 'Puntos abiertos',
+      'pdf.issued': 'Emitido el {date}',
+      'pdf.effective': 'En vigor desde el {date}',
+      'pdf.certified': 'Acuerdo certificado',
+      'pdf.signatures': 'Firmas',
+      'pdf.partiesAndSignatures': 'Partes y firmas',
+      'pdf.signedDigitally': 'Firmado digitalmente',
+      'pdf.notSigned': 'Sin firmar',
+      'pdf.keyFingerprint': 'Huella de la clave',
+      'pdf.publicKey': 'Clave pública (P-256)',
+      'pdf.signature': 'Firma',
+      'pdf.date': 'Fecha',
+      'pdf.contentHash': 'SHA-256 del contenido',
+      'pdf.noParties': 'No constan partes.',
+      'pdf.appendix': 'Anexo',
+      'pdf.summary': 'Resumen',
+      'pdf.rounds': 'Rondas de negociación',
+      'pdf.round': 'Ronda {round}',
+      'pdf.moderator': 'Moderador',
+      'ui.step.view': 'Tu punto de vista',
+      'ui.step.negotiation': 'Negociación con IA',
+      'ui.step.agreement': 'Acuerdo',
+      'ui.login.title': 'Te damos la bienvenida a Align',
+      'ui.login.message': 'Escribe tu nombre para iniciar una sesión de negociación',
+      'ui.login.name': 'Tu nombre',
+      'ui.login.language': 'Tu idioma',
+      'ui.login.start': 'Iniciar sesión',
+      'ui.topic.title': '¿Qué vamos a decidir hoy?',
+      'ui.topic.placeholder': 'p. ej., cómo repartir las tareas de la semana',
+      'ui.topic.kind': 'Tipo de acuerdo:',
+      'ui.topic.people': 'Número de personas (contándote a ti):',
+      'ui.topic.create': 'Crear y compartir',
+      'ui.topic.share': 'Compartir enlace',
+      'ui.inputs.topic': 'Tema:',
+      'ui.inputs.title': 'Tus datos privados',
+      'ui.inputs.intro': 'Solo tú y tu IA personal veréis esto. Sé abierto y sincero.',
+      'ui.inputs.optional': '(opcional)',
+      'ui.inputs.feedback': 'Pedir opinión a la IA',
+      'ui.inputs.submit': 'Enviar a mi IA',
+      'ui.waiting.title': 'Tu IA está negociando',
+      'ui.waiting.text': 'Este proceso es seguro y privado. Se está elaborando un acuerdo justo.',
+      'ui.waiting.live': 'Canal interno en directo',
+      'ui.results.title': 'Acuerdo propuesto',
+      'ui.results.language': 'Idioma del acuerdo',
+      'ui.results.downloadPdf': 'Descargar PDF',
+      'ui.results.appendix': 'Anexo',
+      'ui.results.export': 'Exportar',
+      'ui.results.startOver': 'Nueva negociación',
+      'ui.certified.title': 'Acuerdo certificado por Align',
+      'ui.certified.on': 'Certificado el: {date}',
+      'ui.certified.id': 'ID único del acuerdo: {id}',
+      'ui.review.title': 'Revisa el acuerdo',
+      'ui.review.note': 'Nota privada para tu defensor (opcional, nunca se muestra a los demás participantes)',
+      'ui.review.submit': 'Enviar revisión',
+      'ui.review.clause': 'Cláusula',
+      'ui.review.accept': 'Aceptar',
+      'ui.review.change': 'Pedir un cambio',
+      'ui.review.reject': 'Rechazar',
+      'ui.review.comment': 'Comentario (visible para los demás participantes)',
+      'ui.review.intro': 'Acepta, rechaza o pide un cambio en cada cláusula antes de que se certifique el acuerdo.',
+      'ui.review.revised': 'Versión {version}: revisa las cláusulas modificadas.',
+      'ui.review.revisedChanged': 'Versión {version}: revisa las cláusulas modificadas (cambiadas: {clauses}).',
+      'ui.review.waiting': 'Esperando a que los demás revisen la versión {version}...',
+      'ui.review.renegotiating': 'Se han devuelto algunas cláusulas. Los defensores las están renegociando...',
+      'ui.review.certified': 'Todos han aceptado la versión {version}. Este acuerdo está certificado.',
+      'ui.backchannel.title': 'Detalles del canal interno de las IA',
+      'ui.backchannel.intro': 'Un resumen transparente de cómo llegaron las IA a esta conclusión, sin revelar datos privados.'
+    },
+    de: {
+      'agreement.final': 'Endgültige Vereinbarung',
+      'agreement.default': 'Vereinbarung',
+      'agreement.principles': 'Leitprinzipien',
+      'agreement.summary': 'Zusammenfassung im Klartext',
+      'agreement.otherTerms': 'Weitere Bestimmungen',
+      'agreement.insufficient': 'Unzureichende Informationen',
+      'proposal.grounding': 'Grundlage',
+      'proposal.proposal': 'Vorschlag',
+      'proposal.clarifyingQuestions': 'Klärende Fragen',
+      'proposal.questions': 'Fragen',
+      'proposal.openPoints': 'Offene Punkte',
+      'pdf.issued': 'Ausgestellt am {date}',
+      'pdf.effective': 'Gültig ab {date}',
+      'pdf.certified': 'Zertifizierte Vereinbarung',
+      'pdf.signatures': 'Unterschriften',
+      'pdf.partiesAndSignatures': 'Parteien und Unterschriften',
+      'pdf.signedDigitally': 'Digital unterschrieben',
+      'pdf.notSigned': 'Nicht unterschrieben',
+      'pdf.keyFingerprint': 'Schlüssel-Fingerabdruck',
+      'pdf.publicKey': 'Öffentlicher Schlüssel (P-256)',
+      'pdf.signature': 'Unterschrift',
+      'pdf.date': 'Datum',
+      'pdf.contentHash': 'SHA-256 des Inhalts',
+      'pdf.noParties': 'Keine Parteien erfasst.',
+      'pdf.appendix': 'Anhang',
+      'pdf.summary': 'Zusammenfassung',
+      'pdf.rounds': 'Verhandlungsrunden',
+      'pdf.round': 'Runde {round}',
+      'pdf.moderator': 'Moderation',
+      'ui.step.view': 'Deine Sicht',
+      'ui.step.negotiation': 'KI-Verhandlung',
+      'ui.step.agreement': 'Vereinbarung',
+      'ui.login.title': 'Willkommen bei Align',
+      'ui.login.message': 'Gib deinen Namen ein, um eine Verhandlung zu beginnen',
+      'ui.login.name': 'Dein Name',
+      'ui.login.language': 'Deine Sprache',
+      'ui.login.start': 'Sitzung starten',
+      'ui.topic.title': 'Was entscheiden wir heute?',
+      'ui.topic.placeholder': 'z. B. wie wir die Hausarbeit der Woche aufteilen',
+      'ui.topic.kind': 'Art der Vereinbarung:',
+      'ui.topic.people': 'Anzahl der Personen (dich eingeschlossen):',
+      'ui.topic.create': 'Erstellen und teilen',
+      'ui.topic.share': 'Link teilen',
+      'ui.inputs.topic': 'Thema:',
+      'ui.inputs.title': 'Deine privaten Angaben',
+      'ui.inputs.intro': 'Nur du und deine persönliche KI sehen das. Sei offen und ehrlich.',
+      'ui.inputs.optional': '(optional)',
+      'ui.inputs.feedback': 'KI-Feedback holen',
+      'ui.inputs.submit': 'An meine KI senden',
+      'ui.waiting.title': 'Deine KI verhandelt',
+      'ui.waiting.text': 'Dieser Ablauf ist sicher und privat. Eine faire Vereinbarung entsteht gerade.',
+      'ui.waiting.live': 'Live-Hintergrundkanal',
+      'ui.results.title': 'Vorgeschlagene Vereinbarung',
+      'ui.results.language': 'Sprache der Vereinbarung',
+      'ui.results.downloadPdf': 'PDF herunterladen',
+      'ui.results.appendix': 'Anhang',
+      'ui.results.export': 'Exportieren',
+      'ui.results.startOver': 'Neue Verhandlung beginnen',
+      'ui.certified.title': 'Von Align zertifizierte Vereinbarung',
+      'ui.certified.on': 'Zertifiziert am: {date}',
+      'ui.certified.id': 'Eindeutige Vereinbarungs-ID: {id}',
+      'ui.review.title': 'Vereinbarung prüfen',
+      'ui.review.note': 'Private Notiz an deine KI (optional, wird den anderen nie gezeigt)',
+      'ui.review.submit': 'Prüfung absenden',
+      'ui.review.clause': 'Klausel',
+      'ui.review.accept': 'Annehmen',
+      'ui.review.change': 'Änderung anfragen',
+      'ui.review.reject': 'Ablehnen',
+      'ui.review.comment': 'Kommentar (für die anderen sichtbar)',
+      'ui.review.intro': 'Nimm jede Klausel an, lehne sie ab oder frage eine Änderung an, bevor die Vereinbarung zertifiziert wird.',
+      'ui.review.revised': 'Version {version}: Prüfe die überarbeiteten Klauseln.',
+      'ui.review.revisedChanged': 'Version {version}: Prüfe die überarbeiteten Klauseln (geändert: {clauses}).',
+      'ui.review.waiting': 'Warte darauf, dass die anderen Version {version} prüfen...',
+      'ui.review.renegotiating': 'Einige Klauseln wurden zurückgeschickt. Die KIs verhandeln sie neu...',
+      'ui.review.certified': 'Alle haben Version {version} angenommen. Diese Vereinbarung ist zertifiziert.',
+      'ui.backchannel.title': 'Einblicke in den KI-Hintergrundkanal',
+      'ui.backchannel.intro': 'Eine transparente Zusammenfassung, wie die KIs zu diesem Ergebnis kamen, ohne private Angaben preiszugeben.'
+    },
+    fr: {
+      'agreement.final': 'Accord final',
+      'agreement.default': 'Accord',
+      'agreement.principles': 'Principes directeurs',
+      'agreement.summary': 'Résumé en texte brut',
+      'agreement.otherTerms': 'Autres dispositions',
+      'agreement.insufficient': 'Informations insuffisantes',
+      'proposal.grounding': 'Fondement',
+      'proposal.proposal': 'Proposition',
+      'proposal.clarifyingQuestions': 'Questions de clarification',
+      'proposal.questions': 'Questions',
+      'proposal.openPoints': 'Points ouverts',
+      'pdf.issued': 'Émis le {date}',
+      'pdf.effective': 'En vigueur le {date}',
+      'pdf.certified': 'Accord certifié',
+      'pdf.signatures': 'Signatures',
+      'pdf.partiesAndSignatures': 'Parties et signatures',
+      'pdf.signedDigitally': 'Signé électroniquement',
+      'pdf.notSigned': 'Non signé',
+      'pdf.keyFingerprint': 'Empreinte de la clé',
+      'pdf.publicKey': 'Clé publique (P-256)',
+      'pdf.signature': 'Signature',
+      'pdf.date': 'Date',
+      'pdf.contentHash': 'SHA-256 du contenu',
+      'pdf.noParties': 'Aucune partie enregistrée.',
+      'pdf.appendix': 'Annexe',
+      'pdf.summary': 'Résumé',
+      'pdf.rounds': 'Tours de négociation',
+      'pdf.round': 'Tour {round}',
+      'pdf.moderator': 'Modérateur',
+      'ui.step.view': 'Votre point de vue',
+      'ui.step.negotiation': 'Négociation par IA',
+      'ui.step.agreement': 'Accord',
+      'ui.login.title': 'Bienvenue sur Align',
+      'ui.login.message': 'Saisissez votre nom pour commencer une négociation',
+      'ui.login.name': 'Votre nom',
+      'ui.login.language': 'Votre langue',
+      'ui.login.start': 'Commencer',
+      'ui.topic.title': 'Que décidons-nous aujourd’hui ?',
+      'ui.topic.placeholder': 'p. ex. comment répartir les tâches de la semaine',
+      'ui.topic.kind': 'Type d’accord :',
+      'ui.topic.people': 'Nombre de personnes (vous compris) :',
+      'ui.topic.create': 'Créer et partager',
+      'ui.topic.share': 'Partager le lien',
+      'ui.inputs.topic': 'Sujet :',
+      'ui.inputs.title': 'Vos informations privées',
+      'ui.inputs.intro': 'Seuls vous et votre IA personnelle verrez ceci. Soyez ouvert et honnête.',
+      'ui.inputs.optional': '(facultatif)',
+      'ui.inputs.feedback': 'Demander l’avis de l’IA',
+      'ui.inputs.submit': 'Envoyer à mon IA',
+      'ui.waiting.title': 'Votre IA négocie',
+      'ui.waiting.text': 'Ce processus est sûr et privé. Un accord équitable est en cours d’élaboration.',
+      'ui.waiting.live': 'Canal interne en direct',
+      'ui.results.title': 'Accord proposé',
+      'ui.results.language': 'Langue de l’accord',
+      'ui.results.downloadPdf': 'Télécharger le PDF',
+      'ui.results.appendix': 'Annexe',
+      'ui.results.export': 'Exporter',
+      'ui.results.startOver': 'Nouvelle négociation',
+      'ui.certified.title': 'Accord certifié par Align',
+      'ui.certified.on': 'Certifié le : {date}',
+      'ui.certified.id': 'Identifiant unique de l’accord : {id}',
+      'ui.review.title': 'Relire l’accord',
+      'ui.review.note': 'Note privée pour votre IA (facultative, jamais montrée aux autres participants)',
+      'ui.review.submit': 'Envoyer la relecture',
+      'ui.review.clause': 'Clause',
+      'ui.review.accept': 'Accepter',
+      'ui.review.change': 'Demander une modification',
+      'ui.review.reject': 'Refuser',
+      'ui.review.comment': 'Commentaire (visible par les autres participants)',
+      'ui.review.intro': 'Acceptez, refusez ou demandez une modification de chaque clause avant la certification de l’accord.',
+      'ui.review.revised': 'Version {version} : relisez les clauses révisées.',
+      'ui.review.revisedChanged': 'Version {version} : relisez les clauses révisées (modifiées : {clauses}).',
+      'ui.review.waiting': 'En attente de la relecture de la version {version} par les autres...',
+      'ui.review.renegotiating': 'Certaines clauses ont été renvoyées. Les IA les renégocient...',
+      'ui.review.certified': 'Tout le monde a accepté la version {version}. Cet accord est certifié.',
+      'ui.backchannel.title': 'Aperçu du canal interne des IA',
+      'ui.backchannel.intro': 'Un résumé transparent de la manière dont les IA sont parvenues à ce résultat, sans révéler d’informations privées.'
+    }
+  };
+
+  // Template texts by language and template id: name, description, field
+  // [label, placeholder] by key, section titles by id and principles in
+  // template order. Guidance stays English; only the models read it.
+  const TEMPLATE_STRINGS = {
+    es: {
+      household_chores: {
+        name: 'Tareas del hogar',
+        description: 'Quién hace qué tareas, con qué frecuencia y con qué nivel de exigencia.',
+        fields: {
+          objectives: ['¿Qué tareas te importan más y por qué?', 'p. ej., una cocina limpia por la noche, no ser la única persona que se acuerda de la basura'],
+          mustHaves: ['¿Qué es innegociable para ti?', 'p. ej., los platos fregados antes de dormir; no puedo limpiar el baño'],
+          constraints: ['¿Qué hechos hay que tener en cuenta?', 'p. ej., turnos de trabajo, quién cocina, quién está fuera los fines de semana'],
+          availability: ['¿Cuándo sueles estar en casa y libre para las tareas?', 'p. ej., entre semana a partir de las 19:00, los domingos por la mañana']
+        },
+        sections: { assignments: 'Reparto de tareas', schedule: 'Calendario', standards: 'Nivel de exigencia', check_ins: 'Seguimiento y cambios' },
+        principles: [
+          ['Reparto justo', 'El esfuerzo se equilibra en el hogar, no solo el número de tareas.'],
+          ['Responsabilidad clara', 'Cada tarea tiene en todo momento una persona responsable.'],
+          ['Flexibilidad', 'Los cambios de turno valen si se acuerdan con antelación.']
+        ]
+      },
+      roommate_agreement: {
+        name: 'Acuerdo de convivencia',
+        description: 'Alquiler, espacios comunes, invitados y horas de silencio para quienes comparten piso.',
+        fields: {
+          objectives: ['¿Qué haría que la convivencia funcionara bien para ti?', 'p. ej., un piso tranquilo entre semana, repartir los gastos a partes iguales'],
+          mustHaves: ['¿Cuáles son tus límites?', 'p. ej., nada de invitados a dormir entre semana, mi comida es mía'],
+          constraints: ['¿Qué hechos hay que tener en cuenta?', 'p. ej., tamaño de las habitaciones, quién figura en el contrato, días de teletrabajo'],
+          costs: ['¿Cómo crees que deberían repartirse el alquiler y las facturas?', 'p. ej., el alquiler según el tamaño de la habitación, los suministros a partes iguales']
+        },
+        sections: { costs: 'Alquiler y facturas', shared_spaces: 'Espacios comunes', guests_quiet: 'Invitados y horas de silencio', disputes: 'Desacuerdos y mudanzas' },
+        principles: [
+          ['Respeto', 'La habitación y las pertenencias de cada persona son suyas.'],
+          ['Transparencia', 'Todos pueden ver los gastos comunes.'],
+          ['Hablarlo pronto', 'Los problemas se plantean directamente y pronto, sin dejar que se acumulen.']
+        ]
+      },
+      freelance_scope: {
+        name: 'Alcance y pago de un encargo freelance',
+        description: 'Qué se entrega, para cuándo, y cómo y cuándo se paga.',
+        fields: {
+          objectives: ['¿Qué quieres conseguir con este encargo?', 'p. ej., una landing page publicada en marzo; trabajo estable a mi tarifa diaria'],
+          mustHaves: ['¿Qué es innegociable para ti?', 'p. ej., un 30 % por adelantado; como máximo dos rondas de revisiones'],
+          constraints: ['¿Qué hechos hay que tener en cuenta?', 'p. ej., presupuesto máximo, otros compromisos, fecha de lanzamiento'],
+          budget: ['¿Qué presupuesto o tarifa tienes en mente?', 'p. ej., 4.000 € cerrados, o 60 €/hora con un máximo de 60 horas'],
+          timeline: ['¿Qué plazos tienes en mente?', 'p. ej., primer borrador en dos semanas, versión final a final de mes']
+        },
+        sections: { scope: 'Alcance', deliverables: 'Entregables y plazos', payment: 'Pago', revisions: 'Revisiones y cambios', ownership: 'Propiedad y rescisión' },
+        principles: [
+          ['Alcance por escrito', 'Todo lo que no esté en el alcance escrito es una solicitud de cambio.'],
+          ['Pago por hitos', 'El pago sigue a la entrega, hito a hito.'],
+          ['Respuesta a tiempo', 'Ambas partes responden dentro de los plazos acordados.']
+        ]
+      },
+      co_parenting: {
+        name: 'Calendario de crianza compartida',
+        description: 'Tiempo con los hijos, entregas, decisiones y gastos compartidos.',
+        fields: {
+          objectives: ['¿Qué es lo más importante para los niños y para ti?', 'p. ej., una rutina estable en semana de colegio, fines de semana alternos juntos'],
+          mustHaves: ['¿Qué es innegociable para ti?', 'p. ej., los niños están conmigo en mi cumpleaños; nada de entregas después de las 20:00'],
+          constraints: ['¿Qué hechos hay que tener en cuenta?', 'p. ej., viajes de trabajo, distancia entre casas, horarios de colegio y actividades'],
+          childrenNeeds: ['¿Qué necesitan ahora los niños?', 'p. ej., horarios de dormir constantes, llevarlos al fútbol los miércoles']
+        },
+        sections: { schedule: 'Calendario de crianza', handoffs: 'Entregas', decisions: 'Decisiones', communication: 'Comunicación', expenses: 'Gastos' },
+        principles: [
+          ['Los niños primero', 'Las decisiones se valoran según lo que es mejor para los niños.'],
+          ['Fiabilidad', 'Se respetan los horarios acordados y los cambios se piden con antelación.'],
+          ['Comunicación respetuosa', 'Los padres hablan entre ellos, no a través de los niños.']
+        ]
+      },
+      custom: {
+        name: 'Personalizado',
+        description: 'Cualquier otro tema; el acuerdo adopta la forma que mejor encaje.',
+        fields: {
+          objectives: ['¿Cuáles son tus intereses y prioridades principales?', '¿Qué es lo que más te importa y por qué? (p. ej., un reparto equitativo del trabajo, sentirte reconocido, tiempo libre previsible)'],
+          mustHaves: ['¿Qué es innegociable para ti y cuáles son tus límites?', '¿Qué límites o principios deben respetarse? (p. ej., la cocina limpia antes de dormir; no puedo fregar todos los días)'],
+          constraints: ['¿Qué criterios objetivos y qué contexto hay que tener en cuenta?', 'Comparte hechos o referencias concretas (p. ej., horario laboral, calendario, quién cocina, plazos, normas externas).']
+        },
+        sections: {},
+        principles: []
+      }
+    },
+    de: {
+      household_chores: {
+        name: 'Hausarbeit',
+        description: 'Wer welche Aufgaben übernimmt, wie oft und in welcher Qualität.',
+        fields: {
+          objectives: ['Welche Aufgaben sind dir am wichtigsten, und warum?', 'z. B. abends eine saubere Küche, nicht als Einzige(r) an den Müll denken'],
+          mustHaves: ['Was ist für dich nicht verhandelbar?', 'z. B. Abwasch vor dem Schlafengehen; ich kann das Bad nicht putzen'],
+          constraints: ['Welche Fakten sollten berücksichtigt werden?', 'z. B. Arbeitsschichten, wer kocht, wer am Wochenende weg ist'],
+          availability: ['Wann bist du meist zu Hause und hast Zeit für Hausarbeit?', 'z. B. werktags ab 19 Uhr, sonntags vormittags']
+        },
+        sections: { assignments: 'Aufgabenverteilung', schedule: 'Zeitplan', standards: 'Standards', check_ins: 'Absprachen und Änderungen' },
+        principles: [
+          ['Gerechte Verteilung', 'Der Aufwand ist im Haushalt ausgeglichen, nicht nur die Zahl der Aufgaben.'],
+          ['Klare Zuständigkeit', 'Jede Aufgabe hat jederzeit eine namentlich zuständige Person.'],
+          ['Flexibilität', 'Tausch ist in Ordnung, wenn er vorher abgesprochen ist.']
+        ]
+      },
+      roommate_agreement: {
+        name: 'WG-Vereinbarung',
+        description: 'Miete, Gemeinschaftsräume, Gäste und Ruhezeiten für Menschen, die zusammenwohnen.',
+        fields: {
+          objectives: ['Was würde das Zusammenleben für dich gut machen?', 'z. B. eine ruhige Wohnung unter der Woche, Kosten gleichmäßig teilen'],
+          mustHaves: ['Wo liegen deine Grenzen?', 'z. B. keine Übernachtungsgäste unter der Woche, mein Essen bleibt meins'],
+          constraints: ['Welche Fakten sollten berücksichtigt werden?', 'z. B. Zimmergrößen, wer im Mietvertrag steht, Homeoffice-Tage'],
+          costs: ['Wie sollten Miete und Nebenkosten deiner Meinung nach aufgeteilt werden?', 'z. B. Miete nach Zimmergröße, Nebenkosten zu gleichen Teilen']
+        },
+        sections: { costs: 'Miete und Nebenkosten', shared_spaces: 'Gemeinschaftsräume', guests_quiet: 'Gäste und Ruhezeiten', disputes: 'Meinungsverschiedenheiten und Auszug' },
+        principles: [
+          ['Respekt', 'Das Zimmer und die Sachen jeder Person gehören ihr.'],
+          ['Transparenz', 'Gemeinsame Kosten sind für alle einsehbar.'],
+          ['Früh ansprechen', 'Probleme werden direkt und bald angesprochen, nicht aufgestaut.']
+        ]
+      },
+      freelance_scope: {
+        name: 'Freelance-Umfang und Bezahlung',
+        description: 'Was geliefert wird, bis wann, und wie und wann bezahlt wird.',
+        fields: {
+          objectives: ['Was möchtest du mit diesem Auftrag erreichen?', 'z. B. eine fertige Landingpage bis März; regelmäßige Arbeit zu meinem Tagessatz'],
+          mustHaves: ['Was ist für dich nicht verhandelbar?', 'z. B. 30 % Vorauszahlung; höchstens zwei Korrekturrunden'],
+          constraints: ['Welche Fakten sollten berücksichtigt werden?', 'z. B. Budgetobergrenze, andere Verpflichtungen, Launch-Termin'],
+          budget: ['An welches Budget oder welchen Satz denkst du?', 'z. B. 4.000 € pauschal oder 60 €/Stunde, höchstens 60 Stunden'],
+          timeline: ['An welchen Zeitplan denkst du?', 'z. B. erster Entwurf in zwei Wochen, Endfassung bis Monatsende']
+        },
+        sections: { scope: 'Umfang', deliverables: 'Leistungen und Zeitplan', payment: 'Bezahlung', revisions: 'Korrekturen und Änderungen', ownership: 'Rechte und Beendigung' },
+        principles: [
+          ['Schriftlicher Umfang', 'Alles, was nicht im schriftlichen Umfang steht, ist ein Änderungswunsch.'],
+          ['Bezahlte Meilensteine', 'Die Bezahlung folgt der Lieferung, Meilenstein für Meilenstein.'],
+          ['Zeitnahes Feedback', 'Beide Seiten antworten innerhalb der vereinbarten Fristen.']
+        ]
+      },
+      co_parenting: {
+        name: 'Betreuungsplan für getrennte Eltern',
+        description: 'Betreuungszeiten, Übergaben, Entscheidungen und gemeinsame Kosten.',
+        fields: {
+          objectives: ['Was ist für die Kinder und für dich am wichtigsten?', 'z. B. eine feste Routine in der Schulwoche, jedes zweite Wochenende zusammen'],
+          mustHaves: ['Was ist für dich nicht verhandelbar?', 'z. B. an meinem Geburtstag sind die Kinder bei mir; keine Übergaben nach 20 Uhr'],
+          constraints: ['Welche Fakten sollten berücksichtigt werden?', 'z. B. Dienstreisen, Entfernung zwischen den Wohnungen, Schul- und Freizeitzeiten'],
+          childrenNeeds: ['Was brauchen die Kinder gerade?', 'z. B. feste Schlafenszeiten, mittwochs zum Fußball fahren']
+        },
+        sections: { schedule: 'Betreuungsplan', handoffs: 'Übergaben', decisions: 'Entscheidungen', communication: 'Kommunikation', expenses: 'Kosten' },
+        principles: [
+          ['Kinder zuerst', 'Entscheidungen richten sich danach, was für die Kinder am besten ist.'],
+          ['Verlässlichkeit', 'Vereinbarte Zeiten werden eingehalten, Änderungen früh angefragt.'],
+          ['Respektvolle Kommunikation', 'Die Eltern sprechen miteinander, nicht über die Kinder.']
+        ]
+      },
+      custom: {
+        name: 'Individuell',
+        description: 'Jedes andere Thema; die Vereinbarung nimmt die passende Form an.',
+        fields: {
+          objectives: ['Was sind deine zentralen Interessen und Prioritäten?', 'Was ist dir am wichtigsten und warum? (z. B. gerechte Arbeitsverteilung, Anerkennung, planbare Freizeit)'],
+          mustHaves: ['Was ist für dich nicht verhandelbar, wo liegen deine Grenzen?', 'Welche Grenzen oder Prinzipien müssen gewahrt bleiben? (z. B. Küche sauber vor dem Schlafengehen; ich kann nicht jeden Tag abwaschen)'],
+          constraints: ['Welche objektiven Kriterien und welcher Kontext sollten berücksichtigt werden?', 'Nenne konkrete Fakten oder Maßstäbe (z. B. Arbeitszeiten, Zeitplan, wer kocht, Fristen, externe Vorgaben).']
+        },
+        sections: {},
+        principles: []
+      }
+    },
+    fr: {
+      household_chores: {
+        name: 'Tâches ménagères',
+        description: 'Qui fait quelles tâches, à quelle fréquence et avec quelle exigence.',
+        fields: {
+          objectives: ['Quelles tâches comptent le plus pour vous, et pourquoi ?', 'p. ex. une cuisine propre le soir, ne pas être le seul à penser aux poubelles'],
+          mustHaves: ['Qu’est-ce qui n’est pas négociable pour vous ?', 'p. ex. la vaisselle faite avant le coucher ; je ne peux pas nettoyer la salle de bain'],
+          constraints: ['Quels faits faut-il prendre en compte ?', 'p. ex. horaires de travail, qui cuisine, qui est absent le week-end'],
+          availability: ['Quand êtes-vous généralement chez vous et disponible pour les tâches ?', 'p. ex. en semaine après 19 h, le dimanche matin']
+        },
+        sections: { assignments: 'Répartition des tâches', schedule: 'Calendrier', standards: 'Exigences', check_ins: 'Points d’étape et changements' },
+        principles: [
+          ['Partage équitable', 'L’effort est équilibré dans le foyer, pas seulement le nombre de tâches.'],
+          ['Responsabilité claire', 'Chaque tâche a à tout moment une personne responsable désignée.'],
+          ['Souplesse', 'Les échanges sont possibles s’ils sont convenus à l’avance.']
+        ]
+      },
+      roommate_agreement: {
+        name: 'Accord de colocation',
+        description: 'Loyer, espaces communs, invités et heures de calme pour les personnes qui vivent ensemble.',
+        fields: {
+          objectives: ['Qu’est-ce qui rendrait la vie commune agréable pour vous ?', 'p. ex. un appartement calme en semaine, partager les frais à parts égales'],
+          mustHaves: ['Quelles sont vos limites ?', 'p. ex. pas d’invités pour la nuit en semaine, ma nourriture reste la mienne'],
+          constraints: ['Quels faits faut-il prendre en compte ?', 'p. ex. taille des chambres, qui est sur le bail, jours de télétravail'],
+          costs: ['Comment le loyer et les factures devraient-ils être partagés selon vous ?', 'p. ex. le loyer selon la taille des chambres, les charges à parts égales']
+        },
+        sections: { costs: 'Loyer et factures', shared_spaces: 'Espaces communs', guests_quiet: 'Invités et heures de calme', disputes: 'Désaccords et départ' },
+        principles: [
+          ['Respect', 'La chambre et les affaires de chacun lui appartiennent.'],
+          ['Transparence', 'Les frais communs sont visibles par tous.'],
+          ['En parler tôt', 'Les problèmes sont abordés directement et rapidement, sans les laisser s’accumuler.']
+        ]
+      },
+      freelance_scope: {
+        name: 'Périmètre et paiement d’une mission freelance',
+        description: 'Ce qui est livré, pour quand, et comment et quand c’est payé.',
+        fields: {
+          objectives: ['Qu’attendez-vous de cette mission ?', 'p. ex. une page d’accueil en ligne en mars ; un travail régulier à mon tarif journalier'],
+          mustHaves: ['Qu’est-ce qui n’est pas négociable pour vous ?', 'p. ex. 30 % d’acompte ; pas plus de deux séries de corrections'],
+          constraints: ['Quels faits faut-il prendre en compte ?', 'p. ex. budget maximal, autres engagements, date de lancement'],
+          budget: ['Quel budget ou quel tarif envisagez-vous ?', 'p. ex. 4 000 € forfaitaires, ou 60 €/heure plafonnés à 60 heures'],
+          timeline: ['Quel calendrier envisagez-vous ?', 'p. ex. premier jet sous deux semaines, version finale à la fin du mois']
+        },
+        sections: { scope: 'Périmètre', deliverables: 'Livrables et calendrier', payment: 'Paiement', revisions: 'Corrections et modifications', ownership: 'Propriété et résiliation' },
+        principles: [
+          ['Périmètre écrit', 'Tout ce qui ne figure pas dans le périmètre écrit est une demande de modification.'],
+          ['Jalons payés', 'Le paiement suit la livraison, jalon par jalon.'],
+          ['Retours rapides', 'Les deux parties répondent dans les délais convenus.']
+        ]
+      },
+      co_parenting: {
+        name: 'Calendrier de coparentalité',
+        description: 'Temps de garde, passages de relais, décisions et frais partagés.',
+        fields: {
+          objectives: ['Qu’est-ce qui compte le plus pour les enfants et pour vous ?', 'p. ex. une routine stable en semaine d’école, un week-end sur deux ensemble'],
+          mustHaves: ['Qu’est-ce qui n’est pas négociable pour vous ?', 'p. ex. les enfants sont chez moi le jour de mon anniversaire ; pas de passage de relais après 20 h'],
+          constraints: ['Quels faits faut-il prendre en compte ?', 'p. ex. déplacements professionnels, distance entre les domiciles, horaires d’école et d’activités'],
+          childrenNeeds: ['De quoi les enfants ont-ils besoin en ce moment ?', 'p. ex. des heures de coucher régulières, être conduits au foot le mercredi']
+        },
+        sections: { schedule: 'Calendrier de garde', handoffs: 'Passages de relais', decisions: 'Décisions', communication: 'Communication', expenses: 'Frais' },
+        principles: [
+          ['Les enfants d’abord', 'Les décisions se jugent à ce qui est le mieux pour les enfants.'],
+          ['Fiabilité', 'Les horaires convenus sont respectés et les changements demandés tôt.'],
+          ['Communication respectueuse', 'Les parents se parlent directement, pas par l’intermédiaire des enfants.']
+        ]
+      },
+      custom: {
+        name: 'Personnalisé',
+        description: 'Tout autre sujet ; l’accord prend la forme qui convient.',
+        fields: {
+          objectives: ['Quels sont vos intérêts et priorités essentiels ?', 'Qu’est-ce qui compte le plus pour vous et pourquoi ? (p. ex. une charge de travail équitable, être reconnu, du temps libre prévisible)'],
+          mustHaves: ['Qu’est-ce qui n’est pas négociable, et quelles sont vos limites ?', 'Quelles limites ou quels principes doivent être respectés ? (p. ex. cuisine propre avant le coucher ; je ne peux pas faire la vaisselle tous les jours)'],
+          constraints: ['Quels critères objectifs et quel contexte faut-il prendre en compte ?', 'Partagez des faits ou des références concrets (p. ex. horaires de travail, planning, qui cuisine, échéances, règles externes).']
+        },
+        sections: {},
+        principles: []
+      }
+    }
+  };
+
+  // 'es', 'ES', 'es-MX' -> 'es'; null for languages without translations
+  function normalizeLanguage(value) {
+    const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES.some(language => language.code === code) ? code : null;
+  }
+
+  function getLanguage(code) {
+    return LANGUAGES.find(language => language.code === normalizeLanguage(code)) || LANGUAGES[0];
+  }
+
+  // English name, for the model prompts
+  function languageName(code) {
+    return getLanguage(code).name;
+  }
+
+  function localeFor(code) {
+    return getLanguage(code).locale;
+  }
+
+  // t('es', 'pdf.round', { round: 2 }) -> 'Ronda 2'
+  function t(language, key, vars = {}) {
+    const strings = STRINGS[normalizeLanguage(language) || DEFAULT_LANGUAGE];
+    const text = strings[key] !== undefined ? strings[key] : STRINGS[DEFAULT_LANGUAGE][key];
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+  }
+
+  // Every language's wording of a string, for recognising it in model output
+  function markers(key) {
+    return [...new Set(Object.values(STRINGS).map(strings => strings[key]).filter(Boolean))];
+  }
+
+  // Copy of a template with its name, description, questions, section titles
+  // and principles in the given language
+  function localizeTemplate(template, language) {
+    const strings = template && (TEMPLATE_STRINGS[normalizeLanguage(language)] || {})[template.id];
+    if (!strings) return template;
+    return {
+      ...template,
+      name: strings.name || template.name,
+      description: strings.description || template.description,
+      fields: template.fields.map(field => {
+        const [label, placeholder] = strings.fields[field.key] || [];
+        return { ...field, label: label || field.label, placeholder: placeholder || field.placeholder };
+      }),
+      sections: template.sections.map(section => ({ ...section, title: strings.sections[section.id] || section.title })),
+      principles: template.principles.map((principle, index) => {
+        const [label, text] = strings.principles[index] || [];
+        return { label: label || principle.label, text: text || principle.text };
+      })
+    };
+  }
+
+  // Languages an agreement is available in, its primary language first
+  function agreementLanguages(agreement) {
+    const primary = normalizeLanguage(agreement && agreement.language) || DEFAULT_LANGUAGE;
+    const translations = Object.keys((agreement && agreement.translations) || {}).filter(code => code !== primary);
+    return [primary, ...translations];
+  }
+
+  // preferred when the agreement has it, otherwise its primary language
+  function pickLanguage(agreement, preferred) {
+    const languages = agreementLanguages(agreement);
+    const code = normalizeLanguage(preferred);
+    return code && languages.includes(code) ? code : languages[0];
+  }
+
+  // The agreement (structured or canonical) as read in one language: the
+  // translation's titles and texts over the primary clauses, which keep their
+  // numbers and sections
+  function agreementIn(agreement, language) {
+    const code = pickLanguage(agreement, language);
+    const translation = agreement && agreement.translations && agreement.translations[code];
+    if (!translation || code === agreementLanguages(agreement)[0]) return agreement;
+    const clauses = Array.isArray(translation.clauses) ? translation.clauses : [];
+    const principles = Array.isArray(translation.principles) ? translation.principles : [];
+    return {
+      ...agreement,
+      language: code,
+      title: translation.title || agreement.title,
+      clauses: (agreement.clauses || []).map((clause, index) => ({
+        ...clause,
+        title: clauses[index] && clauses[index].title !== undefined ? clauses[index].title : clause.title,
+        text: (clauses[index] && clauses[index].text) || clause.text
+      })),
+      principles: principles.length ? principles : agreement.principles,
+      summary: translation.summary || agreement.summary
+    };
+  }
+
+  return {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    STRINGS,
+    normalizeLanguage,
+    languageName,
+    localeFor,
+    t,
+    markers,
+    localizeTemplate,
+    agreementLanguages,
+    pickLanguage,
+    agreementIn
+  };
+});
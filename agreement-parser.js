@@ -1,13 +1,23 @@
 // Agreement parser usable in both browser and Node (Jest)
+// Headings and the summary marker are recognised in every language of
+// agreement-i18n.js, and labels may use any letters.
 (function (root, factory) {
   if (typeof module === 'object' && module.exports) {
-    module.exports = factory();
+    module.exports = factory(require('./agreement-i18n'));
   } else {
-    root.AgreementParser = factory();
+    root.AgreementParser = factory(root.AgreementI18n);
   }
-})(typeof self !== 'undefined' ? self : this, function () {
+})(typeof self !== 'undefined' ? self : this, function (AgreementI18n) {
+  const anyOf = words => words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const SUMMARY = new RegExp(`(?:${anyOf(AgreementI18n.markers('agreement.summary'))})\\s*:\\s*([\\s\\S]*)`, 'iu');
+  const HEADING = new RegExp(`^(?:Final|${anyOf(AgreementI18n.markers('agreement.final'))})(?![\\p{L}\\p{N}])`, 'iu');
+  const PRINCIPLES = new RegExp(`^(?:${anyOf(AgreementI18n.markers('agreement.principles'))})`, 'iu');
+  const PRINCIPLES_TITLE = new RegExp(anyOf(AgreementI18n.markers('agreement.principles')), 'iu');
+  const LABEL = /^[\p{L}\p{M}'’ ]+:/u;
+  const LABELLED = /^([\p{L}\p{M}'’ ]+?)\s*:\s*(.+)$/u;
+
   function formatAgreementContent(raw) {
-    const summaryMatch = raw.match(/Plain-text summary:\s*([\s\S]*)/i);
+    const summaryMatch = raw.match(SUMMARY);
     let summary = '';
     let agreementText = raw;
 
@@ -24,16 +34,16 @@
       const lines = agreementText.split(/\r?\n/).filter(l => l.trim().length);
       let inList = false;
       lines.forEach(line => {
-        if (/^Final\b/i.test(line)) {
+        if (HEADING.test(line)) {
           html += `<h1>${line.trim()}</h1>`;
         } else if (/^\d+\./.test(line)) {
           const [num, rest] = line.split(/\.\s*/, 2);
           const [title, text] = rest.split(/:\s*/, 2);
           html += `<p><strong>${num}. ${title}:</strong> ${text}</p>`;
-        } else if (/^Guiding Principles/i.test(line)) {
+        } else if (PRINCIPLES.test(line)) {
           if (inList) { html += '</ul>'; inList = false; }
           html += `<h2>${line.trim()}</h2>`;
-        } else if (/^[A-Za-z ]+:/.test(line)) {
+        } else if (LABEL.test(line)) {
           if (!inList) { html += '<ul>'; inList = true; }
           const [label, text] = line.split(/:\s*/, 2);
           html += `<li><strong>${label}:</strong> ${text}</li>`;
@@ -49,7 +59,7 @@
 
   function parseAgreementStructured(raw) {
     // Extract optional summary block
-    const summaryMatch = raw.match(/Plain-text summary:\s*([\s\S]*)/i);
+    const summaryMatch = raw.match(SUMMARY);
     let summary = '';
     let preSummaryText = raw;
     if (summaryMatch) {
@@ -105,11 +115,11 @@
           });
         }
 
-        // Find principles under an H2 titled "Guiding Principles" and subsequent list
+        // Find principles under an H2 titled "Guiding Principles" (in any language) and subsequent list
         const h2s = container.querySelectorAll('h2, h3');
         let principlesRoot = null;
         h2s.forEach(h => {
-          if (!principlesRoot && /guiding principles/i.test(h.textContent || '')) {
+          if (!principlesRoot && PRINCIPLES_TITLE.test(h.textContent || '')) {
             principlesRoot = h.nextElementSibling && (h.nextElementSibling.matches('ul,ol') ? h.nextElementSibling : null);
             if (!principlesRoot) {
               const nextList = container.querySelector('h2 ~ ul, h2 ~ ol, h3 ~ ul, h3 ~ ol');
@@ -153,7 +163,7 @@
       const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
       let collectingPrinciples = false;
       for (const line of lines) {
-        if (/^Guiding Principles/i.test(line)) { collectingPrinciples = true; continue; }
+        if (PRINCIPLES.test(line)) { collectingPrinciples = true; continue; }
         const clauseMatch = line.match(/^(\d+)\.\s*(.+)$/);
         if (clauseMatch) {
           const rest = clauseMatch[2];
@@ -164,7 +174,7 @@
           continue;
         }
         if (collectingPrinciples) {
-          const m = line.match(/^([A-Za-z ]+):\s*(.+)$/);
+          const m = line.match(LABELLED);
           if (m) principles.push({ label: m[1].trim(), text: m[2].trim() });
         }
       }
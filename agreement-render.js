@@ -0,0 +1,85 @@
+// Agreement body as HTML, usable in both browser and Node (Jest)
+// The results page and the certified PDF render the same agreement data
+// through this one function, so the PDF shows exactly what the negotiation
+// produced: the clauses grouped under the template's sections, the guiding
+// principles and the summary. Input is the canonical agreement
+// (agreement-canonical.js) or anything of its shape; every value is escaped.
+// Elements carry semantic class names, which the browser swaps for its own.
+// Headings follow the language rendered (agreement-i18n.js), which is the
+// agreement's primary language unless a translation is asked for.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./agreement-templates'), require('./agreement-i18n'));
+  } else {
+    root.AgreementRender = factory(root.AgreementTemplates, root.AgreementI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (AgreementTemplates, AgreementI18n) {
+  const CLASSES = {
+    subtitle: 'agreement-subtitle',
+    section: 'agreement-section',
+    sectionTitle: 'agreement-section-title',
+    clauses: 'agreement-clauses',
+    clause: 'agreement-clause',
+    clauseNumber: 'agreement-clause-number',
+    clauseBody: 'agreement-clause-body',
+    clauseTitle: 'agreement-clause-title',
+    principles: 'agreement-principles',
+    principlesTitle: 'agreement-principles-title',
+    principleList: 'agreement-principle-list',
+    principle: 'agreement-principle',
+    principleLabel: 'agreement-principle-label',
+    summary: 'agreement-summary',
+    summaryBox: 'agreement-summary-box',
+    summaryText: 'agreement-summary-text'
+  };
+
+  function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // canonical: { topic, template, clauses, principles, summary, language,
+  // translations }. options.classes replaces any of the CLASSES names;
+  // options.language picks one of the agreement's translations.
+  function agreementHtml(canonical, { classes = {}, language } = {}) {
+    const css = { ...CLASSES, ...classes };
+    const attr = key => (css[key] ? ` class="${escapeHtml(css[key])}"` : '');
+    const code = AgreementI18n.pickLanguage(canonical || {}, language);
+    const agreement = AgreementI18n.agreementIn(canonical || {}, code);
+    const t = key => escapeHtml(AgreementI18n.t(code, key));
+    const { sections, principles } = AgreementTemplates.layoutAgreement(
+      AgreementI18n.localizeTemplate(AgreementTemplates.getTemplate(agreement.template), code),
+      { clauses: agreement.clauses || [], principles: agreement.principles || [] }
+    );
+
+    const parts = [`<p${attr('subtitle')}>${t('agreement.final')}: ${agreement.topic ? escapeHtml(agreement.topic) : t('agreement.default')}</p>`];
+    sections.forEach(group => {
+      // Clauses outside the template's sections
+      const title = group.id === null && group.title ? AgreementI18n.t(code, 'agreement.otherTerms') : group.title;
+      const clauses = group.clauses.map(clause => `<li${attr('clause')}>`
+        + `<span${attr('clauseNumber')}>${clause.number}</span>`
+        + `<div${attr('clauseBody')}>${clause.title ? `<strong${attr('clauseTitle')}>${escapeHtml(clause.title)}: </strong>` : ''}${escapeHtml(clause.text)}</div>`
+        + '</li>');
+      parts.push(`<section${attr('section')}>`
+        + (title ? `<h3${attr('sectionTitle')}>${escapeHtml(title)}</h3>` : '')
+        + `<ol${attr('clauses')}>${clauses.join('')}</ol></section>`);
+    });
+    if (principles.length) {
+      const items = principles.map(principle => `<p${attr('principle')}>`
+        + `<strong${attr('principleLabel')}>${escapeHtml(principle.label)}: </strong>${escapeHtml(principle.text)}</p>`);
+      parts.push(`<section${attr('principles')}><h2${attr('principlesTitle')}>${t('agreement.principles')}</h2>`
+        + `<div${attr('principleList')}>${items.join('')}</div></section>`);
+    }
+    if (agreement.summary) {
+      parts.push(`<section${attr('summary')}><div${attr('summaryBox')}>`
+        + `<p${attr('summaryText')}>${escapeHtml(agreement.summary)}</p></div></section>`);
+    }
+    return parts.join('');
+  }
+
+  return { CLASSES, agreementHtml };
+});
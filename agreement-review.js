@@ -0,0 +1,221 @@
+// Human review of the AI agreement
+// Each party accepts, rejects or requests a change to every clause of the
+// current agreement version. Rejected or changed clauses are renegotiated
+// while the accepted ones are kept, producing a new version; an agreement is
+// certified once both parties accept every clause of the same version.
+// A party accepting every clause may sign the version (agreement-signing.js);
+// signatures belong to one version and are dropped with its reviews.
+
+const CLAUSE_DECISIONS = ['accept', 'reject', 'change'];
+const MAX_COMMENT_LENGTH = 1000;
+
+class ReviewError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReviewError';
+        this.status = status;
+    }
+}
+
+class AgreementReview {
+    constructor({ parties }) {
+        this.parties = parties;
+        this.versions = [];
+        this.decisions = new Map();
+        this.signatures = new Map();
+        this.status = 'pending';
+        this.certifiedAt = null;
+    }
+
+    get current() {
+        return this.versions[this.versions.length - 1] || null;
+    }
+
+    // Starts a new version; earlier reviews only applied to the previous one
+    addVersion(structured, { changedClauses = [] } = {}) {
+        this.versions.push({
+            version: this.versions.length + 1,
+            structured,
+            changedClauses,
+            // Part of what is signed, so fixed when the version is created
+            effectiveDate: new Date().toISOString().slice(0, 10),
+            createdAt: Date.now()
+        });
+        this.decisions.clear();
+        this.signatures.clear();
+        this.status = 'pending';
+        return this.current;
+    }
+
+    // decisions: [{ clause, decision, comment }], one per clause of the version.
+    // signature: the party's already verified signature of this version.
+    submit(party, { version, decisions, note } = {}, signature = null) {
+        if (!this.parties.includes(party)) {
+            throw new ReviewError('Unknown party', 403);
+        }
+        if (this.status !== 'pending') {
+            throw new ReviewError(`Agreement is ${this.status}`, 409);
+        }
+        if (Number(version) !== this.current.version) {
+            throw new ReviewError('Agreement version is out of date', 409);
+        }
+        if (this.decisions.has(party)) {
+            throw new ReviewError('Party already reviewed this version', 409);
+        }
+
+        const clauseCount = this.current.structured.clauses.length;
+        const byClause = new Map();
+        (Array.isArray(decisions) ? decisions : []).forEach(item => {
+            const clause = parseInt(item && item.clause, 10);
+            if (!(clause >= 1 && clause <= clauseCount)) {
+                throw new ReviewError(`Unknown clause ${item && item.clause}`);
+            }
+            if (!CLAUSE_DECISIONS.includes(item.decision)) {
+                throw new ReviewError(`Invalid decision for clause ${clause}`);
+            }
+            byClause.set(clause, {
+                clause,
+                decision: item.decision,
+                comment: String(item.comment || '').trim().slice(0, MAX_COMMENT_LENGTH)
+            });
+        });
+        if (byClause.size !== clauseCount) {
+            throw new ReviewError('Every clause needs a decision');
+        }
+        if (signature && (signature.party !== party || [...byClause.values()].some(item => item.decision !== 'accept'))) {
+            throw new ReviewError('Only a review accepting every clause can be signed, by its own party');
+        }
+
+        this.decisions.set(party, {
+            clauses: [...byClause.values()].sort((a, b) => a.clause - b.clause),
+            note: String(note || '').trim().slice(0, MAX_COMMENT_LENGTH),
+            submittedAt: Date.now()
+        });
+        if (signature) this.signatures.set(party, signature);
+
+        if (this.decisions.size === this.parties.length) {
+            if (this.contestedClauses().length) {
+                this.status = 'renegotiating';
+            } else {
+                this.status = 'certified';
+                this.certifiedAt = Date.now();
+            }
+        }
+        return this.status;
+    }
+
+    toJSON() {
+        return {
+            parties: this.parties,
+            versions: this.versions,
+            decisions: [...this.decisions.entries()],
+            signatures: [...this.signatures.entries()],
+            status: this.status,
+            certifiedAt: this.certifiedAt
+        };
+    }
+
+    static fromJSON(data) {
+        const review = new AgreementReview({ parties: data.parties });
+        review.versions = data.versions;
+        review.decisions = new Map(data.decisions);
+        review.signatures = new Map(data.signatures || []);
+        review.status = data.status;
+        review.certifiedAt = data.certifiedAt;
+        return review;
+    }
+
+    // Discards the reviews of the current version so it can be reviewed again
+    reopen() {
+        this.decisions.clear();
+        this.signatures.clear();
+        this.status = 'pending';
+    }
+
+    // Clause numbers any party rejected or wants changed
+    contestedClauses() {
+        const contested = new Set();
+        for (const review of this.decisions.values()) {
+            review.clauses
+                .filter(item => item.decision !== 'accept')
+                .forEach(item => contested.add(item.clause));
+        }
+        return [...contested].sort((a, b) => a - b);
+    }
+
+    // Clause feedback as one advocate may see it: every party's clause
+    // comments, but only its own party's private note
+    feedbackFor(party) {
+        const clauses = this.contestedClauses().map(clause => ({
+            clause,
+            title: this.current.structured.clauses[clause - 1].title,
+            text: this.current.structured.clauses[clause - 1].text,
+            feedback: this.parties.map(name => {
+                const item = this.decisions.get(name).clauses[clause - 1];
+                return { party: name, decision: item.decision, comment: item.comment };
+            })
+        }));
+        return { clauses, note: (this.decisions.get(party) || {}).note || '' };
+    }
+
+    // Versions stored before effective dates were recorded use their creation day
+    get effectiveDate() {
+        const current = this.current;
+        return current.effectiveDate || new Date(current.createdAt).toISOString().slice(0, 10);
+    }
+
+    // Shareable state; private notes never leave the review
+    describe() {
+        const current = this.current;
+        return {
+            status: this.status,
+            version: current.version,
+            parties: this.parties,
+            effectiveDate: this.effectiveDate,
+            structured: current.structured,
+            changedClauses: current.changedClauses,
+            reviewedBy: [...this.decisions.keys()],
+            decisions: [...this.decisions.entries()].map(([party, review]) => ({ party, clauses: review.clauses })),
+            signatures: [...this.signatures.values()],
+            signed: this.parties.every(party => this.signatures.has(party)),
+            versions: this.versions.length,
+            certifiedAt: this.certifiedAt
+        };
+    }
+}
+
+// Replaces only the renegotiated clauses; accepted clauses are kept verbatim.
+// Translations follow: a revised clause takes its wording in each language
+// from revised.translations, or else the new primary wording, so no
+// translation keeps a clause the parties replaced.
+function mergeClauses(structured, revisedClauses, contested) {
+    const revisedFor = number => {
+        if (!contested.includes(number)) return null;
+        const revised = revisedClauses.find(item => parseInt(item.clause, 10) === number);
+        return revised && String(revised.text || '').trim() ? revised : null;
+    };
+    const clauses = structured.clauses.map((clause, index) => {
+        const revised = revisedFor(index + 1);
+        if (!revised) return clause;
+        return { ...clause, title: String(revised.title || clause.title), text: String(revised.text).trim() };
+    });
+    if (!structured.translations) return { ...structured, clauses };
+
+    const translations = {};
+    Object.entries(structured.translations).forEach(([code, translation]) => {
+        translations[code] = {
+            ...translation,
+            clauses: translation.clauses.map((clause, index) => {
+                const revised = revisedFor(index + 1);
+                if (!revised) return clause;
+                const translated = revised.translations && revised.translations[code];
+                return translated && String(translated.text || '').trim()
+                    ? { ...clause, title: String(translated.title || clause.title), text: String(translated.text).trim() }
+                    : { ...clause, title: clauses[index].title, text: clauses[index].text };
+            })
+        };
+    });
+    return { ...structured, clauses, translations };
+}
+
+module.exports = { AgreementReview, ReviewError, CLAUSE_DECISIONS, mergeClauses };
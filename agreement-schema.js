@@ -0,0 +1,484 @@
+// Final-agreement schema, validation and repair
+// The moderator returns the agreement and its analytics as one JSON object.
+// Long answers are often cut off at the token limit or carry small defects
+// (comments, trailing commas, numbers as strings), so the raw text is repaired
+// before it is checked against the schema. Every repair and every remaining
+// error is reported; the moderator re-asks a bounded number of times when the
+// result is still invalid.
+//
+// Agreements drafted in several languages carry a translation per extra
+// language with the same clauses and principles in the same order, so clause
+// numbers line up across every version.
+
+const { DEFAULT_LANGUAGE, markers } = require('./agreement-i18n');
+
+const DEFAULT_SCHEMA_RETRIES = 1;
+
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const text = { type: 'string' };
+
+const ANALYTICS_SCHEMA = {
+    type: 'object',
+    required: ['health'],
+    properties: {
+        health: {
+            type: 'object',
+            required: ['fairnessIndex', 'paretoEfficiency', 'nashScore', 'claritySmart', 'implementability'],
+            properties: {
+                fairnessIndex: score,
+                paretoEfficiency: score,
+                nashScore: score,
+                claritySmart: score,
+                implementability: score,
+                objectiveCriteriaUsed: { type: 'boolean' }
+            }
+        },
+        interestsCoverage: {
+            type: 'object',
+            properties: {
+                parties: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['party', 'needs'],
+                        properties: {
+                            party: text,
+                            needs: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['need', 'coverage'],
+                                    properties: {
+                                        need: text,
+                                        type: { type: 'string', enum: ['mustHave', 'preference'] },
+                                        coverage: { type: 'string', enum: ['full', 'partial', 'none'] }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                tradeOffEfficiency: score
+            }
+        },
+        processStyle: {
+            type: 'object',
+            properties: {
+                styleBlend: {
+                    type: 'object',
+                    properties: {
+                        competing: score,
+                        collaborating: score,
+                        compromising: score,
+                        avoiding: score,
+                        accommodating: score
+                    }
+                },
+                lsmPercent: score,
+                politeness: score,
+                emotionTone: text
+            }
+        },
+        tacticsBias: {
+            type: 'object',
+            properties: {
+                firstOfferQuality: text,
+                hardballTags: { type: 'array', items: text },
+                objectiveCriteriaNotes: text
+            }
+        },
+        concessions: {
+            type: 'object',
+            properties: {
+                narrative: text,
+                curvePoints: { type: 'array', items: { type: 'number' } }
+            }
+        },
+        coach: {
+            type: 'object',
+            properties: { strength: text, opportunity: text, suggestion: text }
+        },
+        participants: { type: 'array', items: text }
+    }
+};
+
+const TRANSLATION_SCHEMA = {
+    type: 'object',
+    required: ['title', 'clauses', 'principles', 'summary'],
+    properties: {
+        title: text,
+        clauses: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['title', 'text'],
+                properties: { title: text, text: { type: 'string', minLength: 1 } }
+            }
+        },
+        principles: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['label', 'text'],
+                properties: { label: text, text }
+            }
+        },
+        summary: text
+    }
+};
+
+// JSON Schema (draft-07 subset) of the final agreement; a template with
+// sections limits clause sections to its own, and every language after the
+// first needs a translation
+function agreementSchema(template, { languages = [] } = {}) {
+    const sections = template && template.sections ? template.sections.map(section => section.id) : [];
+    const translated = languages.slice(1);
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        required: ['title', 'clauses', 'principles', 'summary', ...(translated.length ? ['translations'] : [])],
+        properties: {
+            title: { type: 'string', minLength: 1 },
+            clauses: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['title', 'text'],
+                    properties: {
+                        ...(sections.length ? { section: { type: 'string', enum: sections } } : {}),
+                        title: text,
+                        text: { type: 'string', minLength: 1 }
+                    }
+                }
+            },
+            principles: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['label', 'text'],
+                    properties: { label: text, text }
+                }
+            },
+            summary: text,
+            html: text,
+            analytics: ANALYTICS_SCHEMA,
+            ...(translated.length ? {
+                translations: {
+                    type: 'object',
+                    required: translated,
+                    properties: Object.fromEntries(translated.map(code => [code, TRANSLATION_SCHEMA]))
+                }
+            } : {})
+        }
+    };
+}
+
+// Translations whose clauses or principles do not line up with the agreement's
+function alignmentErrors(structured, languages) {
+    const errors = [];
+    languages.slice(1).forEach(code => {
+        const translation = structured.translations[code];
+        ['clauses', 'principles'].forEach(key => {
+            if (translation[key].length !== structured[key].length) {
+                errors.push({
+                    path: `translations.${code}.${key}`,
+                    message: `must have ${structured[key].length} items, one per item of ${key} in the same order`
+                });
+            }
+        });
+    });
+    return errors;
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+// Errors as { path, message }; covers the keywords the schemas above use
+function validate(schema, value, path = '') {
+    const at = path || '(root)';
+    if (schema.type && typeOf(value) !== schema.type) {
+        return [{ path: at, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}` }];
+    }
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+    if (schema.minLength !== undefined && String(value).trim().length < schema.minLength) {
+        errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: at, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+    if (schema.type === 'object') {
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' }));
+        Object.entries(schema.properties || {})
+            .filter(([key]) => value[key] !== undefined)
+            .forEach(([key, child]) => errors.push(...validate(child, value[key], path ? `${path}.${key}` : key)));
+    }
+    return errors;
+}
+
+// Drops comments and trailing commas outside strings
+function cleanJson(json) {
+    let out = '';
+    let inString = false;
+    for (let i = 0; i < json.length; i++) {
+        const char = json[i];
+        if (inString) {
+            out += char;
+            if (char === '\\') out += json[++i] || '';
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+            out += char;
+        } else if (char === '/' && json[i + 1] === '/') {
+            while (i < json.length && json[i] !== '\n') i++;
+            out += '\n';
+        } else if (char === '/' && json[i + 1] === '*') {
+            const end = json.indexOf('*/', i + 2);
+            i = end === -1 ? json.length : end + 1;
+        } else if (char === ',' && /^\s*[}\]]/.test(json.slice(i + 1))) {
+            continue;
+        } else {
+            out += char;
+        }
+    }
+    return out;
+}
+
+// Open brackets, whether the text ends inside a string, and the positions of
+// commas between values
+function scanJson(json) {
+    const stack = [];
+    const commas = [];
+    let inString = false;
+    for (let i = 0; i < json.length; i++) {
+        const char = json[i];
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        } else if (char === ',') {
+            commas.push(i);
+        }
+    }
+    return { stack, commas, inString };
+}
+
+function tryParse(json) {
+    try {
+        return { value: JSON.parse(json) };
+    } catch (e) {
+        return { error: e.message };
+    }
+}
+
+// A response cut off at the token limit: drop the incomplete last value and
+// close whatever is still open
+function closeTruncatedJson(json) {
+    let prefix = json.trimEnd();
+    for (let attempt = 0; attempt < 50 && prefix; attempt++) {
+        const { stack, commas, inString } = scanJson(prefix);
+        if (!stack.length) return null;
+        if (!inString) {
+            const candidate = prefix.replace(/[,:]\s*$/, '') + stack.reverse().join('');
+            if (!tryParse(candidate).error) return candidate;
+        }
+        if (!commas.length) return null;
+        prefix = prefix.slice(0, commas[commas.length - 1]).trimEnd();
+    }
+    return null;
+}
+
+// Parses the agreement JSON out of a model answer, repairing common defects.
+// Returns { value, repairs } or { value: null, repairs, error }.
+function parseAgreementJson(raw) {
+    const answer = String(raw || '');
+    const repairs = [];
+    const fence = answer.match(/```json\s*([\s\S]*?)(?:```|$)/i) || answer.match(/```\s*([\s\S]*?)(?:```|$)/);
+    const body = fence ? fence[1] : answer;
+    const start = body.indexOf('{');
+    if (start === -1) return { value: null, repairs, error: 'No JSON object found' };
+    let json = body.slice(start).trim();
+    if (fence && !fence[0].endsWith('```')) repairs.push('missing closing code fence');
+
+    let parsed = tryParse(json);
+    if (parsed.error) {
+        // Text after the object, e.g. the plain-text summary outside the fence
+        const { stack } = scanJson(json);
+        const end = json.lastIndexOf('}');
+        if (!stack.length && end !== -1 && !tryParse(json.slice(0, end + 1)).error) {
+            json = json.slice(0, end + 1);
+            repairs.push('removed text after the JSON object');
+            parsed = tryParse(json);
+        }
+    }
+    if (parsed.error) {
+        const cleaned = cleanJson(json);
+        if (cleaned !== json) {
+            json = cleaned;
+            repairs.push('removed comments or trailing commas');
+            parsed = tryParse(json);
+        }
+    }
+    if (parsed.error && /[“”]/.test(json)) {
+        json = json.replace(/[“”]/g, '"');
+        repairs.push('replaced curly quotes');
+        parsed = tryParse(json);
+    }
+    if (parsed.error) {
+        const closed = closeTruncatedJson(json);
+        if (closed) {
+            repairs.push('closed truncated JSON');
+            parsed = tryParse(closed);
+        }
+    }
+    if (parsed.error) return { value: null, repairs, error: `Invalid JSON: ${parsed.error}` };
+    if (typeOf(parsed.value) !== 'object') return { value: null, repairs, error: 'Agreement must be a JSON object' };
+    return { value: parsed.value, repairs };
+}
+
+// Coerces values the schema can fix without guessing: numbers sent as
+// strings ("80", "80%"), out-of-range scores, "true"/"false", clauses and
+// principles sent as plain strings, and sections the template does not have
+function coerce(schema, value, path, repairs) {
+    const at = path || '(root)';
+    if (schema.type === 'number' && typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*%?\s*$/.test(value)) {
+        repairs.push(`${at}: converted "${value}" to a number`);
+        value = parseFloat(value);
+    }
+    if (schema.type === 'number' && typeof value === 'number') {
+        const clamped = Math.min(schema.maximum ?? value, Math.max(schema.minimum ?? value, value));
+        if (clamped !== value) {
+            repairs.push(`${at}: clamped ${value} to ${clamped}`);
+            value = clamped;
+        }
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        repairs.push(`${at}: converted "${value}" to a boolean`);
+        value = value === 'true';
+    }
+    if (schema.type === 'array' && typeOf(value) === 'array' && schema.items) {
+        return value.map((item, index) => coerce(schema.items, item, `${path}[${index}]`, repairs));
+    }
+    if (schema.type === 'object' && typeof value === 'string' && schema.required) {
+        const [first, second] = schema.required;
+        if (second === 'text') {
+            const match = value.match(/^([^:]{1,80}):\s*([\s\S]+)$/);
+            repairs.push(`${at}: split a plain string into ${first} and text`);
+            value = match ? { [first]: match[1].trim(), text: match[2].trim() } : { [first]: '', text: value.trim() };
+        }
+    }
+    if (schema.type === 'object' && typeOf(value) === 'object') {
+        const copy = { ...value };
+        Object.entries(schema.properties || {}).forEach(([key, child]) => {
+            if (copy[key] === undefined) return;
+            if (child.enum && key === 'section' && !child.enum.includes(copy[key])) {
+                repairs.push(`${path}.section: dropped unknown section "${copy[key]}"`);
+                delete copy[key];
+                return;
+            }
+            copy[key] = coerce(child, copy[key], path ? `${path}.${key}` : key, repairs);
+        });
+        return copy;
+    }
+    return value;
+}
+
+// Full check of a moderator answer. Invalid analytics alone do not sink the
+// agreement: they are dropped and reported, and the agreement stands.
+// languages: the agreement's languages, primary first.
+// Returns { structured, report: { valid, repairs, errors } }.
+function validateAgreement(raw, { template, languages = [] } = {}) {
+    const schema = agreementSchema(template, { languages });
+    const parsed = parseAgreementJson(raw);
+    const repairs = [...parsed.repairs];
+    if (!parsed.value) {
+        return { structured: null, report: { valid: false, repairs, errors: [{ path: '(root)', message: parsed.error }] } };
+    }
+
+    let structured = coerce(schema, parsed.value, '', repairs);
+    let errors = validate(schema, structured);
+    if (errors.length && errors.every(error => error.path.startsWith('analytics'))) {
+        repairs.push(`analytics: dropped (${errors.map(error => `${error.path} ${error.message}`).join('; ')})`);
+        const { analytics, ...rest } = structured;
+        structured = rest;
+        errors = validate(schema, structured);
+    }
+    if (!errors.length && languages.length > 1) errors = alignmentErrors(structured, languages);
+    if (!errors.length && languages.length) structured = withLanguages(structured, languages, repairs);
+    return {
+        structured: errors.length ? null : structured,
+        report: { valid: errors.length === 0, repairs, errors }
+    };
+}
+
+// The primary language recorded, and only the translations asked for kept
+function withLanguages(structured, languages, repairs) {
+    const [language, ...translated] = languages;
+    const result = { ...structured };
+    delete result.language;
+    delete result.translations;
+    // English-only agreements keep the shape they always had
+    if (language && (language !== DEFAULT_LANGUAGE || translated.length)) result.language = language;
+    if (translated.length) {
+        result.translations = Object.fromEntries(translated.map(code => [code, structured.translations[code]]));
+    }
+    Object.keys(structured.translations || {})
+        .filter(code => !translated.includes(code))
+        .forEach(code => repairs.push(`translations.${code}: dropped a translation that was not asked for`));
+    return result;
+}
+
+const INSUFFICIENT = new RegExp(`^\\s*(?:${markers('agreement.insufficient').join('|')})`, 'i');
+
+// Plain-text "Insufficient information" answers, in any supported language,
+// are a valid outcome, not a defect
+function isInsufficientAnswer(raw) {
+    return INSUFFICIENT.test(String(raw || '')) && !String(raw).includes('{');
+}
+
+function getSchemaRetries(env = process.env) {
+    const value = parseInt(env.AGREEMENT_SCHEMA_RETRIES, 10);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_SCHEMA_RETRIES;
+}
+
+function describeErrors(errors) {
+    return errors.map(error => `- ${error.path} ${error.message}`).join('\n');
+}
+
+module.exports = {
+    DEFAULT_SCHEMA_RETRIES,
+    ANALYTICS_SCHEMA,
+    TRANSLATION_SCHEMA,
+    agreementSchema,
+    validate,
+    parseAgreementJson,
+    validateAgreement,
+    isInsufficientAnswer,
+    getSchemaRetries,
+    describeErrors
+};
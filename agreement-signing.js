@@ -0,0 +1,102 @@
+// Agreement signatures usable in both browser and Node (Jest)
+// Each participant's browser keeps an ECDSA P-256 signing key. Accepting an
+// agreement signs its canonical hash (agreement-canonical.js) together with
+// the signer's party name, so a signature cannot be moved to another
+// agreement or another party. Anyone holding the agreement can recompute the
+// hash and check each signature against the embedded public key; the key's
+// fingerprint is what people compare to know whose key it is.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AgreementSigning = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 1;
+  const ECDSA = { name: 'ECDSA', namedCurve: 'P-256' };
+  const SIGNATURE = { name: 'ECDSA', hash: 'SHA-256' };
+  const encoder = new TextEncoder();
+
+  function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(String(text || '')), c => c.charCodeAt(0));
+  }
+
+  function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // What is actually signed
+  function signedMessage(party, contentHash) {
+    return encoder.encode(`align-agreement-signature-v${VERSION}\n${party}\n${contentHash}`);
+  }
+
+  // Only the public members of a JWK, in a fixed shape
+  function publicJwk(jwk) {
+    return { kty: 'EC', crv: 'P-256', x: String(jwk && jwk.x || ''), y: String(jwk && jwk.y || '') };
+  }
+
+  async function generateSigningKey(crypto = globalThis.crypto) {
+    const pair = await crypto.subtle.generateKey(ECDSA, true, ['sign', 'verify']);
+    return {
+      publicKey: publicJwk(await crypto.subtle.exportKey('jwk', pair.publicKey)),
+      privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey)
+    };
+  }
+
+  // Hex SHA-256 of the raw public key
+  async function keyFingerprint(publicKey, crypto = globalThis.crypto) {
+    const key = await crypto.subtle.importKey('jwk', publicJwk(publicKey), ECDSA, true, ['verify']);
+    return toHex(await crypto.subtle.digest('SHA-256', await crypto.subtle.exportKey('raw', key)));
+  }
+
+  // Fingerprint in groups of four for people to read out
+  function formatFingerprint(fingerprint) {
+    return String(fingerprint || '').match(/.{1,4}/g).join(' ');
+  }
+
+  // key: { publicKey, privateKey } from generateSigningKey
+  async function signAgreement({ party, contentHash, key }, crypto = globalThis.crypto) {
+    const privateKey = await crypto.subtle.importKey('jwk', key.privateKey, ECDSA, false, ['sign']);
+    const signature = await crypto.subtle.sign(SIGNATURE, privateKey, signedMessage(party, contentHash));
+    return {
+      version: VERSION,
+      party,
+      contentHash,
+      publicKey: publicJwk(key.publicKey),
+      fingerprint: await keyFingerprint(key.publicKey, crypto),
+      signature: toBase64(signature)
+    };
+  }
+
+  // True when the record signs contentHash for its party with its own key
+  async function verifySignature(record, contentHash, crypto = globalThis.crypto) {
+    if (!record || record.version !== VERSION || record.contentHash !== contentHash || !record.party) return false;
+    try {
+      const publicKey = await crypto.subtle.importKey('jwk', publicJwk(record.publicKey), ECDSA, true, ['verify']);
+      if (await keyFingerprint(record.publicKey, crypto) !== record.fingerprint) return false;
+      return await crypto.subtle.verify(SIGNATURE, publicKey, fromBase64(record.signature), signedMessage(record.party, contentHash));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // The fields of a signature record worth keeping, nothing else
+  function signatureRecord(record) {
+    return {
+      version: record.version,
+      party: String(record.party),
+      contentHash: String(record.contentHash),
+      publicKey: publicJwk(record.publicKey),
+      fingerprint: String(record.fingerprint),
+      signature: String(record.signature)
+    };
+  }
+
+  return { generateSigningKey, keyFingerprint, formatFingerprint, signAgreement, verifySignature, signatureRecord };
+});
@@ -0,0 +1,179 @@
+// Agreement templates usable in both browser and Node (Jest)
+// A template describes one kind of agreement: the guided questions each party
+// answers in private, the clause sections the final agreement must cover and
+// the guiding principles it starts from, and optionally its PDF layout
+// defaults (pdf-layout.js). 'custom' keeps the generic questions and leaves
+// the agreement's shape to the moderator.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AgreementTemplates = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_TEMPLATE = 'custom';
+  // Every template asks these; advocates and verification rely on them
+  const CORE_FIELDS = ['objectives', 'mustHaves', 'constraints'];
+  const MAX_FIELD_LENGTH = 2000;
+
+  const TEMPLATES = [
+    {
+      id: 'household_chores',
+      name: 'Household chores',
+      description: 'Who does which chores, how often, and to what standard.',
+      fields: [
+        { key: 'objectives', label: 'Which chores matter most to you, and why?', placeholder: 'e.g., a clean kitchen in the evening, not being the only one who remembers the bins' },
+        { key: 'mustHaves', label: 'What are your non-negotiables?', placeholder: 'e.g., dishes done before bed; I cannot clean the bathroom' },
+        { key: 'constraints', label: 'What facts should be considered?', placeholder: 'e.g., work shifts, who cooks, who is away at weekends' },
+        { key: 'availability', label: 'When are you usually home and free for chores?', placeholder: 'e.g., weekday evenings after 7pm, Sunday mornings', optional: true }
+      ],
+      sections: [
+        { id: 'assignments', title: 'Task Assignments', guidance: 'who does which chore' },
+        { id: 'schedule', title: 'Schedule', guidance: 'how often each chore happens and by when' },
+        { id: 'standards', title: 'Standards', guidance: 'what counts as done' },
+        { id: 'check_ins', title: 'Check-ins and Changes', guidance: 'how missed chores, swaps and reviews are handled' }
+      ],
+      principles: [
+        { label: 'Fair Share', text: 'Effort is balanced across the household, not just the number of tasks.' },
+        { label: 'Clear Ownership', text: 'Every chore has one named owner at any time.' },
+        { label: 'Flexibility', text: 'Swaps are fine when agreed in advance.' }
+      ]
+    },
+    {
+      id: 'roommate_agreement',
+      name: 'Roommate agreement',
+      description: 'Rent, shared spaces, guests and quiet hours for people living together.',
+      fields: [
+        { key: 'objectives', label: 'What would make living together work well for you?', placeholder: 'e.g., a quiet flat on weeknights, splitting costs evenly' },
+        { key: 'mustHaves', label: 'What are your boundaries?', placeholder: 'e.g., no overnight guests on weeknights, my food stays mine' },
+        { key: 'constraints', label: 'What facts should be considered?', placeholder: 'e.g., room sizes, who is on the lease, work-from-home days' },
+        { key: 'costs', label: 'How do you think rent and bills should be split?', placeholder: 'e.g., rent by room size, utilities evenly', optional: true }
+      ],
+      sections: [
+        { id: 'costs', title: 'Rent and Bills', guidance: 'who pays what, and when' },
+        { id: 'shared_spaces', title: 'Shared Spaces', guidance: 'use and upkeep of kitchen, bathroom and living areas' },
+        { id: 'guests_quiet', title: 'Guests and Quiet Hours', guidance: 'visitors, overnight guests and noise' },
+        { id: 'disputes', title: 'Disagreements and Moving Out', guidance: 'how problems are raised and how someone leaves' }
+      ],
+      principles: [
+        { label: 'Respect', text: "Each person's room and belongings are their own." },
+        { label: 'Transparency', text: 'Shared costs are visible to everyone.' },
+        { label: 'Raise It Early', text: 'Problems are raised directly and soon, not left to build up.' }
+      ],
+      pdf: { signaturePage: true }
+    },
+    {
+      id: 'freelance_scope',
+      name: 'Freelance scope and payment',
+      description: 'What is delivered, by when, and how and when it is paid.',
+      fields: [
+        { key: 'objectives', label: 'What do you want out of this engagement?', placeholder: 'e.g., a launched landing page by March; steady work at my day rate' },
+        { key: 'mustHaves', label: 'What are your non-negotiables?', placeholder: 'e.g., 30% upfront; no more than two revision rounds' },
+        { key: 'constraints', label: 'What facts should be considered?', placeholder: 'e.g., budget ceiling, other commitments, launch date' },
+        { key: 'budget', label: 'What budget or rate do you have in mind?', placeholder: 'e.g., €4,000 fixed, or €60/hour capped at 60 hours', optional: true },
+        { key: 'timeline', label: 'What timeline do you have in mind?', placeholder: 'e.g., first draft in two weeks, final by the end of the month', optional: true }
+      ],
+      sections: [
+        { id: 'scope', title: 'Scope', guidance: 'what is and is not included' },
+        { id: 'deliverables', title: 'Deliverables and Timeline', guidance: 'what is delivered and by which date' },
+        { id: 'payment', title: 'Payment', guidance: 'amounts, milestones and due dates' },
+        { id: 'revisions', title: 'Revisions and Changes', guidance: 'how many revisions, and how extra work is priced' },
+        { id: 'ownership', title: 'Ownership and Termination', guidance: 'who owns the work and how either side can end it' }
+      ],
+      principles: [
+        { label: 'Written Scope', text: 'Anything not written in the scope is a change request.' },
+        { label: 'Paid Milestones', text: 'Payment follows delivery, milestone by milestone.' },
+        { label: 'Timely Feedback', text: 'Both sides answer within agreed response times.' }
+      ],
+      pdf: { signaturePage: true, appendix: { summary: true } }
+    },
+    {
+      id: 'co_parenting',
+      name: 'Co-parenting schedule',
+      description: 'Parenting time, handoffs, decisions and shared costs.',
+      fields: [
+        { key: 'objectives', label: 'What matters most for the children and for you?', placeholder: 'e.g., stable school-week routine, every other weekend together' },
+        { key: 'mustHaves', label: 'What are your non-negotiables?', placeholder: 'e.g., the children are at my place on my birthday; no handoffs after 8pm' },
+        { key: 'constraints', label: 'What facts should be considered?', placeholder: 'e.g., work travel, distance between homes, school and activity times' },
+        { key: 'childrenNeeds', label: 'What do the children need right now?', placeholder: 'e.g., consistent bedtimes, lifts to football on Wednesdays', optional: true }
+      ],
+      sections: [
+        { id: 'schedule', title: 'Parenting Schedule', guidance: 'regular weeks, holidays and special days' },
+        { id: 'handoffs', title: 'Handoffs', guidance: 'where, when and who drives' },
+        { id: 'decisions', title: 'Decisions', guidance: 'school, health and activities, and who decides' },
+        { id: 'communication', title: 'Communication', guidance: 'how and when the parents talk about the children' },
+        { id: 'expenses', title: 'Expenses', guidance: 'how child costs are shared' }
+      ],
+      principles: [
+        { label: 'Children First', text: 'Decisions are judged by what is best for the children.' },
+        { label: 'Reliability', text: 'Agreed times are kept, and changes are asked for early.' },
+        { label: 'Respectful Communication', text: 'Parents talk to each other, not through the children.' }
+      ],
+      pdf: { signaturePage: true, appendix: { summary: true, backchannel: true } }
+    },
+    {
+      id: 'custom',
+      name: 'Custom',
+      description: 'Any other topic; the agreement takes whatever shape fits.',
+      fields: [
+        { key: 'objectives', label: 'What are your core interests and priorities?', placeholder: 'What matters most to you and why? (e.g., equitable workload, feeling recognized, predictable downtime)' },
+        { key: 'mustHaves', label: 'What are your non-negotiables and boundaries?', placeholder: 'What boundaries or principles must be upheld? (e.g., kitchen clean before bed; cannot do dishes every single day)' },
+        { key: 'constraints', label: 'What objective criteria and context should be considered?', placeholder: 'Share concrete facts or standards (e.g., work hours, schedule, who cooks, deadlines, external guidelines).' }
+      ],
+      sections: [],
+      principles: []
+    }
+  ];
+
+  function getTemplate(id) {
+    return TEMPLATES.find(template => template.id === (id || DEFAULT_TEMPLATE)) || null;
+  }
+
+  // The inputs the template asks for, trimmed; anything else is dropped
+  function pickTemplateInputs(template, inputs) {
+    const picked = {};
+    template.fields.forEach(field => {
+      const value = String((inputs && inputs[field.key]) || '').trim().slice(0, MAX_FIELD_LENGTH);
+      if (value || CORE_FIELDS.includes(field.key)) picked[field.key] = value;
+    });
+    return picked;
+  }
+
+  // Keys of required fields left empty
+  function missingFields(template, inputs) {
+    return template.fields
+      .filter(field => !field.optional && !String((inputs && inputs[field.key]) || '').trim())
+      .map(field => field.key);
+  }
+
+  // Answers to the template's own questions beyond the core three, labelled
+  function templateDetails(template, inputs) {
+    return template.fields
+      .filter(field => !CORE_FIELDS.includes(field.key))
+      .map(field => ({ key: field.key, label: field.label, value: String((inputs && inputs[field.key]) || '').trim() }))
+      .filter(detail => detail.value);
+  }
+
+  // Clauses grouped under the template's sections, in template order, keeping
+  // their agreement numbers so reviews still refer to the right clause.
+  // Clauses without a known section come last; the template's principles
+  // stand in when the agreement has none of its own.
+  function layoutAgreement(template, structured) {
+    const sections = (template ? template.sections : []).map(section => ({ id: section.id, title: section.title, clauses: [] }));
+    const other = { id: null, title: sections.length ? 'Other Terms' : null, clauses: [] };
+    const clauses = Array.isArray(structured && structured.clauses) ? structured.clauses : [];
+    clauses.forEach((clause, index) => {
+      const section = sections.find(item => item.id === clause.section) || other;
+      section.clauses.push({ number: index + 1, title: clause.title || '', text: clause.text || '' });
+    });
+    const principles = Array.isArray(structured && structured.principles) && structured.principles.length
+      ? structured.principles
+      : (template ? template.principles : []);
+    return {
+      sections: [...sections, other].filter(section => section.clauses.length),
+      principles
+    };
+  }
+
+  return { TEMPLATES, DEFAULT_TEMPLATE, CORE_FIELDS, getTemplate, pickTemplateInputs, missingFields, templateDetails, layoutAgreement };
+});
@@ -0,0 +1,82 @@
+// Private red-line verification
+// Before an agreement is released each advocate checks every clause against its
+// own confidential notes and answers only accept or object. Reasons are shared
+// with the moderator and the other party, so they are screened for text copied
+// from the private notes.
+
+const DEFAULT_MAX_REVISIONS = 2;
+const MAX_REASON_LENGTH = 200;
+const GENERIC_REASON = 'Conflicts with a private requirement of this party';
+
+function getMaxRevisions(env = process.env) {
+    const value = parseInt(env.NEGOTIATION_MAX_REVISIONS, 10);
+    return Number.isInteger(value) && value >= 0 ? value : DEFAULT_MAX_REVISIONS;
+}
+
+function words(text) {
+    return String(text || '').toLowerCase().match(/[a-z0-9À-ɏ]+/g) || [];
+}
+
+// True when the reason repeats any three consecutive words of the private notes
+function revealsPrivateNotes(reason, privateNotes) {
+    const noteWords = privateNotes.flatMap(words);
+    if (noteWords.length < 3) {
+        return noteWords.some(word => word.length > 3 && words(reason).includes(word));
+    }
+    const phrases = new Set();
+    for (let i = 0; i + 2 < noteWords.length; i++) {
+        phrases.add(noteWords.slice(i, i + 3).join(' '));
+    }
+    const reasonWords = words(reason);
+    for (let i = 0; i + 2 < reasonWords.length; i++) {
+        if (phrases.has(reasonWords.slice(i, i + 3).join(' '))) return true;
+    }
+    return false;
+}
+
+function sanitizeReason(reason, privateNotes = []) {
+    const text = String(reason || '').replace(/\s+/g, ' ').trim();
+    if (!text || revealsPrivateNotes(text, privateNotes)) return GENERIC_REASON;
+    return text.length > MAX_REASON_LENGTH ? `${text.slice(0, MAX_REASON_LENGTH - 1)}…` : text;
+}
+
+// Parses {"verdicts":[{"clause":1,"decision":"accept"|"object","reason":""}]}.
+// Clauses without a readable verdict count as objections, so a garbled
+// response can never wave an agreement through.
+function parseVerdicts(raw, clauseCount) {
+    let verdicts = [];
+    try {
+        const fence = String(raw || '').match(/```json\s*([\s\S]*?)```/i);
+        const json = fence ? fence[1] : (String(raw || '').match(/\{[\s\S]*\}/) || [''])[0];
+        const parsed = JSON.parse(json);
+        verdicts = Array.isArray(parsed) ? parsed : (parsed.verdicts || []);
+    } catch (e) {
+        verdicts = [];
+    }
+
+    const byClause = new Map();
+    verdicts.forEach(verdict => {
+        const clause = parseInt(verdict && verdict.clause, 10);
+        if (clause >= 1 && clause <= clauseCount) byClause.set(clause, verdict);
+    });
+
+    return Array.from({ length: clauseCount }, (_, i) => {
+        const verdict = byClause.get(i + 1);
+        const decision = verdict && String(verdict.decision || '').toLowerCase();
+        if (decision === 'accept') return { clause: i + 1, decision: 'accept', reason: '' };
+        return {
+            clause: i + 1,
+            decision: 'object',
+            reason: verdict ? String(verdict.reason || '') : 'No verdict was returned for this clause'
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_MAX_REVISIONS,
+    GENERIC_REASON,
+    getMaxRevisions,
+    revealsPrivateNotes,
+    sanitizeReason,
+    parseVerdicts
+};
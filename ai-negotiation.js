@@ -2,46 +2,147 @@
 // This handles the secure AI-to-AI negotiation process
 
 require('dotenv').config();
-const OpenAI = require('openai');
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const { createProvider } = require('./llm-providers');
+const { NegotiationJobRunner, NegotiationCancelledError, describeJob, FINISHED_STATUSES } = require('./negotiation-jobs');
+const { NegotiationEventHub, redactProposal, writeSseEvent } = require('./negotiation-events');
+const { getRoundLimits, parseModeratorStatus, decideNextStep } = require('./round-control');
+const { getMaxRevisions, sanitizeReason, parseVerdicts } = require('./agreement-verification');
+const { AgreementReview, ReviewError, mergeClauses } = require('./agreement-review');
+const { parseAgreementJson, validateAgreement, isInsufficientAnswer, getSchemaRetries, describeErrors } = require('./agreement-schema');
+const { createStore, namespaced, ExpiringMap, createInputPolicy } = require('./session-store');
+const { TEMPLATES, getTemplate, pickTemplateInputs, missingFields, templateDetails } = require('./agreement-templates');
+const { canonicalAgreement, hashAgreement } = require('./agreement-canonical');
+const { verifySignature, signatureRecord } = require('./agreement-signing');
+const { DEFAULT_LANGUAGE, normalizeLanguage, languageName, agreementIn } = require('./agreement-i18n');
 
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-// Initialize OpenAI client (will need API key)
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-    });
+// LLM provider selected via LLM_PROVIDER / OPENAI_API_KEY (see llm-providers.js).
+// Advocates and moderators may also be given their own provider.
+const llmProvider = createProvider();
+
+function resolveProvider(provider) {
+    const resolved = provider || llmProvider;
+    if (!resolved) {
+        throw new Error('LLM provider not configured');
+    }
+    return resolved;
 }
 
-// Allow configurable model; default to the latest GPT-5 chat model
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-5-chat-latest';
+// Negotiations and sealed submissions are kept in memory and persisted
+// through the session store (SESSION_STORE, see session-store.js), so
+// completed agreements and reviews survive a restart. Private inputs are only
+// persisted as PRIVATE_INPUT_POLICY allows. Entries expire 2 hours after
+// their last change.
+const NEGOTIATION_TTL_MS = parseInt(process.env.NEGOTIATION_TTL_MS, 10) || 7200000; // 2 hours
+const store = createStore(process.env, { name: 'negotiations' });
+const negotiationStore = namespaced(store, 'negotiation:');
+const submissionStore = namespaced(store, 'submission:');
+const inputPolicy = createInputPolicy();
+
+const activeNegotiations = new ExpiringMap(NEGOTIATION_TTL_MS, {
+    onExpire: () => {
+        negotiationJobs.prune(NEGOTIATION_TTL_MS);
+        negotiationEvents.prune(NEGOTIATION_TTL_MS);
+    }
+});
+
+// Sealed private-input submissions keyed by sessionId. Each party submits
+// straight to this backend under its own party token; inputs are only handed
+// to that party's advocate and are dropped once the negotiation starts.
+const sealedSubmissions = new ExpiringMap(NEGOTIATION_TTL_MS);
+// Negotiations have between 2 and MAX_PARTIES parties; sealed submissions
+// wait for as many as the signaling session seats
+const DEFAULT_PARTIES = 2;
+const MAX_PARTIES = 6;
+
+// Express 4 does not catch rejected promises from async handlers
+const asyncRoute = handler => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// Starts and sealed submissions of one session run one at a time. The session
+// is claimed synchronously, before any store lookup, so two concurrent
+// requests can never both find it new and start two runs.
+const sessionClaims = new Map();
+function claimSession(sessionId, work) {
+    const run = (sessionClaims.get(sessionId) || Promise.resolve()).then(() => work());
+    const tail = run.catch(() => {});
+    sessionClaims.set(sessionId, tail);
+    tail.then(() => {
+        if (sessionClaims.get(sessionId) === tail) sessionClaims.delete(sessionId);
+    });
+    return run;
+}
 
-// In-memory storage for active negotiations (in production, use Redis)
-const activeNegotiations = new Map();
+const oneRequestPerSession = handler => (req, res, next) =>
+    claimSession(String(req.body && req.body.sessionId), () => handler(req, res, next));
+
+// Progress events streamed to the parties while a negotiation runs
+const negotiationEvents = new NegotiationEventHub();
+
+// Negotiations run as background jobs; the negotiation entry mirrors the job status
+const negotiationJobs = new NegotiationJobRunner({
+    concurrency: parseInt(process.env.NEGOTIATION_CONCURRENCY, 10) || 2,
+    execute: (job, signal) => job.data.kind === 'renegotiation'
+        ? runRenegotiation(job.sessionId, { signal })
+        : runNegotiation(job.sessionId, { signal }),
+    onStatusChange: (job) => {
+        const negotiation = activeNegotiations.get(job.sessionId);
+        if (negotiation && negotiation.jobId === job.id) {
+            negotiation.status = job.status;
+            negotiationEvents.publish(job.sessionId, 'status', { status: job.status, jobId: job.id });
+            if (job.status === 'completed') {
+                negotiation.result = job.result;
+            } else if (job.data.kind === 'renegotiation' && ['failed', 'cancelled'].includes(job.status)) {
+                // The previous version still stands and is open for review again
+                negotiation.status = 'completed';
+                negotiation.review.reopen();
+            } else if (job.status === 'failed') {
+                negotiation.error = job.error;
+            }
+            persistNegotiation(job.sessionId);
+        }
+    }
+});
 
 class AIAdvocate {
-  constructor(userName, userInputs, topic) {
+  constructor(userName, userInputs, topic, options = {}) {
         this.userName = userName;
         this.objectives = userInputs.objectives;
         this.mustHaves = userInputs.mustHaves;
         this.constraints = userInputs.constraints;
         this.topic = topic;
+        this.template = options.template || getTemplate();
+        // Answers to the template's own questions, kept with the private notes
+        this.details = templateDetails(this.template, userInputs);
+        // The party's own language; the advocate speaks it throughout
+        this.language = normalizeLanguage(options.language) || DEFAULT_LANGUAGE;
+        this.provider = options.provider || null;
         this.negotiationHistory = [];
     }
 
+    getLanguageNotes() {
+        if (this.language === DEFAULT_LANGUAGE) return '';
+        return `
+LANGUAGE:
+- Write everything you say in ${languageName(this.language)}; the other parties and the moderator may write in other languages
+- Keep the labels of the response format (Grounding, Clarifying Questions, Proposal, Open Points) in English
+`;
+    }
+
   getSystemPrompt() {
+        const details = this.details.map(detail => `\n- ${detail.label} ${detail.value}`).join('');
         return `You are an AI advocate speaking as ${this.userName} in a private negotiation about: "${this.topic}".
 
 PRIVATE NOTES ABOUT YOUR SITUATION (CONFIDENTIAL):
 - Ideal outcome: ${this.objectives}
 - Non-negotiable requirements: ${this.mustHaves}
-- Constraints/facts: ${this.constraints}
-
+- Constraints/facts: ${this.constraints}${details}
+${describeTemplate(this.template, 'Make sure your proposals address each of these.')}${this.getLanguageNotes()}
 ROLE:
 1. Represent ${this.userName}'s interests as if you are them
 2. Never reveal these private notes directly or in backchannel insights
@@ -62,30 +163,28 @@ GROUNDING AND INPUT QUALITY:
 - When you do make a proposal, explicitly cite which parts of the notes your proposal relies on (e.g., "Grounding: from objectives …, must‑haves …, constraints …").
 - If there is insufficient information to propose concrete commitments, say so and propose the smallest next information request needed to proceed.
 
-Remember: The other party also has an AI advocate fighting hard for their person's perspective. Work together to find a solution acceptable to both sides.`;
+Remember: Every other party also has an AI advocate fighting hard for their person's perspective. Work together to find a solution acceptable to everyone.`;
     }
 
     async generateProposal(context = '') {
-        if (!openai) {
-            throw new Error('OpenAI API not configured');
-        }
+        const provider = resolveProvider(this.provider);
 
         const prompt = context 
             ? `Based on the discussion so far: ${context}\n\nGenerate your next response following the required format below.`
             : 'Generate your opening response following the required format below.';
 
         try {
-            const response = await openai.chat.completions.create({
-                model: OPENAI_MODEL,
+            const proposal = await provider.complete({
+                purpose: 'proposal',
+                meta: { userName: this.userName, topic: this.topic },
                 messages: [
                     { role: 'system', content: this.getSystemPrompt() },
                     { role: 'user', content: `${prompt}\n\nRESPONSE FORMAT (plain text):\n1) Grounding: Briefly cite the specific notes you are relying on (objectives / must‑haves / constraints).\n2) If insufficient information: list up to 3 Clarifying Questions and stop.\n3) Otherwise, Proposal: 2–5 concrete, implementable points that strictly align with the cited notes.\n4) Open Points: unknowns or items needing partner input.\nRules: Do not invent facts beyond the notes/topic. If notes are nonsense or empty, prefer Clarifying Questions over proposals.` }
                 ],
-                max_tokens: 300,
+                maxTokens: 300,
                 temperature: 0.5
             });
 
-            const proposal = response.choices[0].message.content;
             this.negotiationHistory.push({ role: 'advocate', content: proposal });
             return proposal;
         } catch (error) {
@@ -94,79 +193,183 @@ Remember: The other party also has an AI advocate fighting hard for their person
         }
     }
 
+    // Privately checks every clause against this party's notes. Only
+    // accept/object verdicts with non-revealing reasons leave the advocate.
+    async verifyAgreement(structured) {
+        const provider = resolveProvider(this.provider);
+        // Read in the party's language when the agreement has it; numbers match in every version
+        const agreement = structured ? agreementIn(structured, this.language) : structured;
+        const clauses = Array.isArray(agreement?.clauses) ? agreement.clauses : [];
+        const clauseList = clauses
+            .map((clause, index) => `${index + 1}. ${clause.title || 'Clause'}: ${clause.text || ''}`)
+            .join('\n');
+
+        const raw = await provider.complete({
+            purpose: 'verification',
+            meta: { userName: this.userName, topic: this.topic, clauseCount: clauses.length },
+            messages: [
+                { role: 'system', content: this.getSystemPrompt() },
+                { role: 'user', content: `Check each clause of the proposed final agreement against your non-negotiable requirements and constraints.\n\n${clauseList}\n\nReturn ONLY one JSON object: {"verdicts":[{"clause": number, "decision": "accept" | "object", "reason": string}]} with one verdict per clause.\nRules: Object only when a clause breaks a non-negotiable requirement or cannot work under your constraints. The reason is shown to the other party: describe what must change in the clause, never quote or paraphrase your private notes. Leave the reason empty when accepting.` }
+            ],
+            maxTokens: 400,
+            temperature: 0
+        });
+
+        const privateNotes = [this.objectives, this.mustHaves, this.constraints];
+        return parseVerdicts(raw, clauses.length).map(verdict => ({
+            ...verdict,
+            reason: verdict.decision === 'object' ? sanitizeReason(verdict.reason, privateNotes) : ''
+        }));
+    }
+
+    // Position on the clauses the parties sent back after review.
+    // feedback: { clauses: [{ clause, title, text, feedback: [{ party, decision, comment }] }], note }
+    async proposeClauseChanges(feedback) {
+        const provider = resolveProvider(this.provider);
+        const clauseList = feedback.clauses.map(item => {
+            const comments = item.feedback
+                .map(f => `  - ${f.party}: ${f.decision}${f.comment ? ` - ${f.comment}` : ''}`)
+                .join('\n');
+            return `Clause ${item.clause} (${item.title}): ${item.text}\n${comments}`;
+        }).join('\n\n');
+        const note = feedback.note
+            ? `\n\nPRIVATE NOTE FROM ${this.userName} TO YOU (CONFIDENTIAL, do not quote it):\n${feedback.note}`
+            : '';
+
+        const proposal = await provider.complete({
+            purpose: 'clause-proposal',
+            meta: { userName: this.userName, topic: this.topic, clauses: feedback.clauses.map(item => item.clause) },
+            messages: [
+                { role: 'system', content: this.getSystemPrompt() },
+                { role: 'user', content: `After reviewing the agreement, the parties sent these clauses back. All other clauses are accepted and must not change.\n\n${clauseList}${note}\n\nFor each clause above, propose replacement wording that protects your interests and answers the comments. Keep it short and concrete; do not reveal your private notes.` }
+            ],
+            maxTokens: 300,
+            temperature: 0.4
+        });
+
+        this.negotiationHistory.push({ role: 'advocate', content: proposal });
+        return proposal;
+    }
+
     addToHistory(role, content) {
         this.negotiationHistory.push({ role, content });
     }
 }
 
 class AIModerator {
-    constructor(topic, advocate1, advocate2) {
+    // new AIModerator(topic, [advocates], options), or the two-party
+    // new AIModerator(topic, advocate1, advocate2, options)
+    constructor(topic, ...args) {
+        const listed = Array.isArray(args[0]);
         this.topic = topic;
-        this.advocate1 = advocate1;
-        this.advocate2 = advocate2;
+        this.advocates = listed ? args[0] : args.slice(0, 2);
+        const options = (listed ? args[1] : args[2]) || {};
+        this.template = options.template || getTemplate();
+        // Languages the agreement is written in, primary first
+        this.languages = agreementLanguagesFor(options.languages, this.advocates);
+        this.provider = options.provider || null;
         this.negotiationRounds = [];
     }
 
+    getParticipantNames() {
+        return this.advocates.map(advocate => advocate.userName);
+    }
+
     getSystemPrompt() {
+        const count = this.advocates.length;
         return `You are an impartial AI moderator for a private negotiation about: "${this.topic}".
 
-Two AI advocates are each arguing strongly from their person's perspective. Your job:
-1. Review proposals from both advocates
+${count === 2 ? 'Two' : count} AI advocates (for ${this.getParticipantNames().join(', ')}) are each arguing strongly from their person's perspective. Your job:
+1. Review proposals from every advocate
 2. Identify areas of agreement and conflict
 3. Suggest compromises and creative solutions
 4. Keep the conversation fair and productive
 5. When consensus emerges, craft a final agreement that serves everyone's interests and summarize how it was reached
 
 Key principles:
-- Be neutral and fair to both parties
+- Be neutral and fair to all parties; give every party's interests equal weight, and do not let a majority outvote one party's non-negotiables
 - Seek win-win outcomes
 - Respect that advocates may hold private information; don't request or reveal it
 - Focus only on what is shared in the conversation
-- Synthesize the best elements from both sides
-
-The negotiation should result in a clear, actionable agreement that both people can accept.
+- Synthesize the best elements from every side
 
+The negotiation should result in a clear, actionable agreement that every person can accept.
+${describeTemplate(this.template, 'Steer the rounds so each of these gets settled.')}
 Input Sufficiency and Grounding:
-- If either advocate's message is not clearly grounded in their private notes, contains placeholder/nonsense, or lacks the why/specificity/objective criteria, request clarifying information instead of pushing toward an agreement.
+- If any advocate's message is not clearly grounded in their private notes, contains placeholder/nonsense, or lacks the why/specificity/objective criteria, request clarifying information instead of pushing toward an agreement.
 - Never invent facts. Label unknowns and specify what is needed.
-- Only allow moving to a final agreement when inputs are sufficiently specific and compatible; otherwise continue with targeted clarification.`;
+- Only allow moving to a final agreement when inputs are sufficiently specific and compatible; otherwise continue with targeted clarification.${this.getLanguageNotes()}`;
     }
 
-    async moderateRound(proposal1, proposal2) {
-        if (!openai) {
-            throw new Error('OpenAI API not configured');
-        }
+    // Who writes in which language, and the languages of the agreement
+    getLanguageNotes() {
+        const spoken = this.advocates.map(advocate => normalizeLanguage(advocate.language) || DEFAULT_LANGUAGE);
+        if ([...spoken, ...this.languages].every(code => code === DEFAULT_LANGUAGE)) return '';
+        const [primary, ...translated] = this.languages;
+        const parties = this.advocates.map((advocate, i) => `${advocate.userName} writes in ${languageName(spoken[i])}`);
+        return `
+
+Languages:
+- ${parties.join(', ')}. Read every message in its own language.
+- Write your moderation in ${languageName(primary)}, keeping the STATUS and UNRESOLVED keywords in English.
+- The final agreement is written in ${languageName(primary)}${translated.length ? `, with a translation into ${translated.map(languageName).join(' and ')} that has the same clauses and principles in the same order` : ''}.`;
+    }
 
-        const context = `
-PROPOSAL FROM ${this.advocate1.userName}'s AI:
-${proposal1}
+    // Schema line for the translations, when there is more than one language
+    getTranslationSchema() {
+        const translated = this.languages.slice(1);
+        if (!translated.length) return '';
+        const entries = translated
+            .map(code => `"${code}": { "title": string, "clauses": [ { "title": string, "text": string } ], "principles": [ { "label": string, "text": string } ], "summary": string }`)
+            .join(', ');
+        return `
+  "translations": { ${entries} }, // ${translated.map(languageName).join(' and ')}: every clause and principle translated, in the same order`;
+    }
 
-PROPOSAL FROM ${this.advocate2.userName}'s AI:
-${proposal2}
+    getTranslationNotes() {
+        const [primary, ...translated] = this.languages;
+        if (primary === DEFAULT_LANGUAGE && !translated.length) return '';
+        return `
+- Write the title, clauses, principles and summary in ${languageName(primary)}.${translated.length ? ` Each translation says exactly what the ${languageName(primary)} text says: clause 3 is the same clause in every language.` : ''}`;
+    }
+
+    // proposals: one per advocate, in advocate order (an array, or one argument each)
+    async moderateRound(...args) {
+        const provider = resolveProvider(this.provider);
+        const proposals = Array.isArray(args[0]) ? args[0] : args;
+
+        const context = `
+${this.formatPositions('PROPOSAL', proposals)}
 
 Please moderate this round by:
 1. Identifying key points from each side
 2. Finding areas of potential agreement
 3. Suggesting next steps or compromises
 4. Determining if input sufficiency is met; if not, explicitly state "Insufficient information" and list the minimal clarifying questions needed before proceeding. Do not fabricate details.
+
+End your response with exactly these two lines:
+STATUS: CONSENSUS (every side accepts the same concrete terms) | CONTINUE (positions are still moving) | INSUFFICIENT (clarification needed)
+UNRESOLVED: the open issues separated by semicolons, or "none"
 `;
 
         try {
-            const response = await openai.chat.completions.create({
-                model: OPENAI_MODEL,
+            const moderation = await provider.complete({
+                purpose: 'moderation',
+                meta: { topic: this.topic, parties: this.getParticipantNames(), round: this.negotiationRounds.length + 1 },
                 messages: [
                     { role: 'system', content: this.getSystemPrompt() },
                     { role: 'user', content: context }
                 ],
-                max_tokens: 400,
+                maxTokens: 400,
                 temperature: 0.3
             });
 
-            const moderation = response.choices[0].message.content;
+            const { status, unresolvedIssues } = parseModeratorStatus(moderation);
             this.negotiationRounds.push({
-                proposal1,
-                proposal2,
+                proposals,
                 moderation,
+                status,
+                unresolvedIssues,
                 timestamp: Date.now()
             });
 
@@ -177,13 +380,43 @@ Please moderate this round by:
         }
     }
 
-    async generateFinalAgreement() {
-        if (!openai) {
-            throw new Error('OpenAI API not configured');
+    // Clause and principle lines of the final-agreement schema; templates
+    // tie every clause to one of their sections
+    getClauseSchema() {
+        const sections = this.template.sections;
+        if (!sections.length) {
+            return `  "clauses": [ { "title": string, "text": string } ], // 3-7 clear, actionable clauses
+  "principles": [ { "label": string, "text": string } ], // 3-6 guiding principles`;
         }
+        const ids = sections.map(section => `"${section.id}"`).join('|');
+        return `  "clauses": [ { "section": ${ids}, "title": string, "text": string } ], // clear, actionable clauses; at least one per section, in section order
+  "principles": [ { "label": string, "text": string } ], // 3-6 guiding principles`;
+    }
+
+    getTemplateNotes() {
+        const { sections, principles } = this.template;
+        if (!sections.length) return '';
+        const starting = principles.map(principle => `${principle.label}: ${principle.text}`).join('; ');
+        return `
+- This is a ${this.template.name.toLowerCase()} agreement. Every section (${sections.map(section => `${section.id} = ${section.title}: ${section.guidance}`).join('; ')}) needs at least one clause; if the negotiation did not settle a section, say so in a clause rather than inventing terms.
+- Start the principles from these defaults, adapting them to what the parties agreed: ${starting}`;
+    }
+
+    // "PROPOSAL FROM Alice's AI:\n..." blocks, one per advocate
+    formatPositions(label, texts) {
+        return this.advocates
+            .map((advocate, i) => `${label} FROM ${advocate.userName}'s AI:\n${texts[i]}`)
+            .join('\n\n');
+    }
+
+    async generateFinalAgreement() {
+        const provider = resolveProvider(this.provider);
 
         const negotiationSummary = this.negotiationRounds
-            .map((round, index) => `Round ${index + 1}:\n- ${this.advocate1.userName}: ${round.proposal1}\n- ${this.advocate2.userName}: ${round.proposal2}\n- Moderator: ${round.moderation}`)
+            .map((round, index) => {
+                const proposals = this.advocates.map((advocate, i) => `- ${advocate.userName}: ${round.proposals[i]}`);
+                return `Round ${index + 1}:\n${proposals.join('\n')}\n- Moderator: ${round.moderation}`;
+            })
             .join('\n\n');
 
         const prompt = `Based on the complete negotiation below, decide whether there is enough specific, compatible information to draft a final agreement. If not, do NOT draft an agreement. Instead, return a brief plain-text message that begins with "Insufficient information to produce an agreement." and list the top 3 missing details needed. Do not invent facts.
@@ -195,9 +428,8 @@ Return results in TWO parts, in this exact order:
 Return ONLY ONE fenced JSON block (\`\`\`json ... \`\`\`) containing exactly one JSON object with this schema (no prose before or after):
 {
   "title": string,                          // Short title of the agreement
-  "clauses": [ { "title": string, "text": string } ], // 3-7 clear, actionable clauses
-  "principles": [ { "label": string, "text": string } ], // 3-6 guiding principles
-  "summary": string,                        // 1–3 sentence plain-text summary
+${this.getClauseSchema()}
+  "summary": string,                        // 1–3 sentence plain-text summary${this.getTranslationSchema()}
   "html": string,                           // OPTIONAL: concise HTML rendering (omit if risk of truncation)
   "analytics": {                            // Negotiation Intelligence Dashboard data
     "health": {
@@ -209,8 +441,9 @@ Return ONLY ONE fenced JSON block (\`\`\`json ... \`\`\`) containing exactly one
       "objectiveCriteriaUsed": boolean      // reference to independent standards present
     },
     "interestsCoverage": {
-      "user1": [ { "need": string, "type": "mustHave"|"preference", "coverage": "full"|"partial"|"none" } ],
-      "user2": [ { "need": string, "type": "mustHave"|"preference", "coverage": "full"|"partial"|"none" } ],
+      "parties": [                          // one entry per party, in the order ${this.getParticipantNames().join(', ')}
+        { "party": string, "needs": [ { "need": string, "type": "mustHave"|"preference", "coverage": "full"|"partial"|"none" } ] }
+      ],
       "tradeOffEfficiency": number          // 0-100; linkage and package trades
     },
     "processStyle": {
@@ -233,59 +466,166 @@ Return ONLY ONE fenced JSON block (\`\`\`json ... \`\`\`) containing exactly one
       "opportunity": string,
       "suggestion": string
     },
-    "participants": { "user1": string, "user2": string }
+    "participants": [ string ]              // party names, in the order above
   }
 }
 
 Notes (grounded in research — fairness/justice, Pareto/Nash, SMART clarity, objective criteria, integrative trades, style/LSM, concession patterns, implementation-intentions):
 - The JSON MUST be valid and parseable. Do not include trailing commas or comments.
-- The agreement should be specific, fair, and implementable by both parties.`;
+- The agreement should be specific, fair, and implementable by all parties; fairnessIndex reflects the least-served party, not the average.${this.getTemplateNotes()}${this.getTranslationNotes()}`;
 
         try {
-            const response = await openai.chat.completions.create({
-                model: OPENAI_MODEL,
+            return await this.requestAgreement({
+                purpose: 'final-agreement',
+                meta: { topic: this.topic, parties: this.getParticipantNames() },
+                prompt
+            });
+        } catch (error) {
+            console.error('Error generating final agreement:', error);
+            throw error;
+        }
+    }
+
+    // Asks for the agreement JSON and checks it against the schema
+    // (agreement-schema.js). Defects that cannot be repaired are sent back
+    // to the model, at most AGREEMENT_SCHEMA_RETRIES times.
+    // Returns { raw, structured, validation }.
+    async requestAgreement({ purpose, meta, prompt }) {
+        const provider = resolveProvider(this.provider);
+        const messages = [
+            { role: 'system', content: this.getSystemPrompt() },
+            { role: 'user', content: prompt }
+        ];
+        const retries = getSchemaRetries();
+
+        for (let attempt = 1; ; attempt++) {
+            const raw = await provider.complete({
+                purpose,
+                meta: { ...meta, attempt },
+                messages,
+                maxTokens: 1000,
+                temperature: 0.1
+            }) || '';
+
+            // Declining to draft is a valid answer, not a schema failure
+            if (isInsufficientAnswer(raw)) {
+                return { raw, structured: null, validation: { valid: false, insufficient: true, attempts: attempt, repairs: [], errors: [] } };
+            }
+            const { structured, report } = validateAgreement(raw, { template: this.template, languages: this.languages });
+            if (report.valid || attempt > retries) {
+                return { raw, structured, validation: { ...report, attempts: attempt } };
+            }
+            messages.push(
+                { role: 'assistant', content: raw },
+                { role: 'user', content: `Your answer does not match the required schema:\n${describeErrors(report.errors)}\n\nReturn ONLY ONE complete fenced JSON block (\`\`\`json ... \`\`\`) with every required field. Leave out "html" and keep the analytics brief so the answer is not cut off.` }
+            );
+        }
+    }
+
+    // Every advocate verifies the draft in private; returns the objections
+    // (party, clause, reason) without anything from their notes
+    async verifyAgreement(structured) {
+        const advocates = this.advocates;
+        const results = await Promise.all(advocates.map(advocate => advocate.verifyAgreement(structured)));
+        const objections = [];
+        results.forEach((verdicts, i) => {
+            verdicts
+                .filter(verdict => verdict.decision === 'object')
+                .forEach(verdict => objections.push({ party: advocates[i].userName, clause: verdict.clause, reason: verdict.reason }));
+        });
+        return { accepted: objections.length === 0, objections };
+    }
+
+    // Another moderated pass over the draft that addresses the objections
+    async reviseAgreement(structured, objections, cycle) {
+        const objectionList = objections
+            .map(o => `- Clause ${o.clause} (${o.party}'s advocate): ${o.reason}`)
+            .join('\n');
+
+        const prompt = `The draft agreement below was checked privately by each party's advocate, and some clauses were rejected.
+
+DRAFT AGREEMENT (JSON):
+${JSON.stringify(structured, null, 2)}
+
+OBJECTIONS:
+${objectionList}
+
+Revise the agreement so every objection is resolved while keeping the clauses every side accepted.${this.languages.length > 1 ? ' Update every translation to match, keeping the clauses in the same order.' : ''} Return ONLY ONE fenced JSON block (\`\`\`json ... \`\`\`) with the same schema as the draft. Do not invent facts.`;
+
+        try {
+            const revised = await this.requestAgreement({
+                purpose: 'agreement-revision',
+                meta: { topic: this.topic, parties: this.getParticipantNames(), cycle, objections: objections.length },
+                prompt
+            });
+
+            // Keep the analytics of the original draft if the revision drops them
+            return {
+                ...revised,
+                structured: revised.structured ? { analytics: structured.analytics, ...revised.structured } : null
+            };
+        } catch (error) {
+            console.error('Error revising agreement:', error);
+            throw error;
+        }
+    }
+
+    // Focused renegotiation: rewrites only the contested clauses from every
+    // advocate's position (proposals in advocate order). Returns [{ clause, title, text }].
+    async renegotiateClauses(structured, contested, proposals) {
+        const provider = resolveProvider(this.provider);
+        const clauseList = contested
+            .map(number => `${number}. ${structured.clauses[number - 1].title}: ${structured.clauses[number - 1].text}`)
+            .join('\n');
+
+        const prompt = `The parties reviewed the agreement "${structured.title || this.topic}" and sent back these clauses:
+${clauseList}
+
+${this.formatPositions('POSITION', proposals)}
+
+Write replacement wording for ONLY these clauses that every side can accept. Return ONLY ONE fenced JSON block (\`\`\`json ... \`\`\`) with this schema:
+{ "clauses": [ { "clause": number, "title": string, "text": string${this.getClauseTranslationSchema()} } ] }
+Do not invent facts.`;
+
+        try {
+            const raw = await provider.complete({
+                purpose: 'clause-renegotiation',
+                meta: { topic: this.topic, parties: this.getParticipantNames(), clauses: contested },
                 messages: [
                     { role: 'system', content: this.getSystemPrompt() },
                     { role: 'user', content: prompt }
                 ],
-                max_tokens: 1000,
-                temperature: 0.1
-            });
-
-            const raw = response.choices[0].message.content || '';
-
-            // Extract structured JSON from fenced block; if none, try brace slice
-            let structured = null;
-            try {
-                const jsonFence = raw.match(/```json\s*([\s\S]*?)```/i);
-                if (jsonFence && jsonFence[1]) {
-                    structured = JSON.parse(jsonFence[1]);
-                } else {
-                    // Fallback: attempt to parse first JSON-like substring
-                    const match = raw.match(/\{[\s\S]*\}/);
-                    if (match) {
-                        structured = JSON.parse(match[0]);
-                    }
-                }
-            } catch (e) {
-                // Leave structured as null if parsing fails
-                structured = null;
-            }
+                maxTokens: 600,
+                temperature: 0.2
+            }) || '';
 
-            return { raw, structured };
+            const parsed = parseAgreementJson(raw).value;
+            return Array.isArray(parsed?.clauses) ? parsed.clauses : [];
         } catch (error) {
-            console.error('Error generating final agreement:', error);
+            console.error('Error renegotiating clauses:', error);
             throw error;
         }
     }
 
+    // Renegotiated clauses carry their wording in each translation
+    getClauseTranslationSchema() {
+        const translated = this.languages.slice(1);
+        if (!translated.length) return '';
+        return `, "translations": { ${translated.map(code => `"${code}": { "title": string, "text": string }`).join(', ')} }`;
+    }
+
+    // Backchannel safe to show every party: proposals without their grounding notes
+    getShareableBackchannel() {
+        return this.getBackchannelInsights().map(item => ({
+            ...item,
+            proposals: item.proposals.map(entry => ({ ...entry, proposal: redactProposal(entry.proposal) }))
+        }));
+    }
+
     getBackchannelInsights() {
         return this.negotiationRounds.map((round, index) => ({
             round: index + 1,
-            advocate1: this.advocate1.userName,
-            advocate2: this.advocate2.userName,
-            proposal1: round.proposal1,
-            proposal2: round.proposal2,
+            proposals: this.advocates.map((advocate, i) => ({ advocate: advocate.userName, proposal: round.proposals[i] })),
             moderation: round.moderation
         }));
     }
@@ -306,8 +646,8 @@ app.post('/api/input-feedback', async (req, res) => {
             return res.status(400).json({ error: 'No inputs provided' });
         }
 
-        // If OpenAI not configured, return heuristic feedback
-        if (!openai) {
+        // If no LLM provider is configured, return heuristic feedback
+        if (!llmProvider) {
             return res.json({ success: true, feedback: heuristicFeedback({ objectives, mustHaves, constraints, topic, userName }) });
         }
 
@@ -342,17 +682,16 @@ CONSTRAINTS:\n${constraints || '(empty)'}
 
 Provide JSON as specified.`;
 
-        const response = await openai.chat.completions.create({
-            model: OPENAI_MODEL,
+        const raw = await llmProvider.complete({
+            purpose: 'input-feedback',
+            meta: { topic, userName },
             messages: [
                 { role: 'system', content: system },
                 { role: 'user', content: user }
             ],
-            max_tokens: 600,
+            maxTokens: 600,
             temperature: 0.3
         });
-
-        const raw = response.choices?.[0]?.message?.content || '';
         let feedback = null;
         try {
             const fence = raw.match(/```json\s*([\s\S]*?)```/i);
@@ -370,37 +709,78 @@ Provide JSON as specified.`;
     }
 });
 
-app.post('/api/start-negotiation', async (req, res) => {
+// Agreement templates: guided input fields, required sections and default principles
+app.get('/api/agreement-templates', (req, res) => {
+    res.json({ templates: TEMPLATES });
+});
+
+app.post('/api/start-negotiation', asyncRoute(oneRequestPerSession(async (req, res) => {
     try {
         const { sessionId, topic, user1Data, user2Data } = req.body;
+        // parties: [{ userName, inputs }], or the two-party user1Data/user2Data
+        const parties = Array.isArray(req.body.parties) ? req.body.parties : [user1Data, user2Data];
 
-        if (!sessionId || !topic || !user1Data || !user2Data) {
+        if (!sessionId || !topic || parties.some(party => !party)) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
+        if (parties.length < 2 || parties.length > MAX_PARTIES) {
+            return res.status(400).json({ error: `A negotiation needs 2 to ${MAX_PARTIES} parties` });
+        }
+        const names = parties.map(party => party.userName);
+        if (names.some(name => !name) || new Set(names).size !== names.length) {
+            return res.status(400).json({ error: 'Every party needs a unique userName' });
+        }
+        const template = getTemplate(req.body.templateId);
+        if (!template) {
+            return res.status(400).json({ error: 'Unknown template' });
+        }
+        const languages = requestedLanguages(req.body.languages);
+        if (languages === false || parties.some(party => party.language !== undefined && !normalizeLanguage(party.language))) {
+            return res.status(400).json({ error: 'Unsupported language' });
+        }
 
-        // Create AI advocates for both users
-        const advocate1 = new AIAdvocate(user1Data.userName, user1Data.inputs, topic);
-        const advocate2 = new AIAdvocate(user2Data.userName, user2Data.inputs, topic);
-        
-        // Create moderator
-        const moderator = new AIModerator(topic, advocate1, advocate2);
-
-        // Store negotiation session
-        activeNegotiations.set(sessionId, {
-            advocate1,
-            advocate2,
-            moderator,
-            status: 'active',
-            createdAt: Date.now()
-        });
+        // Starts are idempotent per session: a retry or a second client starting
+        // the same negotiation attaches to the existing run instead of paying
+        // for another. Without a key the session itself is the key.
+        const idempotencyKey = String(req.get('Idempotency-Key') || req.body.idempotencyKey || '').trim() || null;
+        const fingerprint = startFingerprint(topic, parties, template.id, languages);
+        const existing = await loadNegotiation(sessionId);
+        if (existing) {
+            if (existing.partyTokens) {
+                return res.status(409).json({ error: 'Negotiation already started' });
+            }
+            const sameKey = !idempotencyKey || idempotencyKey === existing.idempotencyKey;
+            const finished = FINISHED_STATUSES.includes(existing.status);
+            if (sameKey && existing.startFingerprint && existing.startFingerprint !== fingerprint) {
+                return res.status(422).json({ error: 'Idempotency key was already used for a different negotiation' });
+            }
+            // A failed or cancelled run is retried unless its own key asks for it again
+            const retry = !idempotencyKey && ['failed', 'cancelled'].includes(existing.status);
+            if (sameKey && !retry) {
+                return res.json({
+                    success: true,
+                    sessionId,
+                    jobId: existing.jobId,
+                    status: existing.status,
+                    attached: true,
+                    ...(existing.status === 'completed' ? { result: existing.result } : {})
+                });
+            }
+            if (!finished) {
+                return res.status(409).json({ error: 'A negotiation is already running for this session', jobId: existing.jobId });
+            }
+        }
+
+        createNegotiation(sessionId, topic, parties, { idempotencyKey, startFingerprint: fingerprint, templateId: template.id, languages });
 
-        // Start the negotiation process
-        const result = await runNegotiation(sessionId);
+        // Rounds run in the background; clients poll the job for the result
+        const job = enqueueNegotiation(sessionId);
 
-        res.json({
+        res.status(202).json({
             success: true,
             sessionId,
-            result
+            jobId: job.id,
+            status: job.status
         });
 
     } catch (error) {
@@ -410,60 +790,804 @@ app.post('/api/start-negotiation', async (req, res) => {
             message: error.message 
         });
     }
-});
+})));
+
+// Every job for the operator (X-Admin-Token matching JOBS_ADMIN_TOKEN);
+// otherwise only the jobs of the caller's own sealed negotiations
+app.get('/api/negotiation-jobs', asyncRoute(async (req, res) => {
+    const { status } = req.query;
+    const jobs = negotiationJobs.list({ status });
+    if (isJobsAdmin(req)) {
+        return res.json({ jobs: jobs.map(job => describeJob(job)) });
+    }
+    const token = req.get('X-Party-Token') || req.query.partyToken;
+    if (!token) {
+        return res.status(401).json({ error: 'Party token required' });
+    }
+    const own = [];
+    for (const job of jobs) {
+        const negotiation = await loadNegotiation(job.sessionId);
+        if (negotiation && negotiation.partyTokens && negotiation.partyTokens.includes(token)) own.push(job);
+    }
+    res.json({ jobs: own.map(job => describeJob(job)) });
+}));
+
+app.get('/api/negotiation-jobs/:jobId', asyncRoute(async (req, res) => {
+    const job = negotiationJobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!await canReadResult(job.sessionId, req)) {
+        return res.status(403).json({ error: 'Invalid party token' });
+    }
+    res.json(describeJob(job, { includeResult: true }));
+}));
+
+app.post('/api/negotiation-jobs/:jobId/cancel', asyncRoute(async (req, res) => {
+    const job = negotiationJobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!await canReadResult(job.sessionId, req)) {
+        return res.status(403).json({ error: 'Invalid party token' });
+    }
+    if (!negotiationJobs.cancel(job.id)) {
+        return res.status(409).json({ error: 'Job already finished', status: job.status });
+    }
+    res.json({ success: true, jobId: job.id, status: job.status });
+}));
+
+// Sealed input submission: each party posts its own inputs here instead of
+// relaying them through the partner's browser.
+app.post('/api/sealed-inputs', asyncRoute(oneRequestPerSession(async (req, res) => {
+    const { sessionId, topic, userName, inputs, partyToken, participantToken, templateId } = req.body || {};
+    const template = getTemplate(templateId);
+    // The party's own language, and optionally the agreement's languages
+    // (otherwise every party's language)
+    const language = req.body && req.body.language !== undefined ? normalizeLanguage(req.body.language) : DEFAULT_LANGUAGE;
+    const languages = requestedLanguages(req.body && req.body.languages);
+
+    if (!template) {
+        return res.status(400).json({ error: 'Unknown template' });
+    }
+    if (!language || languages === false) {
+        return res.status(400).json({ error: 'Unsupported language' });
+    }
+    if (!sessionId || !topic || !userName || !hasCompleteInputs(inputs, template)) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    // A slot is only claimed from a seat in the signaling session, under the
+    // participant token issued for it; the session says how many take part
+    let seat = null;
+    if (!partyToken) {
+        const checked = await signalingSeat(sessionId, userName, participantToken);
+        if (checked.error) {
+            return res.status(checked.status).json({ error: checked.error });
+        }
+        seat = checked.seat;
+    }
+    // Never replaces a negotiation, sealed or started directly, of the session
+    if (await loadNegotiation(sessionId)) {
+        return res.status(409).json({ error: 'Negotiation already started' });
+    }
+
+    let submission = await loadSubmission(sessionId);
+    if (!submission) {
+        if (!seat) {
+            return res.status(403).json({ error: 'Invalid party token' });
+        }
+        submission = {
+            topic,
+            templateId: template.id,
+            partiesRequired: seat.maxParticipants,
+            languages,
+            parties: new Map(),
+            started: false,
+            createdAt: Date.now()
+        };
+        sealedSubmissions.set(sessionId, submission);
+    }
+
+    if (submission.started) {
+        return res.status(409).json({ error: 'Negotiation already started' });
+    }
+    if (submission.topic !== topic) {
+        return res.status(409).json({ error: 'Topic mismatch' });
+    }
+    if (submission.templateId !== template.id) {
+        return res.status(409).json({ error: 'Template mismatch' });
+    }
+    if (languages && String(languages) !== String(submission.languages)) {
+        return res.status(409).json({ error: 'Agreement language mismatch' });
+    }
+
+    let token = partyToken;
+    if (token) {
+        const party = submission.parties.get(token);
+        if (!party) {
+            return res.status(403).json({ error: 'Invalid party token' });
+        }
+        // Party revising its own sealed inputs before the negotiation starts
+        party.inputs = pickInputs(inputs, template);
+        if (req.body.language !== undefined) party.language = language;
+        party.submittedAt = Date.now();
+    } else {
+        const names = [...submission.parties.values()].map(p => p.userName);
+        if (names.includes(userName)) {
+            return res.status(409).json({ error: 'Party already submitted' });
+        }
+        if (submission.parties.size >= submission.partiesRequired) {
+            return res.status(409).json({ error: 'All parties have already submitted' });
+        }
+        token = crypto.randomBytes(24).toString('hex');
+        submission.parties.set(token, { userName, language, inputs: pickInputs(inputs, template), submittedAt: Date.now() });
+    }
+
+    const partiesSubmitted = submission.parties.size;
+    if (awaitingResubmission(submission).length === 0 && partiesSubmitted === submission.partiesRequired) {
+        startSealedNegotiation(sessionId, submission);
+    }
+    await persistSubmission(sessionId, submission);
+
+    res.json({
+        success: true,
+        sessionId,
+        partyToken: token,
+        partiesSubmitted,
+        partiesRequired: submission.partiesRequired,
+        awaitingResubmission: awaitingResubmission(submission),
+        negotiationStarted: submission.started
+    });
+})));
+
+// Submission progress; reveals who has sealed inputs, never what they contain
+app.get('/api/sealed-inputs/:sessionId', asyncRoute(async (req, res) => {
+    const submission = await loadSubmission(req.params.sessionId);
+    if (!submission) {
+        return res.status(404).json({ error: 'No submissions for session' });
+    }
+    res.json({
+        partiesSubmitted: submission.parties.size,
+        partiesRequired: submission.partiesRequired,
+        submittedBy: [...submission.parties.values()].map(p => p.userName),
+        awaitingResubmission: awaitingResubmission(submission),
+        negotiationStarted: submission.started
+    });
+}));
+
+// Negotiation result for a sealed session; only the parties may read it
+app.get('/api/negotiation-result/:sessionId', asyncRoute(async (req, res) => {
+    const negotiation = await loadNegotiation(req.params.sessionId);
+    if (!negotiation) {
+        return res.status(404).json({ error: 'Negotiation not found' });
+    }
+    if (!negotiation.partyTokens || !await canReadResult(req.params.sessionId, req)) {
+        return res.status(403).json({ error: 'Invalid party token' });
+    }
+    if (negotiation.status === 'failed') {
+        return res.status(500).json({ status: 'failed', error: 'Negotiation failed', message: negotiation.error });
+    }
+    if (negotiation.status === 'cancelled') {
+        return res.status(410).json({ status: 'cancelled', error: 'Negotiation cancelled' });
+    }
+    if (!negotiation.result) {
+        return res.status(202).json({ status: negotiation.status });
+    }
+    res.json({ success: true, status: negotiation.status, result: negotiation.result });
+}));
+
+// Party name behind the request's token, or null
+function partyForRequest(negotiation, req) {
+    const token = req.get('X-Party-Token') || req.query.partyToken;
+    const index = token && negotiation.partyTokens ? negotiation.partyTokens.indexOf(token) : -1;
+    return index === -1 ? null : negotiation.moderator.getParticipantNames()[index];
+}
+
+app.get('/api/agreement-review/:sessionId', asyncRoute(async (req, res) => {
+    const negotiation = await loadNegotiation(req.params.sessionId);
+    if (!negotiation) {
+        return res.status(404).json({ error: 'Negotiation not found' });
+    }
+    if (!partyForRequest(negotiation, req)) {
+        return res.status(403).json({ error: 'Invalid party token' });
+    }
+    if (!negotiation.review) {
+        return res.status(404).json({ error: 'No agreement to review yet' });
+    }
+    res.json({
+        success: true,
+        review: {
+            ...negotiation.review.describe(),
+            // With these the review is a complete export request (see agreement-export.js)
+            topic: negotiation.moderator.topic,
+            templateId: negotiation.templateId,
+            languages: negotiation.languages,
+            contentHash: await reviewContentHash(negotiation)
+        }
+    });
+}));
+
+// Canonical hash of the version under review; what accepting parties sign
+function reviewContentHash(negotiation) {
+    const { review } = negotiation;
+    return hashAgreement(canonicalAgreement({
+        agreement: review.current.structured,
+        topic: negotiation.moderator.topic,
+        parties: review.parties,
+        effectiveDate: review.effectiveDate,
+        templateId: negotiation.templateId
+    }), crypto.webcrypto);
+}
+
+// Body: { version, decisions: [{ clause, decision: accept|reject|change, comment }], note, signature }.
+// The note is passed only to the reviewer's own advocate. A party accepting
+// every clause may add its signature of the version's content hash.
+app.post('/api/agreement-review/:sessionId', asyncRoute(async (req, res) => {
+    const { sessionId } = req.params;
+    const negotiation = await loadNegotiation(sessionId);
+    if (!negotiation) {
+        return res.status(404).json({ error: 'Negotiation not found' });
+    }
+    const party = partyForRequest(negotiation, req);
+    if (!party) {
+        return res.status(403).json({ error: 'Invalid party token' });
+    }
+    if (!negotiation.review) {
+        return res.status(404).json({ error: 'No agreement to review yet' });
+    }
+
+    const body = req.body || {};
+    let signature = null;
+    if (body.signature) {
+        const contentHash = await reviewContentHash(negotiation);
+        if (body.signature.party !== party || !await verifySignature(body.signature, contentHash, crypto.webcrypto)) {
+            return res.status(400).json({ error: 'Invalid signature' });
+        }
+        signature = signatureRecord(body.signature);
+    }
+
+    let status;
+    try {
+        status = negotiation.review.submit(party, body, signature);
+    } catch (error) {
+        if (error instanceof ReviewError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+
+    const { version } = negotiation.review.current;
+    negotiationEvents.publish(sessionId, 'review_submitted', { party, version, signed: Boolean(signature) });
+    if (status === 'certified') {
+        negotiationEvents.publish(sessionId, 'agreement_certified', { version });
+    } else if (status === 'renegotiating') {
+        enqueueNegotiation(sessionId, { kind: 'renegotiation' });
+    }
+    await persistNegotiation(sessionId);
+
+    res.json({ success: true, status, version, jobId: negotiation.jobId });
+}));
 
-async function runNegotiation(sessionId) {
+// Live progress as server-sent events. EventSource cannot set headers, so
+// the party token may also be passed as ?partyToken=.
+app.get('/api/negotiation-events/:sessionId', asyncRoute(async (req, res) => {
+    const { sessionId } = req.params;
+    const negotiation = await loadNegotiation(sessionId);
+    const submission = await loadSubmission(sessionId);
+    if (!negotiation && !submission) {
+        return res.status(404).json({ error: 'Negotiation not found' });
+    }
+    const token = req.get('X-Party-Token') || req.query.partyToken;
+    const sealedTokens = negotiation?.partyTokens || (submission ? [...submission.parties.keys()] : null);
+    if (sealedTokens && (!token || !sealedTokens.includes(token))) {
+        return res.status(403).json({ error: 'Invalid party token' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(': connected\n\n');
+
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    const unsubscribe = negotiationEvents.subscribe(sessionId, event => writeSseEvent(res, event), { lastEventId });
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    heartbeat.unref();
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}));
+
+// Sealed negotiations are only readable by their parties; legacy
+// start-negotiation runs are addressed by their unguessable job id, which
+// only the starter and the operator are given. A negotiation that is no
+// longer stored is not readable at all.
+async function canReadResult(sessionId, req) {
+    const negotiation = await loadNegotiation(sessionId);
+    if (!negotiation) return false;
+    if (!negotiation.partyTokens) return true;
+    const token = req.get('X-Party-Token') || req.query.partyToken;
+    return !!token && negotiation.partyTokens.includes(token);
+}
+
+function isJobsAdmin(req) {
+    const expected = process.env.JOBS_ADMIN_TOKEN;
+    const given = req.get('X-Admin-Token');
+    if (!expected || !given) return false;
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(given).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+function hasCompleteInputs(inputs, template = getTemplate()) {
+    return !!inputs && missingFields(template, inputs).length === 0;
+}
+
+// Agreement type and required sections, for the advocate and moderator prompts
+function describeTemplate(template, instruction) {
+    if (!template.sections.length) return '';
+    const sections = template.sections.map(section => `- ${section.title}: ${section.guidance}`).join('\n');
+    return `
+AGREEMENT TYPE: ${template.name}. The agreement must cover:
+${sections}
+${instruction}
+`;
+}
+
+// Identifies what a start asked for without keeping the inputs themselves.
+// Starts without any language settings keep their earlier fingerprint.
+function startFingerprint(topic, parties, templateId, languages = null) {
+    const summary = parties.map(party => (party.language === undefined
+        ? [party.userName, party.inputs]
+        : [party.userName, party.inputs, normalizeLanguage(party.language)]));
+    const request = languages ? [topic, summary, templateId, languages] : [topic, summary, templateId];
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+function pickInputs(inputs, template = getTemplate()) {
+    return pickTemplateInputs(template, inputs);
+}
+
+// Language codes asked for in a request: null when there are none, false
+// when any is not supported
+function requestedLanguages(value) {
+    if (value === undefined || value === null) return null;
+    const codes = (Array.isArray(value) ? value : [value]).map(normalizeLanguage);
+    if (!codes.length || codes.some(code => !code)) return false;
+    return [...new Set(codes)];
+}
+
+// The agreement's languages: the ones asked for, or else every party's own
+// language in party order. The first is the primary language.
+function agreementLanguagesFor(requested, advocates) {
+    const codes = (requested && requested.length ? requested : advocates.map(advocate => advocate.language))
+        .map(code => normalizeLanguage(code) || DEFAULT_LANGUAGE);
+    return codes.length ? [...new Set(codes)] : [DEFAULT_LANGUAGE];
+}
+
+function buildNegotiation(topic, parties, extra = {}) {
+    // One AI advocate per party, balanced by a single moderator, all
+    // following the agreement template the parties chose
+    const template = getTemplate(extra.templateId) || getTemplate();
+    const advocates = parties.map(party => new AIAdvocate(party.userName, party.inputs, topic, { template, language: party.language }));
+    const moderator = new AIModerator(topic, advocates, { template, languages: extra.languages });
+
+    return {
+        advocates,
+        moderator,
+        status: 'queued',
+        jobId: null,
+        result: null,
+        error: null,
+        review: null,
+        inputsRetained: true,
+        createdAt: Date.now(),
+        ...extra,
+        templateId: template.id,
+        languages: moderator.languages
+    };
+}
+
+function createNegotiation(sessionId, topic, parties, extra = {}) {
+    const negotiation = buildNegotiation(topic, parties, extra);
+    activeNegotiations.set(sessionId, negotiation);
+    persistNegotiation(sessionId);
+    return negotiation;
+}
+
+// Stored form of a negotiation: everything needed to serve results and
+// reviews after a restart. Inputs are excluded or encrypted per policy.
+function serializeNegotiation(negotiation) {
+    return {
+        topic: negotiation.moderator.topic,
+        status: negotiation.status,
+        createdAt: negotiation.createdAt,
+        partyTokens: negotiation.partyTokens || null,
+        idempotencyKey: negotiation.idempotencyKey || null,
+        startFingerprint: negotiation.startFingerprint || null,
+        templateId: negotiation.templateId,
+        languages: negotiation.languages,
+        parties: negotiation.advocates.map(advocate => ({
+            userName: advocate.userName,
+            language: advocate.language,
+            inputs: negotiation.inputsRetained
+                ? inputPolicy.protect(advocateInputs(advocate))
+                : null
+        })),
+        result: negotiation.result,
+        error: negotiation.error,
+        review: negotiation.review ? negotiation.review.toJSON() : null
+    };
+}
+
+function advocateInputs(advocate) {
+    const inputs = { objectives: advocate.objectives, mustHaves: advocate.mustHaves, constraints: advocate.constraints };
+    advocate.details.forEach(detail => { inputs[detail.key] = detail.value; });
+    return inputs;
+}
+
+function persistNegotiation(sessionId) {
+    const negotiation = activeNegotiations.get(sessionId);
+    if (!negotiation) return Promise.resolve();
+    // Re-setting restarts the in-memory expiry along with the stored one
+    activeNegotiations.set(sessionId, negotiation);
+    return negotiationStore.set(sessionId, serializeNegotiation(negotiation), { ttlMs: NEGOTIATION_TTL_MS })
+        .catch(error => console.error(`Failed to persist negotiation ${sessionId}:`, error));
+}
+
+// In-memory negotiation, or one restored from the store. Restoring never
+// starts work: interrupted runs are resumed at startup
+async function loadNegotiation(sessionId) {
+    if (activeNegotiations.has(sessionId)) return activeNegotiations.get(sessionId);
+    const record = await negotiationStore.get(sessionId);
+    if (!record) return null;
+    if (activeNegotiations.has(sessionId)) return activeNegotiations.get(sessionId);
+
+    const parties = record.parties.map(party => ({ userName: party.userName, language: party.language, inputs: inputPolicy.restore(party.inputs) }));
+    const inputsRetained = parties.every(party => party.inputs);
+    const negotiation = buildNegotiation(
+        record.topic,
+        parties.map(party => ({ ...party, inputs: party.inputs || {} })),
+        {
+            status: record.status,
+            createdAt: record.createdAt,
+            partyTokens: record.partyTokens || undefined,
+            idempotencyKey: record.idempotencyKey || null,
+            startFingerprint: record.startFingerprint || null,
+            templateId: record.templateId,
+            languages: record.languages,
+            result: record.result,
+            error: record.error,
+            review: record.review ? AgreementReview.fromJSON(record.review) : null,
+            inputsRetained
+        }
+    );
+    activeNegotiations.set(sessionId, negotiation);
+    return negotiation;
+}
+
+// Jobs do not survive a restart. At startup, rerun interrupted work when the
+// inputs were kept; otherwise fail it, or reopen a review that was being
+// renegotiated. Returns the session ids that were resumed or settled.
+async function resumeInterruptedNegotiations() {
+    const settled = [];
+    for (const sessionId of await negotiationStore.keys()) {
+        const negotiation = await loadNegotiation(sessionId);
+        if (!negotiation || FINISHED_STATUSES.includes(negotiation.status) || negotiationJobs.get(negotiation.jobId)) continue;
+        const renegotiating = negotiation.review && negotiation.review.status === 'renegotiating';
+        if (negotiation.inputsRetained) {
+            enqueueNegotiation(sessionId, renegotiating ? { kind: 'renegotiation' } : undefined);
+        } else if (renegotiating) {
+            negotiation.status = 'completed';
+            negotiation.review.reopen();
+        } else {
+            negotiation.status = 'failed';
+            negotiation.error = 'Interrupted by a server restart; private inputs were not retained';
+        }
+        await persistNegotiation(sessionId);
+        settled.push(sessionId);
+    }
+    return settled;
+}
+
+function persistSubmission(sessionId, submission) {
+    const record = {
+        topic: submission.topic,
+        templateId: submission.templateId,
+        partiesRequired: submission.partiesRequired,
+        languages: submission.languages,
+        started: submission.started,
+        createdAt: submission.createdAt,
+        parties: [...submission.parties.entries()].map(([token, party]) => ({
+            token,
+            userName: party.userName,
+            language: party.language,
+            submittedAt: party.submittedAt,
+            inputs: party.inputs ? inputPolicy.protect(party.inputs) : null
+        }))
+    };
+    return submissionStore.set(sessionId, record, { ttlMs: NEGOTIATION_TTL_MS })
+        .catch(error => console.error(`Failed to persist submission ${sessionId}:`, error));
+}
+
+async function loadSubmission(sessionId) {
+    if (sealedSubmissions.has(sessionId)) return sealedSubmissions.get(sessionId);
+    const record = await submissionStore.get(sessionId);
+    if (!record) return null;
+    if (sealedSubmissions.has(sessionId)) return sealedSubmissions.get(sessionId);
+
+    const submission = {
+        topic: record.topic,
+        templateId: record.templateId || getTemplate().id,
+        partiesRequired: record.partiesRequired || DEFAULT_PARTIES,
+        languages: record.languages || null,
+        started: record.started,
+        createdAt: record.createdAt,
+        parties: new Map(record.parties.map(party => [party.token, {
+            userName: party.userName,
+            language: party.language || DEFAULT_LANGUAGE,
+            submittedAt: party.submittedAt,
+            inputs: inputPolicy.restore(party.inputs)
+        }]))
+    };
+    sealedSubmissions.set(sessionId, submission);
+    return submission;
+}
+
+// Parties whose sealed inputs were not retained across a restart; they
+// resubmit with their party token before the negotiation can start
+function awaitingResubmission(submission) {
+    if (submission.started) return [];
+    return [...submission.parties.values()].filter(party => !party.inputs).map(party => party.userName);
+}
+
+// The seat userName holds in the signaling session (SIGNALING_API_URL),
+// checked there with its participant token; { status, error } otherwise
+async function signalingSeat(sessionId, userName, participantToken) {
+    if (!participantToken) return { status: 403, error: 'Invalid participant token' };
+    const base = (process.env.SIGNALING_API_URL || 'http://localhost:8080').replace(/\/+$/, '');
+    let res;
+    try {
+        res = await fetch(`${base}/api/sessions/${encodeURIComponent(sessionId)}/seats/${encodeURIComponent(userName)}`, {
+            headers: { 'X-Participant-Token': String(participantToken) },
+            signal: AbortSignal.timeout(10000)
+        });
+    } catch (err) {
+        return { status: 502, error: 'The signaling service could not be reached' };
+    }
+    if (res.status === 403) return { status: 403, error: 'Invalid participant token' };
+    if (res.status === 404) return { status: 404, error: 'Unknown session' };
+    if (!res.ok) return { status: 502, error: `The signaling service answered ${res.status}` };
+    const seat = await res.json();
+    if (!(seat.maxParticipants >= 2 && seat.maxParticipants <= MAX_PARTIES)) {
+        return { status: 502, error: 'The signaling service answered with an invalid session size' };
+    }
+    return { seat };
+}
+
+function startSealedNegotiation(sessionId, submission) {
+    const entries = [...submission.parties.entries()];
+    const negotiation = createNegotiation(
+        sessionId,
+        submission.topic,
+        entries.map(([, party]) => party),
+        { partyTokens: entries.map(([token]) => token), templateId: submission.templateId, languages: submission.languages }
+    );
+    submission.started = true;
+
+    // The advocates hold the inputs now; keep only who submitted
+    for (const party of submission.parties.values()) {
+        delete party.inputs;
+    }
+
+    enqueueNegotiation(sessionId);
+}
+
+function enqueueNegotiation(sessionId, data) {
+    const negotiation = activeNegotiations.get(sessionId);
+    const job = negotiationJobs.enqueue(sessionId, data);
+    negotiation.jobId = job.id;
+    negotiation.status = job.status;
+    return job;
+}
+
+async function runNegotiation(sessionId, { signal } = {}) {
     const negotiation = activeNegotiations.get(sessionId);
     if (!negotiation) {
         throw new Error('Negotiation session not found');
     }
 
-    const { advocate1, advocate2, moderator } = negotiation;
+    const { advocates, moderator } = negotiation;
+    // Cancellation is checked between model calls
+    const checkCancelled = () => {
+        if (signal && signal.aborted) throw new NegotiationCancelledError();
+    };
+    const emit = (type, data) => negotiationEvents.publish(sessionId, type, data);
+    const limits = getRoundLimits();
+    let stopReason = null;
     
-    try {
-        // Run 3-4 rounds of negotiation
-        for (let round = 0; round < 3; round++) {
-            // Get proposals from both advocates
-            const context = round === 0 ? '' : `Previous rounds: ${JSON.stringify(moderator.negotiationRounds)}`;
-            
-            const proposal1 = await advocate1.generateProposal(context);
-            const proposal2 = await advocate2.generateProposal(context);
-            
-            // Moderate the round
-            const moderation = await moderator.moderateRound(proposal1, proposal2);
-            
-            // Add to advocate histories
-            advocate1.addToHistory('opponent', proposal2);
-            advocate1.addToHistory('moderator', moderation);
-            advocate2.addToHistory('opponent', proposal1);
-            advocate2.addToHistory('moderator', moderation);
-            
-            console.log(`Round ${round + 1} completed for session ${sessionId}`);
+    // Keep negotiating until the moderator declares consensus, positions stop
+    // moving (deadlock) or the round limit is reached
+    for (let round = 0; !stopReason; round++) {
+        emit('round_started', { round: round + 1 });
+
+        // Get proposals from every advocate
+        const context = round === 0 ? '' : `Previous rounds: ${JSON.stringify(moderator.getBackchannelInsights())}`;
+        
+        const proposals = [];
+        for (const advocate of advocates) {
+            checkCancelled();
+            const proposal = await advocate.generateProposal(context);
+            emit('proposal_generated', { round: round + 1, advocate: advocate.userName, proposal: redactProposal(proposal) });
+            proposals.push(proposal);
         }
+        
+        // Moderate the round
+        checkCancelled();
+        const moderation = await moderator.moderateRound(proposals);
+        // The moderation can quote any party's private inputs, so only its
+        // verdict is streamed; parties read the rest from their result
+        const moderated = moderator.negotiationRounds[moderator.negotiationRounds.length - 1];
+        emit('moderation_completed', { round: round + 1, status: moderated.status, unresolved: moderated.unresolvedIssues.length });
+        
+        // Add to advocate histories
+        advocates.forEach((advocate, i) => {
+            advocates.forEach((other, j) => {
+                if (i !== j) advocate.addToHistory('opponent', `${other.userName}: ${proposals[j]}`);
+            });
+            advocate.addToHistory('moderator', moderation);
+        });
+        
+        console.log(`Round ${round + 1} completed for session ${sessionId}`);
 
-        // Generate final agreement
-        const finalAgreement = await moderator.generateFinalAgreement();
-        const backchannelInsights = moderator.getBackchannelInsights();
+        const decision = decideNextStep(moderator.negotiationRounds.map(r => ({
+            proposals: r.proposals,
+            status: r.status
+        })), limits);
+        stopReason = decision.reason;
+    }
 
-        // Clean up session
-        negotiation.status = 'completed';
-        
+    const rounds = moderator.negotiationRounds.length;
+    const lastRound = moderator.negotiationRounds[rounds - 1];
+    emit('rounds_finished', { rounds, stopReason });
+
+    if (stopReason === 'deadlock') {
+        // Proposals stopped changing: report the deadlock instead of forcing an agreement
         return {
-            agreement: finalAgreement.raw,
-            structured: finalAgreement.structured || null,
-            backchannel: backchannelInsights,
-            rounds: moderator.negotiationRounds.length
+            outcome: 'deadlock',
+            template: negotiation.templateId,
+            languages: negotiation.languages,
+            stopReason,
+            agreement: '',
+            structured: null,
+            unresolvedIssues: lastRound.unresolvedIssues.length
+                ? lastRound.unresolvedIssues
+                : ['The parties\' positions stopped moving before the open points were resolved'],
+            backchannel: moderator.getShareableBackchannel(),
+            rounds
         };
+    }
 
-    } catch (error) {
-        negotiation.status = 'failed';
-        throw error;
+    // Generate final agreement
+    checkCancelled();
+    emit('final_agreement_drafting', { rounds: moderator.negotiationRounds.length });
+    let finalAgreement = await moderator.generateFinalAgreement();
+    const verification = await verifyFinalAgreement(moderator, finalAgreement, { emit, checkCancelled });
+    if (verification.agreement) finalAgreement = verification.agreement;
+    const backchannelInsights = moderator.getShareableBackchannel();
+
+    // Sealed parties review the clauses before the agreement is certified
+    const structured = finalAgreement.structured;
+    if (negotiation.partyTokens && Array.isArray(structured?.clauses) && structured.clauses.length) {
+        negotiation.review = new AgreementReview({ parties: moderator.getParticipantNames() });
+        negotiation.review.addVersion(structured);
     }
+    
+    return {
+        outcome: 'agreement',
+        template: negotiation.templateId,
+        languages: negotiation.languages,
+        stopReason,
+        agreement: finalAgreement.raw,
+        structured: finalAgreement.structured || null,
+        validation: finalAgreement.validation,
+        verification: verification.summary,
+        version: negotiation.review ? negotiation.review.current.version : null,
+        unresolvedIssues: lastRound.unresolvedIssues,
+        backchannel: backchannelInsights,
+        rounds
+    };
 }
 
-app.get('/api/negotiation-status/:sessionId', (req, res) => {
-    const { sessionId } = req.params;
+// Advocates verify the draft against their red lines; objections send it back
+// to the moderator until all accept or the revision budget runs out
+async function verifyFinalAgreement(moderator, draft, { emit, checkCancelled }) {
+    if (!draft.structured || !Array.isArray(draft.structured.clauses) || !draft.structured.clauses.length) {
+        return { agreement: null, summary: { status: 'skipped', revisions: 0, objections: [] } };
+    }
+
+    const maxRevisions = getMaxRevisions();
+    let agreement = draft;
+    let revisions = 0;
+    for (;;) {
+        checkCancelled();
+        emit('agreement_verification', { revision: revisions });
+        const { accepted, objections } = await moderator.verifyAgreement(agreement.structured);
+        emit('agreement_verified', { revision: revisions, accepted, objections: objections.length });
+
+        if (accepted || revisions >= maxRevisions) {
+            return {
+                agreement,
+                summary: { status: accepted ? 'accepted' : 'objected', revisions, objections }
+            };
+        }
+
+        checkCancelled();
+        revisions++;
+        const revised = await moderator.reviseAgreement(agreement.structured, objections, revisions);
+        if (!revised.structured) {
+            return { agreement, summary: { status: 'objected', revisions, objections } };
+        }
+        agreement = revised;
+    }
+}
+
+// Rewrites the clauses the parties sent back and opens a new agreement version
+async function runRenegotiation(sessionId, { signal } = {}) {
     const negotiation = activeNegotiations.get(sessionId);
+    if (!negotiation || !negotiation.review) {
+        throw new Error('Negotiation review not found');
+    }
+    if (!negotiation.inputsRetained) {
+        throw new Error('Private inputs were not retained across a restart; the agreement cannot be renegotiated');
+    }
+
+    const { advocates, moderator, review } = negotiation;
+    const checkCancelled = () => {
+        if (signal && signal.aborted) throw new NegotiationCancelledError();
+    };
+    const emit = (type, data) => negotiationEvents.publish(sessionId, type, data);
+    const base = review.current;
+    const contested = review.contestedClauses();
+    emit('renegotiation_started', { version: base.version, clauses: contested });
+
+    const proposals = [];
+    for (const advocate of advocates) {
+        checkCancelled();
+        const proposal = await advocate.proposeClauseChanges(review.feedbackFor(advocate.userName));
+        emit('proposal_generated', { round: 'review', advocate: advocate.userName, proposal: redactProposal(proposal) });
+        proposals.push(proposal);
+    }
+
+    checkCancelled();
+    const revisedClauses = await moderator.renegotiateClauses(base.structured, contested, proposals);
+    const structured = mergeClauses(base.structured, revisedClauses, contested);
+    const changedClauses = contested.filter(number =>
+        structured.clauses[number - 1].text !== base.structured.clauses[number - 1].text);
+
+    const version = review.addVersion(structured, { changedClauses });
+    emit('agreement_version', { version: version.version, changedClauses });
+
+    return {
+        ...negotiation.result,
+        outcome: 'agreement',
+        agreement: '```json\n' + JSON.stringify(structured, null, 2) + '\n```',
+        structured,
+        version: version.version,
+        changedClauses
+    };
+}
+
+app.get('/api/negotiation-status/:sessionId', asyncRoute(async (req, res) => {
+    const { sessionId } = req.params;
+    const negotiation = await loadNegotiation(sessionId);
     
     if (!negotiation) {
         return res.status(404).json({ error: 'Negotiation not found' });
@@ -471,39 +1595,40 @@ app.get('/api/negotiation-status/:sessionId', (req, res) => {
     
     res.json({
         status: negotiation.status,
-        rounds: negotiation.moderator.negotiationRounds.length
+        jobId: negotiation.jobId,
+        // Restored negotiations no longer have their rounds in memory
+        rounds: negotiation.moderator.negotiationRounds.length || (negotiation.result ? negotiation.result.rounds : 0)
     });
-});
+}));
 
 // Health check
 app.get('/health', (req, res) => {
     res.json({ 
         status: 'healthy', 
-        openaiConfigured: !!openai,
-        activeNegotiations: activeNegotiations.size 
+        openaiConfigured: !!llmProvider && llmProvider.name === 'openai',
+        llmProvider: llmProvider ? llmProvider.name : null,
+        activeNegotiations: activeNegotiations.size,
+        sessionStore: store.kind,
+        privateInputPolicy: inputPolicy.mode,
+        queuedJobs: negotiationJobs.list({ status: 'queued' }).length,
+        runningJobs: negotiationJobs.list({ status: 'running' }).length
     });
 });
 
-// Cleanup old negotiations
-setInterval(() => {
-    const now = Date.now();
-    for (const [sessionId, negotiation] of activeNegotiations.entries()) {
-        if (now - negotiation.createdAt > 7200000) { // 2 hours
-            activeNegotiations.delete(sessionId);
-            console.log(`Cleaned up old negotiation: ${sessionId}`);
-        }
-    }
-}, 600000); // Every 10 minutes
-
 const PORT = process.env.PORT || 3001;
 if (require.main === module) {
+    resumeInterruptedNegotiations()
+        .then(resumed => {
+            if (resumed.length) console.log(`Resumed ${resumed.length} interrupted negotiation(s)`);
+        })
+        .catch(error => console.error('Failed to resume interrupted negotiations:', error));
     app.listen(PORT, () => {
         console.log(`AI Negotiation API running on port ${PORT}`);
-        console.log(`OpenAI configured: ${!!openai}`);
+        console.log(`LLM provider: ${llmProvider ? llmProvider.name : 'none (heuristic feedback only)'}`);
     });
 }
 
-module.exports = { AIAdvocate, AIModerator, app };
+module.exports = { AIAdvocate, AIModerator, app, MAX_PARTIES, resumeInterruptedNegotiations };
 
 // Heuristic fallback when OpenAI is unavailable
 function heuristicFeedback({ objectives, mustHaves, constraints, topic, userName }) {
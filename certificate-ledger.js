@@ -0,0 +1,143 @@
+// Append-only, hash-chained ledger of issued agreement certificates
+// Every PDF the server issues is recorded with its content hash, PDF hash,
+// agreement id, source and issue time. The source says what the PDF was
+// rendered from: the reviewed agreement fetched from the negotiation backend,
+// a structured agreement in the request, or HTML the client supplied, whose
+// content the service never checked. Each entry's hash covers its fields and the
+// previous entry's hash, so changing or removing any entry breaks every link
+// after it. Entries live in the session store (session-store.js) without a
+// TTL; use the file or redis backend to keep them across restarts.
+//
+// Appends are serialized within the process, so one server should write to
+// a ledger at a time.
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+const SOURCES = ['reviewed', 'agreement', 'client-html'];
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Hash over the entry's fields in a fixed order, excluding entryHash itself.
+// Entries written before sources were recorded have none to hash.
+function entryHash(entry) {
+    return sha256(JSON.stringify([
+        entry.index,
+        entry.previousHash,
+        entry.contentHash,
+        entry.pdfHash,
+        entry.agreementId,
+        entry.issuedAt,
+        ...(entry.source === undefined ? [] : [entry.source])
+    ]));
+}
+
+function isHash(value) {
+    return HASH_PATTERN.test(String(value || ''));
+}
+
+class CertificateLedger {
+    // store: a session store (or namespaced view) with get/set
+    constructor(store) {
+        this.store = store;
+        this.tail = Promise.resolve();
+    }
+
+    // { index, entryHash } of the newest entry, or null when empty
+    head() {
+        return this.store.get('head');
+    }
+
+    entry(index) {
+        return this.store.get(`entry:${index}`);
+    }
+
+    // Records one certificate; resolves to the stored entry
+    append({ contentHash, pdfHash, agreementId = '', source }) {
+        if (!isHash(contentHash) || !isHash(pdfHash)) {
+            return Promise.reject(new Error('contentHash and pdfHash must be SHA-256 hex digests'));
+        }
+        if (source !== undefined && !SOURCES.includes(source)) {
+            return Promise.reject(new Error(`source must be one of ${SOURCES.join(', ')}`));
+        }
+        const run = this.tail.then(() => this.write({ contentHash, pdfHash, agreementId: String(agreementId || '') }, source));
+        // A failed append must not block the ones after it
+        this.tail = run.catch(() => {});
+        return run;
+    }
+
+    async write(fields, source) {
+        const head = await this.head();
+        const entry = {
+            index: head ? head.index + 1 : 0,
+            previousHash: head ? head.entryHash : GENESIS_HASH,
+            ...fields,
+            issuedAt: new Date().toISOString(),
+            ...(source === undefined ? {} : { source })
+        };
+        entry.entryHash = entryHash(entry);
+
+        await this.store.set(`entry:${entry.index}`, entry);
+        await this.store.set(`pdf:${entry.pdfHash}`, entry.index);
+        // The same agreement can be issued as several PDFs
+        const issued = (await this.store.get(`content:${entry.contentHash}`)) || [];
+        await this.store.set(`content:${entry.contentHash}`, [...issued, entry.index]);
+        // Moving the head last makes the entry part of the chain
+        await this.store.set('head', { index: entry.index, entryHash: entry.entryHash });
+        return entry;
+    }
+
+    // Checks the links from `from` (default: the first entry) to the head.
+    // Resolves to { valid, length, headHash, brokenAt }.
+    async verifyChain(from = 0) {
+        const head = await this.head();
+        if (!head) return { valid: true, length: 0, headHash: GENESIS_HASH, brokenAt: null };
+        let previousHash = from === 0 ? GENESIS_HASH : ((await this.entry(from - 1)) || {}).entryHash;
+        for (let index = from; index <= head.index; index++) {
+            const entry = await this.entry(index);
+            if (!entry || entry.index !== index || entry.previousHash !== previousHash || entry.entryHash !== entryHash(entry)) {
+                return { valid: false, length: head.index + 1, headHash: head.entryHash, brokenAt: index };
+            }
+            previousHash = entry.entryHash;
+        }
+        return { valid: previousHash === head.entryHash, length: head.index + 1, headHash: head.entryHash, brokenAt: null };
+    }
+
+    // What a hash is: the exact PDF of an entry, or the content of one or
+    // more entries. Resolves to { match: 'pdf' | 'content' | null, entries }.
+    async lookup(hash) {
+        const value = String(hash || '').toLowerCase();
+        if (!isHash(value)) return { match: null, entries: [] };
+        const pdfIndex = await this.store.get(`pdf:${value}`);
+        if (pdfIndex !== null && pdfIndex !== undefined) {
+            return { match: 'pdf', entries: [await this.entry(pdfIndex)] };
+        }
+        const indexes = (await this.store.get(`content:${value}`)) || [];
+        if (!indexes.length) return { match: null, entries: [] };
+        return { match: 'content', entries: await Promise.all(indexes.map(index => this.entry(index))) };
+    }
+
+    // Verdict for a hash, from the PDF's own bytes or pasted by someone:
+    // authentic when the service issued it, unmodified when it is the exact
+    // PDF issued, and only if the chain from its entry to the head holds
+    async verify(hash) {
+        const { match, entries } = await this.lookup(hash);
+        if (!match) {
+            return { authentic: false, unmodified: false, match: null, entries: [], chain: null };
+        }
+        const chain = await this.verifyChain(Math.min(...entries.map(entry => entry.index)));
+        return {
+            authentic: chain.valid,
+            // A content hash says nothing about the PDF it came from
+            unmodified: match === 'pdf' ? chain.valid : null,
+            match,
+            entries,
+            chain
+        };
+    }
+}
+
+module.exports = { CertificateLedger, entryHash, sha256, isHash, GENESIS_HASH, SOURCES };
@@ -0,0 +1,294 @@
+// End-to-end encrypted relay channel usable in both browser and Node (Jest)
+// Each participant keeps a long-term ECDH P-256 identity key and one channel
+// per other participant. In every pair the later joiner (initiator) sends a
+// hello with a fresh nonce; the earlier one (responder) answers with its own
+// fresh nonce. Both derive an AES-256-GCM key with HKDF from the
+// ECDH secret and the two nonces, so every handshake yields a new key and
+// messages from an earlier handshake can never be replayed into a later one.
+// Within a handshake every message carries a sequence number that must grow.
+// The key of the previous handshake is kept for opening only, so messages
+// sealed while a new handshake was under way are not lost.
+// The derived key and sequence numbers can be exported, so a page reload keeps
+// the channel instead of losing messages sealed for it.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.E2EChannel = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VERSION = 1;
+  const NONCE_BYTES = 16;
+  const IV_BYTES = 12;
+
+  class ChannelError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'ChannelError';
+      this.code = code;
+    }
+  }
+
+  function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(String(text || '')), c => c.charCodeAt(0));
+  }
+
+  function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function concat(...parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      out.set(part, offset);
+      offset += part.length;
+    });
+    return out;
+  }
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+
+  // Security code both people compare out of band; identical on both sides
+  async function fingerprint(crypto, publicKeyA, publicKeyB) {
+    const keys = [publicKeyA, publicKeyB].sort();
+    const digest = await crypto.subtle.digest('SHA-256', concat(fromBase64(keys[0]), fromBase64(keys[1])));
+    return toHex(digest).slice(0, 40).match(/.{4}/g).join(' ');
+  }
+
+  // A participant's identity as JWKs, shared by all of its channels
+  async function generateIdentity(crypto = globalThis.crypto) {
+    const pair = await crypto.subtle.generateKey(ECDH, true, ['deriveBits']);
+    return {
+      publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey),
+      privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey)
+    };
+  }
+
+  class SecureChannel {
+    // role: 'initiator' (joiner) or 'responder' (creator).
+    // identity: { publicKey, privateKey } JWKs from exportState(), or null for a new key.
+    // peerPublicKey: the partner key seen before, to detect a key change.
+    // session: the derived key from exportSession(), restored if the role still matches.
+    static async create({ crypto = globalThis.crypto, sessionId, role, identity = null, peerPublicKey = null, session = null }) {
+      const channel = new SecureChannel(crypto, sessionId, role);
+      if (identity) {
+        channel.identity = {
+          publicKey: await crypto.subtle.importKey('jwk', identity.publicKey, ECDH, true, []),
+          privateKey: await crypto.subtle.importKey('jwk', identity.privateKey, ECDH, true, ['deriveBits'])
+        };
+      } else {
+        channel.identity = await crypto.subtle.generateKey(ECDH, true, ['deriveBits']);
+      }
+      channel.publicKey = toBase64(await crypto.subtle.exportKey('raw', channel.identity.publicKey));
+      channel.peerPublicKey = peerPublicKey;
+      if (session && session.role === role) await channel.restoreSession(session);
+      return channel;
+    }
+
+    constructor(crypto, sessionId, role) {
+      if (role !== 'initiator' && role !== 'responder') {
+        throw new ChannelError('INVALID_ROLE', `Unknown channel role "${role}"`);
+      }
+      this.crypto = crypto;
+      this.sessionId = sessionId;
+      this.role = role;
+      this.nonce = null;
+      this.key = null;
+      this.keyId = null;
+      this.sendSeq = 0;
+      this.receiveSeq = 0;
+      this.previous = null;
+    }
+
+    get ready() {
+      return Boolean(this.key);
+    }
+
+    async exportState() {
+      return {
+        identity: {
+          publicKey: await this.crypto.subtle.exportKey('jwk', this.identity.publicKey),
+          privateKey: await this.crypto.subtle.exportKey('jwk', this.identity.privateKey)
+        },
+        peerPublicKey: this.peerPublicKey,
+        session: await this.exportSession()
+      };
+    }
+
+    // The current key and sequence numbers; null before the first handshake
+    async exportSession() {
+      if (!this.ready) return null;
+      return {
+        role: this.role,
+        key: toBase64(await this.crypto.subtle.exportKey('raw', this.key)),
+        keyId: this.keyId,
+        sendSeq: this.sendSeq,
+        receiveSeq: this.receiveSeq,
+        previous: this.previous && {
+          key: toBase64(await this.crypto.subtle.exportKey('raw', this.previous.key)),
+          keyId: this.previous.keyId,
+          receiveSeq: this.previous.receiveSeq
+        }
+      };
+    }
+
+    async restoreSession(session) {
+      this.key = await this.importSessionKey(session.key);
+      this.keyId = session.keyId;
+      this.sendSeq = Number(session.sendSeq) || 0;
+      this.receiveSeq = Number(session.receiveSeq) || 0;
+      if (session.previous) {
+        this.previous = {
+          key: await this.importSessionKey(session.previous.key),
+          keyId: session.previous.keyId,
+          receiveSeq: Number(session.previous.receiveSeq) || 0
+        };
+      }
+    }
+
+    async importSessionKey(key) {
+      try {
+        return await this.crypto.subtle.importKey('raw', fromBase64(key), 'AES-GCM', true, ['encrypt', 'decrypt']);
+      } catch (e) {
+        throw new ChannelError('INVALID_STATE', 'Invalid saved channel key');
+      }
+    }
+
+    // The current key stops sealing but still opens what was sealed with it
+    retireKey() {
+      if (!this.key) return;
+      this.previous = { key: this.key, keyId: this.keyId, receiveSeq: this.receiveSeq };
+      this.key = null;
+      this.keyId = null;
+    }
+
+    freshNonce() {
+      this.nonce = toBase64(this.crypto.getRandomValues(new Uint8Array(NONCE_BYTES)));
+      return this.nonce;
+    }
+
+    // Starts a handshake (initiator only); the current key stops sealing
+    hello() {
+      if (this.role !== 'initiator') {
+        throw new ChannelError('INVALID_ROLE', 'Only the initiator starts a handshake');
+      }
+      this.retireKey();
+      return { v: VERSION, publicKey: this.publicKey, nonce: this.freshNonce() };
+    }
+
+    // Returns { reply, ready, keyChanged }; reply is the hello to send back, if any
+    async receiveHello(hello) {
+      if (!hello || hello.v !== VERSION || !hello.publicKey || !hello.nonce) {
+        throw new ChannelError('INVALID_HELLO', 'Malformed handshake message');
+      }
+      let initiatorNonce;
+      let responderNonce;
+      let reply = null;
+      if (this.role === 'responder') {
+        if (hello.reply) throw new ChannelError('INVALID_HELLO', 'Unexpected handshake reply');
+        initiatorNonce = hello.nonce;
+        responderNonce = this.freshNonce();
+        reply = { v: VERSION, publicKey: this.publicKey, nonce: responderNonce, peerNonce: hello.nonce, reply: true };
+      } else {
+        // Only the answer to our latest hello counts
+        if (!hello.reply || !this.nonce || hello.peerNonce !== this.nonce) {
+          return { reply: null, ready: this.ready, keyChanged: false, ignored: true };
+        }
+        initiatorNonce = this.nonce;
+        responderNonce = hello.nonce;
+      }
+
+      const keyChanged = Boolean(this.peerPublicKey) && this.peerPublicKey !== hello.publicKey;
+      await this.deriveKey(hello.publicKey, initiatorNonce, responderNonce);
+      this.peerPublicKey = hello.publicKey;
+      // Each hello is answered once; a replayed answer must not reset the sequence numbers
+      if (this.role === 'initiator') this.nonce = null;
+      return { reply, ready: true, keyChanged };
+    }
+
+    async deriveKey(peerPublicKey, initiatorNonce, responderNonce) {
+      const { subtle } = this.crypto;
+      let peerKey;
+      try {
+        peerKey = await subtle.importKey('raw', fromBase64(peerPublicKey), ECDH, false, []);
+      } catch (e) {
+        throw new ChannelError('INVALID_HELLO', 'Invalid partner public key');
+      }
+      const secret = await subtle.deriveBits({ name: 'ECDH', public: peerKey }, this.identity.privateKey, 256);
+      const salt = new Uint8Array(await subtle.digest('SHA-256', concat(fromBase64(initiatorNonce), fromBase64(responderNonce))));
+      const [initiatorKey, responderKey] = this.role === 'initiator'
+        ? [this.publicKey, peerPublicKey]
+        : [peerPublicKey, this.publicKey];
+      const info = encoder.encode(`align-e2e-v${VERSION}|${this.sessionId}|${initiatorKey}|${responderKey}`);
+      const material = await subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+      this.retireKey();
+      this.key = await subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt, info },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+      );
+      this.keyId = toHex(salt).slice(0, 16);
+      this.sendSeq = 0;
+      this.receiveSeq = 0;
+    }
+
+    async fingerprint() {
+      if (!this.peerPublicKey) return null;
+      return fingerprint(this.crypto, this.publicKey, this.peerPublicKey);
+    }
+
+    // Binds the ciphertext to this session, the sender's role, the key and the sequence number
+    additionalData(senderRole, keyId, seq) {
+      return encoder.encode(JSON.stringify([VERSION, this.sessionId, senderRole, keyId, seq]));
+    }
+
+    async seal(payload) {
+      if (!this.ready) throw new ChannelError('NOT_READY', 'Secure channel is not established');
+      const seq = ++this.sendSeq;
+      const iv = this.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+      const data = await this.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: this.additionalData(this.role, this.keyId, seq) },
+        this.key,
+        encoder.encode(JSON.stringify(payload))
+      );
+      return { v: VERSION, keyId: this.keyId, seq, iv: toBase64(iv), data: toBase64(data) };
+    }
+
+    async open(envelope) {
+      if (!this.ready && !this.previous) throw new ChannelError('NOT_READY', 'Secure channel is not established');
+      if (!envelope || envelope.v !== VERSION) throw new ChannelError('TAMPERED', 'Malformed encrypted message');
+      const current = this.ready && envelope.keyId === this.keyId ? this : null;
+      const slot = current || (this.previous && envelope.keyId === this.previous.keyId ? this.previous : null);
+      if (!slot) throw new ChannelError('STALE_KEY', 'Message was encrypted for another handshake');
+      const seq = Number(envelope.seq);
+      if (!Number.isInteger(seq) || seq <= slot.receiveSeq) throw new ChannelError('REPLAY', 'Replayed or reordered message');
+
+      const peerRole = this.role === 'initiator' ? 'responder' : 'initiator';
+      let plaintext;
+      try {
+        plaintext = await this.crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: this.additionalData(peerRole, envelope.keyId, seq) },
+          slot.key,
+          fromBase64(envelope.data)
+        );
+      } catch (e) {
+        throw new ChannelError('TAMPERED', 'Message failed authentication');
+      }
+      slot.receiveSeq = seq;
+      return JSON.parse(decoder.decode(plaintext));
+    }
+  }
+
+  return { SecureChannel, ChannelError, fingerprint, generateIdentity, VERSION };
+});
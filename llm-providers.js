@@ -0,0 +1,193 @@
+// LLM provider layer
+// Every model call made by the negotiation backend goes through a provider with
+// a single method: complete({ purpose, messages, maxTokens, temperature, meta }).
+// `purpose` names the pipeline step (proposal, moderation, final-agreement,
+// verification, agreement-revision, clause-proposal, clause-renegotiation,
+// input-feedback) so the scripted provider can answer without a model.
+
+class OpenAIProvider {
+    constructor({ apiKey, baseURL, model, name = 'openai' }) {
+        const OpenAI = require('openai');
+        this.name = name;
+        this.model = model;
+        this.client = new OpenAI(baseURL ? { apiKey, baseURL } : { apiKey });
+    }
+
+    async complete({ messages, maxTokens, temperature }) {
+        const response = await this.client.chat.completions.create({
+            model: this.model,
+            messages,
+            max_tokens: maxTokens,
+            temperature
+        });
+        return response.choices?.[0]?.message?.content || '';
+    }
+}
+
+// Calls the scripted provider keeps for inspection; older ones are dropped so
+// a long-running server does not grow without bound
+const MAX_RECORDED_CALLS = 200;
+
+// Deterministic, offline provider. Responses are built from the request
+// metadata only, so identical inputs always produce identical negotiations.
+class ScriptedProvider {
+    constructor({ scripts = {}, maxRecordedCalls = MAX_RECORDED_CALLS } = {}) {
+        this.name = 'scripted';
+        this.scripts = { ...DEFAULT_SCRIPTS, ...scripts };
+        this.maxRecordedCalls = maxRecordedCalls;
+        // The most recent calls, and how many there have been per purpose
+        this.calls = [];
+        this.callCounts = new Map();
+    }
+
+    async complete(request) {
+        const { purpose } = request;
+        const script = this.scripts[purpose];
+        if (!script) {
+            throw new Error(`No scripted response for purpose "${purpose}"`);
+        }
+        const callIndex = this.callCounts.get(purpose) || 0;
+        this.callCounts.set(purpose, callIndex + 1);
+        this.calls.push({ purpose, meta: request.meta || {} });
+        if (this.calls.length > this.maxRecordedCalls) this.calls.shift();
+
+        if (typeof script === 'function') return script(request.meta || {}, callIndex, request);
+        if (Array.isArray(script)) return script[Math.min(callIndex, script.length - 1)];
+        return String(script);
+    }
+}
+
+const DEFAULT_SCRIPTS = {
+    proposal({ userName = 'I', topic = 'this topic' }) {
+        return [
+            'Grounding: relying on my stated objectives and must-haves.',
+            'Proposal:',
+            `1. ${userName} takes responsibility for "${topic}" on alternating days.`,
+            '2. Either side may request a swap with one day of notice.',
+            '3. We review how this is working after one week.',
+            'Open Points: none.'
+        ].join('\n');
+    },
+
+    // Consensus is reached in the second round
+    moderation({ topic = 'this topic', parties = [], round = 1 }) {
+        const agreed = round >= 2;
+        return [
+            `Key points: ${parties.join(' and ') || 'the advocates'} propose alternating responsibility for "${topic}".`,
+            'Areas of agreement: alternating days, swaps with notice, a one-week review.',
+            agreed ? 'Next steps: draft the final agreement.' : 'Next steps: confirm the schedule and the review date.',
+            `STATUS: ${agreed ? 'CONSENSUS' : 'CONTINUE'}`,
+            `UNRESOLVED: ${agreed ? 'none' : 'review date'}`
+        ].join('\n');
+    },
+
+    'final-agreement'({ topic = 'Agreement', parties = [] }) {
+        const names = parties.length >= 2 ? parties : ['Party 1', 'Party 2'];
+        const everyone = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+        const agreement = {
+            title: `Final ${topic} Agreement`,
+            clauses: [
+                { title: 'Alternating Days', text: `${everyone} alternate responsibility for ${topic} each day.` },
+                { title: 'Swaps', text: 'Either party may request a swap with one day of notice; swaps are reciprocated.' },
+                { title: 'One-Week Check-In', text: 'After one week, both parties briefly check in and adjust if needed.' }
+            ],
+            principles: [
+                { label: 'Fairness', text: 'Work is shared equally.' },
+                { label: 'Flexibility', text: 'Swaps are allowed with reciprocity.' },
+                { label: 'Communication', text: 'Concerns are raised respectfully at the check-in.' }
+            ],
+            summary: `${everyone} alternate ${topic} daily, allow swaps with notice and review after one week.`,
+            analytics: {
+                health: { fairnessIndex: 80, paretoEfficiency: 70, nashScore: 70, claritySmart: 75, implementability: 75, objectiveCriteriaUsed: false },
+                interestsCoverage: {
+                    parties: names.map(party => ({ party, needs: [{ need: 'A fair share of the work', type: 'mustHave', coverage: 'full' }] })),
+                    tradeOffEfficiency: 60
+                },
+                processStyle: {
+                    styleBlend: { competing: 10, collaborating: 60, compromising: 25, avoiding: 0, accommodating: 5 },
+                    lsmPercent: 70,
+                    politeness: 85,
+                    emotionTone: 'Neutral'
+                },
+                tacticsBias: { firstOfferQuality: 'reasonable anchor', hardballTags: [], objectiveCriteriaNotes: '' },
+                concessions: { narrative: 'Both sides converged on an alternating schedule.', curvePoints: [] },
+                coach: { strength: 'Shared commitment to fairness.', opportunity: 'Define what counts as done.', suggestion: 'Agree a checklist at the check-in.' },
+                participants: names
+            }
+        };
+        return '```json\n' + JSON.stringify(agreement, null, 2) + '\n```';
+    },
+
+    // Every clause is accepted by both advocates
+    verification({ clauseCount = 0 }) {
+        const verdicts = Array.from({ length: clauseCount }, (_, i) => ({ clause: i + 1, decision: 'accept', reason: '' }));
+        return JSON.stringify({ verdicts });
+    },
+
+    'agreement-revision'(meta) {
+        return DEFAULT_SCRIPTS['final-agreement'](meta);
+    },
+
+    'clause-proposal'({ userName = 'I', clauses = [] }) {
+        return `Proposal: ${userName} suggests clarifying clause${clauses.length === 1 ? '' : 's'} ${clauses.join(', ')} with a concrete time and a fallback.`;
+    },
+
+    // Adds a concrete time and fallback to every contested clause
+    'clause-renegotiation'({ clauses = [] }) {
+        return '```json\n' + JSON.stringify({
+            clauses: clauses.map(clause => ({
+                clause,
+                title: `Revised Clause ${clause}`,
+                text: 'Revised after review: this is done by 8pm on the agreed day, and a missed day is made up the next day.'
+            }))
+        }, null, 2) + '\n```';
+    },
+
+    'input-feedback'() {
+        const section = name => ({
+            feedback: `Scripted feedback for ${name}: add the why and a measurable detail.`,
+            suggestions: ['State the why behind what you want', 'Add specifics (who/what/when/how much)'],
+            rewrite: ''
+        });
+        return JSON.stringify({
+            objectives: section('objectives'),
+            mustHaves: section('must-haves'),
+            constraints: section('constraints'),
+            overall: 'Scripted feedback: clarify interests and quantify where possible.'
+        });
+    }
+};
+
+// Build the provider selected by the environment:
+// - LLM_PROVIDER=openai (default when OPENAI_API_KEY is set)
+// - LLM_PROVIDER=openai-compatible with LLM_BASE_URL (e.g. a local Ollama/vLLM server)
+// - LLM_PROVIDER=scripted for fully offline, deterministic runs
+// Returns null when nothing is configured.
+function createProvider(env = process.env) {
+    const kind = (env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : '')).toLowerCase();
+    const model = env.LLM_MODEL || env.OPENAI_MODEL || 'gpt-5-chat-latest';
+
+    switch (kind) {
+        case '':
+            return null;
+        case 'openai':
+            if (!env.OPENAI_API_KEY) return null;
+            return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, model });
+        case 'openai-compatible':
+            if (!env.LLM_BASE_URL) {
+                throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+            }
+            return new OpenAIProvider({
+                name: 'openai-compatible',
+                apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || 'not-needed',
+                baseURL: env.LLM_BASE_URL,
+                model
+            });
+        case 'scripted':
+            return new ScriptedProvider();
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${kind}"`);
+    }
+}
+
+module.exports = { OpenAIProvider, ScriptedProvider, createProvider, DEFAULT_SCRIPTS };
@@ -0,0 +1,103 @@
+// Live negotiation progress
+// runNegotiation publishes events here as rounds run; the SSE endpoint fans
+// them out to the parties. Only shareable content is ever published, so
+// advocate proposals go through redactProposal() first.
+
+const { markers } = require('./agreement-i18n');
+
+const MAX_BUFFERED_EVENTS = 200;
+
+class NegotiationEventHub {
+    constructor({ maxBuffered = MAX_BUFFERED_EVENTS } = {}) {
+        this.maxBuffered = maxBuffered;
+        this.channels = new Map();
+    }
+
+    channel(sessionId) {
+        let channel = this.channels.get(sessionId);
+        if (!channel) {
+            channel = { nextId: 1, events: [], listeners: new Set(), updatedAt: Date.now() };
+            this.channels.set(sessionId, channel);
+        }
+        return channel;
+    }
+
+    publish(sessionId, type, data = {}) {
+        const channel = this.channel(sessionId);
+        const event = { id: channel.nextId++, type, data, timestamp: Date.now() };
+        channel.events.push(event);
+        if (channel.events.length > this.maxBuffered) channel.events.shift();
+        channel.updatedAt = event.timestamp;
+        for (const listener of channel.listeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Negotiation event listener failed:', error);
+            }
+        }
+        return event;
+    }
+
+    // Replays buffered events newer than lastEventId, then streams new ones.
+    // Returns an unsubscribe function.
+    subscribe(sessionId, listener, { lastEventId = 0 } = {}) {
+        const channel = this.channel(sessionId);
+        channel.events
+            .filter(event => event.id > lastEventId)
+            .forEach(event => listener(event));
+        channel.listeners.add(listener);
+        return () => channel.listeners.delete(listener);
+    }
+
+    // Drop idle channels without listeners
+    prune(maxAgeMs) {
+        const now = Date.now();
+        for (const [sessionId, channel] of this.channels.entries()) {
+            if (!channel.listeners.size && now - channel.updatedAt > maxAgeMs) {
+                this.channels.delete(sessionId);
+            }
+        }
+    }
+}
+
+// Section labels of the advocate response format, in every language an
+// advocate may answer in (agreement-i18n.js)
+const labels = keys => keys.flatMap(markers).join('|');
+const GROUNDING_SECTION = new RegExp(`^(?:${labels(['proposal.grounding'])})\\**\\s*:`, 'iu');
+// Sections that may follow the grounding notes
+const SHAREABLE_SECTION = new RegExp(
+    `^(?:${labels(['proposal.proposal', 'proposal.clarifyingQuestions', 'proposal.questions', 'proposal.openPoints'])})(?![\\p{L}])`,
+    'iu'
+);
+
+// "2) **Proposal:**" -> "Proposal:"
+function sectionLabel(line) {
+    return line.trim().replace(/^[#*\s]*(\d+[).]\s*)?\**\s*/, '');
+}
+
+// Advocates cite their private notes in a "Grounding:" section; strip it
+// (up to the next section of the response format) before sharing a proposal.
+function redactProposal(text) {
+    const lines = String(text || '').split(/\r?\n/);
+    const kept = [];
+    let skipping = false;
+    for (const line of lines) {
+        const label = sectionLabel(line);
+        if (GROUNDING_SECTION.test(label)) {
+            skipping = true;
+            continue;
+        }
+        if (skipping && (SHAREABLE_SECTION.test(label) || /^\d+\)/.test(line.trim()))) {
+            skipping = false;
+        }
+        if (!skipping) kept.push(line);
+    }
+    return kept.join('\n').trim();
+}
+
+// Write one event in text/event-stream format
+function writeSseEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+}
+
+module.exports = { NegotiationEventHub, redactProposal, writeSseEvent };
@@ -0,0 +1,146 @@
+// Background job runner for negotiations
+// Negotiations make many sequential model calls, so they run here instead of
+// on the HTTP request that started them. Jobs move through
+// queued -> running -> completed | failed | cancelled.
+
+const crypto = require('crypto');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class NegotiationCancelledError extends Error {
+    constructor(message = 'Negotiation cancelled') {
+        super(message);
+        this.name = 'NegotiationCancelledError';
+    }
+}
+
+class NegotiationJobRunner {
+    // execute(job, signal) does the work and resolves with the job result.
+    // onStatusChange(job) is called after every status transition.
+    constructor({ execute, onStatusChange = () => {}, concurrency = 2 }) {
+        this.execute = execute;
+        this.onStatusChange = onStatusChange;
+        this.concurrency = concurrency;
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+    }
+
+    enqueue(sessionId, data = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            sessionId,
+            data,
+            status: 'queued',
+            result: null,
+            error: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            controller: new AbortController()
+        };
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.setStatus(job, 'queued');
+        setImmediate(() => this.drain());
+        return job;
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    list({ status } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    // Returns false when the job does not exist or has already finished
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || FINISHED_STATUSES.includes(job.status)) return false;
+
+        job.controller.abort();
+        if (job.status === 'queued') {
+            this.queue = this.queue.filter(queued => queued !== job);
+            this.finish(job, 'cancelled');
+        }
+        // Running jobs finish as cancelled once execute() notices the abort
+        return true;
+    }
+
+    // Drop finished jobs older than maxAgeMs
+    prune(maxAgeMs) {
+        const now = Date.now();
+        for (const [jobId, job] of this.jobs.entries()) {
+            if (job.finishedAt && now - job.finishedAt > maxAgeMs) {
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.queue.length) {
+            const job = this.queue.shift();
+            this.run(job);
+        }
+    }
+
+    async run(job) {
+        this.running++;
+        job.startedAt = Date.now();
+        this.setStatus(job, 'running');
+        try {
+            const result = await this.execute(job, job.controller.signal);
+            if (job.controller.signal.aborted) {
+                this.finish(job, 'cancelled');
+            } else {
+                job.result = result;
+                this.finish(job, 'completed');
+            }
+        } catch (error) {
+            if (job.controller.signal.aborted || error instanceof NegotiationCancelledError) {
+                this.finish(job, 'cancelled');
+            } else {
+                console.error(`Negotiation job ${job.id} failed:`, error);
+                job.error = error.message;
+                this.finish(job, 'failed');
+            }
+        } finally {
+            this.running--;
+            this.drain();
+        }
+    }
+
+    finish(job, status) {
+        job.finishedAt = Date.now();
+        this.setStatus(job, status);
+    }
+
+    setStatus(job, status) {
+        job.status = status;
+        try {
+            this.onStatusChange(job);
+        } catch (error) {
+            console.error('Job status listener failed:', error);
+        }
+    }
+}
+
+// Public view of a job; results are only included when asked for
+function describeJob(job, { includeResult = false } = {}) {
+    const view = {
+        jobId: job.id,
+        sessionId: job.sessionId,
+        status: job.status,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+    if (job.error) view.error = job.error;
+    if (includeResult && job.result) view.result = job.result;
+    return view;
+}
+
+module.exports = { NegotiationJobRunner, NegotiationCancelledError, describeJob, FINISHED_STATUSES };
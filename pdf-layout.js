@@ -0,0 +1,311 @@
+// Layout of the certified agreement PDF
+// The page size, date locale, branding (name, logo, colours, footer text),
+// a parties-and-signatures page and an appendix with the plain-text summary
+// and the round-by-round backchannel are chosen per request, on top of the
+// agreement template's own defaults (its `pdf` entry). Everything here is
+// turned into one self-contained HTML document plus puppeteer's pdf() options;
+// the agreement HTML itself comes from agreement-render.js, or for legacy
+// requests is client HTML already sanitized by agreement-html.js. Headings
+// and labels are written in the language of the agreement rendered
+// (agreement-i18n.js); the locale only formats dates.
+
+const { signatureBlock } = require('./agreement-export');
+const { DEFAULT_LANGUAGE, normalizeLanguage, t, agreementIn } = require('./agreement-i18n');
+
+const PAPER_SIZES = ['Letter', 'A4', 'Legal'];
+const MAX_TEXT_LENGTH = 200;
+const MAX_LOGO_LENGTH = 204800;
+const MAX_ROUNDS = 50;
+const COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+// No SVG: it can carry script and external references
+const LOGO = /^data:image\/(?:png|jpeg|gif|webp);base64,[a-z0-9+/]+={0,2}$/i;
+
+const DEFAULT_LAYOUT = {
+    paperSize: 'Letter',
+    locale: 'en-US',
+    branding: {
+        name: 'Align',
+        logo: null,
+        primaryColor: '#1f2937',
+        accentColor: '#e5e7eb',
+        footerText: '',
+        watermark: true
+    },
+    signaturePage: false,
+    appendix: { summary: false, backchannel: false }
+};
+
+class LayoutError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'LayoutError';
+        this.code = code;
+    }
+}
+
+function escapeHtml(str) {
+    return String(str || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+function text(value, field) {
+    if (typeof value !== 'string') throw new LayoutError('INVALID_LAYOUT', `${field} must be a string`);
+    return value.trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+function flag(value, field) {
+    if (typeof value !== 'boolean') throw new LayoutError('INVALID_LAYOUT', `${field} must be true or false`);
+    return value;
+}
+
+// One layer of options (a template's or a request's) applied over layout
+function applyOptions(layout, options, source) {
+    if (options === undefined || options === null) return layout;
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new LayoutError('INVALID_LAYOUT', `${source} must be an object`);
+    }
+    const next = { ...layout, branding: { ...layout.branding }, appendix: { ...layout.appendix } };
+
+    if (options.paperSize !== undefined) {
+        const size = PAPER_SIZES.find(name => name.toLowerCase() === String(options.paperSize).toLowerCase());
+        if (!size) throw new LayoutError('INVALID_PAPER_SIZE', `paperSize must be one of ${PAPER_SIZES.join(', ')}`);
+        next.paperSize = size;
+    }
+    if (options.locale !== undefined) {
+        try {
+            [next.locale] = Intl.getCanonicalLocales(text(options.locale, 'locale'));
+        } catch (e) {
+            throw new LayoutError('INVALID_LOCALE', 'locale must be a BCP 47 language tag such as en-GB');
+        }
+        if (!next.locale) throw new LayoutError('INVALID_LOCALE', 'locale must be a BCP 47 language tag such as en-GB');
+    }
+    if (options.signaturePage !== undefined) next.signaturePage = flag(options.signaturePage, 'signaturePage');
+
+    const branding = options.branding;
+    if (branding !== undefined) {
+        if (!branding || typeof branding !== 'object') throw new LayoutError('INVALID_LAYOUT', 'branding must be an object');
+        if (branding.name !== undefined) next.branding.name = text(branding.name, 'branding.name') || DEFAULT_LAYOUT.branding.name;
+        if (branding.footerText !== undefined) next.branding.footerText = text(branding.footerText, 'branding.footerText');
+        if (branding.watermark !== undefined) next.branding.watermark = flag(branding.watermark, 'branding.watermark');
+        ['primaryColor', 'accentColor'].forEach(key => {
+            if (branding[key] === undefined) return;
+            if (!COLOR.test(String(branding[key]))) {
+                throw new LayoutError('INVALID_COLOR', `branding.${key} must be a hex colour such as #1f2937`);
+            }
+            next.branding[key] = branding[key].toLowerCase();
+        });
+        if (branding.logo !== undefined && branding.logo !== null) {
+            if (typeof branding.logo !== 'string' || !LOGO.test(branding.logo)) {
+                throw new LayoutError('INVALID_LOGO', 'branding.logo must be a PNG, JPEG, GIF or WebP data: URL');
+            }
+            if (branding.logo.length > MAX_LOGO_LENGTH) {
+                throw new LayoutError('INVALID_LOGO', `branding.logo must be under ${MAX_LOGO_LENGTH} characters`);
+            }
+            next.branding.logo = branding.logo;
+        }
+    }
+
+    const appendix = options.appendix;
+    if (appendix !== undefined) {
+        if (!appendix || typeof appendix !== 'object') throw new LayoutError('INVALID_LAYOUT', 'appendix must be an object');
+        if (appendix.summary !== undefined) next.appendix.summary = flag(appendix.summary, 'appendix.summary');
+        if (appendix.backchannel !== undefined) next.appendix.backchannel = flag(appendix.backchannel, 'appendix.backchannel');
+    }
+    return next;
+}
+
+// Defaults, then the template's pdf entry, then the request's layout
+function resolveLayout(requested, template) {
+    return applyOptions(applyOptions(DEFAULT_LAYOUT, template && template.pdf, 'template pdf layout'), requested, 'layout');
+}
+
+function formatDate(date, locale) {
+    const value = new Date(date);
+    if (Number.isNaN(value.getTime())) return '';
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(value);
+}
+
+// Label in the document's language, escaped
+function label(language, key, vars) {
+    return escapeHtml(t(language, key, vars));
+}
+
+// Inline signature block: every party, signed or not, and the hash signed
+function signatureBlockHtml(entries, contentHash, language) {
+    const rows = entries.map(entry => entry.signature
+        ? `<div class="signature"><div class="party">${escapeHtml(entry.party)}</div>
+             <div class="meta">${label(language, 'pdf.keyFingerprint')}: ${escapeHtml(entry.fingerprint)}</div>
+             <div class="meta">${label(language, 'pdf.publicKey')}: ${escapeHtml(entry.publicKey)}</div>
+             <div class="meta">${label(language, 'pdf.signature')}: ${escapeHtml(entry.signature)}</div></div>`
+        : `<div class="signature"><div class="party">${escapeHtml(entry.party)}</div><div class="meta">${label(language, 'pdf.notSigned')}</div></div>`);
+    return `<section class="signatures"><h3>${label(language, 'pdf.signatures')}</h3>${rows.join('')}
+      <div class="meta">${label(language, 'pdf.contentHash')}: ${escapeHtml(contentHash)}</div></section>`;
+}
+
+// A page of its own: digital signatures where there are any, otherwise lines
+// to sign and date by hand
+function signaturePageHtml(entries, { contentHash, effectiveDate, locale, language }) {
+    const rows = entries.map(entry => entry.signature
+        ? `<div class="party-block"><div class="party">${escapeHtml(entry.party)}</div>
+             <div class="signed">${label(language, 'pdf.signedDigitally')}</div>
+             <div class="meta">${label(language, 'pdf.keyFingerprint')}: ${escapeHtml(entry.fingerprint)}</div>
+             <div class="meta">${label(language, 'pdf.signature')}: ${escapeHtml(entry.signature)}</div></div>`
+        : `<div class="party-block"><div class="party">${escapeHtml(entry.party)}</div>
+             <div class="sign-line"><span>${label(language, 'pdf.signature')}</span><span>${label(language, 'pdf.date')}</span></div></div>`);
+    return `<section class="signature-page"><h2>${label(language, 'pdf.partiesAndSignatures')}</h2>
+      ${effectiveDate ? `<p>${label(language, 'pdf.effective', { date: formatDate(effectiveDate, locale) })}</p>` : ''}
+      ${rows.join('') || `<p class="meta">${label(language, 'pdf.noParties')}</p>`}
+      ${contentHash ? `<div class="meta">${label(language, 'pdf.contentHash')}: ${escapeHtml(contentHash)}</div>` : ''}</section>`;
+}
+
+// Rounds as the negotiation backend shares them: proposals without their
+// grounding notes, and the moderator's response
+function backchannelHtml(rounds, language) {
+    return rounds.slice(0, MAX_ROUNDS).map((item, index) => {
+        const proposals = (Array.isArray(item && item.proposals) ? item.proposals : [])
+            .map(entry => `<p><strong>${escapeHtml(entry && entry.advocate)}:</strong> ${escapeHtml(entry && entry.proposal)}</p>`);
+        return `<div class="round"><h4>${label(language, 'pdf.round', { round: (item && item.round) || index + 1 })}</h4>${proposals.join('')}
+          ${item && item.moderation ? `<p><strong>${label(language, 'pdf.moderator')}:</strong> ${escapeHtml(item.moderation)}</p>` : ''}</div>`;
+    }).join('');
+}
+
+function appendixHtml(layout, { summary, backchannel, language }) {
+    const parts = [];
+    if (layout.appendix.summary && summary) {
+        parts.push(`<h3>${label(language, 'pdf.summary')}</h3><div class="plain">${escapeHtml(summary)}</div>`);
+    }
+    if (layout.appendix.backchannel && Array.isArray(backchannel) && backchannel.length) {
+        parts.push(`<h3>${label(language, 'pdf.rounds')}</h3>${backchannelHtml(backchannel, language)}`);
+    }
+    return parts.length ? `<section class="appendix"><h2>${label(language, 'pdf.appendix')}</h2>${parts.join('')}</section>` : '';
+}
+
+// html: sanitized agreement markup. signed: signedAgreement() result or null.
+// parties, summary and backchannel fill the signature page and appendix when
+// there is no signed agreement to take them from. A signed agreement has no
+// backchannel of its own and its hash would not cover one, so it gets none.
+// language: that of html.
+function pdfDocument({ html, title, topic, agreementId, layout, assets, signed = null, parties = [], summary = '', backchannel = [], issuedAt = new Date(), language }) {
+    const { branding } = layout;
+    const lang = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+    const safeTopic = escapeHtml(topic);
+    const safeId = escapeHtml(agreementId || '');
+    const logo = branding.logo || assets.logoDataUrl;
+    const watermark = branding.watermark ? assets.watermarkDataUrl : '';
+    const issued = formatDate(issuedAt, layout.locale);
+
+    const entries = signed
+        ? signatureBlock(signed.canonical, signed.signatures)
+        : (Array.isArray(parties) ? parties : []).map(party => ({ party: String(party) }));
+    let signatures = '';
+    if (layout.signaturePage) {
+        signatures = signaturePageHtml(entries, {
+            contentHash: signed && signed.contentHash,
+            effectiveDate: signed && signed.canonical.effectiveDate,
+            locale: layout.locale,
+            language: lang
+        });
+    } else if (signed && signed.signatures.length) {
+        signatures = signatureBlockHtml(entries, signed.contentHash, lang);
+    }
+    const appendix = appendixHtml(layout, {
+        summary: signed ? agreementIn(signed.canonical, lang).summary : String(summary || ''),
+        backchannel: signed ? [] : backchannel,
+        language: lang
+    });
+
+    const documentHtml = `
+<!DOCTYPE html>
+<html lang="${escapeHtml(normalizeLanguage(layout.locale) === lang ? layout.locale : lang)}">
+<head>
+  <meta charset="utf-8" />
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: ${layout.paperSize}; margin: 0.75in; }
+    body { font-family: -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color: #111827; }
+    h1,h2,h3 { margin: 0 0 8px 0; color: ${branding.primaryColor}; }
+    p { line-height: 1.5; }
+    .header { text-align: center; margin-bottom: 12px; display: flex; align-items: center; justify-content: center; gap: 12px; }
+    .logo { height: 28px; }
+    .topic { font-size: 18px; font-weight: 700; color: ${branding.primaryColor}; }
+    .issued { text-align: center; font-size: 10px; color: #6b7280; }
+    .rule { height: 1px; background: ${branding.accentColor}; margin-top: 8px; }
+    .container { position: relative; }
+    .watermark { position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; pointer-events: none; opacity: 0.1; }
+    .watermark img { max-width: 70%; transform: rotate(-25deg); filter: grayscale(100%); }
+    .content { position: relative; z-index: 1; }
+    .signatures { margin-top: 32px; padding-top: 12px; border-top: 1px solid ${branding.accentColor}; page-break-inside: avoid; }
+    .signature { margin: 12px 0; }
+    .signature .party, .party-block .party { font-weight: 700; }
+    .meta { font-size: 9px; color: #4b5563; word-break: break-all; }
+    .signature-page, .appendix { page-break-before: always; }
+    .party-block { margin: 28px 0; page-break-inside: avoid; }
+    .party-block .signed { color: ${branding.primaryColor}; font-size: 12px; margin: 4px 0; }
+    .sign-line { display: flex; gap: 48px; margin-top: 40px; font-size: 10px; color: #6b7280; }
+    .sign-line span { border-top: 1px solid #111827; padding-top: 4px; }
+    .sign-line span:first-child { flex: 2; }
+    .sign-line span:last-child { flex: 1; }
+    .appendix .plain { white-space: pre-wrap; font-size: 11px; line-height: 1.5; }
+    .appendix .round { margin: 12px 0; font-size: 10px; page-break-inside: avoid; }
+    .appendix h4 { margin: 0 0 4px 0; }
+    .agreement-subtitle { color: #6b7280; margin: 12px 0 20px 0; }
+    .agreement-section { margin-top: 20px; }
+    .agreement-clauses { list-style: none; padding: 0; margin: 0; }
+    .agreement-clause { display: flex; align-items: flex-start; margin: 0 0 12px 0; page-break-inside: avoid; }
+    .agreement-clause-number { flex-shrink: 0; width: 20px; height: 20px; border-radius: 10px; margin-right: 12px; display: flex; align-items: center; justify-content: center; font-size: 11px; font-weight: 700; background: ${branding.accentColor}; color: ${branding.primaryColor}; }
+    .agreement-clause-body { line-height: 1.5; }
+    .agreement-principles { margin-top: 28px; padding-top: 16px; border-top: 1px solid ${branding.accentColor}; }
+    .agreement-principle { margin: 0 0 8px 0; }
+    .agreement-summary-box { margin-top: 24px; padding: 16px; border: 1px solid ${branding.accentColor}; border-radius: 8px; background: #f9fafb; }
+    .agreement-summary-text { margin: 0; font-style: italic; color: #4b5563; }
+  </style>
+  </head>
+  <body>
+    <div class="container">
+      ${watermark ? `<div class="watermark"><img src="${watermark}" alt="watermark" /></div>` : ''}
+      <div class="content">
+        <div class="header">
+          ${logo ? `<img class="logo" src="${logo}" alt="${escapeHtml(branding.name)}"/>` : ''}
+          <div class="topic">${safeTopic}${safeId ? ` • ${safeId}` : ''}</div>
+        </div>
+        ${issued ? `<div class="issued">${label(lang, 'pdf.issued', { date: issued })}</div>` : ''}
+        <div class="rule"></div>
+        ${html}
+        ${signatures}
+        ${appendix}
+      </div>
+    </div>
+  </body>
+</html>`;
+
+    // Header/footer with page numbers
+    const headerTemplate = `
+      <div style="font-size:8px;width:100%;padding:0 0.5in;color:#6b7280;display:flex;justify-content:space-between;align-items:center;">
+        <span>${escapeHtml(branding.name)} • ${label(lang, 'pdf.certified')}</span>
+        <span>${safeTopic}${safeId ? ` • ${safeId}` : ''}</span>
+      </div>`;
+    const footerTemplate = `
+      <div style="font-size:8px;width:100%;padding:0 0.5in;color:#6b7280;display:flex;justify-content:space-between;">
+        <span>${escapeHtml(branding.footerText)}</span>
+        <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+      </div>`;
+
+    return {
+        html: documentHtml,
+        pdfOptions: {
+            format: layout.paperSize,
+            printBackground: true,
+            displayHeaderFooter: true,
+            headerTemplate,
+            footerTemplate,
+            margin: { top: '1in', bottom: '0.8in', left: '0.75in', right: '0.75in' }
+        }
+    };
+}
+
+module.exports = { pdfDocument, resolveLayout, formatDate, LayoutError, DEFAULT_LAYOUT, PAPER_SIZES };
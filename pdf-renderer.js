@@ -0,0 +1,223 @@
+// Pooled PDF rendering
+// Chromium is expensive to start and heavy to run, so a fixed pool of warm
+// browsers renders one page each at a time. Jobs beyond the pool wait in a
+// bounded queue, each render has a time limit, and a browser that crashes,
+// hangs or has served many renders is replaced. Pages run without JavaScript
+// and cannot reach the network: only data: URLs load.
+
+const DEFAULTS = {
+    poolSize: 1,
+    maxQueue: 20,
+    timeoutMs: 30000,
+    rendersPerBrowser: 100
+};
+const LATENCY_SAMPLES = 100;
+
+class PdfRenderError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PdfRenderError';
+        this.code = code;
+    }
+}
+
+// PDF_POOL_SIZE, PDF_QUEUE_LIMIT, PDF_RENDER_TIMEOUT_MS, PDF_RENDERS_PER_BROWSER
+function rendererOptions(env = process.env) {
+    const number = (value, fallback, min) => {
+        const parsed = parseInt(value, 10);
+        return Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+    };
+    return {
+        poolSize: number(env.PDF_POOL_SIZE, DEFAULTS.poolSize, 1),
+        maxQueue: number(env.PDF_QUEUE_LIMIT, DEFAULTS.maxQueue, 0),
+        timeoutMs: number(env.PDF_RENDER_TIMEOUT_MS, DEFAULTS.timeoutMs, 1),
+        rendersPerBrowser: number(env.PDF_RENDERS_PER_BROWSER, DEFAULTS.rendersPerBrowser, 1)
+    };
+}
+
+function summarize(samples) {
+    if (!samples.length) return { samples: 0, averageMs: null, p95Ms: null, maxMs: null };
+    const sorted = [...samples].sort((a, b) => a - b);
+    return {
+        samples: sorted.length,
+        averageMs: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+        p95Ms: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+        maxMs: sorted[sorted.length - 1]
+    };
+}
+
+class PdfRenderer {
+    // launch() resolves to a puppeteer-like browser (newPage, close,
+    // isConnected, on('disconnected'))
+    constructor({ launch, ...options }) {
+        const { poolSize, maxQueue, timeoutMs, rendersPerBrowser } = { ...DEFAULTS, ...options };
+        this.launch = launch;
+        this.maxQueue = maxQueue;
+        this.timeoutMs = timeoutMs;
+        this.rendersPerBrowser = rendersPerBrowser;
+        // One slot per browser; slot.browser is a promise while it launches
+        this.slots = Array.from({ length: poolSize }, () => ({ browser: null, renders: 0, busy: false }));
+        this.queue = [];
+        this.retired = new WeakSet();
+        this.closed = false;
+        this.counts = { rendered: 0, failed: 0, timedOut: 0, crashed: 0, rejected: 0, blockedRequests: 0 };
+        this.renderTimes = [];
+        this.waitTimes = [];
+    }
+
+    // Starts every browser ahead of the first request
+    async warm() {
+        await Promise.all(this.slots.map(slot => this.browserFor(slot)));
+    }
+
+    // task(page) fills a fresh page and resolves to the PDF; the page is
+    // closed afterwards. Rejects with a PdfRenderError when the queue is full
+    // (QUEUE_FULL), the render takes too long (TIMEOUT) or the pool is closed.
+    render(task) {
+        if (this.closed) return Promise.reject(new PdfRenderError('CLOSED', 'PDF renderer is shut down'));
+        if (this.queue.length >= this.maxQueue && !this.slots.some(slot => !slot.busy)) {
+            this.counts.rejected++;
+            return Promise.reject(new PdfRenderError('QUEUE_FULL', 'Too many PDFs are being rendered; try again shortly'));
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject, enqueuedAt: Date.now(), timedOut: false });
+            this.drain();
+        });
+    }
+
+    drain() {
+        for (const slot of this.slots) {
+            if (!this.queue.length) return;
+            if (!slot.busy) {
+                slot.busy = true;
+                this.run(slot, this.queue.shift());
+            }
+        }
+    }
+
+    async run(slot, job) {
+        const startedAt = Date.now();
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                job.timedOut = true;
+                reject(new PdfRenderError('TIMEOUT', `PDF rendering took longer than ${this.timeoutMs} ms`));
+            }, this.timeoutMs);
+        });
+        try {
+            const pdf = await Promise.race([this.attempt(slot, job), timeout]);
+            this.counts.rendered++;
+            this.record(this.waitTimes, startedAt - job.enqueuedAt);
+            this.record(this.renderTimes, Date.now() - startedAt);
+            job.resolve(pdf);
+        } catch (error) {
+            this.counts.failed++;
+            if (job.timedOut) {
+                this.counts.timedOut++;
+                // The page may be stuck for good; start over with a new browser
+                await this.discard(slot);
+            }
+            job.reject(error);
+        } finally {
+            clearTimeout(timer);
+            slot.busy = false;
+            this.drain();
+        }
+    }
+
+    async attempt(slot, job, retry = true) {
+        const browser = await this.browserFor(slot);
+        slot.renders++;
+        let page = null;
+        try {
+            page = await browser.newPage();
+            await this.isolate(page);
+            return await job.task(page);
+        } catch (error) {
+            // The browser died under this job: run it once more on a new one
+            if (retry && !job.timedOut && !this.closed && !browser.isConnected()) {
+                return this.attempt(slot, job, false);
+            }
+            throw error;
+        } finally {
+            if (page && browser.isConnected()) await page.close().catch(() => {});
+        }
+    }
+
+    // No scripts and no outbound requests; the document and the images it
+    // embeds as data: URLs are all a page gets
+    async isolate(page) {
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            if (request.isInterceptResolutionHandled()) return;
+            if (request.url().startsWith('data:')) return request.continue();
+            this.counts.blockedRequests++;
+            request.abort('blockedbyclient');
+        });
+    }
+
+    async browserFor(slot) {
+        if (slot.browser) {
+            const current = await slot.browser.catch(() => null);
+            if (!current || !current.isConnected() || slot.renders >= this.rendersPerBrowser) {
+                await this.discard(slot);
+            }
+        }
+        if (!slot.browser) {
+            slot.renders = 0;
+            const launching = Promise.resolve().then(() => this.launch()).then(browser => {
+                browser.on('disconnected', () => {
+                    if (!this.retired.has(browser)) this.counts.crashed++;
+                });
+                return browser;
+            });
+            slot.browser = launching;
+            // A failed launch is retried by the next job
+            launching.catch(() => {
+                if (slot.browser === launching) slot.browser = null;
+            });
+        }
+        return slot.browser;
+    }
+
+    async discard(slot) {
+        const pending = slot.browser;
+        slot.browser = null;
+        const browser = pending && await pending.catch(() => null);
+        if (browser) {
+            this.retired.add(browser);
+            await browser.close().catch(() => {});
+        }
+    }
+
+    record(samples, ms) {
+        samples.push(ms);
+        if (samples.length > LATENCY_SAMPLES) samples.shift();
+    }
+
+    // Pool, queue and latency figures for /health
+    stats() {
+        return {
+            poolSize: this.slots.length,
+            browsers: this.slots.filter(slot => slot.browser).length,
+            busy: this.slots.filter(slot => slot.busy).length,
+            queued: this.queue.length,
+            maxQueue: this.maxQueue,
+            ...this.counts,
+            renderLatency: summarize(this.renderTimes),
+            queueWait: summarize(this.waitTimes)
+        };
+    }
+
+    // Fails queued jobs and closes every browser
+    async close() {
+        this.closed = true;
+        for (const job of this.queue.splice(0)) {
+            job.reject(new PdfRenderError('CLOSED', 'PDF renderer is shut down'));
+        }
+        await Promise.all(this.slots.map(slot => this.discard(slot)));
+    }
+}
+
+module.exports = { PdfRenderer, PdfRenderError, rendererOptions };
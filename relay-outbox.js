@@ -0,0 +1,50 @@
+// Relayed messages a participant has not acknowledged yet
+// Messages carry the session's increasing message id, so one cumulative ack
+// clears everything up to it. The outbox is bounded: when it is full the
+// oldest message is dropped and counted, so the participant can be told that
+// something was lost instead of silently missing it.
+
+const DEFAULT_OUTBOX_LIMIT = 100;
+
+class RelayOutbox {
+    constructor(limit = DEFAULT_OUTBOX_LIMIT) {
+        this.limit = limit;
+        this.messages = [];
+        this.dropped = 0;
+    }
+
+    push(message) {
+        this.messages.push(message);
+        if (this.messages.length > this.limit) {
+            this.messages.shift();
+            this.dropped += 1;
+        }
+    }
+
+    // Removes every message up to and including id
+    ack(id) {
+        const upTo = Number(id);
+        if (!Number.isFinite(upTo)) return 0;
+        const before = this.messages.length;
+        this.messages = this.messages.filter(message => message.id > upTo);
+        return before - this.messages.length;
+    }
+
+    // Everything still unacknowledged, in order; resets the dropped count
+    takeReplay() {
+        const replay = { messages: [...this.messages], dropped: this.dropped };
+        this.dropped = 0;
+        return replay;
+    }
+
+    get size() {
+        return this.messages.length;
+    }
+}
+
+function outboxLimit(env = process.env) {
+    const limit = parseInt(env.RELAY_OUTBOX_LIMIT, 10);
+    return limit > 0 ? limit : DEFAULT_OUTBOX_LIMIT;
+}
+
+module.exports = { RelayOutbox, outboxLimit, DEFAULT_OUTBOX_LIMIT };
@@ -0,0 +1,81 @@
+// Adaptive round control
+// After every round the moderator reports a STATUS line; together with how much
+// the advocates' proposals moved since the previous round this decides whether
+// the negotiation stops (consensus, deadlock, max-rounds) or keeps going.
+
+const DEFAULT_ROUND_LIMITS = {
+    minRounds: 1,
+    maxRounds: 5,
+    // Proposals at least this similar to the previous round count as unchanged
+    stallSimilarity: 0.9
+};
+
+function getRoundLimits(env = process.env) {
+    const maxRounds = parseInt(env.NEGOTIATION_MAX_ROUNDS, 10) || DEFAULT_ROUND_LIMITS.maxRounds;
+    const minRounds = Math.min(parseInt(env.NEGOTIATION_MIN_ROUNDS, 10) || DEFAULT_ROUND_LIMITS.minRounds, maxRounds);
+    return { ...DEFAULT_ROUND_LIMITS, minRounds, maxRounds };
+}
+
+// Reads the "STATUS: ..." and "UNRESOLVED: a; b" lines the moderator is asked to end with
+function parseModeratorStatus(moderation) {
+    const text = String(moderation || '');
+    const statusMatch = text.match(/^\W*status\W*:\W*(consensus|continue|insufficient)\b/im);
+    const unresolvedMatch = text.match(/^\W*unresolved\W*:\s*(.+)$/im);
+    const unresolvedIssues = unresolvedMatch
+        ? unresolvedMatch[1].split(/;|\|/).map(s => s.trim()).filter(s => s && !/^none\.?$/i.test(s))
+        : [];
+    return {
+        status: statusMatch ? statusMatch[1].toLowerCase() : 'continue',
+        unresolvedIssues
+    };
+}
+
+function tokenize(text) {
+    return new Set(String(text || '').toLowerCase().match(/[a-z0-9À-ɏ]{3,}/g) || []);
+}
+
+// Jaccard similarity of the word sets, 0..1
+function proposalSimilarity(a, b) {
+    const setA = tokenize(a);
+    const setB = tokenize(b);
+    if (!setA.size && !setB.size) return 1;
+    let shared = 0;
+    for (const word of setA) {
+        if (setB.has(word)) shared++;
+    }
+    return shared / (setA.size + setB.size - shared);
+}
+
+// rounds: [{ proposals: [string], status }] in order, latest last.
+// Returns { stop, reason } where reason is consensus | deadlock | max-rounds.
+function decideNextStep(rounds, limits = DEFAULT_ROUND_LIMITS) {
+    const count = rounds.length;
+    const latest = rounds[count - 1];
+
+    if (latest.status === 'consensus' && count >= limits.minRounds) {
+        return { stop: true, reason: 'consensus' };
+    }
+
+    if (count >= 2) {
+        const previous = rounds[count - 2];
+        const stalled = latest.proposals.every((proposal, i) =>
+            proposalSimilarity(proposal, previous.proposals[i]) >= limits.stallSimilarity);
+        if (stalled && count >= limits.minRounds) {
+            return { stop: true, reason: 'deadlock' };
+        }
+    }
+
+    if (count >= limits.maxRounds) {
+        return { stop: true, reason: 'max-rounds' };
+    }
+
+    return { stop: false, reason: null };
+}
+
+module.exports = {
+    DEFAULT_ROUND_LIMITS,
+    getRoundLimits,
+    parseModeratorStatus,
+    proposalSimilarity,
+    decideNextStep
+};
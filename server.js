@@ -4,6 +4,19 @@ const { execSync } = require('child_process');
 const { version: pkgVersion } = require('./package.json');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createStore, namespaced } = require('./session-store');
+const { SessionLifecycle, LifecycleError, CLIENT_EVENTS } = require('./session-lifecycle');
+const { RelayOutbox, outboxLimit } = require('./relay-outbox');
+const { getTemplate } = require('./agreement-templates');
+const { exportAgreement, signedAgreement, ExportError } = require('./agreement-export');
+const { isTimeZone } = require('./agreement-calendar');
+const { CertificateLedger, sha256, isHash } = require('./certificate-ledger');
+const { PdfRenderer, PdfRenderError, rendererOptions } = require('./pdf-renderer');
+const { sanitizeAgreementHtml, SanitizeError, maxHtmlLength } = require('./agreement-html');
+const { pdfDocument, resolveLayout, LayoutError } = require('./pdf-layout');
+const { agreementHtml } = require('./agreement-render');
+const { DEFAULT_LANGUAGE, normalizeLanguage, pickLanguage } = require('./agreement-i18n');
 
 let puppeteer = null; // Lazy-load to avoid crashing if not installed
 
@@ -42,14 +55,20 @@ const server = http.createServer(async (req, res) => {
     // CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Party-Token');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Content-SHA256, X-PDF-SHA256, X-Ledger-Index, X-Ledger-Entry-SHA256');
     if (req.method === 'OPTIONS') {
         res.writeHead(204);
         return res.end();
     }
     if (req.url === '/health') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ status: 'healthy', connections: wss.clients.size }));
+        res.end(JSON.stringify({
+            status: 'healthy',
+            connections: wss.clients.size,
+            sessionStore: sessionStore.kind,
+            pdf: pdfRenderer.stats()
+        }));
     } else if (req.url === '/version') {
         res.writeHead(200, {
             'Content-Type': 'application/json',
@@ -59,45 +78,163 @@ const server = http.createServer(async (req, res) => {
             'Surrogate-Control': 'no-store'
         });
         res.end(JSON.stringify({ version: appVersion }));
+    } else if (req.url.startsWith('/api/sessions/') && req.method === 'GET') {
+        // GET /api/sessions/<sessionId>/seats/<userName> with X-Participant-Token:
+        // the negotiation backend asks before it gives anyone a sealed-input slot
+        try {
+            const match = req.url.split('?')[0].match(/^\/api\/sessions\/([^/]+)\/seats\/([^/]+)$/);
+            let sessionId, userName;
+            try {
+                [sessionId, userName] = match ? match.slice(1).map(decodeURIComponent) : [];
+            } catch (e) {
+                // Malformed percent-encoding, handled as an unknown path below
+            }
+            if (!sessionId || !userName) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Not Found' }));
+            }
+            const session = await loadSession(sessionId);
+            if (!session) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Session not found or expired', code: ERROR_CODES.SESSION_NOT_FOUND }));
+            }
+            if (!verifySeat(session, userName, req.headers['x-participant-token'])) {
+                res.writeHead(403, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Invalid participant token', code: ERROR_CODES.INVALID_PARTICIPANT_TOKEN }));
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ sessionId, userName, topic: session.topic, maxParticipants: session.maxParticipants }));
+        } catch (err) {
+            console.error('Seat lookup error', err);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to look up the seat' }));
+        }
+    } else if (req.url.startsWith('/api/verify')) {
+        // Is a PDF (uploaded as application/pdf) or a hash (JSON { hash } or
+        // GET /api/verify/<hash>) one the service issued? See certificate-ledger.js
+        try {
+            let hash;
+            let source = 'hash';
+            if (req.method === 'GET') {
+                // Hex needs no decoding, and anything else fails the check below
+                hash = req.url.split('?')[0].slice('/api/verify/'.length);
+            } else if (req.method === 'POST' && /^application\/(pdf|octet-stream)/.test(req.headers['content-type'] || '')) {
+                const pdf = await readRawBody(req, MAX_VERIFY_BYTES);
+                if (!pdf) {
+                    res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+                    return res.end(JSON.stringify({ error: 'PDF is too large' }));
+                }
+                hash = sha256(pdf);
+                source = 'pdf';
+            } else if (req.method === 'POST') {
+                const payload = await readJsonBody(req, MAX_PDF_REQUEST_BYTES);
+                if (!payload) {
+                    res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+                    return res.end(JSON.stringify({ error: 'Request is too large', code: 'PAYLOAD_TOO_LARGE' }));
+                }
+                hash = payload.hash;
+            }
+            hash = String(hash || '').trim().toLowerCase();
+            if (!isHash(hash)) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Send a PDF or a SHA-256 hash (64 hex characters)' }));
+            }
+            const verdict = await certificateLedger.verify(hash);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ hash, source, ...verdict }));
+        } catch (err) {
+            console.error('Certificate verification error', err);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to verify' }));
+        }
+    } else if (req.url.startsWith('/api/export/agreement') && req.method === 'POST') {
+        // Markdown, DOCX, plain text or canonical JSON of a structured agreement;
+        // X-Content-SHA256 is the same for every format (see agreement-export.js)
+        try {
+            const payload = await readJsonBody(req, MAX_PDF_REQUEST_BYTES);
+            if (!payload) {
+                res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+                return res.end(JSON.stringify({ error: 'Export request is too large', code: 'PAYLOAD_TOO_LARGE' }));
+            }
+            const format = new URL(req.url, 'http://localhost').searchParams.get('format') || payload.format || 'markdown';
+            const exported = await exportAgreement(format, payload);
+            res.writeHead(200, {
+                'Content-Type': exported.contentType,
+                'Content-Disposition': `attachment; filename="${sanitizeFilename(exported.filename)}"`,
+                'X-Content-SHA256': exported.contentHash
+            });
+            res.end(exported.body);
+        } catch (err) {
+            if (err instanceof ExportError) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: err.message, code: err.code }));
+            }
+            console.error('Agreement export error', err);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to export agreement' }));
+        }
     } else if (req.url.startsWith('/api/pdf/agreement') && req.method === 'POST') {
         try {
-            // Collect JSON body
-            let body = '';
-            req.on('data', chunk => { body += chunk; });
-            await new Promise(resolve => req.on('end', resolve));
-
-            let payload = {};
-            try { payload = JSON.parse(body || '{}'); } catch (e) {}
+            const payload = await readJsonBody(req, MAX_PDF_REQUEST_BYTES);
+            if (!payload) {
+                res.writeHead(413, { 'Content-Type': 'application/json', 'Connection': 'close' });
+                return res.end(JSON.stringify({ error: 'PDF request is too large', code: 'PAYLOAD_TOO_LARGE' }));
+            }
 
             const {
-                html = '<p>No content</p>',
                 title = 'Align Certified Agreement',
-                topic = 'Agreement',
                 filename = 'agreement.pdf',
                 agreementId = ''
-            } = payload || {};
-
-            // Resolve watermark file - prefer group/ path if present
-            const rootDir = __dirname;
-            const candidatePaths = [
-                path.join(rootDir, 'group', 'Align Certified.png'),
-                path.join(rootDir, 'Align Certified.png')
-            ];
-            let watermarkDataUrl = '';
-            for (const p of candidatePaths) {
-                if (fs.existsSync(p)) {
-                    const b64 = fs.readFileSync(p).toString('base64');
-                    watermarkDataUrl = `data:image/png;base64,${b64}`;
-                    break;
+            } = payload;
+
+            // The document is rendered here from the structured agreement, sent
+            // as `agreement` or fetched by agreementId from the negotiation
+            // backend; its content hash is the canonical one every export uses,
+            // and the parties' signatures are embedded
+            const partyToken = req.headers['x-party-token'] || payload.partyToken;
+            let signed = null;
+            try {
+                if (payload.agreement) {
+                    signed = await signedAgreement(payload);
+                } else if (agreementId && partyToken) {
+                    signed = await signedAgreement(await reviewedAgreement(agreementId, partyToken));
                 }
+            } catch (err) {
+                if (!(err instanceof ExportError)) throw err;
+                res.writeHead(EXPORT_ERROR_STATUS[err.code] || 400, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: err.message, code: err.code }));
             }
+            const topic = signed ? signed.canonical.topic || signed.canonical.title : payload.topic || 'Agreement';
+
+            // The agreement in the language asked for when it has that
+            // translation, otherwise its own; client HTML says what it is in
+            const language = signed
+                ? pickLanguage(signed.canonical, payload.language)
+                : normalizeLanguage(payload.language) || DEFAULT_LANGUAGE;
 
-            // Embed logo if available
-            const logoPath = path.join(rootDir, 'Align_Logo.png');
-            let logoDataUrl = '';
-            if (fs.existsSync(logoPath)) {
-                const b64 = fs.readFileSync(logoPath).toString('base64');
-                logoDataUrl = `data:image/png;base64,${b64}`;
+            // Without one, client HTML is rebuilt from the agreement markup allowlist
+            let html;
+            try {
+                html = signed
+                    ? agreementHtml(signed.canonical, { language })
+                    : sanitizeAgreementHtml(payload.html === undefined ? '<p>No content</p>' : payload.html, {
+                        maxLength: maxHtmlLength(process.env)
+                    });
+            } catch (err) {
+                if (!(err instanceof SanitizeError)) throw err;
+                res.writeHead(err.code === 'HTML_TOO_LARGE' ? 413 : 400, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: err.message, code: err.code }));
+            }
+
+            // Paper, locale, branding, signature page and appendix: the
+            // template's defaults overridden by the request's layout
+            let layout;
+            try {
+                layout = resolveLayout(payload.layout, getTemplate(signed ? signed.canonical.template : payload.templateId));
+            } catch (err) {
+                if (!(err instanceof LayoutError)) throw err;
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: err.message, code: err.code }));
             }
 
             // Lazy import puppeteer
@@ -110,87 +247,54 @@ const server = http.createServer(async (req, res) => {
                 }
             }
 
-            const browser = await puppeteer.launch({
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
+            const { html: docHtml, pdfOptions } = pdfDocument({
+                html,
+                title,
+                topic,
+                agreementId,
+                layout,
+                assets: brandAssets(),
+                signed,
+                parties: payload.parties,
+                summary: payload.summary,
+                backchannel: payload.backchannel,
+                language
+            });
+
+            const pdfBuffer = await pdfRenderer.render(async page => {
+                // Nothing can load over the network, so the page is done at load
+                await page.setContent(docHtml, { waitUntil: 'load' });
+                return page.pdf(pdfOptions);
             });
-            try {
-                const page = await browser.newPage();
-                const safeTopic = escapeHtml(topic);
-                const safeId = escapeHtml(agreementId || '');
-                const docHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8" />
-  <title>${escapeHtml(title)}</title>
-  <style>
-    @page { size: Letter; margin: 0.75in; }
-    body { font-family: -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color: #111827; }
-    h1,h2,h3 { margin: 0 0 8px 0; }
-    p { line-height: 1.5; }
-    .header { text-align: center; margin-bottom: 12px; display: flex; align-items: center; justify-content: center; gap: 12px; }
-    .logo { height: 28px; }
-    .topic { font-size: 18px; font-weight: 700; color: #1f2937; }
-    .container { position: relative; }
-    .watermark { position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; pointer-events: none; opacity: 0.1; }
-    .watermark img { max-width: 70%; transform: rotate(-25deg); filter: grayscale(100%); }
-    .content { position: relative; z-index: 1; }
-  </style>
-  </head>
-  <body>
-    <div class="container">
-      ${watermarkDataUrl ? `<div class="watermark"><img src="${watermarkDataUrl}" alt="watermark" /></div>` : ''}
-      <div class="content">
-        <div class="header">
-          ${logoDataUrl ? `<img class="logo" src="${logoDataUrl}" alt="Align"/>` : ''}
-          <div class="topic">${safeTopic}${safeId ? ` • ${safeId}` : ''}</div>
-        </div>
-        <div style="height:8px"></div>
-        <div style="height:1px;background:#e5e7eb"></div>
-        ${html}
-      </div>
-    </div>
-  </body>
-</html>`;
-
-                await page.setContent(docHtml, { waitUntil: 'networkidle0' });
-
-                // Header/footer with page numbers
-                const headerTemplate = `
-                  <div style="font-size:8px;width:100%;padding:0 0.5in;color:#6b7280;display:flex;justify-content:space-between;align-items:center;">
-                    <span>Align • Certified Agreement</span>
-                    <span>${safeTopic}${safeId ? ` • ${safeId}` : ''}</span>
-                  </div>`;
-                const footerTemplate = `
-                  <div style="font-size:8px;width:100%;padding:0 0.5in;color:#6b7280;display:flex;justify-content:flex-end;">
-                    <span class="pageNumber"></span> / <span class="totalPages"></span>
-                  </div>`;
-
-                const pdfBuffer = await page.pdf({
-                    format: 'Letter',
-                    printBackground: true,
-                    displayHeaderFooter: true,
-                    headerTemplate,
-                    footerTemplate,
-                    margin: { top: '1in', bottom: '0.8in', left: '0.75in', right: '0.75in' }
-                });
 
-                // Hashes for verification (hash of content and of the final PDF)
-                const crypto = require('crypto');
-                const contentHash = crypto.createHash('sha256').update(String(html || '') + '|' + String(topic || '')).digest('hex');
-                const pdfHash = crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+            // Hashes for verification (hash of content and of the final PDF)
+            const contentHash = signed
+                ? signed.contentHash
+                : crypto.createHash('sha256').update(String(html || '') + '|' + String(topic || '')).digest('hex');
+            const pdfHash = crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+            // No certificate is handed out that the ledger cannot vouch for,
+            // and the ledger says whether the service ever checked its content
+            const source = !signed ? 'client-html' : payload.agreement ? 'agreement' : 'reviewed';
+            const certificate = await certificateLedger.append({ contentHash, pdfHash, agreementId, source });
 
-                res.writeHead(200, {
-                    'Content-Type': 'application/pdf',
-                    'Content-Disposition': `attachment; filename="${sanitizeFilename(filename || `Agreement_${slugify(topic)}.pdf`)}"`,
-                    'X-Content-SHA256': contentHash,
-                    'X-PDF-SHA256': pdfHash
+            res.writeHead(200, {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="${sanitizeFilename(filename || `Agreement_${slugify(topic)}.pdf`)}"`,
+                'X-Content-SHA256': contentHash,
+                'X-PDF-SHA256': pdfHash,
+                'X-Ledger-Index': String(certificate.index),
+                'X-Ledger-Entry-SHA256': certificate.entryHash
+            });
+            return res.end(pdfBuffer);
+        } catch (err) {
+            if (err instanceof PdfRenderError) {
+                // Busy or stuck: the client can retry or fall back to its own PDF
+                res.writeHead(err.code === 'TIMEOUT' ? 504 : 503, {
+                    'Content-Type': 'application/json',
+                    ...(err.code === 'QUEUE_FULL' ? { 'Retry-After': '5' } : {})
                 });
-                return res.end(pdfBuffer);
-            } finally {
-                await browser.close();
+                return res.end(JSON.stringify({ error: err.message, code: err.code }));
             }
-        } catch (err) {
             console.error('PDF generation error', err);
             res.writeHead(500, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'Failed to generate PDF', details: String(err && err.message || err) }));
@@ -204,23 +308,220 @@ const server = http.createServer(async (req, res) => {
 // Create WebSocket server
 const wss = new WebSocket.Server({ server });
 
-// In-memory sessions (ephemeral, no persistence)
+// Every issued PDF certificate; kept with the session store's backend
+const certificateLedger = new CertificateLedger(namespaced(createStore(process.env, { name: 'ledger' }), 'ledger:'));
+const MAX_VERIFY_BYTES = parseInt(process.env.MAX_VERIFY_BYTES, 10) || 26214400; // 25 MB
+const MAX_PDF_REQUEST_BYTES = parseInt(process.env.PDF_MAX_REQUEST_BYTES, 10) || 1048576; // 1 MB
+const EXPORT_ERROR_STATUS = { INVALID_PARTY_TOKEN: 403, AGREEMENT_NOT_FOUND: 404, NEGOTIATION_UNAVAILABLE: 502 };
+
+// Warm Chromium instances shared by every PDF request
+const pdfRenderer = new PdfRenderer({
+    ...rendererOptions(process.env),
+    launch: () => puppeteer.launch({ args: ['--no-sandbox', '--disable-setuid-sandbox'] })
+});
+
+// Sessions with connected participants. Session records (topic, lifecycle,
+// who created it) are also persisted so they survive a restart; a session
+// expires 4 hours after its last change.
 const sessions = new Map();
+const sessionStore = namespaced(createStore(process.env, { name: 'signaling' }), 'session:');
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 14400000; // 4 hours
+// Unacknowledged relays kept per participant; outboxes live in memory only
+const RELAY_OUTBOX_LIMIT = outboxLimit();
 
-// Auto-cleanup sessions older than 4 hours (for mobile persistence)
-const sessionCleanupInterval = setInterval(() => {
-    const now = Date.now();
-    for (const [sessionId, session] of sessions.entries()) {
-        if (now - session.createdAt > 14400000) { // 4 hours
-            console.log(`Cleaning up expired session: ${sessionId}`);
-            sessions.delete(sessionId);
+// The creator picks how many people take part (2-6); two when not given
+const DEFAULT_SESSION_SIZE = 2;
+const MAX_SESSION_SIZE = 6;
+
+function sessionSize(value) {
+    const size = parseInt(value, 10);
+    return size >= 2 && size <= MAX_SESSION_SIZE ? size : DEFAULT_SESSION_SIZE;
+}
+
+// Agreement template chosen with the topic (see agreement-templates.js)
+function sessionTemplate(value) {
+    return (getTemplate(value) || getTemplate()).id;
+}
+
+// Everyone holding a seat, in the order they joined, connected or not
+function roster(session) {
+    return Object.keys(session.seats);
+}
+
+function persistSession(session) {
+    const record = {
+        sessionId: session.sessionId,
+        topic: session.topic,
+        templateId: session.templateId,
+        creator: session.creator,
+        lifecycle: session.lifecycle.toJSON(),
+        maxParticipants: session.maxParticipants,
+        seats: session.seats,
+        lastMessageId: session.lastMessageId,
+        lastActivity: session.lastActivity,
+        createdAt: session.createdAt
+    };
+    return sessionStore.set(session.sessionId, record, { ttlMs: SESSION_TTL_MS })
+        .catch(error => console.error(`Failed to persist session ${session.sessionId}:`, error));
+}
+
+// Live session, or the persisted record brought back without participants
+async function loadSession(sessionId) {
+    if (sessions.has(sessionId)) return expireIfIdle(sessions.get(sessionId)) ? null : sessions.get(sessionId);
+    const record = await sessionStore.get(sessionId);
+    if (!record) return null;
+    // Another message may have restored it while we waited on the store
+    if (sessions.has(sessionId)) return sessions.get(sessionId);
+    const session = {
+        ...record,
+        lifecycle: restoreLifecycle(record),
+        templateId: sessionTemplate(record.templateId),
+        maxParticipants: sessionSize(record.maxParticipants),
+        seats: record.seats || {},
+        lastMessageId: record.lastMessageId || 0,
+        outboxes: {},
+        participants: []
+    };
+    sessions.set(sessionId, session);
+    console.log(`Restored session from store: ${sessionId}`);
+    return session;
+}
+
+// Records saved before the lifecycle existed only knew who agreed to the topic
+function restoreLifecycle(record) {
+    if (record.lifecycle) return SessionLifecycle.fromJSON(record.lifecycle);
+    const lifecycle = new SessionLifecycle({ topicAgreedBy: record.topicAgreedBy || [] });
+    const participants = Object.keys(record.seats || {});
+    if (participants.length) {
+        lifecycle.apply('seat', { participants, maxParticipants: sessionSize(record.maxParticipants) });
+    }
+    return lifecycle;
+}
+
+function stateMessage(session) {
+    return JSON.stringify({
+        type: 'session_state',
+        sessionId: session.sessionId,
+        ...session.lifecycle.describe(),
+        participants: roster(session),
+        maxParticipants: session.maxParticipants
+    });
+}
+
+// The authoritative state goes to everyone connected on every change
+function broadcastState(session) {
+    const message = stateMessage(session);
+    session.participants.forEach(participant => {
+        if (participant.ws.readyState === WebSocket.OPEN) {
+            participant.ws.send(message);
         }
+    });
+}
+
+// Applies a lifecycle event; persists and broadcasts when the state changed
+function transition(session, event, context = {}) {
+    const changed = session.lifecycle.apply(event, { participants: roster(session), maxParticipants: session.maxParticipants, ...context });
+    if (changed) {
+        persistSession(session);
+        broadcastState(session);
+    }
+    return changed;
+}
+
+// Sessions without a lifecycle change or any activity (a join, relay or ack)
+// for SESSION_TTL_MS expire; everyone still connected is told before the
+// session is dropped
+function expireIfIdle(session, now = Date.now()) {
+    const { lifecycle } = session;
+    const idleSince = Math.max(lifecycle.updatedAt, session.lastActivity || 0);
+    if (lifecycle.phase === 'expired' || now - idleSince < SESSION_TTL_MS) return false;
+    lifecycle.apply('expire');
+    broadcastState(session);
+    sessions.delete(session.sessionId);
+    sessionStore.delete(session.sessionId)
+        .catch(error => console.error(`Failed to delete session ${session.sessionId}:`, error));
+    console.log(`Session expired: ${session.sessionId}`);
+    return true;
+}
+
+function outboxFor(session, userName) {
+    if (!session.outboxes[userName]) {
+        session.outboxes[userName] = new RelayOutbox(RELAY_OUTBOX_LIMIT);
     }
-}, 600000); // Check every 10 minutes
-sessionCleanupInterval.unref();
+    return session.outboxes[userName];
+}
+
+function hasPendingRelays(session) {
+    return Object.values(session.outboxes).some(outbox => outbox.size > 0);
+}
 
-// Keep-alive mechanism for Render
+// Resends what a reconnecting participant has not acknowledged, oldest first
+function replayOutbox(ws, session, userName) {
+    const outbox = session.outboxes[userName];
+    if (!outbox || (!outbox.size && !outbox.dropped)) return;
+    const { messages, dropped } = outbox.takeReplay();
+    ws.send(JSON.stringify({ type: 'relay_replay', count: messages.length, dropped }));
+    messages.forEach(message => ws.send(JSON.stringify({ ...message, replayed: true })));
+}
+
+// Error codes sent with { type: 'error' } so clients need not parse messages
+const ERROR_CODES = {
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    SERVER_ERROR: 'SERVER_ERROR',
+    SESSION_EXISTS: 'SESSION_EXISTS',
+    SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+    SESSION_FULL: 'SESSION_FULL',
+    NOT_IN_SESSION: 'NOT_IN_SESSION',
+    INVALID_PARTICIPANT_TOKEN: 'INVALID_PARTICIPANT_TOKEN',
+    UNKNOWN_RECIPIENT: 'UNKNOWN_RECIPIENT',
+    INVALID_TRANSITION: 'INVALID_TRANSITION',
+    STALE_TOPIC: 'STALE_TOPIC'
+};
+
+function sendError(ws, code, message) {
+    ws.send(JSON.stringify({ type: 'error', code, message }));
+}
+
+// Every participant holds a seat secured by a secret token issued on create or
+// join. Only its hash is kept (and persisted). Reconnecting to a seat and
+// relaying messages require the token, so knowing the sessionId and a
+// userName is not enough to take over someone's seat.
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+function issueSeat(session, userName, isCreator) {
+    const token = crypto.randomBytes(24).toString('hex');
+    session.seats[userName] = { tokenHash: hashToken(token).toString('hex'), isCreator };
+    return token;
+}
+
+// Each participant's IANA time zone, for calendar exports
+function seatTimeZone(session, userName, timeZone) {
+    if (session.seats[userName] && isTimeZone(timeZone)) session.seats[userName].timeZone = timeZone;
+}
+
+function timeZones(session) {
+    const zones = {};
+    Object.entries(session.seats).forEach(([userName, seat]) => {
+        if (seat.timeZone) zones[userName] = seat.timeZone;
+    });
+    return zones;
+}
+
+function verifySeat(session, userName, token) {
+    const seat = session.seats[userName];
+    if (!seat || !token) return false;
+    return crypto.timingSafeEqual(hashToken(token), Buffer.from(seat.tokenHash, 'hex'));
+}
+
+function expireIdleSessions(now = Date.now()) {
+    [...sessions.values()].forEach(session => expireIfIdle(session, now));
+}
+
+// Keep-alive mechanism for Render; also expires idle sessions
 const keepAliveInterval = setInterval(() => {
+    expireIdleSessions();
     console.log(`Keep-alive: ${sessions.size} active sessions, ${wss.clients.size} connections`);
     
     // Send ping to all connected clients to keep connections alive
@@ -241,34 +542,12 @@ wss.on('connection', (ws, req) => {
     
     ws.sessionId = null;
     ws.userName = null;
+    // Messages are handled one at a time per connection since session
+    // lookups may wait on the store
+    ws.queue = Promise.resolve();
     
     ws.on('message', (data) => {
-        try {
-            const message = JSON.parse(data);
-            
-            switch (message.type) {
-                case 'create_session':
-                    handleCreateSession(ws, message);
-                    break;
-                case 'join_session':
-                    handleJoinSession(ws, message);
-                    break;
-                case 'relay_message':
-                    handleRelayMessage(ws, message);
-                    break;
-                case 'ping':
-                    ws.send(JSON.stringify({ type: 'pong' }));
-                    break;
-                default:
-                    console.log('Unknown message type:', message.type);
-            }
-        } catch (error) {
-            console.error('Error processing message:', error);
-            ws.send(JSON.stringify({ 
-                type: 'error', 
-                message: 'Invalid message format' 
-            }));
-        }
+        ws.queue = ws.queue.then(() => handleMessage(ws, data));
     });
     
     ws.on('close', () => {
@@ -283,13 +562,15 @@ wss.on('connection', (ws, req) => {
                     if (participant.ws.readyState === WebSocket.OPEN) {
                         participant.ws.send(JSON.stringify({
                             type: 'participant_left',
-                            userName: ws.userName
+                            userName: ws.userName,
+                            online: session.participants.map(p => p.userName)
                         }));
                     }
                 });
                 
-                // Clean up empty sessions
-                if (session.participants.length === 0) {
+                // Empty sessions leave memory once nothing waits for delivery; the
+                // persisted record stays until it expires
+                if (session.participants.length === 0 && !hasPendingRelays(session)) {
                     console.log(`Removing empty session: ${ws.sessionId}`);
                     sessions.delete(ws.sessionId);
                 }
@@ -303,32 +584,81 @@ wss.on('connection', (ws, req) => {
     });
 });
 
-function handleCreateSession(ws, message) {
-    const { sessionId, topic, userName } = message;
-    
-    if (sessions.has(sessionId)) {
-        // Session exists - check if creator is reconnecting
-        const session = sessions.get(sessionId);
-        const creator = session.participants.find(p => p.isCreator && p.userName === userName);
+async function handleMessage(ws, data) {
+    try {
+        const message = JSON.parse(data);
         
-        if (creator) {
+        switch (message.type) {
+            case 'create_session':
+                await handleCreateSession(ws, message);
+                break;
+            case 'join_session':
+                await handleJoinSession(ws, message);
+                break;
+            case 'relay_message':
+                handleRelayMessage(ws, message);
+                break;
+            case 'session_event':
+                handleSessionEvent(ws, message);
+                break;
+            case 'relay_ack':
+                handleRelayAck(ws, message);
+                break;
+            case 'ping':
+                ws.send(JSON.stringify({ type: 'pong' }));
+                break;
+            default:
+                console.log('Unknown message type:', message.type);
+        }
+    } catch (error) {
+        console.error('Error processing message:', error);
+        if (error instanceof SyntaxError) {
+            sendError(ws, ERROR_CODES.INVALID_MESSAGE, 'Invalid message format');
+        } else {
+            sendError(ws, ERROR_CODES.SERVER_ERROR, 'Failed to process message');
+        }
+    }
+}
+
+async function handleCreateSession(ws, message) {
+    const { sessionId, topic, userName, participantToken, maxParticipants, templateId, timeZone } = message;
+    
+    const existing = await loadSession(sessionId);
+    if (existing) {
+        // Session exists (live or restored from the store) - check if creator is reconnecting
+        if (existing.creator === userName) {
+            if (!verifySeat(existing, userName, participantToken)) {
+                sendError(ws, ERROR_CODES.INVALID_PARTICIPANT_TOKEN, 'Invalid participant token');
+                return;
+            }
             // Creator reconnecting - update their WebSocket
             console.log(`Creator ${userName} reconnecting to session: ${sessionId}`);
-            creator.ws = ws;
+            const creator = existing.participants.find(p => p.isCreator);
+            if (creator) {
+                creator.ws = ws;
+            } else {
+                existing.participants.unshift({ userName, ws, isCreator: true });
+            }
+            seatTimeZone(existing, userName, timeZone);
             ws.sessionId = sessionId;
             ws.userName = userName;
             
             ws.send(JSON.stringify({ 
                 type: 'session_created',
                 sessionId,
-                topic: session.topic
+                topic: existing.topic,
+                templateId: existing.templateId,
+                timeZones: timeZones(existing),
+                topicAgreedBy: existing.lifecycle.topicAgreedBy,
+                maxParticipants: existing.maxParticipants,
+                participants: roster(existing),
+                online: existing.participants.map(p => p.userName)
             }));
+            ws.send(stateMessage(existing));
+            replayOutbox(ws, existing, userName);
             return;
         } else {
-            ws.send(JSON.stringify({ 
-                type: 'error', 
-                message: 'Session already exists' 
-            }));
+            sendError(ws, ERROR_CODES.SESSION_EXISTS, 'Session already exists');
             return;
         }
     }
@@ -336,144 +666,270 @@ function handleCreateSession(ws, message) {
     const session = {
         sessionId,
         topic,
+        templateId: sessionTemplate(templateId),
+        creator: userName,
+        lifecycle: new SessionLifecycle(),
+        maxParticipants: sessionSize(maxParticipants),
+        seats: {},
+        lastMessageId: 0,
+        outboxes: {},
         createdAt: Date.now(),
+        lastActivity: Date.now(),
         participants: [{ userName, ws, isCreator: true }]
     };
+    const token = issueSeat(session, userName, true);
+    seatTimeZone(session, userName, timeZone);
+    session.lifecycle.apply('seat', { participants: roster(session), maxParticipants: session.maxParticipants });
     
     sessions.set(sessionId, session);
+    await persistSession(session);
     ws.sessionId = sessionId;
     ws.userName = userName;
     
     ws.send(JSON.stringify({ 
         type: 'session_created',
         sessionId,
-        topic
+        topic,
+        templateId: session.templateId,
+        timeZones: timeZones(session),
+        maxParticipants: session.maxParticipants,
+        participants: roster(session),
+        online: [userName],
+        participantToken: token
     }));
+    ws.send(stateMessage(session));
     
     console.log(`Session created: ${sessionId} by ${userName}`);
 }
 
-function handleJoinSession(ws, message) {
-    const { sessionId, userName, topic } = message;
+async function handleJoinSession(ws, message) {
+    const { sessionId, userName, participantToken, timeZone } = message;
     
-    let session = sessions.get(sessionId);
+    // An expired session stays gone: recreating it from the joiner's word
+    // would let anyone claim its id and seats
+    const session = await loadSession(sessionId);
     if (!session) {
-        // Session not found on server, but client thinks it should exist
-        // This happens when server restarts or session expires while client was away
-        // Recreate the session if we have topic info
-        if (topic) {
-            console.log(`Recreating expired session: ${sessionId} with topic: ${topic}`);
-            session = {
-                sessionId,
-                topic,
-                createdAt: Date.now(),
-                participants: []
-            };
-            sessions.set(sessionId, session);
-        } else {
-            ws.send(JSON.stringify({ 
-                type: 'error', 
-                message: 'Session not found or expired' 
-            }));
-            return;
-        }
+        sendError(ws, ERROR_CODES.SESSION_NOT_FOUND, 'Session not found or expired');
+        return;
     }
     
-    // Check if user is reconnecting (same userName)
-    const existingParticipant = session.participants.find(p => p.userName === userName);
-    
-    if (existingParticipant) {
-        // User is reconnecting - replace their WebSocket connection
+    let issuedToken = null;
+    if (session.seats[userName]) {
+        // User is reconnecting to their seat - only with its token
+        if (!verifySeat(session, userName, participantToken)) {
+            sendError(ws, ERROR_CODES.INVALID_PARTICIPANT_TOKEN, 'Invalid participant token');
+            return;
+        }
         console.log(`${userName} reconnecting to session: ${sessionId}`);
-        existingParticipant.ws = ws;
+        const existingParticipant = session.participants.find(p => p.userName === userName);
+        if (existingParticipant) {
+            existingParticipant.ws = ws;
+        } else {
+            session.participants.push({ userName, ws, isCreator: session.seats[userName].isCreator });
+        }
+        // Before participant_joined, which makes clients start new key exchanges
+        replayOutbox(ws, session, userName);
     } else {
-        // Check if session is full (limit to 2 participants for now)
-        if (session.participants.length >= 2) {
-            ws.send(JSON.stringify({ 
-                type: 'error', 
-                message: 'Session is full' 
-            }));
+        // Check if every seat the creator asked for is taken
+        if (roster(session).length >= session.maxParticipants) {
+            sendError(ws, ERROR_CODES.SESSION_FULL, 'Session is full');
             return;
         }
         
         // Add new participant
+        issuedToken = issueSeat(session, userName, false);
         session.participants.push({ userName, ws, isCreator: false });
+        session.lifecycle.apply('seat', { participants: roster(session), maxParticipants: session.maxParticipants });
         console.log(`${userName} joined session: ${sessionId}`);
     }
+    seatTimeZone(session, userName, timeZone);
+    session.lastActivity = Date.now();
+    await persistSession(session);
     ws.sessionId = sessionId;
     ws.userName = userName;
     
-    // Notify all participants
+    // Notify all participants; only the joiner receives its new token
     session.participants.forEach(participant => {
         if (participant.ws.readyState === WebSocket.OPEN) {
             participant.ws.send(JSON.stringify({
                 type: 'participant_joined',
                 userName: userName,
                 topic: session.topic,
-                participantCount: session.participants.length
+                templateId: session.templateId,
+                timeZones: timeZones(session),
+                topicAgreedBy: session.lifecycle.topicAgreedBy,
+                participantCount: session.participants.length,
+                maxParticipants: session.maxParticipants,
+                participants: roster(session),
+                online: session.participants.map(p => p.userName),
+                ...(participant.ws === ws && issuedToken ? { participantToken: issuedToken } : {})
             }));
         }
     });
+    // A new seat may move the lifecycle on; a reconnect needs the state too
+    broadcastState(session);
     
     console.log(`${userName} joined session: ${sessionId}`);
 }
 
+// Relays to every other participant, or only to `to` when given (used for
+// per-recipient encrypted envelopes)
 function handleRelayMessage(ws, message) {
-    const { content, messageType } = message;
+    const { content, messageType, participantToken, to } = message;
     
     if (!ws.sessionId || !ws.userName) {
-        ws.send(JSON.stringify({ 
-            type: 'error', 
-            message: 'Not connected to a session' 
-        }));
+        sendError(ws, ERROR_CODES.NOT_IN_SESSION, 'Not connected to a session');
         return;
     }
     
     const session = sessions.get(ws.sessionId);
     if (!session) {
-        ws.send(JSON.stringify({ 
-            type: 'error', 
-            message: 'Session not found' 
-        }));
+        sendError(ws, ERROR_CODES.SESSION_NOT_FOUND, 'Session not found');
+        return;
+    }
+    if (!verifySeat(session, ws.userName, participantToken)) {
+        sendError(ws, ERROR_CODES.INVALID_PARTICIPANT_TOKEN, 'Invalid participant token');
         return;
     }
     
-    // Relay message to other participants
-    session.participants.forEach(participant => {
-        if (participant.ws !== ws && participant.ws.readyState === WebSocket.OPEN) {
-            participant.ws.send(JSON.stringify({
-                type: 'message_received',
-                messageType,
-                content,
-                from: ws.userName,
-                timestamp: Date.now()
-            }));
-        }
-    });
+    if (to !== undefined && (to === ws.userName || !session.seats[to])) {
+        sendError(ws, ERROR_CODES.UNKNOWN_RECIPIENT, 'Unknown recipient');
+        return;
+    }
+    
+    if (!trackLegacyLifecycle(ws, session, messageType, content)) return;
+    
+    // Numbered per session; kept for every recipient until acknowledged, so
+    // anyone offline right now gets it when they reconnect
+    const relayed = {
+        type: 'message_received',
+        id: ++session.lastMessageId,
+        messageType,
+        content,
+        from: ws.userName,
+        timestamp: Date.now()
+    };
+    session.lastActivity = relayed.timestamp;
+    persistSession(session);
+    roster(session)
+        .filter(userName => userName !== ws.userName && (to === undefined || userName === to))
+        .forEach(userName => {
+            outboxFor(session, userName).push(relayed);
+            const participant = session.participants.find(p => p.userName === userName);
+            if (participant && participant.ws.readyState === WebSocket.OPEN) {
+                participant.ws.send(JSON.stringify(relayed));
+            }
+        });
     
     // Send confirmation back to sender
     ws.send(JSON.stringify({
         type: 'message_sent',
+        id: relayed.id,
         messageType,
         content,
-        timestamp: Date.now()
+        to,
+        timestamp: relayed.timestamp
     }));
 }
 
+// Acknowledges every relayed message up to id
+function handleRelayAck(ws, message) {
+    const session = ws.sessionId && sessions.get(ws.sessionId);
+    if (!session) {
+        sendError(ws, ERROR_CODES.NOT_IN_SESSION, 'Not connected to a session');
+        return;
+    }
+    if (!verifySeat(session, ws.userName, message.participantToken)) {
+        sendError(ws, ERROR_CODES.INVALID_PARTICIPANT_TOKEN, 'Invalid participant token');
+        return;
+    }
+    session.lastActivity = Date.now();
+    outboxFor(session, ws.userName).ack(message.id);
+}
+
+// Plaintext relays of the older clients drive the lifecycle as the matching
+// events would; encrypted relays are opaque and those clients send
+// session_event messages instead. Returns false when the relay was rejected.
+const LEGACY_EVENTS = {
+    topicModified: 'propose_topic',
+    topicAgreed: 'agree_topic',
+    proceedToInputs: 'start_inputs',
+    inputsSealed: 'submit_inputs',
+    negotiationComplete: 'finish_negotiation'
+};
+
+function trackLegacyLifecycle(ws, session, messageType, content) {
+    const event = LEGACY_EVENTS[messageType];
+    if (!event) return true;
+    if (event === 'propose_topic' && !(content && content.topic)) return true;
+    try {
+        transition(session, event, {
+            userName: ws.userName,
+            outcome: content && content.result && content.result.outcome
+        });
+    } catch (error) {
+        if (!(error instanceof LifecycleError)) throw error;
+        sendError(ws, ERROR_CODES[error.code], error.message);
+        return false;
+    }
+    if (event === 'propose_topic') {
+        session.topic = String(content.topic);
+        persistSession(session);
+    }
+    return true;
+}
+
+function handleSessionEvent(ws, message) {
+    const { event, participantToken, topicVersion, outcome } = message;
+    
+    const session = ws.sessionId && sessions.get(ws.sessionId);
+    if (!session) {
+        sendError(ws, ERROR_CODES.NOT_IN_SESSION, 'Not connected to a session');
+        return;
+    }
+    if (!verifySeat(session, ws.userName, participantToken)) {
+        sendError(ws, ERROR_CODES.INVALID_PARTICIPANT_TOKEN, 'Invalid participant token');
+        return;
+    }
+    if (!CLIENT_EVENTS.includes(event)) {
+        sendError(ws, ERROR_CODES.INVALID_MESSAGE, `Unknown session event "${event}"`);
+        return;
+    }
+    
+    try {
+        // Unchanged state is still confirmed to the sender
+        if (!transition(session, event, { userName: ws.userName, topicVersion, outcome })) {
+            ws.send(stateMessage(session));
+        }
+    } catch (error) {
+        if (!(error instanceof LifecycleError)) throw error;
+        sendError(ws, ERROR_CODES[error.code], error.message);
+    }
+}
+
 const PORT = process.env.PORT || 8080;
 
 // Only start the server automatically if this file is executed directly.
 if (require.main === module) {
     server.listen(PORT, () => {
         console.log(`Privacy-first signaling server running on port ${PORT}`);
-        console.log('No data persistence - all sessions are ephemeral');
+        console.log(`Session store: ${sessionStore.kind} (messages are relayed, never stored)`);
+        try {
+            puppeteer = puppeteer || require('puppeteer');
+            pdfRenderer.warm().catch(err => console.error('PDF renderer warm-up failed', err));
+        } catch (e) {
+            console.log('Puppeteer not installed; server-side PDFs are disabled');
+        }
     });
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
         console.log('SIGTERM received, shutting down gracefully');
         wss.close(() => {
-            server.close(() => {
+            server.close(async () => {
+                await sessionStore.close();
+                await certificateLedger.store.close();
+                await pdfRenderer.close();
                 process.exit(0);
             });
         });
@@ -481,18 +937,9 @@ if (require.main === module) {
 }
 
 // Export server and wss for testing
-module.exports = { server, wss, sessions };
+module.exports = { server, wss, sessions, sessionStore, certificateLedger, pdfRenderer, ERROR_CODES, expireIdleSessions };
 
 // Helpers
-function escapeHtml(str) {
-    return String(str || '')
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
-}
-
 function sanitizeFilename(name) {
     return String(name || 'file.pdf').replace(/[^a-zA-Z0-9_.-]/g, '_');
 }
@@ -503,3 +950,78 @@ function slugify(str) {
         .replace(/[^a-z0-9]+/g, '-')
         .replace(/^-+|-+$/g, '');
 }
+
+// The version under review at the negotiation backend (NEGOTIATION_API_URL),
+// as an export request; the party token is the caller's own
+async function reviewedAgreement(agreementId, partyToken) {
+    const base = (process.env.NEGOTIATION_API_URL || 'http://localhost:3001').replace(/\/+$/, '');
+    let res;
+    try {
+        res = await fetch(`${base}/api/agreement-review/${encodeURIComponent(agreementId)}`, {
+            headers: { 'X-Party-Token': String(partyToken) },
+            signal: AbortSignal.timeout(10000)
+        });
+    } catch (err) {
+        throw new ExportError('NEGOTIATION_UNAVAILABLE', 'The negotiation service could not be reached');
+    }
+    if (res.status === 403) throw new ExportError('INVALID_PARTY_TOKEN', 'The party token does not belong to this agreement');
+    if (res.status === 404) throw new ExportError('AGREEMENT_NOT_FOUND', 'There is no agreement for this id yet');
+    if (!res.ok) throw new ExportError('NEGOTIATION_UNAVAILABLE', `The negotiation service answered ${res.status}`);
+    const { review } = await res.json();
+    return {
+        agreement: review.structured,
+        topic: review.topic,
+        parties: review.parties,
+        effectiveDate: review.effectiveDate,
+        templateId: review.templateId,
+        signatures: review.signatures
+    };
+}
+
+// Watermark and logo as data URLs, read from disk once
+let brandAssetCache = null;
+function brandAssets() {
+    if (brandAssetCache) return brandAssetCache;
+    const dataUrl = file => `data:image/png;base64,${fs.readFileSync(file).toString('base64')}`;
+    // Watermark - prefer group/ path if present
+    const watermarkPath = [
+        path.join(__dirname, 'group', 'Align Certified.png'),
+        path.join(__dirname, 'Align Certified.png')
+    ].find(p => fs.existsSync(p));
+    const logoPath = path.join(__dirname, 'Align_Logo.png');
+    brandAssetCache = {
+        watermarkDataUrl: watermarkPath ? dataUrl(watermarkPath) : '',
+        logoDataUrl: fs.existsSync(logoPath) ? dataUrl(logoPath) : ''
+    };
+    return brandAssetCache;
+}
+
+// Raw request body, or null when it grew past limit bytes. The rest of an
+// oversized body is still read, and dropped, so the client is done sending
+// when its 413 arrives; that response closes the connection.
+function readRawBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) chunks = [];
+            else chunks.push(chunk);
+        });
+        req.on('end', () => resolve(size > limit ? null : Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Request body parsed as JSON; an empty or malformed body is an empty object,
+// and one past limit bytes is null
+async function readJsonBody(req, limit) {
+    const body = await readRawBody(req, limit);
+    if (!body) return null;
+    try {
+        const value = JSON.parse(body.toString() || '{}');
+        return value && typeof value === 'object' ? value : {};
+    } catch (e) {
+        return {};
+    }
+}
@@ -0,0 +1,175 @@
+// Negotiation lifecycle of a signaling session, owned by the server
+// created → awaiting_participants → topic_proposed → topic_agreed →
+// collecting_inputs → negotiating → review → completed, or expired from any
+// phase once idle. Clients report what happened as events; an event the
+// current phase does not accept is rejected, and repeating one that already
+// took effect (e.g. two clients both opening the inputs) changes nothing.
+// Finishing the negotiation and certifying only move the phase once every
+// participant has reported them, so no single client can end a session.
+
+const PHASES = [
+    'created',
+    'awaiting_participants',
+    'topic_proposed',
+    'topic_agreed',
+    'collecting_inputs',
+    'negotiating',
+    'review',
+    'completed',
+    'expired'
+];
+
+// Events clients may send; 'seat' and 'expire' only come from the server
+const CLIENT_EVENTS = [
+    'propose_topic',
+    'agree_topic',
+    'start_inputs',
+    'submit_inputs',
+    'finish_negotiation',
+    'start_renegotiation',
+    'certify'
+];
+
+// Events each phase accepts
+const ACCEPTED_EVENTS = {
+    created: ['seat', 'expire'],
+    awaiting_participants: ['seat', 'propose_topic', 'agree_topic', 'expire'],
+    topic_proposed: ['propose_topic', 'agree_topic', 'expire'],
+    topic_agreed: ['propose_topic', 'agree_topic', 'start_inputs', 'expire'],
+    collecting_inputs: ['start_inputs', 'submit_inputs', 'expire'],
+    negotiating: ['finish_negotiation', 'expire'],
+    review: ['finish_negotiation', 'start_renegotiation', 'certify', 'expire'],
+    completed: ['finish_negotiation', 'certify', 'expire'],
+    expired: []
+};
+
+class LifecycleError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'LifecycleError';
+        this.code = code;
+    }
+}
+
+class SessionLifecycle {
+    constructor({
+        phase = 'created', topicVersion = 1, topicAgreedBy = [], submittedBy = [],
+        finishedBy = [], deadlockedBy = [], certifiedBy = [], outcome = null, updatedAt = Date.now()
+    } = {}) {
+        this.phase = PHASES.includes(phase) ? phase : 'created';
+        this.topicVersion = topicVersion;
+        this.topicAgreedBy = topicAgreedBy;
+        this.submittedBy = submittedBy;
+        this.finishedBy = finishedBy;
+        this.deadlockedBy = deadlockedBy;
+        this.certifiedBy = certifiedBy;
+        this.outcome = outcome;
+        this.updatedAt = updatedAt;
+    }
+
+    // context: { userName, participants (every seat), maxParticipants,
+    // topicVersion (agree_topic), outcome (finish_negotiation) }.
+    // Returns true when the state changed.
+    apply(event, context = {}) {
+        if (!(ACCEPTED_EVENTS[this.phase] || []).includes(event)) {
+            throw new LifecycleError('INVALID_TRANSITION', `Cannot ${event.replace(/_/g, ' ')} while the session is ${this.phase.replace(/_/g, ' ')}`);
+        }
+        const before = JSON.stringify(this);
+        const participants = context.participants || [];
+        const everyone = list => participants.length > 0 && participants.every(name => list.includes(name));
+        const withUser = list => list.includes(context.userName) ? list : [...list, context.userName];
+
+        switch (event) {
+            case 'seat':
+                if (this.phase === 'created') this.phase = 'awaiting_participants';
+                if (participants.length >= context.maxParticipants) {
+                    this.phase = everyone(this.topicAgreedBy) ? 'topic_agreed' : 'topic_proposed';
+                }
+                break;
+            case 'propose_topic':
+                this.topicVersion += 1;
+                this.topicAgreedBy = [];
+                if (this.phase === 'topic_agreed') this.phase = 'topic_proposed';
+                break;
+            case 'agree_topic':
+                if (context.topicVersion !== undefined && Number(context.topicVersion) !== this.topicVersion) {
+                    throw new LifecycleError('STALE_TOPIC', 'The topic changed since you agreed to it');
+                }
+                if (!this.topicAgreedBy.includes(context.userName)) {
+                    this.topicAgreedBy = [...this.topicAgreedBy, context.userName];
+                }
+                if (this.phase === 'topic_proposed' && everyone(this.topicAgreedBy)) {
+                    this.phase = 'topic_agreed';
+                }
+                break;
+            case 'start_inputs':
+                this.phase = 'collecting_inputs';
+                break;
+            case 'submit_inputs':
+                if (!this.submittedBy.includes(context.userName)) {
+                    this.submittedBy = [...this.submittedBy, context.userName];
+                }
+                if (everyone(this.submittedBy)) this.phase = 'negotiating';
+                break;
+            case 'finish_negotiation':
+                if (this.phase !== 'negotiating') break;
+                this.finishedBy = withUser(this.finishedBy);
+                if (context.outcome === 'deadlock') this.deadlockedBy = withUser(this.deadlockedBy);
+                if (!everyone(this.finishedBy)) break;
+                // A deadlock everyone saw leaves nothing to review
+                if (everyone(this.deadlockedBy)) {
+                    this.phase = 'completed';
+                    this.outcome = 'deadlock';
+                } else {
+                    this.phase = 'review';
+                }
+                break;
+            case 'start_renegotiation':
+                this.phase = 'negotiating';
+                this.finishedBy = [];
+                this.deadlockedBy = [];
+                this.certifiedBy = [];
+                break;
+            case 'certify':
+                if (this.phase !== 'review') break;
+                this.certifiedBy = withUser(this.certifiedBy);
+                if (everyone(this.certifiedBy)) {
+                    this.phase = 'completed';
+                    if (!this.outcome) this.outcome = 'certified';
+                }
+                break;
+            case 'expire':
+                this.phase = 'expired';
+                break;
+        }
+
+        const changed = JSON.stringify(this) !== before;
+        if (changed) this.updatedAt = Date.now();
+        return changed;
+    }
+
+    // Shareable state; everything here is already known to every participant
+    describe() {
+        return {
+            phase: this.phase,
+            topicVersion: this.topicVersion,
+            topicAgreedBy: this.topicAgreedBy,
+            submittedBy: this.submittedBy,
+            finishedBy: this.finishedBy,
+            deadlockedBy: this.deadlockedBy,
+            certifiedBy: this.certifiedBy,
+            outcome: this.outcome,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    toJSON() {
+        return this.describe();
+    }
+
+    static fromJSON(data) {
+        return new SessionLifecycle(data || {});
+    }
+}
+
+module.exports = { SessionLifecycle, LifecycleError, PHASES, CLIENT_EVENTS };
@@ -0,0 +1,422 @@
+// Persistent key/value storage for sessions and negotiations
+// Every backend has the same async API: get(key), set(key, value, { ttlMs }),
+// delete(key), keys(prefix) and close(). Values are JSON; entries expire after
+// their TTL, which replaces the periodic cleanup loops the servers used to run.
+// The memory and file stores sweep out expired entries nobody reads again.
+//
+// SESSION_STORE selects the backend:
+// - memory (default): lost on restart
+// - file: JSON file under SESSION_STORE_PATH (default ./data)
+// - redis: any Redis-protocol server at REDIS_URL (Redis, Valkey, KeyDB, ...)
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+class MemoryStore {
+    constructor({ sweepMs = 60000 } = {}) {
+        this.kind = 'memory';
+        this.entries = new Map();
+        this.sweeper = setInterval(() => this.sweep(), sweepMs);
+        this.sweeper.unref();
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt && entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+
+    live(key) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    async get(key) {
+        const entry = this.live(key);
+        // Stored as text so callers never share objects with the store
+        return entry ? JSON.parse(entry.value) : null;
+    }
+
+    async set(key, value, { ttlMs } = {}) {
+        this.entries.set(key, {
+            value: JSON.stringify(value),
+            expiresAt: ttlMs ? Date.now() + ttlMs : null
+        });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async keys(prefix = '') {
+        return [...this.entries.keys()].filter(key => key.startsWith(prefix) && this.live(key));
+    }
+
+    async close() {
+        clearInterval(this.sweeper);
+    }
+}
+
+// Whole store kept in memory and rewritten atomically (temp file + rename), so
+// a crash never leaves a half-written file behind. Changes share the next
+// write, at most one every flushMs, so a burst of sets costs one rewrite; each
+// set resolves once the file holds it.
+class FileStore extends MemoryStore {
+    constructor({ dir, name = 'store', flushMs = 100, sweepMs }) {
+        super({ sweepMs });
+        this.kind = 'file';
+        this.file = path.join(dir, `${name}.json`);
+        this.flushMs = flushMs;
+        this.writing = Promise.resolve();
+        this.queued = null;
+        fs.mkdirSync(dir, { recursive: true });
+        if (fs.existsSync(this.file)) {
+            const saved = JSON.parse(fs.readFileSync(this.file, 'utf8') || '{}');
+            for (const [key, entry] of Object.entries(saved)) {
+                this.entries.set(key, entry);
+            }
+        }
+    }
+
+    persist() {
+        if (!this.queued) {
+            this.queued = this.writing
+                .then(() => new Promise(resolve => setTimeout(resolve, this.flushMs)))
+                .then(() => {
+                    // Later changes queue the write after this one
+                    this.queued = null;
+                    return this.write();
+                });
+            this.writing = this.queued.catch(() => {});
+        }
+        return this.queued;
+    }
+
+    async write() {
+        const now = Date.now();
+        const snapshot = {};
+        for (const [key, entry] of this.entries.entries()) {
+            if (!entry.expiresAt || entry.expiresAt > now) snapshot[key] = entry;
+        }
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+        await fs.promises.rename(tmp, this.file);
+    }
+
+    async set(key, value, options) {
+        await super.set(key, value, options);
+        await this.persist();
+    }
+
+    async delete(key) {
+        await super.delete(key);
+        await this.persist();
+    }
+
+    async close() {
+        await super.close();
+        await this.writing;
+    }
+}
+
+// Minimal RESP2 client; only the handful of commands the store needs
+class RedisStore {
+    constructor({ url }) {
+        this.kind = 'redis';
+        this.url = new URL(url);
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+        this.connection = null;
+    }
+
+    connect() {
+        if (this.connection) return this.connection;
+        this.connection = new Promise((resolve, reject) => {
+            const options = { host: this.url.hostname, port: Number(this.url.port) || 6379 };
+            const socket = this.url.protocol === 'rediss:'
+                ? tls.connect({ ...options, servername: this.url.hostname })
+                : net.connect(options);
+            socket.once(this.url.protocol === 'rediss:' ? 'secureConnect' : 'connect', () => resolve(socket));
+            socket.once('error', reject);
+            socket.on('data', chunk => this.receive(chunk));
+            socket.on('close', () => {
+                const error = new Error('Redis connection closed');
+                this.pending.splice(0).forEach(({ reject: fail }) => fail(error));
+                this.connection = null;
+            });
+        }).then(async socket => {
+            this.socket = socket;
+            socket.unref();
+            if (this.url.password) {
+                const user = decodeURIComponent(this.url.username || '');
+                const password = decodeURIComponent(this.url.password);
+                await this.send(user ? ['AUTH', user, password] : ['AUTH', password]);
+            }
+            const db = this.url.pathname.slice(1);
+            if (db) await this.send(['SELECT', db]);
+            return socket;
+        });
+        this.connection.catch(() => { this.connection = null; });
+        return this.connection;
+    }
+
+    send(args) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ resolve, reject });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    async command(...args) {
+        await this.connect();
+        return this.send(args.map(String));
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        for (;;) {
+            const parsed = parseReply(this.buffer, 0);
+            if (!parsed) return;
+            this.buffer = this.buffer.subarray(parsed.end);
+            const request = this.pending.shift();
+            if (!request) continue;
+            if (parsed.value instanceof Error) request.reject(parsed.value);
+            else request.resolve(parsed.value);
+        }
+    }
+
+    async get(key) {
+        const value = await this.command('GET', key);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async set(key, value, { ttlMs } = {}) {
+        const args = ['SET', key, JSON.stringify(value)];
+        if (ttlMs) args.push('PX', Math.ceil(ttlMs));
+        await this.command(...args);
+    }
+
+    async delete(key) {
+        await this.command('DEL', key);
+    }
+
+    async keys(prefix = '') {
+        const pattern = `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+        const keys = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await this.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 100);
+            keys.push(...batch);
+            cursor = next;
+        } while (cursor !== '0');
+        return keys;
+    }
+
+    async close() {
+        if (!this.connection) return;
+        try {
+            await this.command('QUIT');
+        } catch (e) {
+            // Connection already gone
+        }
+        if (this.socket) this.socket.destroy();
+        this.connection = null;
+    }
+}
+
+function encodeCommand(args) {
+    return `*${args.length}\r\n` + args
+        .map(arg => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`)
+        .join('');
+}
+
+// Parses one reply starting at offset; returns null until it is complete
+function parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, end: next };
+        case '-':
+            return { value: new Error(line), end: next };
+        case ':':
+            return { value: Number(line), end: next };
+        case '$': {
+            const length = Number(line);
+            if (length === -1) return { value: null, end: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 };
+        }
+        case '*': {
+            const count = Number(line);
+            if (count === -1) return { value: null, end: next };
+            const items = [];
+            let end = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, end);
+                if (!item) return null;
+                items.push(item.value);
+                end = item.end;
+            }
+            return { value: items, end };
+        }
+        default:
+            throw new Error(`Unexpected Redis reply type "${type}"`);
+    }
+}
+
+// Prefixes every key so several collections can share one backend
+function namespaced(store, prefix) {
+    return {
+        kind: store.kind,
+        get: key => store.get(prefix + key),
+        set: (key, value, options) => store.set(prefix + key, value, options),
+        delete: key => store.delete(prefix + key),
+        keys: async (subPrefix = '') => (await store.keys(prefix + subPrefix)).map(key => key.slice(prefix.length)),
+        close: () => store.close()
+    };
+}
+
+function createStore(env = process.env, { name = 'store' } = {}) {
+    const kind = (env.SESSION_STORE || 'memory').toLowerCase();
+    switch (kind) {
+        case 'memory':
+            return new MemoryStore();
+        case 'file':
+            return new FileStore({ dir: env.SESSION_STORE_PATH || path.join(process.cwd(), 'data'), name });
+        case 'redis':
+            if (!env.REDIS_URL) {
+                throw new Error('REDIS_URL is required for the redis session store');
+            }
+            return new RedisStore({ url: env.REDIS_URL });
+        default:
+            throw new Error(`Unknown SESSION_STORE "${kind}"`);
+    }
+}
+
+// Map whose entries expire after ttlMs without being touched; used for the
+// live objects the servers keep in front of the store
+class ExpiringMap extends Map {
+    constructor(ttlMs, { onExpire = () => {} } = {}) {
+        super();
+        this.ttlMs = ttlMs;
+        this.onExpire = onExpire;
+        this.expiresAt = new Map();
+        this.timer = null;
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        this.expiresAt.set(key, Date.now() + this.ttlMs);
+        this.schedule();
+        return this;
+    }
+
+    get(key) {
+        this.expire(key);
+        return super.get(key);
+    }
+
+    has(key) {
+        this.expire(key);
+        return super.has(key);
+    }
+
+    delete(key) {
+        this.expiresAt.delete(key);
+        return super.delete(key);
+    }
+
+    clear() {
+        this.expiresAt.clear();
+        super.clear();
+    }
+
+    expire(key, now = Date.now()) {
+        const expiresAt = this.expiresAt.get(key);
+        if (expiresAt !== undefined && expiresAt <= now) {
+            const value = super.get(key);
+            this.delete(key);
+            this.onExpire(key, value);
+        }
+    }
+
+    // One unref'd timer for the earliest expiry at a time
+    schedule() {
+        if (this.timer) return;
+        const next = Math.min(...this.expiresAt.values());
+        if (!Number.isFinite(next)) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            const now = Date.now();
+            [...this.expiresAt.keys()].forEach(key => this.expire(key, now));
+            this.schedule();
+        }, Math.max(next - Date.now(), 0) + 10);
+        this.timer.unref();
+    }
+}
+
+// Private negotiation inputs at rest, per PRIVATE_INPUT_POLICY:
+// - exclude (default): never written to the store; a restart drops them
+// - encrypt: AES-256-GCM with a key derived from STORE_ENCRYPTION_KEY
+function createInputPolicy(env = process.env) {
+    const mode = (env.PRIVATE_INPUT_POLICY || 'exclude').toLowerCase();
+    if (mode === 'exclude') {
+        return { mode, protect: () => null, restore: () => null };
+    }
+    if (mode !== 'encrypt') {
+        throw new Error(`Unknown PRIVATE_INPUT_POLICY "${mode}"`);
+    }
+    if (!env.STORE_ENCRYPTION_KEY) {
+        throw new Error('STORE_ENCRYPTION_KEY is required when PRIVATE_INPUT_POLICY=encrypt');
+    }
+    const key = crypto.createHash('sha256').update(env.STORE_ENCRYPTION_KEY).digest();
+
+    return {
+        mode,
+        protect(inputs) {
+            if (!inputs) return null;
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            const data = Buffer.concat([cipher.update(JSON.stringify(inputs), 'utf8'), cipher.final()]);
+            return {
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64')
+            };
+        },
+        // Returns null when the inputs cannot be decrypted (e.g. the key changed)
+        restore(sealed) {
+            if (!sealed) return null;
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+                decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+                const data = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+                return JSON.parse(data.toString('utf8'));
+            } catch (e) {
+                return null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    MemoryStore,
+    FileStore,
+    RedisStore,
+    ExpiringMap,
+    namespaced,
+    createStore,
+    createInputPolicy
+};